@@ -0,0 +1,304 @@
+<?php
+/**
+ * Private "Readme" post type.
+ *
+ * Logged-in users save the readme.txt text the form generates as a private
+ * post, one post per plugin. Every save adds a revision, so earlier versions
+ * can be compared and restored from the revisions screen. The frontend form
+ * reads and writes the posts through the core REST API at wp/v2/readmes.
+ *
+ * @package WordPressReadmeGenerator
+ */
+
+// Prevent direct access - Security measure
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly.
+}
+
+/**
+ * Registers the readme post type.
+ *
+ * Readmes are always private. Contributors and Authors can keep readmes too:
+ * creating one only needs `edit_posts`, and
+ * wordpress_readme_generator_map_readme_caps() lets them edit, load, delete
+ * and list the revisions of their own private readmes with the same
+ * capabilities they need for their own drafts. Readmes of other users still
+ * need the private post capabilities Editors have.
+ *
+ * @see https://developer.wordpress.org/reference/functions/register_post_type/
+ */
+if ( ! function_exists( 'wordpress_readme_generator_register_post_type' ) ) {
+	function wordpress_readme_generator_register_post_type() {
+		register_post_type(
+			'plugin_readme',
+			array(
+				'labels'              => array(
+					'name'               => __( 'Readmes', 'wordpress-readme-generator-block-wp' ),
+					'singular_name'      => __( 'Readme', 'wordpress-readme-generator-block-wp' ),
+					'add_new_item'       => __( 'Add New Readme', 'wordpress-readme-generator-block-wp' ),
+					'edit_item'          => __( 'Edit Readme', 'wordpress-readme-generator-block-wp' ),
+					'new_item'           => __( 'New Readme', 'wordpress-readme-generator-block-wp' ),
+					'search_items'       => __( 'Search Readmes', 'wordpress-readme-generator-block-wp' ),
+					'not_found'          => __( 'No readmes found.', 'wordpress-readme-generator-block-wp' ),
+					'not_found_in_trash' => __( 'No readmes found in Trash.', 'wordpress-readme-generator-block-wp' ),
+					'all_items'          => __( 'All Readmes', 'wordpress-readme-generator-block-wp' ),
+				),
+				'description'         => __( 'Readme.txt files saved from the WordPress Readme Generator block.', 'wordpress-readme-generator-block-wp' ),
+				'public'              => false,
+				'show_ui'             => true,
+				'show_in_menu'        => true,
+				'show_in_rest'        => true,
+				'rest_base'           => 'readmes',
+				'menu_icon'           => 'dashicons-text-page',
+				'supports'            => array( 'title', 'editor', 'author', 'revisions' ),
+				'capability_type'     => 'post',
+				'capabilities'        => array(
+					'publish_posts' => 'edit_posts',
+				),
+				'map_meta_cap'        => true,
+				'exclude_from_search' => true,
+				'has_archive'         => false,
+				'rewrite'             => false,
+				'query_var'           => false,
+			)
+		);
+
+		// Text as written, for readmes saved by users without `unfiltered_html`.
+		// Revisions keep their own copy, which needs WordPress 6.4 or later.
+		register_post_meta(
+			'plugin_readme',
+			'_wordpress_readme_generator_text',
+			array(
+				'type'              => 'string',
+				'single'            => true,
+				'revisions_enabled' => true,
+			)
+		);
+	}
+	add_action( 'init', 'wordpress_readme_generator_register_post_type' );
+}
+
+/**
+ * Security: Let users work with their own private readmes
+ *
+ * Maps editing, reading and deleting a readme, or one of its revisions, to
+ * `edit_posts`, `read` and `delete_posts` when the user wrote it, rather than
+ * to the private post capabilities only Editors and Administrators have.
+ *
+ * @param string[] $caps    Primitive capabilities the user needs.
+ * @param string   $cap     Capability being checked.
+ * @param int      $user_id User id.
+ * @param array    $args    Arguments, the post id first.
+ * @return string[]
+ */
+if ( ! function_exists( 'wordpress_readme_generator_map_readme_caps' ) ) {
+	function wordpress_readme_generator_map_readme_caps( $caps, $cap, $user_id, $args ) {
+		$own_caps = array(
+			'edit_post'   => 'edit_posts',
+			'read_post'   => 'read',
+			'delete_post' => 'delete_posts',
+		);
+		if ( ! isset( $own_caps[ $cap ] ) || empty( $args[0] ) ) {
+			return $caps;
+		}
+
+		$post = get_post( $args[0] );
+		if ( $post && 'revision' === $post->post_type ) {
+			$post = get_post( $post->post_parent );
+		}
+		if ( ! $post || 'plugin_readme' !== $post->post_type || (int) $post->post_author !== (int) $user_id ) {
+			return $caps;
+		}
+
+		return array( $own_caps[ $cap ] );
+	}
+	add_filter( 'map_meta_cap', 'wordpress_readme_generator_map_readme_caps', 10, 4 );
+}
+
+/**
+ * Check whether post data belongs to a readme or one of its revisions.
+ *
+ * @param array $data Post data.
+ * @return bool
+ */
+if ( ! function_exists( 'wordpress_readme_generator_is_readme_data' ) ) {
+	function wordpress_readme_generator_is_readme_data( $data ) {
+		if ( 'revision' === $data['post_type'] ) {
+			return ! empty( $data['post_parent'] ) && 'plugin_readme' === get_post_type( $data['post_parent'] );
+		}
+		return 'plugin_readme' === $data['post_type'];
+	}
+}
+
+/**
+ * Hand the text of a readme being saved from wp_insert_post_data, which
+ * runs before the post has an id, to wp_insert_post.
+ *
+ * @param string|null $text Slashed text to keep, an empty string to remove
+ *                          the kept text, or null to take the text handed over.
+ * @return string|null Text handed over, null when there is none.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_pending_readme_text' ) ) {
+	function wordpress_readme_generator_pending_readme_text( $text = null ) {
+		static $pending = null;
+
+		if ( null !== $text ) {
+			$pending = $text;
+			return null;
+		}
+
+		$taken   = $pending;
+		$pending = null;
+		return $taken;
+	}
+}
+
+/**
+ * Security: Keep readmes private and store their text as written
+ *
+ * Readmes are plain text, never shown as HTML, so the HTML filters would only
+ * damage them, for example by turning "&" into "&amp;". Users who may post
+ * unfiltered HTML have the text saved as written. For everyone else the post
+ * content goes through the usual filters and the text as written is kept in
+ * post meta, which REST responses return instead.
+ *
+ * @param array $data                Slashed, sanitized post data about to be saved.
+ * @param array $postarr             Slashed, sanitized post data as passed in.
+ * @param array $unsanitized_postarr Slashed post data as passed in.
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_filter_readme_data' ) ) {
+	function wordpress_readme_generator_filter_readme_data( $data, $postarr = array(), $unsanitized_postarr = array() ) {
+		if ( ! wordpress_readme_generator_is_readme_data( $data ) ) {
+			return $data;
+		}
+
+		if ( 'plugin_readme' === $data['post_type'] && in_array( $data['post_status'], array( 'publish', 'future', 'pending', 'draft' ), true ) ) {
+			$data['post_status'] = 'private';
+		}
+
+		if ( isset( $unsanitized_postarr['post_content'] ) && is_string( $unsanitized_postarr['post_content'] ) ) {
+			$text = wp_check_invalid_utf8( $unsanitized_postarr['post_content'] );
+
+			if ( current_user_can( 'unfiltered_html' ) ) {
+				$data['post_content'] = $text;
+				$text                 = '';
+			}
+			if ( 'plugin_readme' === $data['post_type'] ) {
+				wordpress_readme_generator_pending_readme_text( $text );
+			}
+		}
+
+		return $data;
+	}
+	add_filter( 'wp_insert_post_data', 'wordpress_readme_generator_filter_readme_data', 10, 3 );
+}
+
+/**
+ * Keep or remove the text as written once a readme is saved.
+ *
+ * @param int     $post_id Post id.
+ * @param WP_Post $post    Saved post.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_save_readme_text' ) ) {
+	function wordpress_readme_generator_save_readme_text( $post_id, $post ) {
+		if ( 'plugin_readme' !== $post->post_type ) {
+			return;
+		}
+
+		$text = wordpress_readme_generator_pending_readme_text();
+		if ( '' === $text ) {
+			delete_post_meta( $post_id, '_wordpress_readme_generator_text' );
+		} elseif ( null !== $text ) {
+			update_post_meta( $post_id, '_wordpress_readme_generator_text', $text );
+		}
+	}
+	add_action( 'wp_insert_post', 'wordpress_readme_generator_save_readme_text', 10, 2 );
+}
+
+/**
+ * Get the text of a readme or revision as written.
+ *
+ * @param WP_Post $post Readme or revision.
+ * @return string
+ */
+if ( ! function_exists( 'wordpress_readme_generator_get_readme_text' ) ) {
+	function wordpress_readme_generator_get_readme_text( $post ) {
+		$text = get_post_meta( $post->ID, '_wordpress_readme_generator_text', true );
+		return is_string( $text ) && '' !== $text ? $text : $post->post_content;
+	}
+}
+
+/**
+ * Load the text of a readme as written into the edit screen, so saving from
+ * there does not replace it with the filtered post content.
+ *
+ * @param string $content Post content.
+ * @param int    $post_id Post id.
+ * @return string
+ */
+if ( ! function_exists( 'wordpress_readme_generator_edit_readme_text' ) ) {
+	function wordpress_readme_generator_edit_readme_text( $content, $post_id ) {
+		$post = get_post( $post_id );
+		if ( ! $post || 'plugin_readme' !== $post->post_type ) {
+			return $content;
+		}
+		return wordpress_readme_generator_get_readme_text( $post );
+	}
+	add_filter( 'content_edit_pre', 'wordpress_readme_generator_edit_readme_text', 10, 2 );
+}
+
+/**
+ * Security: Return readme text as written in REST responses, escaped in the
+ * rendered content
+ *
+ * @param WP_REST_Response $response Response.
+ * @param WP_Post          $post     Readme or revision.
+ * @return WP_REST_Response
+ */
+if ( ! function_exists( 'wordpress_readme_generator_escape_rest_content' ) ) {
+	function wordpress_readme_generator_escape_rest_content( $response, $post ) {
+		$data = $response->get_data();
+		if ( isset( $data['content'] ) && wordpress_readme_generator_is_readme_data( (array) $post ) ) {
+			$text = wordpress_readme_generator_get_readme_text( $post );
+			if ( isset( $data['content']['raw'] ) ) {
+				$data['content']['raw'] = $text;
+			}
+			if ( isset( $data['content']['rendered'] ) ) {
+				$data['content']['rendered'] = wpautop( esc_html( $text ) );
+			}
+			$response->set_data( $data );
+		}
+		return $response;
+	}
+	add_filter( 'rest_prepare_plugin_readme', 'wordpress_readme_generator_escape_rest_content', 10, 2 );
+	add_filter( 'rest_prepare_revision', 'wordpress_readme_generator_escape_rest_content', 10, 2 );
+}
+
+/**
+ * Edit readmes as plain text. The block editor and the visual editor would
+ * wrap the readme.txt markup in HTML.
+ *
+ * @param bool   $use_block_editor Whether the post type uses the block editor.
+ * @param string $post_type        Post type name.
+ * @return bool
+ */
+if ( ! function_exists( 'wordpress_readme_generator_disable_block_editor' ) ) {
+	function wordpress_readme_generator_disable_block_editor( $use_block_editor, $post_type ) {
+		return 'plugin_readme' === $post_type ? false : $use_block_editor;
+	}
+	add_filter( 'use_block_editor_for_post_type', 'wordpress_readme_generator_disable_block_editor', 10, 2 );
+}
+
+/**
+ * Turn off the visual editor on the readme edit screen.
+ *
+ * @param bool $rich_edit Whether the user can use the visual editor.
+ * @return bool
+ */
+if ( ! function_exists( 'wordpress_readme_generator_disable_rich_edit' ) ) {
+	function wordpress_readme_generator_disable_rich_edit( $rich_edit ) {
+		return 'plugin_readme' === get_post_type() ? false : $rich_edit;
+	}
+	add_filter( 'user_can_richedit', 'wordpress_readme_generator_disable_rich_edit' );
+}
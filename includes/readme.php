@@ -0,0 +1,1119 @@
+<?php
+/**
+ * Readme parsing, generation and validation on the server.
+ *
+ * PHP versions of src/readme-parser.js, the generator in src/readme-writer.js
+ * and src/readme-validator.js. Documents use the same shape as the JavaScript
+ * ones so the REST API, the block editor and the frontend form can exchange
+ * them freely. Keep both sides in sync when the rules change.
+ *
+ * @package WordPressReadmeGenerator
+ */
+
+// Prevent direct access - Security measure
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly.
+}
+
+/**
+ * Header field names mapped to document ids. List fields are split on commas.
+ *
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_header_fields' ) ) {
+	function wordpress_readme_generator_header_fields() {
+		return array(
+			'contributors'       => array( 'id' => 'contributors', 'list' => true ),
+			'contributor'        => array( 'id' => 'contributors', 'list' => true ),
+			'tags'               => array( 'id' => 'tags', 'list' => true ),
+			'tag'                => array( 'id' => 'tags', 'list' => true ),
+			'donate link'        => array( 'id' => 'donateLink', 'list' => false ),
+			'requires at least'  => array( 'id' => 'requiresAtLeast', 'list' => false ),
+			'requires wordpress' => array( 'id' => 'requiresAtLeast', 'list' => false ),
+			'tested up to'       => array( 'id' => 'testedUpTo', 'list' => false ),
+			'stable tag'         => array( 'id' => 'stableTag', 'list' => false ),
+			'requires php'       => array( 'id' => 'requiresPHP', 'list' => false ),
+			'requires plugins'   => array( 'id' => 'requiresPlugins', 'list' => true ),
+			'network'            => array( 'id' => 'network', 'list' => false ),
+			'license'            => array( 'id' => 'license', 'list' => false ),
+			'license uri'        => array( 'id' => 'licenseURI', 'list' => false ),
+		);
+	}
+}
+
+/**
+ * Header labels in the order they are written.
+ *
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_header_labels' ) ) {
+	function wordpress_readme_generator_header_labels() {
+		return array(
+			'contributors'    => 'Contributors',
+			'donateLink'      => 'Donate link',
+			'tags'            => 'Tags',
+			'requiresAtLeast' => 'Requires at least',
+			'testedUpTo'      => 'Tested up to',
+			'stableTag'       => 'Stable tag',
+			'requiresPHP'     => 'Requires PHP',
+			'requiresPlugins' => 'Requires Plugins',
+			'network'         => 'Network',
+			'license'         => 'License',
+			'licenseURI'      => 'License URI',
+		);
+	}
+}
+
+/**
+ * Section headings in the order they are written.
+ *
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_section_titles' ) ) {
+	function wordpress_readme_generator_section_titles() {
+		return array(
+			'description'    => 'Description',
+			'installation'   => 'Installation',
+			'faq'            => 'Frequently Asked Questions',
+			'screenshots'    => 'Screenshots',
+			'changelog'      => 'Changelog',
+			'upgrade_notice' => 'Upgrade Notice',
+		);
+	}
+}
+
+/**
+ * Heading styles of FAQ questions, as patterns for the question text:
+ * `= Question =` as WordPress.org documents it, or markdown `### Question`.
+ *
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_faq_styles' ) ) {
+	function wordpress_readme_generator_faq_styles() {
+		return array(
+			'wordpress' => array(
+				'format'  => '= %s =',
+				'pattern' => '/^=\s*(.+?)\s*=$/u',
+			),
+			'markdown'  => array(
+				'format'  => '### %s',
+				'pattern' => '/^###\s+(.+)$/u',
+			),
+		);
+	}
+}
+
+/**
+ * Placeholder values used when generating a readme from scratch.
+ *
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_readme_defaults' ) ) {
+	function wordpress_readme_generator_readme_defaults() {
+		return array(
+			'name'             => 'Plugin Name',
+			'shortDescription' => 'Short description here.',
+			'header'           => array(
+				'contributors'    => array( 'username' ),
+				'tags'            => array( 'plugin' ),
+				'requiresAtLeast' => '5.0',
+				'testedUpTo'      => '6.8',
+				'stableTag'       => '1.0.0',
+				'requiresPHP'     => '7.4',
+				'license'         => 'GPL-2.0-or-later',
+				'licenseURI'      => 'https://www.gnu.org/licenses/gpl-2.0.html',
+			),
+			'description'      => 'Detailed description here.',
+			'installation'     => "1. Upload to /wp-content/plugins/\n2. Activate the plugin",
+			'faq'              => array(
+				array(
+					'question' => 'How do I use this plugin?',
+					'answer'   => 'Just install and activate the plugin through the WordPress admin.',
+				),
+			),
+			'changelog'        => array(
+				array(
+					'version' => '1.0.0',
+					'changes' => array( 'Initial release' ),
+				),
+			),
+		);
+	}
+}
+
+/**
+ * Create an empty document with every property present.
+ *
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_create_empty_document' ) ) {
+	function wordpress_readme_generator_create_empty_document() {
+		return array(
+			'name'                 => '',
+			'nameLine'             => 0,
+			'header'               => array(
+				'contributors'    => array(),
+				'tags'            => array(),
+				'donateLink'      => '',
+				'requiresAtLeast' => '',
+				'testedUpTo'      => '',
+				'stableTag'       => '',
+				'requiresPHP'     => '',
+				'requiresPlugins' => array(),
+				'network'         => '',
+				'license'         => '',
+				'licenseURI'      => '',
+			),
+			'headerFields'         => array(),
+			'unknownHeaderFields'  => array(),
+			'shortDescription'     => '',
+			'shortDescriptionLine' => 0,
+			'shortDescriptionEnd'  => 0,
+			'sections'             => array(),
+			'faq'                  => array(),
+			'faqStyle'             => '',
+			'changelog'            => array(),
+			'upgradeNotices'       => array(),
+			'screenshots'          => array(),
+			'unknownSections'      => array(),
+			'source'               => '',
+		);
+	}
+}
+
+/**
+ * Give a posted document the shape of an empty document. Properties that are
+ * missing or have the wrong type are replaced by their empty value, and list
+ * items are reduced to the strings and objects the generator reads.
+ *
+ * @param mixed $saved Posted document.
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_normalize_document' ) ) {
+	function wordpress_readme_generator_normalize_document( $saved ) {
+		$doc = wordpress_readme_generator_create_empty_document();
+		if ( ! is_array( $saved ) ) {
+			return $doc;
+		}
+
+		$pick = function ( $target, $source ) {
+			foreach ( $target as $key => $empty ) {
+				if ( ! array_key_exists( $key, $source ) ) {
+					continue;
+				}
+
+				$value = $source[ $key ];
+				if ( is_array( $empty ) ) {
+					$target[ $key ] = is_array( $value ) ? array_values( $value ) : array();
+				} elseif ( is_int( $empty ) && is_numeric( $value ) ) {
+					$target[ $key ] = (int) $value;
+				} elseif ( is_string( $empty ) && is_string( $value ) ) {
+					$target[ $key ] = wp_check_invalid_utf8( $value );
+				}
+			}
+			return $target;
+		};
+
+		$doc['header'] = $pick( $doc['header'], isset( $saved['header'] ) && is_array( $saved['header'] ) ? $saved['header'] : array() );
+		$header        = $doc['header'];
+		$doc           = $pick( $doc, $saved );
+		$doc['header'] = $header;
+
+		// List headers hold strings, every other list holds objects.
+		foreach ( array( 'contributors', 'tags', 'requiresPlugins' ) as $id ) {
+			$doc['header'][ $id ] = array_values( array_map( 'strval', array_filter( $doc['header'][ $id ], 'is_scalar' ) ) );
+		}
+		foreach ( array( 'headerFields', 'unknownHeaderFields', 'sections', 'faq', 'changelog', 'upgradeNotices', 'screenshots', 'unknownSections' ) as $key ) {
+			$doc[ $key ] = array_values( array_filter( $doc[ $key ], 'is_array' ) );
+		}
+		foreach ( $doc['changelog'] as $index => $entry ) {
+			$changes                               = isset( $entry['changes'] ) && is_array( $entry['changes'] ) ? $entry['changes'] : array();
+			$doc['changelog'][ $index ]['changes'] = array_values( array_map( 'strval', array_filter( $changes, 'is_scalar' ) ) );
+		}
+
+		return $doc;
+	}
+}
+
+/**
+ * Read a string property from a document item.
+ *
+ * @param array  $item Document item, such as a FAQ entry.
+ * @param string $key  Property name.
+ * @return string
+ */
+if ( ! function_exists( 'wordpress_readme_generator_item_string' ) ) {
+	function wordpress_readme_generator_item_string( $item, $key ) {
+		return isset( $item[ $key ] ) && is_scalar( $item[ $key ] ) ? (string) $item[ $key ] : '';
+	}
+}
+
+/**
+ * Split text into lines, accepting any newline style.
+ *
+ * @param string $text Raw text.
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_split_lines' ) ) {
+	function wordpress_readme_generator_split_lines( $text ) {
+		return preg_split( '/\r\n|\r|\n/', preg_replace( '/^\xEF\xBB\xBF/', '', $text ) );
+	}
+}
+
+/**
+ * Drop leading and trailing whitespace-only lines from a block of lines.
+ *
+ * @param array $lines Lines to trim.
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_trim_blank_lines' ) ) {
+	function wordpress_readme_generator_trim_blank_lines( $lines ) {
+		$start = 0;
+		$end   = count( $lines );
+		while ( $start < $end && '' === trim( $lines[ $start ] ) ) {
+			$start++;
+		}
+		while ( $end > $start && '' === trim( $lines[ $end - 1 ] ) ) {
+			$end--;
+		}
+		return array_slice( $lines, $start, $end - $start );
+	}
+}
+
+/**
+ * Split a comma separated header value.
+ *
+ * @param string $value Header value.
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_split_list' ) ) {
+	function wordpress_readme_generator_split_list( $value ) {
+		return array_values(
+			array_filter(
+				array_map( 'trim', explode( ',', $value ) ),
+				'strlen'
+			)
+		);
+	}
+}
+
+/**
+ * Check whether a trimmed line is a `== Section ==` heading.
+ *
+ * @param string $line  Trimmed line.
+ * @param array  $match Receives the regular expression match.
+ * @return bool
+ */
+if ( ! function_exists( 'wordpress_readme_generator_is_section_heading' ) ) {
+	function wordpress_readme_generator_is_section_heading( $line, &$match = null ) {
+		return (bool) preg_match( '/^==\s*(.+?)\s*==$/u', $line, $match );
+	}
+}
+
+/**
+ * Find the heading style of the questions in a FAQ section body. The first
+ * question decides, so the other style can appear inside answers.
+ *
+ * @param array $lines Section body lines.
+ * @return string Key of wordpress_readme_generator_faq_styles(), empty when there is no question.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_get_faq_style' ) ) {
+	function wordpress_readme_generator_get_faq_style( $lines ) {
+		foreach ( $lines as $line ) {
+			foreach ( wordpress_readme_generator_faq_styles() as $style => $format ) {
+				if ( preg_match( $format['pattern'], trim( $line ) ) ) {
+					return $style;
+				}
+			}
+		}
+		return '';
+	}
+}
+
+/**
+ * Parse the FAQ section body. Questions use the headings of one of the FAQ
+ * styles, and answers keep their paragraphs, lists and indentation.
+ *
+ * @param array  $lines      Section body lines.
+ * @param int    $first_line 1-based line number of $lines[0].
+ * @param string $style      Key of wordpress_readme_generator_faq_styles() the questions use.
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_parse_faq' ) ) {
+	function wordpress_readme_generator_parse_faq( $lines, $first_line, $style ) {
+		$styles  = wordpress_readme_generator_faq_styles();
+		$faq     = array();
+		$current = null;
+
+		// A question without an answer is kept with an empty one.
+		$flush = function () use ( &$faq, &$current ) {
+			if ( $current ) {
+				$faq[] = array(
+					'question' => $current['question'],
+					'answer'   => trim( implode( "\n", wordpress_readme_generator_trim_blank_lines( $current['answer'] ) ) ),
+					'line'     => $current['line'],
+				);
+			}
+		};
+
+		foreach ( $lines as $index => $line ) {
+			if ( isset( $styles[ $style ] ) && preg_match( $styles[ $style ]['pattern'], trim( $line ), $question ) ) {
+				$flush();
+				$current = array(
+					'question' => trim( $question[1] ),
+					'answer'   => array(),
+					'line'     => $first_line + $index,
+				);
+			} elseif ( $current ) {
+				$current['answer'][] = $line;
+			}
+		}
+		$flush();
+
+		return $faq;
+	}
+}
+
+/**
+ * Parse the changelog section body into `= version =` entries. Changes are
+ * the bullet items; nested bullets are flattened and other text is only
+ * counted in `otherLines`, so the validator can point it out.
+ *
+ * @param array $lines      Section body lines.
+ * @param int   $first_line 1-based line number of $lines[0].
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_parse_changelog' ) ) {
+	function wordpress_readme_generator_parse_changelog( $lines, $first_line ) {
+		$changelog = array();
+		$current   = null;
+
+		foreach ( $lines as $index => $raw_line ) {
+			$line = trim( $raw_line );
+
+			if ( preg_match( '/^=\s*(.+?)\s*=$/u', $line, $version ) ) {
+				if ( $current ) {
+					$changelog[] = $current;
+				}
+				$current = array(
+					'version'    => trim( $version[1] ),
+					'changes'    => array(),
+					'otherLines' => 0,
+					'line'       => $first_line + $index,
+				);
+			} elseif ( $current && preg_match( '/^[*-]\s+(.+)$/u', $line, $change ) ) {
+				$current['changes'][] = trim( $change[1] );
+				if ( preg_match( '/^(?: {2}|\t)/', $raw_line ) ) {
+					++$current['otherLines'];
+				}
+			} elseif ( $current && '' !== $line ) {
+				++$current['otherLines'];
+			}
+		}
+
+		if ( $current ) {
+			$changelog[] = $current;
+		}
+
+		return $changelog;
+	}
+}
+
+/**
+ * Parse the upgrade notice section body into `= version =` entries.
+ *
+ * @param array $lines      Section body lines.
+ * @param int   $first_line 1-based line number of $lines[0].
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_parse_upgrade_notices' ) ) {
+	function wordpress_readme_generator_parse_upgrade_notices( $lines, $first_line ) {
+		$notices = array();
+		$current = null;
+		$flush   = function () use ( &$notices, &$current ) {
+			if ( $current ) {
+				$notice = implode( "\n", wordpress_readme_generator_trim_blank_lines( $current['lines'] ) );
+				if ( '' !== $notice ) {
+					$notices[] = array(
+						'version' => $current['version'],
+						'notice'  => $notice,
+						'line'    => $current['line'],
+					);
+				}
+			}
+		};
+
+		foreach ( $lines as $index => $raw_line ) {
+			if ( preg_match( '/^=\s*(.+?)\s*=$/u', trim( $raw_line ), $version ) ) {
+				$flush();
+				$current = array(
+					'version' => trim( $version[1] ),
+					'lines'   => array(),
+					'line'    => $first_line + $index,
+				);
+			} elseif ( $current ) {
+				$current['lines'][] = $raw_line;
+			}
+		}
+		$flush();
+
+		return $notices;
+	}
+}
+
+/**
+ * Parse the screenshots section body, a numbered list of captions.
+ *
+ * @param array $lines      Section body lines.
+ * @param int   $first_line 1-based line number of $lines[0].
+ * @return array
+ */
+if ( ! function_exists( 'wordpress_readme_generator_parse_screenshots' ) ) {
+	function wordpress_readme_generator_parse_screenshots( $lines, $first_line ) {
+		$screenshots = array();
+
+		foreach ( $lines as $index => $raw_line ) {
+			$line = trim( $raw_line );
+			if ( preg_match( '/^(\d+)\.\s+(.+)$/u', $line, $item ) ) {
+				$screenshots[] = array(
+					'number'  => (int) $item[1],
+					'caption' => trim( $item[2] ),
+					'line'    => $first_line + $index,
+				);
+			} elseif ( '' !== $line && $screenshots ) {
+				// Continuation of a wrapped caption.
+				$screenshots[ count( $screenshots ) - 1 ]['caption'] .= ' ' . $line;
+			}
+		}
+
+		return $screenshots;
+	}
+}
+
+/**
+ * Parse the text of a readme.txt file.
+ *
+ * @param string $text Readme contents.
+ * @return array Parsed document.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_parse_readme' ) ) {
+	function wordpress_readme_generator_parse_readme( $text ) {
+		$doc = wordpress_readme_generator_create_empty_document();
+		if ( ! is_string( $text ) || '' === $text ) {
+			return $doc;
+		}
+
+		$lines         = wordpress_readme_generator_split_lines( $text );
+		$count         = count( $lines );
+		$index         = 0;
+		$doc['source'] = $text;
+		$title_pattern = '/^===\s*(.+?)\s*===$/u';
+		$header_fields = wordpress_readme_generator_header_fields();
+
+		// Skip anything before the `=== Name ===` line, but only if one exists
+		// before the first section.
+		foreach ( $lines as $line_index => $line ) {
+			if ( preg_match( $title_pattern, trim( $line ), $title ) ) {
+				$doc['name']     = $title[1];
+				$doc['nameLine'] = $line_index + 1;
+				$index           = $line_index + 1;
+				break;
+			}
+			if ( wordpress_readme_generator_is_section_heading( trim( $line ) ) ) {
+				break;
+			}
+		}
+
+		// Header block: `Key: value` lines, optionally preceded by blank lines.
+		while ( $index < $count && '' === trim( $lines[ $index ] ) ) {
+			$index++;
+		}
+		while ( $index < $count ) {
+			$line = trim( $lines[ $index ] );
+			if ( '' === $line || wordpress_readme_generator_is_section_heading( $line ) ) {
+				break;
+			}
+			if ( ! preg_match( '/^([A-Za-z][A-Za-z0-9 _-]*?)\s*:\s*(.*)$/u', $line, $match ) ) {
+				break;
+			}
+
+			$definition = $header_fields[ strtolower( $match[1] ) ] ?? null;
+			$field      = array(
+				'key'   => $match[1],
+				'id'    => $definition ? $definition['id'] : null,
+				'value' => trim( $match[2] ),
+				'line'  => $index + 1,
+			);
+
+			$doc['headerFields'][] = $field;
+			if ( ! $definition ) {
+				$doc['unknownHeaderFields'][] = $field;
+			} elseif ( '' !== $field['value'] ) {
+				$doc['header'][ $field['id'] ] = $definition['list']
+					? wordpress_readme_generator_split_list( $field['value'] )
+					: $field['value'];
+			}
+			$index++;
+		}
+
+		// Short description: the first paragraph before any section.
+		while ( $index < $count && '' === trim( $lines[ $index ] ) ) {
+			$index++;
+		}
+		if ( $index < $count && ! wordpress_readme_generator_is_section_heading( trim( $lines[ $index ] ) ) ) {
+			$paragraph                   = array();
+			$doc['shortDescriptionLine'] = $index + 1;
+			while (
+				$index < $count &&
+				'' !== trim( $lines[ $index ] ) &&
+				! wordpress_readme_generator_is_section_heading( trim( $lines[ $index ] ) )
+			) {
+				$paragraph[] = trim( $lines[ $index ] );
+				$index++;
+			}
+			$doc['shortDescription']    = implode( "\n", $paragraph );
+			$doc['shortDescriptionEnd'] = $index;
+		}
+
+		// Sections.
+		$section_titles = array(
+			'description'                => 'description',
+			'installation'               => 'installation',
+			'frequently asked questions' => 'faq',
+			'faq'                        => 'faq',
+			'screenshots'                => 'screenshots',
+			'changelog'                  => 'changelog',
+			'upgrade notice'             => 'upgrade_notice',
+		);
+		for ( ; $index < $count; $index++ ) {
+			if ( ! wordpress_readme_generator_is_section_heading( trim( $lines[ $index ] ), $heading ) ) {
+				continue;
+			}
+
+			$end = $index + 1;
+			while ( $end < $count && ! wordpress_readme_generator_is_section_heading( trim( $lines[ $end ] ) ) ) {
+				$end++;
+			}
+
+			$body    = array_slice( $lines, $index + 1, $end - $index - 1 );
+			$section = array(
+				'title'   => $heading[1],
+				'id'      => $section_titles[ strtolower( trim( $heading[1] ) ) ] ?? null,
+				'content' => implode( "\n", wordpress_readme_generator_trim_blank_lines( $body ) ),
+				'line'    => $index + 1,
+				'endLine' => $end,
+			);
+			$doc['sections'][] = $section;
+
+			switch ( $section['id'] ) {
+				case 'faq':
+					$style           = wordpress_readme_generator_get_faq_style( $body );
+					$doc['faqStyle'] = '' !== $doc['faqStyle'] ? $doc['faqStyle'] : $style;
+					$doc['faq']      = array_merge( $doc['faq'], wordpress_readme_generator_parse_faq( $body, $index + 2, $style ) );
+					break;
+				case 'changelog':
+					$doc['changelog'] = array_merge( $doc['changelog'], wordpress_readme_generator_parse_changelog( $body, $index + 2 ) );
+					break;
+				case 'upgrade_notice':
+					$doc['upgradeNotices'] = array_merge( $doc['upgradeNotices'], wordpress_readme_generator_parse_upgrade_notices( $body, $index + 2 ) );
+					break;
+				case 'screenshots':
+					$doc['screenshots'] = array_merge( $doc['screenshots'], wordpress_readme_generator_parse_screenshots( $body, $index + 2 ) );
+					break;
+				case null:
+					$doc['unknownSections'][] = $section;
+					break;
+			}
+
+			$index = $end - 1;
+		}
+
+		return $doc;
+	}
+}
+
+/**
+ * Find a section by id.
+ *
+ * @param array  $doc Readme document.
+ * @param string $id  Section id.
+ * @return array|null First matching section.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_get_section' ) ) {
+	function wordpress_readme_generator_get_section( $doc, $id ) {
+		foreach ( $doc['sections'] as $section ) {
+			if ( isset( $section['id'] ) && $id === $section['id'] ) {
+				return $section;
+			}
+		}
+		return null;
+	}
+}
+
+/**
+ * Check whether a document value has anything to write.
+ *
+ * @param mixed $value Header value or list.
+ * @return bool
+ */
+if ( ! function_exists( 'wordpress_readme_generator_is_empty_value' ) ) {
+	function wordpress_readme_generator_is_empty_value( $value ) {
+		return is_array( $value ) ? ! $value : ( null === $value || '' === $value || false === $value );
+	}
+}
+
+/**
+ * Generate a readme from scratch, filling gaps with placeholder values.
+ *
+ * @param array $doc             Readme document, see wordpress_readme_generator_normalize_document().
+ * @param array $no_placeholders Ids of sections that are left out rather than filled when empty.
+ * @return string Readme text.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_generate_readme' ) ) {
+	function wordpress_readme_generator_generate_readme( $doc, $no_placeholders = array() ) {
+		$defaults    = wordpress_readme_generator_readme_defaults();
+		$placeholder = function ( $id, $value ) use ( $no_placeholders ) {
+			return in_array( $id, $no_placeholders, true ) ? null : $value;
+		};
+
+		// Header lines.
+		$header = $defaults['header'];
+		foreach ( $doc['header'] as $id => $value ) {
+			if ( ! wordpress_readme_generator_is_empty_value( $value ) ) {
+				$header[ $id ] = $value;
+			}
+		}
+
+		$header_lines = array();
+		foreach ( wordpress_readme_generator_header_labels() as $id => $label ) {
+			if ( isset( $header[ $id ] ) && ! wordpress_readme_generator_is_empty_value( $header[ $id ] ) ) {
+				$header_lines[] = $label . ': ' . ( is_array( $header[ $id ] ) ? implode( ', ', $header[ $id ] ) : $header[ $id ] );
+			}
+		}
+		foreach ( $doc['unknownHeaderFields'] as $field ) {
+			$key   = wordpress_readme_generator_item_string( $field, 'key' );
+			$value = wordpress_readme_generator_item_string( $field, 'value' );
+			if ( '' !== $key && '' !== $value ) {
+				$header_lines[] = $key . ': ' . $value;
+			}
+		}
+
+		// Section bodies, in the order of the section titles.
+		$faq       = $doc['faq'] ? $doc['faq'] : $placeholder( 'faq', $defaults['faq'] );
+		$changelog = $doc['changelog'] ? $doc['changelog'] : $placeholder( 'changelog', $defaults['changelog'] );
+
+		// Versions without bullet items are left out, as in the form.
+		$changelog = array_filter(
+			(array) $changelog,
+			function ( $entry ) {
+				return (bool) $entry['changes'];
+			}
+		);
+		$bodies    = array();
+
+		foreach ( array( 'description', 'installation' ) as $id ) {
+			$section = wordpress_readme_generator_get_section( $doc, $id );
+			$content = $section ? wordpress_readme_generator_item_string( $section, 'content' ) : '';
+			if ( '' === $content ) {
+				$content = (string) $placeholder( $id, $defaults[ $id ] );
+			}
+			$bodies[ $id ] = implode( "\n", wordpress_readme_generator_trim_blank_lines( wordpress_readme_generator_split_lines( $content ) ) );
+		}
+
+		$faq_styles    = wordpress_readme_generator_faq_styles();
+		$faq_format    = $faq_styles[ isset( $faq_styles[ $doc['faqStyle'] ] ) ? $doc['faqStyle'] : 'wordpress' ]['format'];
+		$bodies['faq'] = implode(
+			"\n\n",
+			array_map(
+				function ( $entry ) use ( $faq_format ) {
+					$answer = wordpress_readme_generator_item_string( $entry, 'answer' );
+					return str_replace( '%s', wordpress_readme_generator_item_string( $entry, 'question' ), $faq_format ) . ( '' !== $answer ? "\n\n" . $answer : '' );
+				},
+				(array) $faq
+			)
+		);
+
+		$screenshots = array();
+		foreach ( $doc['screenshots'] as $index => $entry ) {
+			$screenshots[] = ( $index + 1 ) . '. ' . wordpress_readme_generator_item_string( $entry, 'caption' );
+		}
+		$bodies['screenshots'] = implode( "\n", $screenshots );
+
+		$bodies['changelog'] = implode(
+			"\n\n",
+			array_map(
+				function ( $entry ) {
+					$changes = array_map(
+						function ( $change ) {
+							return '* ' . $change;
+						},
+						$entry['changes']
+					);
+					return '= ' . wordpress_readme_generator_item_string( $entry, 'version' ) . " =\n" . implode( "\n", $changes );
+				},
+				(array) $changelog
+			)
+		);
+
+		$bodies['upgrade_notice'] = implode(
+			"\n\n",
+			array_map(
+				function ( $entry ) {
+					return '= ' . wordpress_readme_generator_item_string( $entry, 'version' ) . " =\n" . wordpress_readme_generator_item_string( $entry, 'notice' );
+				},
+				$doc['upgradeNotices']
+			)
+		);
+
+		$blocks = array(
+			'=== ' . ( '' !== $doc['name'] ? $doc['name'] : $defaults['name'] ) . ' ===',
+			implode( "\n", $header_lines ),
+			'' !== $doc['shortDescription'] ? $doc['shortDescription'] : $defaults['shortDescription'],
+		);
+
+		foreach ( wordpress_readme_generator_section_titles() as $id => $title ) {
+			if ( '' !== $bodies[ $id ] ) {
+				$blocks[] = '== ' . $title . " ==\n\n" . $bodies[ $id ];
+			}
+		}
+
+		// Custom sections, such as Privacy or Credits.
+		foreach ( $doc['unknownSections'] as $section ) {
+			$title   = trim( wordpress_readme_generator_item_string( $section, 'title' ) );
+			$content = implode( "\n", wordpress_readme_generator_trim_blank_lines( wordpress_readme_generator_split_lines( wordpress_readme_generator_item_string( $section, 'content' ) ) ) );
+			if ( '' !== $title && '' !== $content ) {
+				$blocks[] = '== ' . $title . " ==\n\n" . $content;
+			}
+		}
+
+		return implode( "\n\n", $blocks );
+	}
+}
+
+/**
+ * Split a version into its numbers and prerelease identifiers, as parseVersion()
+ * in src/version.js does.
+ *
+ * @param string $version Version number.
+ * @return array|null Array with `numbers` and `prerelease`, or null when the version is invalid.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_parse_version' ) ) {
+	function wordpress_readme_generator_parse_version( $version ) {
+		if ( ! is_string( $version ) || ! preg_match( '/^(\d+(?:\.\d+)*)(?:-([0-9A-Za-z]+(?:[.-][0-9A-Za-z]+)*))?(?:\+[0-9A-Za-z.-]+)?$/', trim( $version ), $match ) ) {
+			return null;
+		}
+
+		$prerelease = array();
+		if ( isset( $match[2] ) && '' !== $match[2] ) {
+			foreach ( preg_split( '/[.-]/', $match[2] ) as $id ) {
+				foreach ( preg_split( '/(\d+)/', $id, -1, PREG_SPLIT_DELIM_CAPTURE | PREG_SPLIT_NO_EMPTY ) as $part ) {
+					$prerelease[] = ctype_digit( $part ) ? (int) $part : strtolower( $part );
+				}
+			}
+		}
+
+		return array(
+			'numbers'    => array_map( 'intval', explode( '.', $match[1] ) ),
+			'prerelease' => $prerelease,
+		);
+	}
+}
+
+/**
+ * Compare two version numbers. Missing numbers count as 0, a prerelease sorts
+ * before its release and invalid versions compare as equal.
+ *
+ * @param string $a First version.
+ * @param string $b Second version.
+ * @return int -1, 0 or 1 like a sort comparator.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_compare_versions' ) ) {
+	function wordpress_readme_generator_compare_versions( $a, $b ) {
+		$left  = wordpress_readme_generator_parse_version( $a );
+		$right = wordpress_readme_generator_parse_version( $b );
+		if ( ! $left || ! $right ) {
+			return 0;
+		}
+
+		for ( $i = 0; $i < max( count( $left['numbers'] ), count( $right['numbers'] ) ); $i++ ) {
+			$order = ( $left['numbers'][ $i ] ?? 0 ) <=> ( $right['numbers'][ $i ] ?? 0 );
+			if ( $order ) {
+				return $order;
+			}
+		}
+
+		if ( ! $left['prerelease'] || ! $right['prerelease'] ) {
+			return count( $right['prerelease'] ) <=> count( $left['prerelease'] );
+		}
+		for ( $i = 0; $i < min( count( $left['prerelease'] ), count( $right['prerelease'] ) ); $i++ ) {
+			$x = $left['prerelease'][ $i ];
+			$y = $right['prerelease'][ $i ];
+			// Numbers sort before words
+			$order = is_int( $x ) === is_int( $y ) ? $x <=> $y : ( is_int( $x ) ? -1 : 1 );
+			if ( $order ) {
+				return $order;
+			}
+		}
+		return count( $left['prerelease'] ) <=> count( $right['prerelease'] );
+	}
+}
+
+/**
+ * Find the source line a field was read from.
+ *
+ * @param array  $doc   Parsed document.
+ * @param string $field Field id.
+ * @return int 1-based line, 0 when unknown.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_get_field_line' ) ) {
+	function wordpress_readme_generator_get_field_line( $doc, $field ) {
+		if ( 'name' === $field ) {
+			return $doc['nameLine'];
+		}
+		if ( 'shortDescription' === $field ) {
+			return $doc['shortDescriptionLine'];
+		}
+		$section = wordpress_readme_generator_get_section( $doc, $field );
+		if ( $section ) {
+			return $section['line'];
+		}
+		foreach ( $doc['headerFields'] as $header_field ) {
+			if ( $field === $header_field['id'] ) {
+				return $header_field['line'];
+			}
+		}
+		return 0;
+	}
+}
+
+/**
+ * Validate readme text against the WordPress.org plugin directory rules.
+ *
+ * Each diagnostic has the rule id, a severity of `error`, `warning` or `info`,
+ * a message, the document field it belongs to and its 1-based source line.
+ *
+ * @param string $text    Readme text.
+ * @param array  $context Optional. What is known about the plugin: `pluginVersion`
+ *                        is the Version from its main file header and
+ *                        `wordpressVersion` the latest WordPress release,
+ *                        the version this site runs by default.
+ * @return array Diagnostics, most severe first.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_validate_readme' ) ) {
+	function wordpress_readme_generator_validate_readme( $text, $context = array() ) {
+		$doc         = wordpress_readme_generator_parse_readme( $text );
+		$header      = $doc['header'];
+		$defaults    = wordpress_readme_generator_readme_defaults();
+		$latest      = isset( $context['wordpressVersion'] ) ? (string) $context['wordpressVersion'] : get_bloginfo( 'version' );
+		$latest      = preg_match( '/^\d+\.\d+/', $latest, $major ) ? $major[0] : '';
+		$version     = '/^\d+(\.\d+)*$/';
+		$diagnostics = array();
+		$rule        = '';
+
+		$report = function ( $severity, $message, $field, $extra = array() ) use ( &$diagnostics, &$rule, $doc ) {
+			$diagnostics[] = array_merge(
+				array(
+					'rule'     => $rule,
+					'severity' => $severity,
+					'message'  => $message,
+					'field'    => $field,
+					'line'     => wordpress_readme_generator_get_field_line( $doc, $field ),
+				),
+				$extra
+			);
+		};
+
+		$rule = 'name';
+		if ( '' === $doc['name'] ) {
+			$report( 'error', __( 'The readme must start with the plugin name as "=== Plugin Name ===".', 'wordpress-readme-generator-block-wp' ), 'name' );
+		}
+
+		$rule   = 'shortDescription';
+		$length = function_exists( 'mb_strlen' ) ? mb_strlen( preg_replace( '/\s+/u', ' ', $doc['shortDescription'] ) ) : strlen( preg_replace( '/\s+/', ' ', $doc['shortDescription'] ) );
+		if ( ! $length ) {
+			$report( 'error', __( 'Add a short description after the header; it is shown in search results.', 'wordpress-readme-generator-block-wp' ), 'shortDescription' );
+		} elseif ( $length > 150 ) {
+			/* translators: 1: length of the short description, 2: maximum length */
+			$report( 'warning', sprintf( __( 'The short description is %1$d characters and will be cut off at %2$d.', 'wordpress-readme-generator-block-wp' ), $length, 150 ), 'shortDescription' );
+		}
+
+		$rule = 'contributors';
+		if ( ! $header['contributors'] ) {
+			$report( 'error', __( 'List at least one WordPress.org username under Contributors.', 'wordpress-readme-generator-block-wp' ), 'contributors' );
+		} else {
+			$invalid = preg_grep( '/^[a-zA-Z0-9_-]+$/', $header['contributors'], PREG_GREP_INVERT );
+			if ( $invalid ) {
+				/* translators: %s: comma separated list of contributor names */
+				$report( 'warning', sprintf( __( 'Contributors must be WordPress.org usernames: %s.', 'wordpress-readme-generator-block-wp' ), implode( ', ', $invalid ) ), 'contributors' );
+			}
+		}
+
+		$rule = 'tags';
+		if ( count( $header['tags'] ) > 5 ) {
+			/* translators: 1: maximum number of tags, 2: comma separated list of ignored tags */
+			$report( 'warning', sprintf( __( 'Only the first %1$d tags are used; %2$s will be ignored.', 'wordpress-readme-generator-block-wp' ), 5, implode( ', ', array_slice( $header['tags'], 5 ) ) ), 'tags' );
+		}
+
+		$rule   = 'testedUpTo';
+		$tested = $header['testedUpTo'];
+		if ( '' === $tested ) {
+			$report( 'error', __( 'Add "Tested up to" with the latest WordPress version you tested.', 'wordpress-readme-generator-block-wp' ), 'testedUpTo' );
+		} elseif ( ! preg_match( '/^\d+\.\d+$/', $tested ) ) {
+			/* translators: 1: latest WordPress version, 2: version from the readme */
+			$report( 'warning', sprintf( __( '"Tested up to" should be a major version such as %1$s, not %2$s.', 'wordpress-readme-generator-block-wp' ), $latest, $tested ), 'testedUpTo' );
+		} elseif ( '' !== $latest && wordpress_readme_generator_compare_versions( $tested, $latest ) > 0 ) {
+			/* translators: 1: version from the readme, 2: latest WordPress version */
+			$report( 'warning', sprintf( __( 'WordPress %1$s is newer than %2$s, the latest version known here; check that it has been released.', 'wordpress-readme-generator-block-wp' ), $tested, $latest ), 'testedUpTo' );
+		}
+
+		$rule     = 'requiresAtLeast';
+		$requires = $header['requiresAtLeast'];
+		if ( '' === $requires ) {
+			$report( 'warning', __( 'Add "Requires at least" with the oldest WordPress version supported.', 'wordpress-readme-generator-block-wp' ), 'requiresAtLeast' );
+		} elseif ( ! preg_match( $version, $requires ) ) {
+			/* translators: %s: version from the readme */
+			$report( 'error', sprintf( __( '"Requires at least" must be a version number, not %s.', 'wordpress-readme-generator-block-wp' ), $requires ), 'requiresAtLeast' );
+		} elseif ( preg_match( $version, $tested ) && wordpress_readme_generator_compare_versions( $requires, $tested ) > 0 ) {
+			$report( 'error', __( '"Requires at least" is newer than "Tested up to".', 'wordpress-readme-generator-block-wp' ), 'requiresAtLeast' );
+		}
+
+		$rule = 'requiresPHP';
+		if ( '' !== $header['requiresPHP'] && ! preg_match( $version, $header['requiresPHP'] ) ) {
+			/* translators: %s: version from the readme */
+			$report( 'error', sprintf( __( '"Requires PHP" must be a version number, not %s.', 'wordpress-readme-generator-block-wp' ), $header['requiresPHP'] ), 'requiresPHP' );
+		}
+
+		$rule    = 'requiresPlugins';
+		$invalid = preg_grep( '/^[a-z0-9-]+$/', $header['requiresPlugins'], PREG_GREP_INVERT );
+		if ( $invalid ) {
+			/* translators: %s: comma separated list of plugin slugs */
+			$report( 'error', sprintf( __( '"Requires Plugins" takes WordPress.org plugin slugs: %s.', 'wordpress-readme-generator-block-wp' ), implode( ', ', $invalid ) ), 'requiresPlugins' );
+		}
+
+		$rule   = 'stableTag';
+		$stable = $header['stableTag'];
+		if ( '' === $stable ) {
+			$report( 'warning', __( 'Add a Stable tag; without one the directory serves trunk.', 'wordpress-readme-generator-block-wp' ), 'stableTag' );
+		} elseif ( 'trunk' === strtolower( $stable ) ) {
+			$report( 'warning', __( 'Stable tag "trunk" is discouraged; point it at a released version.', 'wordpress-readme-generator-block-wp' ), 'stableTag' );
+		} elseif ( ! wordpress_readme_generator_parse_version( $stable ) ) {
+			/* translators: %s: stable tag */
+			$report( 'warning', sprintf( __( 'Stable tag %s is not a version number such as 1.2 or 2.0.0-beta.1.', 'wordpress-readme-generator-block-wp' ), $stable ), 'stableTag' );
+		} elseif ( $doc['changelog'] && ! in_array( $stable, array_column( $doc['changelog'], 'version' ), true ) ) {
+			/* translators: %s: stable tag */
+			$report( 'warning', sprintf( __( 'Stable tag %s has no matching changelog entry.', 'wordpress-readme-generator-block-wp' ), $stable ), 'stableTag' );
+		}
+
+		$rule           = 'pluginVersion';
+		$plugin_version = isset( $context['pluginVersion'] ) ? (string) $context['pluginVersion'] : '';
+		if ( '' !== $plugin_version && '' !== $stable && $stable !== $plugin_version ) {
+			/* translators: 1: stable tag, 2: version from the plugin header */
+			$report( 'warning', sprintf( __( 'Stable tag %1$s does not match the Version %2$s in the plugin header.', 'wordpress-readme-generator-block-wp' ), $stable, $plugin_version ), 'stableTag' );
+		}
+
+		$rule     = 'changelogOrder';
+		$seen     = array();
+		$previous = '';
+		foreach ( $doc['changelog'] as $entry ) {
+			$details = array(
+				'line'    => $entry['line'],
+				'version' => $entry['version'],
+			);
+			$valid   = null !== wordpress_readme_generator_parse_version( $entry['version'] );
+			if ( in_array( $entry['version'], $seen, true ) ) {
+				/* translators: %s: changelog version */
+				$report( 'warning', sprintf( __( 'Version %s is listed more than once in the changelog.', 'wordpress-readme-generator-block-wp' ), $entry['version'] ), 'changelog', $details );
+			} elseif ( '' !== $previous && $valid && wordpress_readme_generator_compare_versions( $previous, $entry['version'] ) < 0 ) {
+				/* translators: 1: changelog version, 2: the newer version listed above it */
+				$report( 'warning', sprintf( __( 'Version %1$s is listed below the older %2$s; list the newest version first.', 'wordpress-readme-generator-block-wp' ), $entry['version'], $previous ), 'changelog', $details );
+			}
+			$seen[] = $entry['version'];
+			if ( $valid ) {
+				$previous = $entry['version'];
+			}
+		}
+
+		$rule = 'changelogEntries';
+		foreach ( $doc['changelog'] as $entry ) {
+			$details = array(
+				'line'    => $entry['line'],
+				'version' => $entry['version'],
+			);
+			if ( ! $entry['changes'] ) {
+				/* translators: %s: changelog version */
+				$report( 'warning', sprintf( __( 'Version %s has no bullet items in the changelog, so it is dropped when the changelog is edited here.', 'wordpress-readme-generator-block-wp' ), $entry['version'] ), 'changelog', $details );
+			} elseif ( ! empty( $entry['otherLines'] ) ) {
+				/* translators: %s: changelog version */
+				$report( 'warning', sprintf( __( 'Version %s has text in the changelog that is not a bullet item, such as a paragraph or nested bullet. Only bullet items are kept when the changelog is edited here.', 'wordpress-readme-generator-block-wp' ), $entry['version'] ), 'changelog', $details );
+			}
+		}
+
+		$rule = 'license';
+		if ( '' === $header['license'] ) {
+			$report( 'error', __( 'Add a License compatible with GPLv2 or later.', 'wordpress-readme-generator-block-wp' ), 'license' );
+		}
+
+		$rule = 'links';
+		foreach ( array( 'donateLink', 'licenseURI' ) as $id ) {
+			if ( '' !== $header[ $id ] && ! preg_match( '/^https?:\/\/\S+$/i', $header[ $id ] ) ) {
+				/* translators: %s: link from the readme */
+				$report( 'warning', sprintf( __( '%s is not an http(s) link.', 'wordpress-readme-generator-block-wp' ), $header[ $id ] ), $id );
+			}
+		}
+
+		$rule = 'sections';
+		if ( ! wordpress_readme_generator_get_section( $doc, 'description' ) ) {
+			$report( 'warning', __( 'Add a Description section; it is the main text of the plugin page.', 'wordpress-readme-generator-block-wp' ), 'description' );
+		}
+		if ( ! $doc['changelog'] ) {
+			$report( 'info', __( 'Add a changelog so users can see what changed in each version.', 'wordpress-readme-generator-block-wp' ), 'changelog' );
+		}
+
+		$rule = 'upgradeNotices';
+		foreach ( $doc['upgradeNotices'] as $entry ) {
+			$notice_length = function_exists( 'mb_strlen' ) ? mb_strlen( $entry['notice'] ) : strlen( $entry['notice'] );
+			if ( $notice_length > 300 ) {
+				$report(
+					'warning',
+					/* translators: 1: version, 2: maximum length */
+					sprintf( __( 'The upgrade notice for %1$s is longer than %2$d characters.', 'wordpress-readme-generator-block-wp' ), $entry['version'], 300 ),
+					'upgradeNotice',
+					array(
+						'line'    => $entry['line'],
+						'version' => $entry['version'],
+					)
+				);
+			}
+		}
+
+		$rule         = 'placeholders';
+		$placeholders = array(
+			'name'             => array( $doc['name'] === $defaults['name'], __( 'The plugin name still contains placeholder text.', 'wordpress-readme-generator-block-wp' ) ),
+			'shortDescription' => array( $doc['shortDescription'] === $defaults['shortDescription'], __( 'The short description still contains placeholder text.', 'wordpress-readme-generator-block-wp' ) ),
+			'contributors'     => array( in_array( $defaults['header']['contributors'][0], $header['contributors'], true ), __( 'Contributors still contains placeholder text.', 'wordpress-readme-generator-block-wp' ) ),
+			'description'      => array( false, __( 'The Description section still contains placeholder text.', 'wordpress-readme-generator-block-wp' ) ),
+			'installation'     => array( false, __( 'The Installation section still contains placeholder text.', 'wordpress-readme-generator-block-wp' ) ),
+		);
+		foreach ( array( 'description', 'installation' ) as $id ) {
+			$section                = wordpress_readme_generator_get_section( $doc, $id );
+			$placeholders[ $id ][0] = $section && $section['content'] === $defaults[ $id ];
+		}
+		foreach ( $placeholders as $field => $placeholder ) {
+			if ( $placeholder[0] ) {
+				$report( 'warning', $placeholder[1], $field );
+			}
+		}
+
+		// Most severe first, keeping the rule order within each severity.
+		$sorted = array();
+		foreach ( array( 'error', 'warning', 'info' ) as $severity ) {
+			foreach ( $diagnostics as $diagnostic ) {
+				if ( $severity === $diagnostic['severity'] ) {
+					$sorted[] = $diagnostic;
+				}
+			}
+		}
+
+		return $sorted;
+	}
+}
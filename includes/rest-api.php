@@ -0,0 +1,173 @@
+<?php
+/**
+ * REST API routes for generating and parsing readmes.
+ *
+ * POST /wp-json/wordpress-readme-generator/v1/generate
+ *     Takes a readme document as `document` and returns the readme.txt text
+ *     with its diagnostics.
+ *
+ * POST /wp-json/wordpress-readme-generator/v1/parse
+ *     Takes readme.txt text as `readme` and returns the parsed document with
+ *     its diagnostics.
+ *
+ * Both routes need a user with the `edit_posts` capability. Browser requests
+ * send the `wp_rest` nonce; scripts such as CI jobs authenticate with an
+ * application password instead.
+ *
+ * @package WordPressReadmeGenerator
+ */
+
+// Prevent direct access - Security measure
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Exit if accessed directly.
+}
+
+/**
+ * Register the REST routes.
+ *
+ * @see https://developer.wordpress.org/reference/functions/register_rest_route/
+ */
+if ( ! function_exists( 'wordpress_readme_generator_register_rest_routes' ) ) {
+	function wordpress_readme_generator_register_rest_routes() {
+		register_rest_route(
+			'wordpress-readme-generator/v1',
+			'/generate',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => 'wordpress_readme_generator_rest_generate',
+				'permission_callback' => 'wordpress_readme_generator_rest_permissions_check',
+				'args'                => array(
+					'document'       => array(
+						'description' => __( 'Readme document in the format returned by the parse route.', 'wordpress-readme-generator-block-wp' ),
+						'type'        => 'object',
+						'required'    => true,
+					),
+					'noPlaceholders' => array(
+						'description' => __( 'Sections to leave out rather than fill with placeholder text when empty.', 'wordpress-readme-generator-block-wp' ),
+						'type'        => 'array',
+						'items'       => array(
+							'type' => 'string',
+							'enum' => array_keys( wordpress_readme_generator_section_titles() ),
+						),
+						'default'     => array(),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			'wordpress-readme-generator/v1',
+			'/parse',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => 'wordpress_readme_generator_rest_parse',
+				'permission_callback' => 'wordpress_readme_generator_rest_permissions_check',
+				'args'                => array(
+					'readme'        => array(
+						'description'       => __( 'Contents of a readme.txt file.', 'wordpress-readme-generator-block-wp' ),
+						'type'              => 'string',
+						'required'          => true,
+						'maxLength'         => 102400,
+						'sanitize_callback' => 'wp_check_invalid_utf8',
+					),
+					'pluginVersion' => array(
+						'description'       => __( 'Version from the plugin header, checked against the Stable tag.', 'wordpress-readme-generator-block-wp' ),
+						'type'              => 'string',
+						'maxLength'         => 64,
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+				),
+			)
+		);
+	}
+	add_action( 'rest_api_init', 'wordpress_readme_generator_register_rest_routes' );
+}
+
+/**
+ * Security: Check that the current user may use the REST routes
+ *
+ * Requests authenticated with a cookie must carry a valid `wp_rest` nonce,
+ * either in the X-WP-Nonce header or the `_wpnonce` parameter. Requests
+ * authenticated with an application password need no nonce.
+ *
+ * @param WP_REST_Request $request Current request.
+ * @return true|WP_Error
+ */
+if ( ! function_exists( 'wordpress_readme_generator_rest_permissions_check' ) ) {
+	function wordpress_readme_generator_rest_permissions_check( $request ) {
+		/**
+		 * Filters the capability needed to use the readme REST routes.
+		 *
+		 * @param string $capability Capability name. Default 'edit_posts'.
+		 */
+		$capability = apply_filters( 'wordpress_readme_generator_rest_capability', 'edit_posts' );
+
+		if ( ! current_user_can( $capability ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'Sorry, you are not allowed to generate readmes.', 'wordpress-readme-generator-block-wp' ),
+				array( 'status' => rest_authorization_required_code() )
+			);
+		}
+
+		$application_password = function_exists( 'rest_get_authenticated_app_password' ) && rest_get_authenticated_app_password();
+		if ( ! $application_password ) {
+			$nonce = $request->get_header( 'X-WP-Nonce' );
+			$valid = null !== $nonce
+				? wp_verify_nonce( $nonce, 'wp_rest' )
+				: wordpress_readme_generator_verify_nonce( 'wp_rest' );
+
+			if ( ! $valid ) {
+				wordpress_readme_generator_log_error( 'REST request with an invalid nonce', array( 'route' => $request->get_route() ) );
+				return new WP_Error(
+					'rest_cookie_invalid_nonce',
+					__( 'Cookie check failed.', 'wordpress-readme-generator-block-wp' ),
+					array( 'status' => 403 )
+				);
+			}
+		}
+
+		return true;
+	}
+}
+
+/**
+ * Generate readme.txt text from a document.
+ *
+ * @param WP_REST_Request $request Current request.
+ * @return WP_REST_Response
+ */
+if ( ! function_exists( 'wordpress_readme_generator_rest_generate' ) ) {
+	function wordpress_readme_generator_rest_generate( $request ) {
+		$document = wordpress_readme_generator_normalize_document( $request->get_param( 'document' ) );
+		$readme   = wordpress_readme_generator_generate_readme( $document, $request->get_param( 'noPlaceholders' ) );
+
+		return rest_ensure_response(
+			array(
+				'readme'      => $readme,
+				'diagnostics' => wordpress_readme_generator_validate_readme( $readme ),
+			)
+		);
+	}
+}
+
+/**
+ * Parse readme.txt text into a document. An optional plugin Version is
+ * checked against the Stable tag.
+ *
+ * @param WP_REST_Request $request Current request.
+ * @return WP_REST_Response
+ */
+if ( ! function_exists( 'wordpress_readme_generator_rest_parse' ) ) {
+	function wordpress_readme_generator_rest_parse( $request ) {
+		$readme  = $request->get_param( 'readme' );
+		$context = array( 'pluginVersion' => (string) $request->get_param( 'pluginVersion' ) );
+
+		return rest_ensure_response(
+			array(
+				'document'    => wordpress_readme_generator_parse_readme( $readme ),
+				'diagnostics' => wordpress_readme_generator_validate_readme( $readme, $context ),
+			)
+		);
+	}
+}
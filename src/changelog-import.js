@@ -0,0 +1,220 @@
+/**
+ * WordPress Readme Generator - changelog import
+ *
+ * Turns changelogs kept outside the readme into changelog entries: a Keep a
+ * Changelog style CHANGELOG.md, a readme.txt changelog or a pasted list of
+ * conventional commit subjects such as `git log --oneline` prints. Group
+ * headings and commit types become prefixes of the bullets, for example
+ * "Fixed: Crash on save".
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { parseReadme, splitLines } from './readme-parser';
+
+/**
+ * A changelog entry found in the imported text.
+ *
+ * @typedef {Object} ImportedChangelogEntry
+ * @property {string}   version Version, empty for a list of commits.
+ * @property {string}   date    Release date as written, empty when there is none.
+ * @property {string[]} changes Bullets, prefixed with their group.
+ */
+
+/**
+ * Result of an import.
+ *
+ * @typedef {Object} ImportedChangelog
+ * @property {string}                   format  `keep-a-changelog`, `readme`, `commits` or
+ *                                              an empty string when nothing was recognized.
+ * @property {ImportedChangelogEntry[]} entries Entries, newest first as written.
+ */
+
+/**
+ * Conventional commit types in the order their groups are listed, with the
+ * prefix their bullets get. Types not listed here are grouped last under
+ * their own name.
+ */
+export const COMMIT_TYPES = {
+	breaking: 'Breaking',
+	feat: 'New',
+	fix: 'Fix',
+	perf: 'Performance',
+	security: 'Security',
+	revert: 'Revert',
+	refactor: 'Refactor',
+	docs: 'Docs',
+	style: 'Style',
+	test: 'Tests',
+	build: 'Build',
+	ci: 'CI',
+	chore: 'Chore',
+};
+
+const VERSION_HEADING_PATTERN =
+	/^##\s+\[?v?(\d+(?:\.\d+)*(?:[-+][\w.-]+)?)\]?(?:\s*(?:-|–|—)?\s*\(?(\d{4}-\d{2}-\d{2})?\)?)?(.*)$/;
+const GROUP_HEADING_PATTERN = /^###\s+(.+?)\s*#*$/;
+const BULLET_PATTERN = /^(\s*)[-*+]\s+(.+)$/;
+const COMMIT_PREFIX_PATTERN = /^(?:[-*+]\s+)?(?:[0-9a-f]{7,40}\s+)?/;
+const COMMIT_PATTERN =
+	/^(?:[-*+]\s+)?(?:[0-9a-f]{7,40}\s+)?([a-z]+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+const README_VERSION_PATTERN = /^=\s*(.+?)\s*=$/;
+
+/**
+ * Upper-case the first letter of a change.
+ *
+ * @param {string} text Change text.
+ * @return {string} Change text.
+ */
+function capitalize( text ) {
+	return text.charAt( 0 ).toUpperCase() + text.slice( 1 );
+}
+
+/**
+ * Parse a Keep a Changelog style CHANGELOG.md. Unreleased changes are left
+ * out, as are the link references at the end of the file.
+ *
+ * @param {string} text Markdown.
+ * @return {ImportedChangelogEntry[]} Entries with at least one change.
+ */
+export function parseKeepAChangelog( text ) {
+	const entries = [];
+	let entry = null;
+	let group = '';
+	let last = null;
+
+	splitLines( text ).forEach( ( line ) => {
+		const trimmed = line.trim();
+		const version = trimmed.match( VERSION_HEADING_PATTERN );
+		const heading = trimmed.match( GROUP_HEADING_PATTERN );
+		const bullet = line.match( BULLET_PATTERN );
+
+		if ( version ) {
+			entry = {
+				version: version[ 1 ],
+				date: version[ 2 ] || '',
+				changes: [],
+			};
+			entries.push( entry );
+			group = '';
+			last = null;
+		} else if ( /^#{1,2}\s/.test( trimmed ) ) {
+			// The title, or a section without a version such as Unreleased
+			entry = null;
+			last = null;
+		} else if ( entry && heading ) {
+			group = heading[ 1 ];
+			last = null;
+		} else if ( entry && bullet ) {
+			const change = bullet[ 2 ].trim();
+			entry.changes.push( group ? `${ group }: ${ change }` : change );
+			last = entry.changes.length - 1;
+		} else if ( entry && trimmed && last !== null && /^\s/.test( line ) ) {
+			// A bullet wrapped onto the next line
+			entry.changes[ last ] += ' ' + trimmed;
+		} else if ( ! trimmed ) {
+			last = null;
+		}
+	} );
+
+	return entries.filter( ( item ) => item.changes.length > 0 );
+}
+
+/**
+ * Group conventional commit subjects by type, breaking changes first.
+ * Lines that are not conventional commits, such as merges, are listed last
+ * with an "Other" prefix so that nothing pasted is lost.
+ *
+ * @param {string} text One commit subject per line, optionally after a hash.
+ * @return {string[]} Prefixed changes.
+ */
+export function parseConventionalCommits( text ) {
+	const groups = {};
+	const others = [];
+
+	splitLines( text ).forEach( ( line ) => {
+		const commit = line.trim().match( COMMIT_PATTERN );
+		if ( ! commit ) {
+			const subject = line.trim().replace( COMMIT_PREFIX_PATTERN, '' );
+			if ( subject ) {
+				others.push( `Other: ${ capitalize( subject ) }` );
+			}
+			return;
+		}
+
+		const type = commit[ 3 ] ? 'breaking' : commit[ 1 ];
+		const scope = commit[ 2 ] ? ` (${ commit[ 2 ].trim() })` : '';
+		( groups[ type ] = groups[ type ] || [] ).push(
+			capitalize( commit[ 4 ].trim() ) + scope
+		);
+	} );
+
+	const known = Object.keys( COMMIT_TYPES ).filter(
+		( type ) => groups[ type ]
+	);
+	const other = Object.keys( groups ).filter(
+		( type ) => ! COMMIT_TYPES[ type ]
+	);
+
+	return known
+		.concat( other )
+		.reduce(
+			( changes, type ) =>
+				changes.concat(
+					groups[ type ].map(
+						( change ) =>
+							`${
+								COMMIT_TYPES[ type ] || capitalize( type )
+							}: ${ change }`
+					)
+				),
+			[]
+		)
+		.concat( others );
+}
+
+/**
+ * Recognize the kind of changelog and parse it.
+ *
+ * @param {string} text Pasted or uploaded changelog.
+ * @return {ImportedChangelog} Format and entries.
+ */
+export function parseChangelogText( text ) {
+	const lines = typeof text === 'string' ? splitLines( text ) : [];
+
+	if (
+		lines.some( ( line ) => VERSION_HEADING_PATTERN.test( line.trim() ) )
+	) {
+		return {
+			format: 'keep-a-changelog',
+			entries: parseKeepAChangelog( text ),
+		};
+	}
+
+	if (
+		lines.some( ( line ) => README_VERSION_PATTERN.test( line.trim() ) )
+	) {
+		const doc = parseReadme( '== Changelog ==\n\n' + lines.join( '\n' ) );
+		return {
+			format: 'readme',
+			entries: doc.changelog.map( ( entry ) => ( {
+				version: entry.version,
+				date: '',
+				changes: entry.changes,
+			} ) ),
+		};
+	}
+
+	if ( lines.some( ( line ) => COMMIT_PATTERN.test( line.trim() ) ) ) {
+		const changes = parseConventionalCommits( text );
+		return {
+			format: 'commits',
+			entries: [ { version: '', date: '', changes } ],
+		};
+	}
+
+	return { format: '', entries: [] };
+}
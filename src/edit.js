@@ -3,7 +3,7 @@
  *
  * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-i18n/
  */
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 
 /**
  * React hook that is used to mark the block wrapper element.
@@ -16,15 +16,50 @@ import { useBlockProps, InspectorControls } from '@wordpress/block-editor';
 /**
  * WordPress components
  */
-import { 
+import {
 	PanelBody,
 	Button,
 	Card,
 	CardHeader,
 	CardBody,
-	ExternalLink
+	ExternalLink,
+	TabPanel,
+	TextControl,
+	TextareaControl,
+	SelectControl,
+	ToggleControl,
+	CheckboxControl,
+	RadioControl,
+	FormTokenField,
+	FormFileUpload,
+	Notice,
+	Flex,
+	FlexItem,
 } from '@wordpress/components';
 
+/**
+ * WordPress dependencies
+ */
+import { useMemo, useState, RawHTML } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import {
+	parseReadme,
+	getSection,
+	getSectionId,
+	normalizeDocument,
+} from './readme-parser';
+import {
+	writeReadme,
+	splitChangelog,
+	getChangelogLink,
+	generateChangelog,
+} from './readme-writer';
+import { validateReadme } from './readme-validator';
+import { renderReadme } from './readme-renderer';
+
 /**
  * Lets webpack process CSS, SASS or SCSS files referenced in JavaScript files.
  * Those files can contain any CSS code that gets applied to the editor.
@@ -34,49 +69,1477 @@ import {
 import './editor.scss';
 
 /**
- * Simple backend placeholder component that directs users to frontend
+ * Licenses offered by the form, matching the list in render.php
+ */
+const LICENSES = {
+	'GPL-2.0-or-later': 'https://www.gnu.org/licenses/gpl-2.0.html',
+	'GPL-2.0-only': 'https://www.gnu.org/licenses/gpl-2.0.html',
+	'GPL-3.0-or-later': 'https://www.gnu.org/licenses/gpl-3.0.html',
+	'GPL-3.0-only': 'https://www.gnu.org/licenses/gpl-3.0.html',
+	'LGPL-2.1-or-later':
+		'https://www.gnu.org/licenses/old-licenses/lgpl-2.1.html',
+	MIT: 'https://opensource.org/licenses/MIT',
+	'BSD-3-Clause': 'https://opensource.org/licenses/BSD-3-Clause',
+};
+
+/**
+ * Version choices of the frontend form, matching the lists in render.php
+ */
+const WP_VERSIONS = [
+	'6.9',
+	'6.8',
+	'6.7',
+	'6.6',
+	'6.5',
+	'6.4',
+	'6.3',
+	'6.2',
+	'6.1',
+	'6.0',
+	'5.9',
+	'5.8',
+	'5.7',
+	'5.6',
+	'5.5',
+	'5.4',
+	'5.3',
+	'5.2',
+	'5.1',
+	'5.0',
+	'4.9',
+	'4.8',
+	'4.7',
+	'4.6',
+];
+const PHP_VERSIONS = [
+	'8.3',
+	'8.2',
+	'8.1',
+	'8.0',
+	'7.4',
+	'7.3',
+	'7.2',
+	'7.1',
+	'7.0',
+];
+
+/**
+ * Frontend form sections a site owner can hide
+ */
+const FORM_SECTIONS = {
+	license: __( 'License & Links', 'wordpress-readme-generator-block-wp' ),
+	installation: __( 'Installation', 'wordpress-readme-generator-block-wp' ),
+	faq: __(
+		'Frequently Asked Questions',
+		'wordpress-readme-generator-block-wp'
+	),
+	screenshots: __( 'Screenshots', 'wordpress-readme-generator-block-wp' ),
+	changelog: __( 'Changelog', 'wordpress-readme-generator-block-wp' ),
+	custom: __( 'Additional Sections', 'wordpress-readme-generator-block-wp' ),
+};
+
+/**
+ * Steps of the frontend guided mode, matching the list in render.php
+ */
+const WIZARD_STEPS = [
+	__( 'Basics', 'wordpress-readme-generator-block-wp' ),
+	__( 'Versions', 'wordpress-readme-generator-block-wp' ),
+	__( 'Description', 'wordpress-readme-generator-block-wp' ),
+	__( 'Installation', 'wordpress-readme-generator-block-wp' ),
+	__( 'FAQ', 'wordpress-readme-generator-block-wp' ),
+	__( 'Changelog', 'wordpress-readme-generator-block-wp' ),
+	__( 'Review', 'wordpress-readme-generator-block-wp' ),
+];
+
+const MAX_TAGS = 5;
+const MAX_IMPORT_SIZE = 102400;
+
+/**
+ * Turn a parsed readme into the document the form edits, the same shape the
+ * frontend form collects: Description and Installation are the only plain
+ * sections, everything else has its own list.
+ *
+ * @param {Object} parsed Parsed readme.
+ * @return {Object} Form document.
+ */
+function toFormDocument( parsed ) {
+	const sectionContent = ( id ) => {
+		const section = getSection( parsed, id );
+		return section ? section.content : '';
+	};
+
+	return normalizeDocument( {
+		name: parsed.name,
+		header: parsed.header,
+		unknownHeaderFields: parsed.unknownHeaderFields,
+		shortDescription: parsed.shortDescription,
+		sections: [
+			{
+				id: 'description',
+				title: 'Description',
+				content: sectionContent( 'description' ),
+			},
+			{
+				id: 'installation',
+				title: 'Installation',
+				content: sectionContent( 'installation' ),
+			},
+		],
+		faq: parsed.faq.map( ( { question, answer } ) => ( {
+			question,
+			answer,
+		} ) ),
+		faqStyle: parsed.faqStyle,
+		screenshots: parsed.screenshots.map( ( { caption } ) => ( {
+			caption,
+		} ) ),
+		changelog: parsed.changelog.map( ( { version, changes } ) => ( {
+			version,
+			changes,
+		} ) ),
+		upgradeNotices: parsed.upgradeNotices,
+		unknownSections: parsed.unknownSections,
+	} );
+}
+
+/**
+ * Drop half-filled list items before writing, as the frontend form does.
+ *
+ * @param {Object} doc Form document.
+ * @return {Object} Document to write.
+ */
+function cleanDocument( doc ) {
+	const filled = ( value ) =>
+		typeof value === 'string' && value.trim() !== '';
+
+	return {
+		...doc,
+		faq: doc.faq.filter( ( entry ) => filled( entry.question ) ),
+		screenshots: doc.screenshots.filter( ( entry ) =>
+			filled( entry.caption )
+		),
+		changelog: doc.changelog
+			.map( ( entry ) => ( {
+				...entry,
+				changes: entry.changes.filter( filled ),
+			} ) )
+			.filter(
+				( entry ) => filled( entry.version ) && entry.changes.length > 0
+			),
+		upgradeNotices: doc.upgradeNotices.filter(
+			( entry ) => filled( entry.version ) && filled( entry.notice )
+		),
+		unknownSections: doc.unknownSections.filter(
+			( section ) =>
+				filled( section.title ) &&
+				filled( section.content ) &&
+				! getSectionId( section.title )
+		),
+		unknownHeaderFields: doc.unknownHeaderFields.filter( ( field ) =>
+			/^[A-Za-z][A-Za-z0-9 _-]*$/.test( field.key || '' )
+		),
+	};
+}
+
+const replaceItem = ( list, index, changes ) =>
+	list.map( ( item, itemIndex ) =>
+		itemIndex === index ? { ...item, ...changes } : item
+	);
+const removeItem = ( list, index ) =>
+	list.filter( ( item, itemIndex ) => itemIndex !== index );
+
+/**
+ * Title row of a repeatable item with its remove button
+ *
+ * @param {Object}   props             Component props.
+ * @param {string}   props.title       Item title.
+ * @param {Function} props.onRemove    Removes the item.
+ * @param {string}   props.removeLabel Label of the remove button.
+ */
+function ItemHeader( { title, onRemove, removeLabel } ) {
+	return (
+		<Flex className="readme-editor-item-header">
+			<FlexItem>
+				<strong>{ title }</strong>
+			</FlexItem>
+			<FlexItem>
+				<Button
+					isDestructive
+					variant="tertiary"
+					onClick={ onRemove }
+					label={ removeLabel }
+					showTooltip
+				>
+					×
+				</Button>
+			</FlexItem>
+		</Flex>
+	);
+}
+
+/**
+ * Gutenberg-native readme editor. The readme is stored in the `formData`
+ * attribute as `{ document, source }`: the form document plus the text it
+ * was imported from, which keeps untouched parts of an import byte for byte.
+ * render.php hands the same object to the frontend form.
+ *
+ * @param {Object}   props               Block edit props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Updates block attributes.
  */
-export default function Edit() {
+export default function Edit( { attributes, setAttributes } ) {
+	const formData = attributes.formData || {};
+	const hiddenSections = Array.isArray( attributes.hiddenSections )
+		? attributes.hiddenSections
+		: [];
+	const source = typeof formData.source === 'string' ? formData.source : '';
+	const doc = useMemo(
+		() => normalizeDocument( formData.document ),
+		[ formData.document ]
+	);
+	const original = useMemo(
+		() => ( source ? parseReadme( source ) : null ),
+		[ source ]
+	);
+	const split = useMemo(
+		() =>
+			splitChangelog(
+				cleanDocument( doc ),
+				attributes.changelogVersions,
+				getChangelogLink( doc.name )
+			),
+		[ doc, attributes.changelogVersions ]
+	);
+	const readme = useMemo(
+		() => writeReadme( split.document, original ),
+		[ split, original ]
+	);
+	const diagnostics = useMemo( () => validateReadme( readme ), [ readme ] );
+	const [ importError, setImportError ] = useState( '' );
+	// "Other" stays selected while its license name is still empty
+	const [ customLicense, setCustomLicense ] = useState( false );
+
+	const update = ( changes ) =>
+		setAttributes( {
+			formData: { ...formData, document: { ...doc, ...changes } },
+		} );
+	const updateHeader = ( changes ) =>
+		update( { header: { ...doc.header, ...changes } } );
+	const sectionContent = ( id ) => {
+		const section = doc.sections.find( ( item ) => item.id === id );
+		return section ? section.content : '';
+	};
+	const updateSection = ( id, title, content ) => {
+		const exists = doc.sections.some( ( item ) => item.id === id );
+		update( {
+			sections: exists
+				? doc.sections.map( ( item ) =>
+						item.id === id ? { ...item, content } : item
+				  )
+				: [ ...doc.sections, { id, title, content } ],
+		} );
+	};
+
+	// Upgrade notices are edited on the changelog entry of their version
+	const getNotice = ( version ) => {
+		const entry = doc.upgradeNotices.find(
+			( notice ) => notice.version === version
+		);
+		return entry ? entry.notice : '';
+	};
+	const setNotice = ( version, notice ) => {
+		const others = doc.upgradeNotices.filter(
+			( entry ) => entry.version !== version
+		);
+		update( {
+			upgradeNotices: notice
+				? [ ...others, { version, notice } ]
+				: others,
+		} );
+	};
+	const updateChangelog = ( index, changes ) => {
+		const previous = doc.changelog[ index ].version;
+		const upgradeNotices =
+			changes.version !== undefined
+				? doc.upgradeNotices.map( ( entry ) =>
+						entry.version === previous
+							? { ...entry, version: changes.version }
+							: entry
+				  )
+				: doc.upgradeNotices;
+		update( {
+			changelog: replaceItem( doc.changelog, index, changes ),
+			upgradeNotices,
+		} );
+	};
+
+	const knownLicense = Object.prototype.hasOwnProperty.call(
+		LICENSES,
+		doc.header.license
+	);
+	let licenseChoice = '';
+	if ( customLicense ) {
+		licenseChoice = 'custom';
+	} else if ( doc.header.license ) {
+		licenseChoice = knownLicense ? doc.header.license : 'custom';
+	}
+
+	const importReadme = ( event ) => {
+		const file = event.target.files[ 0 ];
+		if ( ! file ) {
+			return;
+		}
+		if ( file.size > MAX_IMPORT_SIZE ) {
+			setImportError(
+				__(
+					'File size must be less than 100KB.',
+					'wordpress-readme-generator-block-wp'
+				)
+			);
+			return;
+		}
+		setImportError( '' );
+
+		const reader = new window.FileReader();
+		reader.onload = () => {
+			const text = String( reader.result );
+			setCustomLicense( false );
+			setAttributes( {
+				formData: {
+					document: toFormDocument( parseReadme( text ) ),
+					source: text,
+				},
+			} );
+		};
+		reader.readAsText( file );
+	};
+
+	const downloadFile = ( content, filename ) => {
+		const url = window.URL.createObjectURL(
+			new window.Blob( [ content ], { type: 'text/plain' } )
+		);
+		const link = document.createElement( 'a' );
+		link.href = url;
+		link.download = filename;
+		link.click();
+		// Revoking right away can cancel the download in some browsers
+		setTimeout( () => window.URL.revokeObjectURL( url ), 1000 );
+	};
+
+	// Versions moved out of the readme are saved next to it as changelog.txt
+	const downloadReadme = () => {
+		// The same file names the frontend form accepts
+		const filename = /^[A-Za-z0-9._-]{1,100}\.txt$/.test(
+			attributes.downloadFilename || ''
+		)
+			? attributes.downloadFilename
+			: 'readme.txt';
+		downloadFile( readme, filename );
+		if ( split.older.length ) {
+			downloadFile(
+				generateChangelog( doc.name, split.older ),
+				'changelog.txt'
+			);
+		}
+	};
+
+	const renderForm = () => (
+		<>
+			<PanelBody
+				title={ __(
+					'Basic Information',
+					'wordpress-readme-generator-block-wp'
+				) }
+			>
+				<TextControl
+					label={ __(
+						'Plugin Name',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.name }
+					onChange={ ( name ) => update( { name } ) }
+				/>
+				<TextareaControl
+					label={ __(
+						'Short Description',
+						'wordpress-readme-generator-block-wp'
+					) }
+					help={ sprintf(
+						/* translators: %d: number of characters used */
+						__(
+							'%d/150 characters',
+							'wordpress-readme-generator-block-wp'
+						),
+						doc.shortDescription.length
+					) }
+					value={ doc.shortDescription }
+					onChange={ ( shortDescription ) =>
+						update( { shortDescription } )
+					}
+				/>
+				<FormTokenField
+					label={ __(
+						'Contributors',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.contributors }
+					onChange={ ( contributors ) =>
+						updateHeader( { contributors } )
+					}
+					__experimentalShowHowTo={ false }
+				/>
+				<FormTokenField
+					label={ __(
+						'Tags',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.tags }
+					maxLength={ MAX_TAGS }
+					onChange={ ( tags ) => updateHeader( { tags } ) }
+					__experimentalShowHowTo={ false }
+				/>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'Version Information',
+					'wordpress-readme-generator-block-wp'
+				) }
+			>
+				<TextControl
+					label={ __(
+						'Requires at least',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.requiresAtLeast }
+					onChange={ ( requiresAtLeast ) =>
+						updateHeader( { requiresAtLeast } )
+					}
+				/>
+				<TextControl
+					label={ __(
+						'Tested up to',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.testedUpTo }
+					onChange={ ( testedUpTo ) =>
+						updateHeader( { testedUpTo } )
+					}
+				/>
+				<TextControl
+					label={ __(
+						'Requires PHP',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.requiresPHP }
+					onChange={ ( requiresPHP ) =>
+						updateHeader( { requiresPHP } )
+					}
+				/>
+				<TextControl
+					label={ __(
+						'Stable Tag',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.stableTag }
+					onChange={ ( stableTag ) => updateHeader( { stableTag } ) }
+				/>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'License & Links',
+					'wordpress-readme-generator-block-wp'
+				) }
+				initialOpen={ false }
+			>
+				<SelectControl
+					label={ __(
+						'License',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ licenseChoice }
+					options={ [
+						{
+							label: __(
+								'No license field',
+								'wordpress-readme-generator-block-wp'
+							),
+							value: '',
+						},
+						...Object.keys( LICENSES ).map( ( license ) => ( {
+							label: license,
+							value: license,
+						} ) ),
+						{
+							label: __(
+								'Other',
+								'wordpress-readme-generator-block-wp'
+							),
+							value: 'custom',
+						},
+					] }
+					onChange={ ( license ) => {
+						setCustomLicense( license === 'custom' );
+						if ( license === 'custom' ) {
+							updateHeader( {
+								license: knownLicense ? '' : doc.header.license,
+							} );
+							return;
+						}
+						updateHeader( {
+							license,
+							licenseURI:
+								LICENSES[ license ] || doc.header.licenseURI,
+						} );
+					} }
+				/>
+				{ licenseChoice === 'custom' && (
+					<TextControl
+						label={ __(
+							'License name',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ doc.header.license }
+						onChange={ ( license ) => updateHeader( { license } ) }
+					/>
+				) }
+				<TextControl
+					type="url"
+					label={ __(
+						'License URI',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.licenseURI }
+					onChange={ ( licenseURI ) =>
+						updateHeader( { licenseURI } )
+					}
+				/>
+				<TextControl
+					type="url"
+					label={ __(
+						'Donate link',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.donateLink }
+					onChange={ ( donateLink ) =>
+						updateHeader( { donateLink } )
+					}
+				/>
+				<FormTokenField
+					label={ __(
+						'Requires Plugins',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.header.requiresPlugins }
+					onChange={ ( requiresPlugins ) =>
+						updateHeader( { requiresPlugins } )
+					}
+					__experimentalShowHowTo={ false }
+				/>
+				<ToggleControl
+					label={ __(
+						'Network only',
+						'wordpress-readme-generator-block-wp'
+					) }
+					checked={ /^(true|yes|1)$/i.test( doc.header.network ) }
+					onChange={ ( network ) =>
+						updateHeader( { network: network ? 'true' : '' } )
+					}
+				/>
+				{ doc.unknownHeaderFields.map( ( field, index ) => (
+					<Flex key={ index } align="flex-end">
+						<FlexItem>
+							<TextControl
+								label={ __(
+									'Header field',
+									'wordpress-readme-generator-block-wp'
+								) }
+								value={ field.key }
+								onChange={ ( key ) =>
+									update( {
+										unknownHeaderFields: replaceItem(
+											doc.unknownHeaderFields,
+											index,
+											{ key }
+										),
+									} )
+								}
+							/>
+						</FlexItem>
+						<FlexItem isBlock>
+							<TextControl
+								label={ __(
+									'Value',
+									'wordpress-readme-generator-block-wp'
+								) }
+								value={ field.value }
+								onChange={ ( value ) =>
+									update( {
+										unknownHeaderFields: replaceItem(
+											doc.unknownHeaderFields,
+											index,
+											{ value }
+										),
+									} )
+								}
+							/>
+						</FlexItem>
+						<FlexItem>
+							<Button
+								isDestructive
+								variant="tertiary"
+								label={ __(
+									'Remove header field',
+									'wordpress-readme-generator-block-wp'
+								) }
+								onClick={ () =>
+									update( {
+										unknownHeaderFields: removeItem(
+											doc.unknownHeaderFields,
+											index
+										),
+									} )
+								}
+							>
+								×
+							</Button>
+						</FlexItem>
+					</Flex>
+				) ) }
+				<Button
+					variant="secondary"
+					onClick={ () =>
+						update( {
+							unknownHeaderFields: [
+								...doc.unknownHeaderFields,
+								{ key: '', id: null, value: '', line: 0 },
+							],
+						} )
+					}
+				>
+					{ __(
+						'+ Add Header Field',
+						'wordpress-readme-generator-block-wp'
+					) }
+				</Button>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'Description',
+					'wordpress-readme-generator-block-wp'
+				) }
+			>
+				<TextareaControl
+					label={ __(
+						'Description',
+						'wordpress-readme-generator-block-wp'
+					) }
+					hideLabelFromVision
+					rows={ 8 }
+					value={ sectionContent( 'description' ) }
+					onChange={ ( content ) =>
+						updateSection( 'description', 'Description', content )
+					}
+				/>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'Installation',
+					'wordpress-readme-generator-block-wp'
+				) }
+				initialOpen={ false }
+			>
+				<TextareaControl
+					label={ __(
+						'Installation',
+						'wordpress-readme-generator-block-wp'
+					) }
+					hideLabelFromVision
+					rows={ 6 }
+					value={ sectionContent( 'installation' ) }
+					onChange={ ( content ) =>
+						updateSection( 'installation', 'Installation', content )
+					}
+				/>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'Frequently Asked Questions',
+					'wordpress-readme-generator-block-wp'
+				) }
+				initialOpen={ false }
+			>
+				<SelectControl
+					label={ __(
+						'Question headings',
+						'wordpress-readme-generator-block-wp'
+					) }
+					help={ __(
+						'Imported readmes keep the style they use.',
+						'wordpress-readme-generator-block-wp'
+					) }
+					value={ doc.faqStyle || 'wordpress' }
+					options={ [
+						{
+							label: __(
+								'= Question = (WordPress.org)',
+								'wordpress-readme-generator-block-wp'
+							),
+							value: 'wordpress',
+						},
+						{
+							label: __(
+								'### Question (Markdown)',
+								'wordpress-readme-generator-block-wp'
+							),
+							value: 'markdown',
+						},
+					] }
+					onChange={ ( faqStyle ) => update( { faqStyle } ) }
+				/>
+				{ doc.faq.map( ( entry, index ) => (
+					<div key={ index } className="readme-editor-item">
+						<ItemHeader
+							title={ sprintf(
+								/* translators: %d: FAQ number */
+								__(
+									'FAQ #%d',
+									'wordpress-readme-generator-block-wp'
+								),
+								index + 1
+							) }
+							removeLabel={ __(
+								'Remove FAQ',
+								'wordpress-readme-generator-block-wp'
+							) }
+							onRemove={ () =>
+								update( { faq: removeItem( doc.faq, index ) } )
+							}
+						/>
+						<TextControl
+							label={ __(
+								'Question',
+								'wordpress-readme-generator-block-wp'
+							) }
+							value={ entry.question }
+							onChange={ ( question ) =>
+								update( {
+									faq: replaceItem( doc.faq, index, {
+										question,
+									} ),
+								} )
+							}
+						/>
+						<TextareaControl
+							label={ __(
+								'Answer',
+								'wordpress-readme-generator-block-wp'
+							) }
+							value={ entry.answer }
+							onChange={ ( answer ) =>
+								update( {
+									faq: replaceItem( doc.faq, index, {
+										answer,
+									} ),
+								} )
+							}
+						/>
+					</div>
+				) ) }
+				<Button
+					variant="secondary"
+					onClick={ () =>
+						update( {
+							faq: [ ...doc.faq, { question: '', answer: '' } ],
+						} )
+					}
+				>
+					{ __( '+ Add FAQ', 'wordpress-readme-generator-block-wp' ) }
+				</Button>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'Screenshots',
+					'wordpress-readme-generator-block-wp'
+				) }
+				initialOpen={ false }
+			>
+				{ doc.screenshots.map( ( entry, index ) => (
+					<Flex key={ index } align="flex-end">
+						<FlexItem isBlock>
+							<TextControl
+								label={ sprintf(
+									/* translators: %d: screenshot number */
+									__(
+										'Caption of screenshot-%d',
+										'wordpress-readme-generator-block-wp'
+									),
+									index + 1
+								) }
+								value={ entry.caption }
+								onChange={ ( caption ) =>
+									update( {
+										screenshots: replaceItem(
+											doc.screenshots,
+											index,
+											{ caption }
+										),
+									} )
+								}
+							/>
+						</FlexItem>
+						<FlexItem>
+							<Button
+								isDestructive
+								variant="tertiary"
+								label={ __(
+									'Remove Screenshot',
+									'wordpress-readme-generator-block-wp'
+								) }
+								onClick={ () =>
+									update( {
+										screenshots: removeItem(
+											doc.screenshots,
+											index
+										),
+									} )
+								}
+							>
+								×
+							</Button>
+						</FlexItem>
+					</Flex>
+				) ) }
+				<Button
+					variant="secondary"
+					onClick={ () =>
+						update( {
+							screenshots: [
+								...doc.screenshots,
+								{ caption: '' },
+							],
+						} )
+					}
+				>
+					{ __(
+						'+ Add Screenshot',
+						'wordpress-readme-generator-block-wp'
+					) }
+				</Button>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'Changelog',
+					'wordpress-readme-generator-block-wp'
+				) }
+				initialOpen={ false }
+			>
+				{ doc.changelog.map( ( entry, index ) => (
+					<div key={ index } className="readme-editor-item">
+						<ItemHeader
+							title={
+								entry.version ||
+								__(
+									'New version',
+									'wordpress-readme-generator-block-wp'
+								)
+							}
+							removeLabel={ __(
+								'Remove Changelog Entry',
+								'wordpress-readme-generator-block-wp'
+							) }
+							onRemove={ () =>
+								update( {
+									changelog: removeItem(
+										doc.changelog,
+										index
+									),
+									upgradeNotices: doc.upgradeNotices.filter(
+										( notice ) =>
+											notice.version !== entry.version
+									),
+								} )
+							}
+						/>
+						<TextControl
+							label={ __(
+								'Version',
+								'wordpress-readme-generator-block-wp'
+							) }
+							value={ entry.version }
+							onChange={ ( version ) =>
+								updateChangelog( index, { version } )
+							}
+						/>
+						{ entry.changes.map( ( change, changeIndex ) => (
+							<Flex key={ changeIndex } align="flex-end">
+								<FlexItem isBlock>
+									<TextControl
+										label={ sprintf(
+											/* translators: %d: change number */
+											__(
+												'Change %d',
+												'wordpress-readme-generator-block-wp'
+											),
+											changeIndex + 1
+										) }
+										value={ change }
+										onChange={ ( value ) =>
+											updateChangelog( index, {
+												changes: entry.changes.map(
+													( item, itemIndex ) =>
+														itemIndex ===
+														changeIndex
+															? value
+															: item
+												),
+											} )
+										}
+									/>
+								</FlexItem>
+								<FlexItem>
+									<Button
+										isDestructive
+										variant="tertiary"
+										label={ __(
+											'Remove Change',
+											'wordpress-readme-generator-block-wp'
+										) }
+										onClick={ () =>
+											updateChangelog( index, {
+												changes: removeItem(
+													entry.changes,
+													changeIndex
+												),
+											} )
+										}
+									>
+										×
+									</Button>
+								</FlexItem>
+							</Flex>
+						) ) }
+						<Button
+							variant="secondary"
+							onClick={ () =>
+								updateChangelog( index, {
+									changes: [ ...entry.changes, '' ],
+								} )
+							}
+						>
+							{ __(
+								'+ Add Change',
+								'wordpress-readme-generator-block-wp'
+							) }
+						</Button>
+						<TextareaControl
+							label={ __(
+								'Upgrade Notice (optional)',
+								'wordpress-readme-generator-block-wp'
+							) }
+							help={ sprintf(
+								/* translators: %d: number of characters used */
+								__(
+									'%d/300 characters',
+									'wordpress-readme-generator-block-wp'
+								),
+								getNotice( entry.version ).length
+							) }
+							value={ getNotice( entry.version ) }
+							onChange={ ( notice ) =>
+								setNotice( entry.version, notice )
+							}
+						/>
+					</div>
+				) ) }
+				<Button
+					variant="secondary"
+					onClick={ () =>
+						update( {
+							changelog: [
+								{ version: '', changes: [ '' ] },
+								...doc.changelog,
+							],
+						} )
+					}
+				>
+					{ __(
+						'+ Add Version',
+						'wordpress-readme-generator-block-wp'
+					) }
+				</Button>
+			</PanelBody>
+
+			<PanelBody
+				title={ __(
+					'Additional Sections',
+					'wordpress-readme-generator-block-wp'
+				) }
+				initialOpen={ false }
+			>
+				{ doc.unknownSections.map( ( section, index ) => (
+					<div key={ index } className="readme-editor-item">
+						<ItemHeader
+							title={
+								section.title ||
+								__(
+									'New section',
+									'wordpress-readme-generator-block-wp'
+								)
+							}
+							removeLabel={ __(
+								'Remove section',
+								'wordpress-readme-generator-block-wp'
+							) }
+							onRemove={ () =>
+								update( {
+									unknownSections: removeItem(
+										doc.unknownSections,
+										index
+									),
+								} )
+							}
+						/>
+						<TextControl
+							label={ __(
+								'Section Title',
+								'wordpress-readme-generator-block-wp'
+							) }
+							value={ section.title }
+							onChange={ ( title ) =>
+								update( {
+									unknownSections: replaceItem(
+										doc.unknownSections,
+										index,
+										{ title }
+									),
+								} )
+							}
+						/>
+						<TextareaControl
+							label={ __(
+								'Content',
+								'wordpress-readme-generator-block-wp'
+							) }
+							rows={ 5 }
+							value={ section.content }
+							onChange={ ( content ) =>
+								update( {
+									unknownSections: replaceItem(
+										doc.unknownSections,
+										index,
+										{ content }
+									),
+								} )
+							}
+						/>
+					</div>
+				) ) }
+				<Button
+					variant="secondary"
+					onClick={ () =>
+						update( {
+							unknownSections: [
+								...doc.unknownSections,
+								{ id: null, title: '', content: '', line: 0 },
+							],
+						} )
+					}
+				>
+					{ __(
+						'+ Add Section',
+						'wordpress-readme-generator-block-wp'
+					) }
+				</Button>
+			</PanelBody>
+		</>
+	);
+
 	return (
 		<>
 			<InspectorControls>
-				<PanelBody title={__('More Blocks by iconick', 'wordpress-readme-generator-block-wp')} initialOpen={false}>
-					<p>{__('Think these ideas are wild? You ain\'t seen nothing yet.', 'wordpress-readme-generator-block-wp')}</p>
+				<PanelBody
+					title={ __(
+						'Readme Check',
+						'wordpress-readme-generator-block-wp'
+					) }
+				>
+					{ diagnostics.length === 0 && (
+						<p>
+							{ __(
+								'No problems found',
+								'wordpress-readme-generator-block-wp'
+							) }
+						</p>
+					) }
+					{ diagnostics.map( ( diagnostic, index ) => (
+						<Notice
+							key={ index }
+							status={
+								{
+									error: 'error',
+									warning: 'warning',
+									info: 'info',
+								}[ diagnostic.severity ]
+							}
+							isDismissible={ false }
+						>
+							{ diagnostic.message }
+						</Notice>
+					) ) }
+				</PanelBody>
+				<PanelBody
+					title={ __(
+						'Form Settings',
+						'wordpress-readme-generator-block-wp'
+					) }
+					initialOpen={ false }
+				>
+					<RadioControl
+						label={ __(
+							'Form mode',
+							'wordpress-readme-generator-block-wp'
+						) }
+						help={ __(
+							'Simple mode leaves out the donate link, required plugins, network, extra header fields and upgrade notices.',
+							'wordpress-readme-generator-block-wp'
+						) }
+						selected={ attributes.formMode }
+						options={ [
+							{
+								label: __(
+									'Advanced',
+									'wordpress-readme-generator-block-wp'
+								),
+								value: 'advanced',
+							},
+							{
+								label: __(
+									'Simple',
+									'wordpress-readme-generator-block-wp'
+								),
+								value: 'simple',
+							},
+						] }
+						onChange={ ( formMode ) =>
+							setAttributes( { formMode } )
+						}
+					/>
+					<fieldset className="readme-editor-sections">
+						<legend>
+							{ __(
+								'Sections shown to visitors',
+								'wordpress-readme-generator-block-wp'
+							) }
+						</legend>
+						{ Object.keys( FORM_SECTIONS ).map( ( section ) => (
+							<CheckboxControl
+								key={ section }
+								label={ FORM_SECTIONS[ section ] }
+								checked={ ! hiddenSections.includes( section ) }
+								onChange={ ( shown ) =>
+									setAttributes( {
+										hiddenSections: shown
+											? hiddenSections.filter(
+													( item ) => item !== section
+											  )
+											: [ ...hiddenSections, section ],
+									} )
+								}
+							/>
+						) ) }
+					</fieldset>
+					<TextControl
+						label={ __(
+							'Default contributors',
+							'wordpress-readme-generator-block-wp'
+						) }
+						help={ __(
+							'Comma-separated WordPress.org usernames filled in on a blank form.',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ attributes.defaultContributors }
+						onChange={ ( defaultContributors ) =>
+							setAttributes( { defaultContributors } )
+						}
+					/>
+					<SelectControl
+						label={ __(
+							'Default license',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ attributes.defaultLicense }
+						options={ [
+							{
+								label: __(
+									'No license field',
+									'wordpress-readme-generator-block-wp'
+								),
+								value: '',
+							},
+							...Object.keys( LICENSES ).map( ( license ) => ( {
+								label: license,
+								value: license,
+							} ) ),
+						] }
+						onChange={ ( defaultLicense ) =>
+							setAttributes( { defaultLicense } )
+						}
+					/>
+					<SelectControl
+						label={ __(
+							'Default minimum WordPress version',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ attributes.defaultRequiresAtLeast }
+						options={ [
+							{
+								label: __(
+									'None',
+									'wordpress-readme-generator-block-wp'
+								),
+								value: '',
+							},
+							...WP_VERSIONS.map( ( version ) => ( {
+								label: version,
+								value: version,
+							} ) ),
+						] }
+						onChange={ ( defaultRequiresAtLeast ) =>
+							setAttributes( { defaultRequiresAtLeast } )
+						}
+					/>
+					<SelectControl
+						label={ __(
+							'Default minimum PHP version',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ attributes.defaultRequiresPHP }
+						options={ [
+							{
+								label: __(
+									'None',
+									'wordpress-readme-generator-block-wp'
+								),
+								value: '',
+							},
+							...PHP_VERSIONS.map( ( version ) => ( {
+								label: version,
+								value: version,
+							} ) ),
+						] }
+						onChange={ ( defaultRequiresPHP ) =>
+							setAttributes( { defaultRequiresPHP } )
+						}
+					/>
+					<TextControl
+						label={ __(
+							'Download file name',
+							'wordpress-readme-generator-block-wp'
+						) }
+						help={ __(
+							'Saved as a .txt file; letters, numbers, dots, dashes and underscores only.',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ attributes.downloadFilename }
+						onChange={ ( downloadFilename ) =>
+							setAttributes( { downloadFilename } )
+						}
+					/>
+					<SelectControl
+						label={ __(
+							'Versions kept in readme.txt',
+							'wordpress-readme-generator-block-wp'
+						) }
+						help={ __(
+							'Older changelog versions are downloaded as a separate changelog.txt, and the readme links to it on WordPress.org.',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ String( attributes.changelogVersions || 0 ) }
+						options={ [
+							{
+								label: __(
+									'All versions',
+									'wordpress-readme-generator-block-wp'
+								),
+								value: '0',
+							},
+							...[ 1, 3, 5, 10, 20 ].map( ( count ) => ( {
+								label: sprintf(
+									/* translators: %d: number of versions */
+									__(
+										'Latest %d',
+										'wordpress-readme-generator-block-wp'
+									),
+									count
+								),
+								value: String( count ),
+							} ) ),
+						] }
+						onChange={ ( count ) =>
+							setAttributes( {
+								changelogVersions: parseInt( count, 10 ),
+							} )
+						}
+					/>
+				</PanelBody>
+				<PanelBody
+					title={ __(
+						'Guided Mode',
+						'wordpress-readme-generator-block-wp'
+					) }
+					initialOpen={ false }
+				>
+					<SelectControl
+						label={ __(
+							'First step',
+							'wordpress-readme-generator-block-wp'
+						) }
+						help={ __(
+							'Where visitors start when they switch on guided mode. Returning visitors resume on their last step.',
+							'wordpress-readme-generator-block-wp'
+						) }
+						value={ String( attributes.currentStep || 0 ) }
+						options={ WIZARD_STEPS.map( ( label, step ) => ( {
+							label,
+							value: String( step ),
+						} ) ) }
+						onChange={ ( step ) =>
+							setAttributes( {
+								currentStep: parseInt( step, 10 ),
+							} )
+						}
+					/>
+				</PanelBody>
+				<PanelBody
+					title={ __(
+						'More Blocks by iconick',
+						'wordpress-readme-generator-block-wp'
+					) }
+					initialOpen={ false }
+				>
+					<p>
+						{ __(
+							"Think these ideas are wild? You ain't seen nothing yet.",
+							'wordpress-readme-generator-block-wp'
+						) }
+					</p>
 					<ExternalLink href="https://iconick.io/blocks/">
-						{__('Click to enter the block wonderland', 'wordpress-readme-generator-block-wp')}
+						{ __(
+							'Click to enter the block wonderland',
+							'wordpress-readme-generator-block-wp'
+						) }
 					</ExternalLink>
 				</PanelBody>
 			</InspectorControls>
-			
-			<div {...useBlockProps()}>
-				<Card>
+
+			<div { ...useBlockProps() }>
+				<Card className="readme-generator">
 					<CardHeader>
-						<h2>{__('WordPress Readme Generator', 'wordpress-readme-generator-block-wp')}</h2>
+						<h2>
+							{ __(
+								'WordPress Readme Generator',
+								'wordpress-readme-generator-block-wp'
+							) }
+						</h2>
+						<Flex justify="flex-end" gap={ 2 } expanded={ false }>
+							<FormFileUpload
+								accept=".txt,text/plain"
+								onChange={ importReadme }
+								render={ ( { openFileDialog } ) => (
+									<Button
+										variant="secondary"
+										onClick={ openFileDialog }
+									>
+										{ __(
+											'Import readme.txt',
+											'wordpress-readme-generator-block-wp'
+										) }
+									</Button>
+								) }
+							/>
+							<Button
+								variant="primary"
+								onClick={ downloadReadme }
+							>
+								{ __(
+									'Download readme.txt',
+									'wordpress-readme-generator-block-wp'
+								) }
+							</Button>
+						</Flex>
 					</CardHeader>
 					<CardBody>
-						<div className="backend-placeholder">
-							<span className="icon">📝</span>
-							<h3>{__('Frontend Magic Awaits!', 'wordpress-readme-generator-block-wp')}</h3>
-							<p>
-								{__('The WordPress Readme Generator works its magic on the frontend where visitors can create perfect readme.txt files with visual formatting, interactive forms, and real-time preview capabilities.', 'wordpress-readme-generator-block-wp')}
-							</p>
-							<p>
-								<strong>{__('View your published page to access the full generator!', 'wordpress-readme-generator-block-wp')}</strong>
-							</p>
-							<Button 
-								isPrimary
-								href="#"
-								onClick={(e) => {
-									e.preventDefault();
-									window.open(window.location.href.replace('/wp-admin/', '/'), '_blank');
-								}}
+						{ importError && (
+							<Notice
+								status="error"
+								onRemove={ () => setImportError( '' ) }
 							>
-								{__('Preview on Frontend', 'wordpress-readme-generator-block-wp')}
-							</Button>
-						</div>
+								{ importError }
+							</Notice>
+						) }
+						<p className="step-description">
+							{ __(
+								'The readme is saved with the post and shown in the generator on the published page.',
+								'wordpress-readme-generator-block-wp'
+							) }
+						</p>
+						<TabPanel
+							className="readme-editor-tabs"
+							tabs={ [
+								{
+									name: 'form',
+									title: __(
+										'Form',
+										'wordpress-readme-generator-block-wp'
+									),
+								},
+								{
+									name: 'readme',
+									title: __(
+										'readme.txt',
+										'wordpress-readme-generator-block-wp'
+									),
+								},
+								{
+									name: 'rendered',
+									title: __(
+										'Rendered',
+										'wordpress-readme-generator-block-wp'
+									),
+								},
+							] }
+						>
+							{ ( tab ) => {
+								if ( tab.name === 'readme' ) {
+									return (
+										<div className="readme-preview">
+											<pre className="readme-content">
+												{ readme }
+											</pre>
+										</div>
+									);
+								}
+								if ( tab.name === 'rendered' ) {
+									// renderReadme escapes all readme text and only emits safe links
+									return (
+										<RawHTML className="preview-rendered">
+											{ renderReadme( readme ) }
+										</RawHTML>
+									);
+								}
+								return renderForm();
+							} }
+						</TabPanel>
 					</CardBody>
 				</Card>
 			</div>
 		</>
 	);
-}
\ No newline at end of file
+}
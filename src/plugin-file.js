@@ -0,0 +1,389 @@
+/**
+ * WordPress Readme Generator - plugin file reader
+ *
+ * Reads the header comment of a plugin's main PHP file, the way WordPress
+ * does in get_plugin_data(), and finds that file plus the readme.txt inside
+ * a plugin ZIP. Everything runs in the browser; archives are unpacked with
+ * the native DecompressionStream and only as far as needed.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Values read from a plugin header. Missing fields are empty strings.
+ *
+ * @typedef {Object} PluginHeader
+ * @property {string}   name            Plugin Name.
+ * @property {string}   pluginURI       Plugin URI.
+ * @property {string}   version         Version.
+ * @property {string}   description     Description.
+ * @property {string}   author          Author.
+ * @property {string}   authorURI       Author URI.
+ * @property {string}   textDomain      Text Domain.
+ * @property {string}   network         Network.
+ * @property {string}   requiresAtLeast Requires at least.
+ * @property {string}   requiresPHP     Requires PHP.
+ * @property {string[]} requiresPlugins Requires Plugins, split on commas.
+ * @property {string}   license         License.
+ * @property {string}   licenseURI      License URI.
+ */
+
+/**
+ * What was found in a plugin ZIP.
+ *
+ * @typedef {Object} PluginArchive
+ * @property {PluginHeader} header Header of the main plugin file.
+ * @property {string}       file   Path of the main plugin file in the archive.
+ * @property {string}       readme Text of the plugin's readme.txt, empty when there is none.
+ */
+
+/**
+ * Header names mapped to PluginHeader properties.
+ */
+export const PLUGIN_HEADERS = {
+	name: 'Plugin Name',
+	pluginURI: 'Plugin URI',
+	version: 'Version',
+	description: 'Description',
+	author: 'Author',
+	authorURI: 'Author URI',
+	textDomain: 'Text Domain',
+	network: 'Network',
+	requiresAtLeast: 'Requires at least',
+	requiresPHP: 'Requires PHP',
+	requiresPlugins: 'Requires Plugins',
+	license: 'License',
+	licenseURI: 'License URI',
+};
+
+/**
+ * WordPress only looks at the start of a file for the header.
+ */
+export const HEADER_BYTES = 8192;
+
+/**
+ * Most PHP files tried when looking for the main file of an archive.
+ */
+const MAX_CANDIDATES = 20;
+
+/**
+ * Largest readme.txt read from an archive, the same limit as the readme upload.
+ */
+const MAX_README_BYTES = 102400;
+
+/**
+ * License names often used in plugin headers, mapped to SPDX ids.
+ */
+const LICENSE_PATTERNS = [
+	[
+		/^gpl ?v?2(\.0)?( or later|\+| or any later version|-or-later)$/,
+		'GPL-2.0-or-later',
+	],
+	[ /^gpl ?v?2(\.0)?( only|-only)?$/, 'GPL-2.0-only' ],
+	[
+		/^gpl ?v?3(\.0)?( or later|\+| or any later version|-or-later)$/,
+		'GPL-3.0-or-later',
+	],
+	[ /^gpl ?v?3(\.0)?( only|-only)?$/, 'GPL-3.0-only' ],
+	[ /^lgpl ?v?2\.1( or later|\+|-or-later)$/, 'LGPL-2.1-or-later' ],
+	[ /^(the )?mit( license)?$/, 'MIT' ],
+	[ /^(new |revised )?bsd[ -]?3[ -]clause( license)?$/, 'BSD-3-Clause' ],
+];
+
+/**
+ * Escape text for use in a regular expression.
+ *
+ * @param {string} text Text.
+ * @return {string} Escaped text.
+ */
+function escapeRegExp( text ) {
+	return text.replace( /[.*+?^${}()|[\]\\\/]/g, '\\$&' );
+}
+
+/**
+ * Read the plugin header from the text of a PHP file.
+ *
+ * @param {string} text File contents; only the first HEADER_BYTES are read.
+ * @return {PluginHeader|null} Header, or null when there is no Plugin Name.
+ */
+export function parsePluginHeader( text ) {
+	const head = String( text || '' )
+		.slice( 0, HEADER_BYTES )
+		.replace( /\r/g, '\n' );
+	const header = {};
+
+	Object.keys( PLUGIN_HEADERS ).forEach( ( id ) => {
+		const match = head.match(
+			new RegExp(
+				'^(?:[ \\t]*<\\?php)?[ \\t\\/*#@]*' +
+					escapeRegExp( PLUGIN_HEADERS[ id ] ) +
+					':(.*)$',
+				'mi'
+			)
+		);
+		header[ id ] = match
+			? match[ 1 ].replace( /\s*(?:\*\/|\?>).*/, '' ).trim()
+			: '';
+	} );
+
+	if ( ! header.name ) {
+		return null;
+	}
+
+	header.requiresPlugins = header.requiresPlugins
+		.split( ',' )
+		.map( ( slug ) => slug.trim() )
+		.filter( Boolean );
+	return header;
+}
+
+/**
+ * Map a license name from a plugin header to its SPDX id.
+ *
+ * @param {string} license License as written in the header.
+ * @return {string} SPDX id, or the trimmed license when it is not recognized.
+ */
+export function normalizeLicense( license ) {
+	const value = String( license || '' ).trim();
+	const key = value
+		.toLowerCase()
+		.replace( /^(the )?gnu /, '' )
+		.replace( /(lesser )?general public license/, ( match, lesser ) =>
+			lesser ? 'lgpl' : 'gpl'
+		)
+		.replace( /\bversion /, 'v' )
+		.replace( /\s+/g, ' ' );
+
+	const known = LICENSE_PATTERNS.find( ( [ pattern ] ) =>
+		pattern.test( key )
+	);
+	return known ? known[ 1 ] : value;
+}
+
+/**
+ * Find a WordPress.org username in the author fields of a header.
+ *
+ * @param {PluginHeader} header Plugin header.
+ * @return {string} Username, empty when none is found.
+ */
+export function getAuthorUsername( header ) {
+	const profile = header.authorURI.match(
+		/^https?:\/\/profiles\.wordpress\.org\/([a-zA-Z0-9_-]+)\/?$/
+	);
+	if ( profile ) {
+		return profile[ 1 ];
+	}
+	return /^[a-zA-Z0-9_-]+$/.test( header.author ) ? header.author : '';
+}
+
+/**
+ * List the files of a ZIP archive from its central directory.
+ *
+ * @param {ArrayBuffer} buffer Archive contents.
+ * @return {Object[]} Entries with name, method, size, compressed size and header offset.
+ */
+export function readZipEntries( buffer ) {
+	const view = new DataView( buffer );
+	const decoder = new TextDecoder();
+
+	// The end of central directory record sits in the last 64KB
+	let end = -1;
+	for (
+		let offset = buffer.byteLength - 22;
+		offset >= Math.max( 0, buffer.byteLength - 65557 );
+		offset--
+	) {
+		if ( view.getUint32( offset, true ) === 0x06054b50 ) {
+			end = offset;
+			break;
+		}
+	}
+	if ( end === -1 ) {
+		throw new Error( 'This is not a ZIP file.' );
+	}
+
+	const count = view.getUint16( end + 10, true );
+	let offset = view.getUint32( end + 16, true );
+	const entries = [];
+
+	for ( let index = 0; index < count; index++ ) {
+		if (
+			offset + 46 > buffer.byteLength ||
+			view.getUint32( offset, true ) !== 0x02014b50
+		) {
+			throw new Error( 'The ZIP file is damaged.' );
+		}
+
+		const nameLength = view.getUint16( offset + 28, true );
+		entries.push( {
+			name: decoder.decode(
+				new Uint8Array( buffer, offset + 46, nameLength )
+			),
+			// Bit 0 of the general purpose flags marks encrypted entries
+			encrypted: view.getUint16( offset + 8, true ) % 2 === 1,
+			method: view.getUint16( offset + 10, true ),
+			compressedSize: view.getUint32( offset + 20, true ),
+			size: view.getUint32( offset + 24, true ),
+			headerOffset: view.getUint32( offset + 42, true ),
+		} );
+
+		offset +=
+			46 +
+			nameLength +
+			view.getUint16( offset + 30, true ) +
+			view.getUint16( offset + 32, true );
+	}
+
+	return entries;
+}
+
+/**
+ * Inflate raw deflate data, stopping once enough bytes are out.
+ *
+ * @param {Uint8Array} data     Compressed data.
+ * @param {number}     maxBytes Bytes needed.
+ * @return {Promise<Uint8Array>} Up to maxBytes of inflated data.
+ */
+function inflate( data, maxBytes ) {
+	const stream = new window.DecompressionStream( 'deflate-raw' );
+	const writer = stream.writable.getWriter();
+	const reader = stream.readable.getReader();
+	const chunks = [];
+	let length = 0;
+
+	// Writing fails once reading is cancelled; the reader reports real errors
+	writer.write( data ).catch( () => {} );
+	writer.close().catch( () => {} );
+
+	const read = () =>
+		reader.read().then( ( { done, value } ) => {
+			if ( done ) {
+				return undefined;
+			}
+			chunks.push( value );
+			length += value.length;
+			return length >= maxBytes ? reader.cancel() : read();
+		} );
+
+	return read().then( () => {
+		const output = new Uint8Array( Math.min( length, maxBytes ) );
+		let position = 0;
+		chunks.forEach( ( chunk ) => {
+			const part = chunk.subarray( 0, output.length - position );
+			output.set( part, position );
+			position += part.length;
+		} );
+		return output;
+	} );
+}
+
+/**
+ * Read the start of a file in a ZIP archive as text.
+ *
+ * @param {ArrayBuffer} buffer   Archive contents.
+ * @param {Object}      entry    Entry from readZipEntries().
+ * @param {number}      maxBytes Most bytes to read.
+ * @return {Promise<string>} File text.
+ */
+export function readZipText( buffer, entry, maxBytes ) {
+	const view = new DataView( buffer );
+	const offset = entry.headerOffset;
+
+	if (
+		entry.encrypted ||
+		offset + 30 > buffer.byteLength ||
+		view.getUint32( offset, true ) !== 0x04034b50
+	) {
+		return Promise.reject(
+			new Error( `${ entry.name } cannot be read from the ZIP file.` )
+		);
+	}
+
+	const start =
+		offset +
+		30 +
+		view.getUint16( offset + 26, true ) +
+		view.getUint16( offset + 28, true );
+	const data = new Uint8Array(
+		buffer,
+		start,
+		Math.min( entry.compressedSize, buffer.byteLength - start )
+	);
+
+	let bytes;
+	if ( entry.method === 0 ) {
+		bytes = Promise.resolve( data.subarray( 0, maxBytes ) );
+	} else if ( entry.method === 8 ) {
+		bytes = inflate( data, maxBytes );
+	} else {
+		return Promise.reject(
+			new Error(
+				`${ entry.name } uses a compression method that cannot be read.`
+			)
+		);
+	}
+
+	return bytes.then( ( output ) => new TextDecoder().decode( output ) );
+}
+
+/**
+ * Find the main plugin file and readme in a plugin ZIP.
+ *
+ * Like WordPress, only PHP files in the plugin folder itself are considered,
+ * and the first one with a Plugin Name header is the main file. A file named
+ * after its folder, such as my-plugin/my-plugin.php, is tried first.
+ *
+ * @param {ArrayBuffer} buffer Archive contents.
+ * @return {Promise<PluginArchive>} Header, file name and readme.
+ */
+export function readPluginArchive( buffer ) {
+	const entries = readZipEntries( buffer ).filter(
+		( entry ) => ! /(^|\/)__MACOSX\//.test( entry.name )
+	);
+	const folderOf = ( name ) => name.slice( 0, name.lastIndexOf( '/' ) + 1 );
+	const isNamedAfterFolder = ( name ) =>
+		Number( /^([^/]+)\/\1\.php$/i.test( name ) );
+	const candidates = entries
+		.filter( ( entry ) => /^([^/]+\/)?[^/]+\.php$/i.test( entry.name ) )
+		.sort(
+			( a, b ) =>
+				isNamedAfterFolder( b.name ) - isNamedAfterFolder( a.name ) ||
+				a.name.localeCompare( b.name )
+		)
+		.slice( 0, MAX_CANDIDATES );
+
+	const tryCandidate = ( index ) => {
+		if ( index >= candidates.length ) {
+			return Promise.reject(
+				new Error(
+					'No plugin file with a Plugin Name header was found in the ZIP file.'
+				)
+			);
+		}
+		const entry = candidates[ index ];
+		// A file that cannot be read is skipped like one without a header
+		return readZipText( buffer, entry, HEADER_BYTES )
+			.catch( () => '' )
+			.then( ( text ) => {
+				const header = parsePluginHeader( text );
+				return header ? { header, entry } : tryCandidate( index + 1 );
+			} );
+	};
+
+	return tryCandidate( 0 ).then( ( { header, entry } ) => {
+		const folder = folderOf( entry.name ).toLowerCase();
+		const readme = entries.find(
+			( item ) => item.name.toLowerCase() === `${ folder }readme.txt`
+		);
+		const text =
+			readme && readme.size <= MAX_README_BYTES
+				? readZipText( buffer, readme, MAX_README_BYTES )
+				: Promise.resolve( '' );
+
+		return text.then( ( content ) => ( {
+			header,
+			file: entry.name,
+			readme: content,
+		} ) );
+	} );
+}
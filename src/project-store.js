@@ -0,0 +1,199 @@
+/**
+ * WordPress Readme Generator - browser project storage
+ *
+ * Keeps named readme projects in IndexedDB so the readmes of several plugins
+ * can be kept in one browser. A project stores the form document the
+ * generator collects plus the imported readme text it was edited from, the
+ * same pair an autosaved draft holds. Every function returns a promise.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * A saved readme project.
+ *
+ * @typedef {Object} ReadmeProject
+ * @property {string} id        Unique id.
+ * @property {string} name      Name shown in the project switcher.
+ * @property {Object} document  Form document as collected by the generator.
+ * @property {string} source    Imported readme text, empty when none.
+ * @property {number} createdAt Creation time in milliseconds.
+ * @property {number} updatedAt Last edit time in milliseconds.
+ */
+
+const DATABASE_NAME = 'wordpress-readme-generator';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'projects';
+
+let database = null;
+
+/**
+ * Whether the browser offers IndexedDB.
+ *
+ * @return {boolean} True when projects can be stored.
+ */
+export function isProjectStoreAvailable() {
+	return typeof window !== 'undefined' && !! window.indexedDB;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request Pending request.
+ * @return {Promise<*>} Resolves with the request result.
+ */
+function promisify( request ) {
+	return new Promise( ( resolve, reject ) => {
+		request.onsuccess = () => resolve( request.result );
+		request.onerror = () => reject( request.error );
+	} );
+}
+
+/**
+ * Open the database once, creating the project store on first use.
+ *
+ * @return {Promise<IDBDatabase>} Open database.
+ */
+function openDatabase() {
+	if ( ! database ) {
+		const request = window.indexedDB.open(
+			DATABASE_NAME,
+			DATABASE_VERSION
+		);
+		request.onupgradeneeded = () => {
+			request.result.createObjectStore( STORE_NAME, { keyPath: 'id' } );
+		};
+		database = promisify( request ).catch( ( error ) => {
+			database = null;
+			throw error;
+		} );
+	}
+	return database;
+}
+
+/**
+ * Run a request against the project store.
+ *
+ * @param {string}   mode     Transaction mode, `readonly` or `readwrite`.
+ * @param {Function} callback Receives the store and returns a request.
+ * @return {Promise<*>} Resolves with the request result.
+ */
+function withStore( mode, callback ) {
+	return openDatabase().then( ( db ) =>
+		promisify(
+			callback(
+				db.transaction( STORE_NAME, mode ).objectStore( STORE_NAME )
+			)
+		)
+	);
+}
+
+/**
+ * Create a unique project id.
+ *
+ * @return {string} Id.
+ */
+function createId() {
+	if ( window.crypto && window.crypto.randomUUID ) {
+		return window.crypto.randomUUID();
+	}
+	return `${ Date.now().toString( 36 ) }-${ Math.random()
+		.toString( 36 )
+		.slice( 2 ) }`;
+}
+
+/**
+ * List all projects, most recently edited first.
+ *
+ * @return {Promise<ReadmeProject[]>} Projects.
+ */
+export function listProjects() {
+	return withStore( 'readonly', ( store ) => store.getAll() ).then(
+		( projects ) => projects.sort( ( a, b ) => b.updatedAt - a.updatedAt )
+	);
+}
+
+/**
+ * Load one project.
+ *
+ * @param {string} id Project id.
+ * @return {Promise<ReadmeProject|undefined>} Project, if it exists.
+ */
+export function getProject( id ) {
+	return withStore( 'readonly', ( store ) => store.get( id ) );
+}
+
+/**
+ * Store a project, stamping it as edited now.
+ *
+ * @param {ReadmeProject} project Project to store.
+ * @return {Promise<ReadmeProject>} The stored project.
+ */
+export function saveProject( project ) {
+	const saved = { ...project, updatedAt: Date.now() };
+	return withStore( 'readwrite', ( store ) => store.put( saved ) ).then(
+		() => saved
+	);
+}
+
+/**
+ * Create a project.
+ *
+ * @param {string} name     Project name.
+ * @param {Object} document Form document.
+ * @param {string} [source] Imported readme text.
+ * @return {Promise<ReadmeProject>} The new project.
+ */
+export function createProject( name, document, source = '' ) {
+	const now = Date.now();
+	return saveProject( {
+		id: createId(),
+		name,
+		document,
+		source,
+		createdAt: now,
+		updatedAt: now,
+	} );
+}
+
+/**
+ * Rename a project.
+ *
+ * @param {string} id   Project id.
+ * @param {string} name New name.
+ * @return {Promise<ReadmeProject>} The renamed project.
+ */
+export function renameProject( id, name ) {
+	return getProject( id ).then( ( project ) => {
+		if ( ! project ) {
+			throw new Error( 'Project not found' );
+		}
+		return saveProject( { ...project, name } );
+	} );
+}
+
+/**
+ * Copy a project under a new name.
+ *
+ * @param {string} id   Id of the project to copy.
+ * @param {string} name Name of the copy.
+ * @return {Promise<ReadmeProject>} The copy.
+ */
+export function duplicateProject( id, name ) {
+	return getProject( id ).then( ( project ) => {
+		if ( ! project ) {
+			throw new Error( 'Project not found' );
+		}
+		return createProject( name, project.document, project.source );
+	} );
+}
+
+/**
+ * Delete a project.
+ *
+ * @param {string} id Project id.
+ * @return {Promise<undefined>} Resolves once deleted.
+ */
+export function deleteProject( id ) {
+	return withStore( 'readwrite', ( store ) => store.delete( id ) );
+}
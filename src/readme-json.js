@@ -0,0 +1,326 @@
+/**
+ * WordPress Readme Generator - readme JSON files
+ *
+ * Saves the form content as a JSON file that can be kept in a repository and
+ * imported again to regenerate readme.txt. A file looks like this; every
+ * property of `readme` is optional:
+ *
+ *     {
+ *         "format": "wordpress-readme",
+ *         "version": 2,
+ *         "readme": {
+ *             "name": "My Plugin",
+ *             "shortDescription": "One line shown in search results.",
+ *             "header": {
+ *                 "contributors": [ "username" ],
+ *                 "tags": [ "seo" ],
+ *                 "donateLink": "",
+ *                 "requiresAtLeast": "6.0",
+ *                 "testedUpTo": "6.8",
+ *                 "stableTag": "1.2.0",
+ *                 "requiresPHP": "7.4",
+ *                 "requiresPlugins": [ "woocommerce" ],
+ *                 "network": "",
+ *                 "license": "GPL-2.0-or-later",
+ *                 "licenseURI": "https://www.gnu.org/licenses/gpl-2.0.html"
+ *             },
+ *             "headerFields": [ { "key": "Donate to", "value": "Charity" } ],
+ *             "description": "Markdown text.",
+ *             "installation": "Markdown text.",
+ *             "faq": [ { "question": "Why?", "answer": "Because." } ],
+ *             "faqStyle": "markdown",
+ *             "screenshots": [ { "caption": "The settings screen." } ],
+ *             "changelog": [ { "version": "1.2.0", "changes": [ "Fix" ] } ],
+ *             "upgradeNotices": [ { "version": "1.2.0", "notice": "Text." } ],
+ *             "customSections": [ { "title": "Privacy", "content": "Text." } ]
+ *         }
+ *     }
+ *
+ * `headerFields` holds header lines the form has no field for and `faqStyle`
+ * is the heading style of the questions, `wordpress` or `markdown`. The
+ * version is raised whenever a change could make an older generator misread a
+ * file: version 2 added `faqStyle`. Files of every older version are read.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { FAQ_STYLES, normalizeDocument } from './readme-parser';
+
+/**
+ * Value of the `format` property.
+ */
+export const JSON_FORMAT = 'wordpress-readme';
+
+/**
+ * Version of the file layout this generator writes and reads.
+ */
+export const JSON_VERSION = 2;
+
+/**
+ * Layout of `readme`. `line` is a string without line breaks, `text` any
+ * string, a one item array a list of that item and an object a nested object.
+ */
+const README_SCHEMA = {
+	name: 'line',
+	shortDescription: 'text',
+	header: {
+		contributors: [ 'line' ],
+		tags: [ 'line' ],
+		donateLink: 'line',
+		requiresAtLeast: 'line',
+		testedUpTo: 'line',
+		stableTag: 'line',
+		requiresPHP: 'line',
+		requiresPlugins: [ 'line' ],
+		network: 'line',
+		license: 'line',
+		licenseURI: 'line',
+	},
+	headerFields: [ { key: 'line', value: 'line' } ],
+	description: 'text',
+	installation: 'text',
+	faq: [ { question: 'line', answer: 'text' } ],
+	faqStyle: 'line',
+	screenshots: [ { caption: 'line' } ],
+	changelog: [ { version: 'line', changes: [ 'line' ] } ],
+	upgradeNotices: [ { version: 'line', notice: 'text' } ],
+	customSections: [ { title: 'line', content: 'text' } ],
+};
+
+/**
+ * Check a value against part of the schema.
+ *
+ * @param {*}             value  Value to check.
+ * @param {string|Object} schema Schema of the value.
+ * @param {string}        path   Path of the value, used in messages.
+ * @param {string[]}      errors Receives a message for every problem.
+ */
+function check( value, schema, path, errors ) {
+	if ( Array.isArray( schema ) ) {
+		if ( ! Array.isArray( value ) ) {
+			errors.push( `${ path } must be a list.` );
+			return;
+		}
+		value.forEach( ( item, index ) =>
+			check( item, schema[ 0 ], `${ path }[${ index }]`, errors )
+		);
+	} else if ( typeof schema === 'object' ) {
+		if ( ! value || typeof value !== 'object' || Array.isArray( value ) ) {
+			errors.push( `${ path } must be an object.` );
+			return;
+		}
+		Object.keys( value ).forEach( ( key ) => {
+			if ( ! Object.prototype.hasOwnProperty.call( schema, key ) ) {
+				errors.push( `${ path }.${ key } is not a known property.` );
+			} else {
+				check(
+					value[ key ],
+					schema[ key ],
+					`${ path }.${ key }`,
+					errors
+				);
+			}
+		} );
+	} else if ( typeof value !== 'string' ) {
+		errors.push( `${ path } must be a string.` );
+	} else if ( schema === 'line' && /[\r\n]/.test( value ) ) {
+		errors.push( `${ path } must fit on one line.` );
+	}
+}
+
+/**
+ * Give a value that passed check() every property of its schema. Missing
+ * strings become empty strings and missing lists empty lists.
+ *
+ * @param {*}             value  Checked value, undefined when left out.
+ * @param {string|Object} schema Schema of the value.
+ * @return {*} Complete copy of the value.
+ */
+function fill( value, schema ) {
+	if ( Array.isArray( schema ) ) {
+		return ( value || [] ).map( ( item ) => fill( item, schema[ 0 ] ) );
+	}
+	if ( typeof schema === 'object' ) {
+		const filled = {};
+		Object.keys( schema ).forEach( ( key ) => {
+			filled[ key ] = fill( ( value || {} )[ key ], schema[ key ] );
+		} );
+		return filled;
+	}
+	return value === undefined ? '' : value;
+}
+
+/**
+ * Convert a readme document to the `readme` object of a JSON file.
+ *
+ * @param {Object} doc Readme document, such as the one the form collects.
+ * @return {Object} Readme data.
+ */
+export function documentToJSON( doc ) {
+	const full = normalizeDocument( doc );
+	const section = ( id ) => {
+		const found = full.sections.find( ( item ) => item.id === id );
+		return found ? found.content : '';
+	};
+
+	return {
+		name: full.name,
+		shortDescription: full.shortDescription,
+		header: { ...full.header },
+		headerFields: full.unknownHeaderFields.map( ( field ) => ( {
+			key: field.key,
+			value: field.value,
+		} ) ),
+		description: section( 'description' ),
+		installation: section( 'installation' ),
+		faq: full.faq.map( ( entry ) => ( {
+			question: entry.question,
+			answer: entry.answer,
+		} ) ),
+		faqStyle: full.faqStyle,
+		screenshots: full.screenshots.map( ( entry ) => ( {
+			caption: entry.caption,
+		} ) ),
+		changelog: full.changelog.map( ( entry ) => ( {
+			version: entry.version,
+			changes: entry.changes.slice(),
+		} ) ),
+		upgradeNotices: full.upgradeNotices.map( ( entry ) => ( {
+			version: entry.version,
+			notice: entry.notice,
+		} ) ),
+		customSections: full.unknownSections.map( ( item ) => ( {
+			title: item.title,
+			content: item.content,
+		} ) ),
+	};
+}
+
+/**
+ * Write a readme document as the text of a JSON file.
+ *
+ * @param {Object} doc Readme document.
+ * @return {string} JSON text.
+ */
+export function exportReadmeJSON( doc ) {
+	return (
+		JSON.stringify(
+			{
+				format: JSON_FORMAT,
+				version: JSON_VERSION,
+				readme: documentToJSON( doc ),
+			},
+			null,
+			2
+		) + '\n'
+	);
+}
+
+/**
+ * Check parsed JSON against the file layout.
+ *
+ * @param {*} data Parsed JSON.
+ * @return {string[]} One message per problem, empty when the data is valid.
+ */
+export function validateReadmeJSON( data ) {
+	if ( ! data || typeof data !== 'object' || Array.isArray( data ) ) {
+		return [ 'The file must contain a JSON object.' ];
+	}
+	if ( data.format !== JSON_FORMAT ) {
+		return [ `format must be "${ JSON_FORMAT }".` ];
+	}
+	if ( ! Number.isInteger( data.version ) || data.version < 1 ) {
+		return [ 'version must be a whole number such as 1.' ];
+	}
+	if ( data.version > JSON_VERSION ) {
+		return [
+			`The file uses version ${ data.version }, but this generator reads version ${ JSON_VERSION } and older.`,
+		];
+	}
+
+	const errors = [];
+	Object.keys( data ).forEach( ( key ) => {
+		if ( ! [ 'format', 'version', 'readme' ].includes( key ) ) {
+			errors.push( `${ key } is not a known property.` );
+		}
+	} );
+	check( data.readme, README_SCHEMA, 'readme', errors );
+
+	const style = data.readme && data.readme.faqStyle;
+	if ( typeof style === 'string' && style && ! FAQ_STYLES[ style ] ) {
+		errors.push(
+			`readme.faqStyle must be one of ${ Object.keys( FAQ_STYLES ).join(
+				', '
+			) }.`
+		);
+	}
+	return errors;
+}
+
+/**
+ * Read the text of a JSON file into a readme document.
+ *
+ * @param {string} text JSON text.
+ * @return {{document: Object|null, errors: string[]}} The document, or null
+ *                                                     with the problems found.
+ */
+export function importReadmeJSON( text ) {
+	let data;
+	try {
+		data = JSON.parse( text );
+	} catch ( error ) {
+		return {
+			document: null,
+			errors: [ `The file is not valid JSON: ${ error.message }` ],
+		};
+	}
+
+	const errors = validateReadmeJSON( data );
+	if ( errors.length ) {
+		return { document: null, errors };
+	}
+
+	// Every property is optional, in list entries too
+	const readme = fill( data.readme, README_SCHEMA );
+	const sections = [ 'description', 'installation' ]
+		.filter( ( id ) => readme[ id ] )
+		.map( ( id ) => ( {
+			id,
+			title: id.charAt( 0 ).toUpperCase() + id.slice( 1 ),
+			content: readme[ id ],
+			line: 0,
+			endLine: 0,
+		} ) );
+
+	return {
+		document: normalizeDocument( {
+			name: readme.name,
+			shortDescription: readme.shortDescription,
+			header: readme.header,
+			unknownHeaderFields: readme.headerFields.map( ( field ) => ( {
+				...field,
+				id: null,
+				line: 0,
+			} ) ),
+			sections,
+			faq: readme.faq,
+			faqStyle: readme.faqStyle,
+			screenshots: readme.screenshots.map( ( entry, index ) => ( {
+				...entry,
+				number: index + 1,
+			} ) ),
+			changelog: readme.changelog,
+			upgradeNotices: readme.upgradeNotices,
+			unknownSections: readme.customSections.map( ( item ) => ( {
+				...item,
+				id: null,
+				line: 0,
+				endLine: 0,
+			} ) ),
+		} ),
+		errors: [],
+	};
+}
@@ -0,0 +1,257 @@
+/**
+ * WordPress Readme Generator - README.md conversion
+ *
+ * Converts readme.txt text to a README.md for GitHub and back. Headings move
+ * between the two syntaxes (`=== Name ===`, `== Section ==` and `= Sub =`
+ * become `#`, `##` and `###`) and the header fields become a table. Section
+ * bodies are already markdown, so everything else is copied as written.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+	parseReadme,
+	getSectionId,
+	splitLines,
+	trimBlankLines,
+} from './readme-parser';
+
+const SUBHEADING_PATTERN = /^=\s*(.+?)\s*=$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const ATX_PATTERN = /^(#{1,3})\s+(.+?)(\s+#+)?\s*$/;
+const TABLE_ROW_PATTERN = /^\|(.*)\|\s*$/;
+const BOLD_FIELD_PATTERN = /^\*\*([^*:]+?)(?::\*\*|\*\*:)\s*(.*?)(\s{2,}|\\)?$/;
+const BADGES_PATTERN = /^(\[?!\[[^\]]*\]\([^)]*\)(\]\([^)]*\))?\s*)+$/;
+const LINK_PATTERN = /\[([^\]]*)\]\([^)]*\)/g;
+
+/**
+ * Header fields whose values link to WordPress.org profiles in the table.
+ */
+const PROFILE_FIELDS = [ 'contributors' ];
+
+/**
+ * Rewrite the headings of a block of lines, leaving fenced code alone.
+ *
+ * @param {string[]} lines   Lines to rewrite.
+ * @param {Function} rewrite Receives a line outside code fences and returns it rewritten.
+ * @return {string[]} Rewritten lines.
+ */
+function mapOutsideFences( lines, rewrite ) {
+	let fenced = false;
+	return lines.map( ( line ) => {
+		if ( FENCE_PATTERN.test( line ) ) {
+			fenced = ! fenced;
+			return line;
+		}
+		return fenced ? line : rewrite( line );
+	} );
+}
+
+/**
+ * Escape a header value for a markdown table cell.
+ *
+ * @param {string} value Header value.
+ * @return {string} Cell text.
+ */
+function escapeCell( value ) {
+	return value.replace( /\|/g, '\\|' );
+}
+
+/**
+ * Format a header field as a table cell.
+ *
+ * @param {Object} field Header field from the parsed readme.
+ * @return {string} Cell text.
+ */
+function formatHeaderCell( field ) {
+	if ( ! PROFILE_FIELDS.includes( field.id ) ) {
+		return escapeCell( field.value );
+	}
+	return field.value
+		.split( ',' )
+		.map( ( username ) => username.trim() )
+		.filter( Boolean )
+		.map(
+			( username ) =>
+				`[${ username }](https://profiles.wordpress.org/${ encodeURIComponent(
+					username
+				) }/)`
+		)
+		.join( ', ' );
+}
+
+/**
+ * Split a markdown table row into trimmed cells.
+ *
+ * @param {string} row Row contents between the outer pipes.
+ * @return {string[]} Cells with escaped pipes restored.
+ */
+function splitTableRow( row ) {
+	const cells = [];
+	let cell = '';
+	for ( let i = 0; i < row.length; i++ ) {
+		if ( row[ i ] === '\\' && row[ i + 1 ] === '|' ) {
+			cell += '|';
+			i++;
+		} else if ( row[ i ] === '|' ) {
+			cells.push( cell.trim() );
+			cell = '';
+		} else {
+			cell += row[ i ];
+		}
+	}
+	cells.push( cell.trim() );
+	return cells;
+}
+
+/**
+ * Convert readme.txt text to a GitHub README.md.
+ *
+ * @param {string} text Readme text.
+ * @return {string} Markdown.
+ */
+export function readmeToMarkdown( text ) {
+	const doc = parseReadme( text );
+	const blocks = [];
+
+	if ( doc.name ) {
+		blocks.push( `# ${ doc.name }` );
+	}
+	if ( doc.shortDescription ) {
+		blocks.push( doc.shortDescription );
+	}
+
+	const fields = doc.headerFields.filter( ( field ) => field.value );
+	if ( fields.length ) {
+		blocks.push(
+			[ '| Field | Value |', '| --- | --- |' ]
+				.concat(
+					fields.map(
+						( field ) =>
+							`| ${ escapeCell(
+								field.key
+							) } | ${ formatHeaderCell( field ) } |`
+					)
+				)
+				.join( '\n' )
+		);
+	}
+
+	doc.sections.forEach( ( section ) => {
+		const body = mapOutsideFences(
+			splitLines( section.content ),
+			( line ) => {
+				const heading = line.trim().match( SUBHEADING_PATTERN );
+				return heading ? `### ${ heading[ 1 ] }` : line;
+			}
+		).join( '\n' );
+		blocks.push(
+			body
+				? `## ${ section.title }\n\n${ body }`
+				: `## ${ section.title }`
+		);
+	} );
+
+	return blocks.join( '\n\n' ) + '\n';
+}
+
+/**
+ * Convert a README.md back to readme.txt text.
+ *
+ * The first `#` heading is the plugin name. Before the first `##` section,
+ * rows of a two column table and `**Field:** value` lines are header fields,
+ * badge lines are dropped and the first paragraph is the short description.
+ * Any further paragraphs there open the Description section.
+ *
+ * @param {string} markdown README.md contents.
+ * @return {string} Readme text.
+ */
+export function markdownToReadme( markdown ) {
+	const lines = typeof markdown === 'string' ? splitLines( markdown ) : [];
+	let name = '';
+	const header = [];
+	const intro = [];
+	const sections = [];
+	let fenced = false;
+
+	lines.forEach( ( line ) => {
+		const section = sections[ sections.length - 1 ];
+		const heading = fenced ? null : line.match( ATX_PATTERN );
+
+		if ( FENCE_PATTERN.test( line ) ) {
+			fenced = ! fenced;
+		}
+
+		if ( heading && heading[ 1 ] === '#' && ! name && ! section ) {
+			name = heading[ 2 ];
+		} else if ( heading && heading[ 1 ] === '##' ) {
+			sections.push( { title: heading[ 2 ], lines: [] } );
+		} else if ( section ) {
+			const isSubheading = heading && heading[ 1 ] === '###';
+			section.lines.push( isSubheading ? `= ${ heading[ 2 ] } =` : line );
+		} else if ( ! fenced && TABLE_ROW_PATTERN.test( line.trim() ) ) {
+			const cells = splitTableRow(
+				line.trim().match( TABLE_ROW_PATTERN )[ 1 ]
+			);
+			const isLabelRow =
+				! cells[ 0 ] || /^(field|header|key)$/i.test( cells[ 0 ] );
+			const isDivider = cells.every( ( cell ) =>
+				/^:?-+:?$/.test( cell )
+			);
+			if ( cells.length >= 2 && ! isLabelRow && ! isDivider ) {
+				header.push(
+					`${ cells[ 0 ] }: ${ cells[ 1 ].replace(
+						LINK_PATTERN,
+						'$1'
+					) }`
+				);
+			}
+		} else if ( ! fenced && BOLD_FIELD_PATTERN.test( line.trim() ) ) {
+			const field = line.trim().match( BOLD_FIELD_PATTERN );
+			header.push(
+				`${ field[ 1 ].trim() }: ${ field[ 2 ].replace(
+					LINK_PATTERN,
+					'$1'
+				) }`
+			);
+		} else if ( fenced || ! BADGES_PATTERN.test( line.trim() ) ) {
+			intro.push( line );
+		}
+	} );
+
+	const paragraphs = intro
+		.join( '\n' )
+		.split( /\n\s*\n/ )
+		.map( ( paragraph ) => paragraph.trim() )
+		.filter( Boolean );
+	const shortDescription = paragraphs.shift() || '';
+
+	if ( paragraphs.length ) {
+		const description = sections.find(
+			( section ) => getSectionId( section.title ) === 'description'
+		);
+		const text = paragraphs.join( '\n\n' );
+		if ( description ) {
+			description.lines = [ text, '', ...description.lines ];
+		} else {
+			sections.unshift( { title: 'Description', lines: [ text ] } );
+		}
+	}
+
+	return [
+		name ? `=== ${ name } ===` : '',
+		header.join( '\n' ),
+		shortDescription,
+		...sections.map( ( section ) => {
+			const body = trimBlankLines( section.lines ).join( '\n' );
+			return body
+				? `== ${ section.title } ==\n\n${ body }`
+				: `== ${ section.title } ==`;
+		} ),
+	]
+		.filter( Boolean )
+		.join( '\n\n' );
+}
@@ -0,0 +1,606 @@
+/**
+ * WordPress Readme Generator - readme.txt parser
+ *
+ * Turns the text of a WordPress.org readme.txt file into a plain document
+ * object. The parser has no DOM dependencies so it can be shared by the
+ * frontend form, the block editor and any tooling that needs to read readmes.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * A single `Key: value` line from the readme header.
+ *
+ * @typedef {Object} ReadmeHeaderField
+ * @property {string}      key   Field name as written in the file.
+ * @property {string|null} id    Known field id (see HEADER_FIELDS) or null.
+ * @property {string}      value Trimmed field value.
+ * @property {number}      line  1-based source line.
+ */
+
+/**
+ * A `== Title ==` section.
+ *
+ * @typedef {Object} ReadmeSection
+ * @property {string}      title   Heading text.
+ * @property {string|null} id      Known section id (see SECTION_IDS) or null.
+ * @property {string}      content Section body without surrounding blank lines.
+ * @property {number}      line    1-based line of the heading.
+ * @property {number}      endLine 1-based line of the last line of the body.
+ */
+
+/**
+ * A question from the FAQ section.
+ *
+ * @typedef {Object} ReadmeFAQ
+ * @property {string} question Question text.
+ * @property {string} answer   Answer text.
+ * @property {number} line     1-based line of the question.
+ */
+
+/**
+ * A `= version =` entry from the changelog.
+ *
+ * @typedef {Object} ReadmeChangelogEntry
+ * @property {string}   version    Version label.
+ * @property {string[]} changes    Bullet items.
+ * @property {number}   otherLines Lines that are not top-level bullet items,
+ *                                 such as paragraphs and nested bullets.
+ * @property {number}   line       1-based line of the version heading.
+ */
+
+/**
+ * A `= version =` entry from the upgrade notice section.
+ *
+ * @typedef {Object} ReadmeUpgradeNotice
+ * @property {string} version Version label.
+ * @property {string} notice  Notice text.
+ * @property {number} line    1-based line of the version heading.
+ */
+
+/**
+ * A numbered caption from the screenshots section.
+ *
+ * @typedef {Object} ReadmeScreenshot
+ * @property {number} number  Position used for the `screenshot-N` asset name.
+ * @property {string} caption Caption text.
+ * @property {number} line    1-based source line.
+ */
+
+/**
+ * The parsed readme.
+ *
+ * @typedef {Object} ReadmeDocument
+ * @property {string}                 name                 Plugin name from the `=== Name ===` line.
+ * @property {number}                 nameLine             1-based line of the name, 0 when missing.
+ * @property {Object}                 header               Known header values keyed by field id.
+ * @property {ReadmeHeaderField[]}    headerFields         Every header line in source order.
+ * @property {ReadmeHeaderField[]}    unknownHeaderFields  Header lines without a known id.
+ * @property {string}                 shortDescription     First paragraph after the header.
+ * @property {number}                 shortDescriptionLine 1-based line of the short description, 0 when missing.
+ * @property {number}                 shortDescriptionEnd  1-based line of the last short description line.
+ * @property {ReadmeSection[]}        sections             Every section in source order.
+ * @property {ReadmeFAQ[]}            faq                  Entries from the FAQ section.
+ * @property {string}                 faqStyle             Heading style of the questions (see FAQ_STYLES),
+ *                                                         empty when there are none.
+ * @property {ReadmeChangelogEntry[]} changelog            Entries from the changelog section.
+ * @property {ReadmeUpgradeNotice[]}  upgradeNotices       Entries from the upgrade notice section.
+ * @property {ReadmeScreenshot[]}     screenshots          Entries from the screenshots section.
+ * @property {ReadmeSection[]}        unknownSections      Sections without a known id, such as Privacy or
+ *                                                         Credits. The form edits them as custom sections.
+ * @property {string}                 source               Text the document was parsed from, kept so
+ *                                                         untouched parts can be written back verbatim.
+ */
+
+/**
+ * Header field names mapped to document ids. List fields are split on commas.
+ */
+export const HEADER_FIELDS = {
+	contributors: { id: 'contributors', list: true },
+	contributor: { id: 'contributors', list: true },
+	tags: { id: 'tags', list: true },
+	tag: { id: 'tags', list: true },
+	'donate link': { id: 'donateLink' },
+	'requires at least': { id: 'requiresAtLeast' },
+	'requires wordpress': { id: 'requiresAtLeast' },
+	'tested up to': { id: 'testedUpTo' },
+	'stable tag': { id: 'stableTag' },
+	'requires php': { id: 'requiresPHP' },
+	'requires plugins': { id: 'requiresPlugins', list: true },
+	network: { id: 'network' },
+	license: { id: 'license' },
+	'license uri': { id: 'licenseURI' },
+};
+
+/**
+ * Section headings mapped to document ids.
+ */
+export const SECTION_IDS = {
+	description: 'description',
+	installation: 'installation',
+	'frequently asked questions': 'faq',
+	faq: 'faq',
+	screenshots: 'screenshots',
+	changelog: 'changelog',
+	'upgrade notice': 'upgrade_notice',
+};
+
+/**
+ * Heading styles of FAQ questions, as templates for the question text:
+ * `= Question =` as WordPress.org documents it, or markdown `### Question`.
+ */
+export const FAQ_STYLES = {
+	wordpress: '= %s =',
+	markdown: '### %s',
+};
+
+const TITLE_PATTERN = /^===\s*(.+?)\s*===$/;
+const SECTION_PATTERN = /^==\s*(.+?)\s*==$/;
+const SUBHEADING_PATTERN = /^=\s*(.+?)\s*=$/;
+const FAQ_QUESTION_PATTERNS = {
+	wordpress: SUBHEADING_PATTERN,
+	markdown: /^###\s+(.+)$/,
+};
+const HEADER_PATTERN = /^([A-Za-z][A-Za-z0-9 _-]*?)\s*:\s*(.*)$/;
+const NESTED_PATTERN = /^(?: {2}|\t)/;
+
+/**
+ * Create an empty document with every property present.
+ *
+ * @return {ReadmeDocument} Empty document.
+ */
+export function createEmptyDocument() {
+	return {
+		name: '',
+		nameLine: 0,
+		header: {
+			contributors: [],
+			tags: [],
+			donateLink: '',
+			requiresAtLeast: '',
+			testedUpTo: '',
+			stableTag: '',
+			requiresPHP: '',
+			requiresPlugins: [],
+			network: '',
+			license: '',
+			licenseURI: '',
+		},
+		headerFields: [],
+		unknownHeaderFields: [],
+		shortDescription: '',
+		shortDescriptionLine: 0,
+		shortDescriptionEnd: 0,
+		sections: [],
+		faq: [],
+		faqStyle: '',
+		changelog: [],
+		upgradeNotices: [],
+		screenshots: [],
+		unknownSections: [],
+		source: '',
+	};
+}
+
+/**
+ * Give a stored document, such as a draft or the block's `formData`, the
+ * shape of an empty document. Properties that are missing or have the wrong
+ * type are replaced by their empty value.
+ *
+ * @param {Object} saved Stored document.
+ * @return {ReadmeDocument} Complete document.
+ */
+export function normalizeDocument( saved ) {
+	const doc = createEmptyDocument();
+	const pick = ( target, source ) => {
+		Object.keys( target ).forEach( ( key ) => {
+			const value = source[ key ];
+			if ( Array.isArray( target[ key ] ) ) {
+				target[ key ] = Array.isArray( value ) ? value : [];
+			} else if ( typeof value === typeof target[ key ] ) {
+				target[ key ] = value;
+			}
+		} );
+	};
+
+	if ( saved && typeof saved === 'object' ) {
+		pick( doc.header, saved.header || {} );
+		pick( doc, { ...saved, header: doc.header } );
+	}
+	return doc;
+}
+
+/**
+ * Split text into lines, accepting any newline style.
+ *
+ * @param {string} text Raw text.
+ * @return {string[]} Lines without terminators.
+ */
+export function splitLines( text ) {
+	return text.replace( /^\uFEFF/, '' ).split( /\r\n|\r|\n/ );
+}
+
+/**
+ * Drop leading and trailing whitespace-only lines from a block of lines.
+ *
+ * @param {string[]} lines Lines to trim.
+ * @return {string[]} Trimmed copy.
+ */
+export function trimBlankLines( lines ) {
+	let start = 0;
+	let end = lines.length;
+	while ( start < end && lines[ start ].trim() === '' ) {
+		start++;
+	}
+	while ( end > start && lines[ end - 1 ].trim() === '' ) {
+		end--;
+	}
+	return lines.slice( start, end );
+}
+
+/**
+ * Look up the id of a section heading.
+ *
+ * @param {string} title Heading text.
+ * @return {string|null} Section id or null for custom sections.
+ */
+export function getSectionId( title ) {
+	return SECTION_IDS[ title.trim().toLowerCase() ] || null;
+}
+
+/**
+ * Parse a single `Key: value` header line.
+ *
+ * @param {string} line Header line.
+ * @return {{key: string, id: string|null, value: string}|null} Parsed field or null.
+ */
+export function parseHeaderLine( line ) {
+	const match = line.trim().match( HEADER_PATTERN );
+	if ( ! match ) {
+		return null;
+	}
+
+	const definition = HEADER_FIELDS[ match[ 1 ].toLowerCase() ];
+	return {
+		key: match[ 1 ],
+		id: definition ? definition.id : null,
+		value: match[ 2 ].trim(),
+	};
+}
+
+/**
+ * Split a comma separated header value.
+ *
+ * @param {string} value Header value.
+ * @return {string[]} Non-empty items.
+ */
+function splitList( value ) {
+	return value
+		.split( ',' )
+		.map( ( item ) => item.trim() )
+		.filter( Boolean );
+}
+
+/**
+ * Find the heading style of the questions in a FAQ section body. The first
+ * question decides, so the other style can appear inside answers.
+ *
+ * @param {string[]} lines Section body lines.
+ * @return {string} Key of FAQ_STYLES, empty when there is no question.
+ */
+function getFAQStyle( lines ) {
+	let style = '';
+	lines.some( ( line ) => {
+		style =
+			Object.keys( FAQ_QUESTION_PATTERNS ).find( ( key ) =>
+				FAQ_QUESTION_PATTERNS[ key ].test( line.trim() )
+			) || '';
+		return style;
+	} );
+	return style;
+}
+
+/**
+ * Parse the FAQ section body. Questions use the headings of one of the
+ * FAQ_STYLES, and answers keep their paragraphs, lists and indentation.
+ *
+ * @param {string[]} lines     Section body lines.
+ * @param {number}   firstLine 1-based line number of lines[0].
+ * @param {string}   style     Key of FAQ_STYLES the questions use.
+ * @return {ReadmeFAQ[]} FAQ entries.
+ */
+function parseFAQ( lines, firstLine, style ) {
+	const faq = [];
+	const pattern = FAQ_QUESTION_PATTERNS[ style ];
+	let current = null;
+
+	// A question without an answer is kept with an empty one
+	const flush = () => {
+		if ( current ) {
+			faq.push( {
+				question: current.question,
+				answer: trimBlankLines( current.answer ).join( '\n' ).trim(),
+				line: current.line,
+			} );
+		}
+	};
+
+	lines.forEach( ( line, index ) => {
+		const question = pattern && line.trim().match( pattern );
+
+		if ( question ) {
+			flush();
+			current = {
+				question: question[ 1 ].trim(),
+				answer: [],
+				line: firstLine + index,
+			};
+		} else if ( current ) {
+			current.answer.push( line );
+		}
+	} );
+	flush();
+
+	return faq;
+}
+
+/**
+ * Parse the changelog section body into `= version =` entries. Changes are
+ * the bullet items; nested bullets are flattened and other text is only
+ * counted, so the validator can point out what the form cannot keep.
+ *
+ * @param {string[]} lines     Section body lines.
+ * @param {number}   firstLine 1-based line number of lines[0].
+ * @return {ReadmeChangelogEntry[]} Changelog entries.
+ */
+function parseChangelog( lines, firstLine ) {
+	const changelog = [];
+	let current = null;
+
+	lines.forEach( ( rawLine, index ) => {
+		const line = rawLine.trim();
+		const version = line.match( SUBHEADING_PATTERN );
+		const change = line.match( /^[*-]\s+(.+)$/ );
+
+		if ( version ) {
+			current = {
+				version: version[ 1 ].trim(),
+				changes: [],
+				otherLines: 0,
+				line: firstLine + index,
+			};
+			changelog.push( current );
+		} else if ( current && change ) {
+			current.changes.push( change[ 1 ].trim() );
+			if ( NESTED_PATTERN.test( rawLine ) ) {
+				current.otherLines++;
+			}
+		} else if ( current && line ) {
+			current.otherLines++;
+		}
+	} );
+
+	return changelog;
+}
+
+/**
+ * Parse the upgrade notice section body into `= version =` entries.
+ *
+ * @param {string[]} lines     Section body lines.
+ * @param {number}   firstLine 1-based line number of lines[0].
+ * @return {ReadmeUpgradeNotice[]} Upgrade notices.
+ */
+function parseUpgradeNotices( lines, firstLine ) {
+	const notices = [];
+	let current = null;
+
+	const flush = () => {
+		if ( current ) {
+			const notice = trimBlankLines( current.lines ).join( '\n' );
+			if ( notice ) {
+				notices.push( {
+					version: current.version,
+					notice,
+					line: current.line,
+				} );
+			}
+		}
+	};
+
+	lines.forEach( ( rawLine, index ) => {
+		const version = rawLine.trim().match( SUBHEADING_PATTERN );
+
+		if ( version ) {
+			flush();
+			current = {
+				version: version[ 1 ].trim(),
+				lines: [],
+				line: firstLine + index,
+			};
+		} else if ( current ) {
+			current.lines.push( rawLine );
+		}
+	} );
+	flush();
+
+	return notices;
+}
+
+/**
+ * Parse the screenshots section body, a numbered list of captions.
+ *
+ * @param {string[]} lines     Section body lines.
+ * @param {number}   firstLine 1-based line number of lines[0].
+ * @return {ReadmeScreenshot[]} Screenshots.
+ */
+function parseScreenshots( lines, firstLine ) {
+	const screenshots = [];
+
+	lines.forEach( ( rawLine, index ) => {
+		const item = rawLine.trim().match( /^(\d+)\.\s+(.+)$/ );
+		if ( item ) {
+			screenshots.push( {
+				number: parseInt( item[ 1 ], 10 ),
+				caption: item[ 2 ].trim(),
+				line: firstLine + index,
+			} );
+		} else if ( rawLine.trim() && screenshots.length > 0 ) {
+			// Continuation of a wrapped caption.
+			const last = screenshots[ screenshots.length - 1 ];
+			last.caption += ' ' + rawLine.trim();
+		}
+	} );
+
+	return screenshots;
+}
+
+/**
+ * Parse the text of a readme.txt file.
+ *
+ * @param {string} text Readme contents.
+ * @return {ReadmeDocument} Parsed document.
+ */
+export function parseReadme( text ) {
+	const doc = createEmptyDocument();
+	if ( typeof text !== 'string' || text === '' ) {
+		return doc;
+	}
+
+	const lines = splitLines( text );
+	let index = 0;
+	doc.source = text;
+
+	// Skip anything before the `=== Name ===` line, but only if one exists
+	// before the first section.
+	const titleIndex = lines.findIndex(
+		( line ) =>
+			TITLE_PATTERN.test( line.trim() ) ||
+			SECTION_PATTERN.test( line.trim() )
+	);
+	if (
+		titleIndex !== -1 &&
+		TITLE_PATTERN.test( lines[ titleIndex ].trim() )
+	) {
+		doc.name = lines[ titleIndex ].trim().match( TITLE_PATTERN )[ 1 ];
+		doc.nameLine = titleIndex + 1;
+		index = titleIndex + 1;
+	}
+
+	// Header block: `Key: value` lines, optionally preceded by blank lines.
+	while ( index < lines.length && lines[ index ].trim() === '' ) {
+		index++;
+	}
+	while ( index < lines.length ) {
+		const line = lines[ index ].trim();
+		if ( line === '' || SECTION_PATTERN.test( line ) ) {
+			break;
+		}
+
+		const field = parseHeaderLine( line );
+		if ( ! field ) {
+			break;
+		}
+
+		field.line = index + 1;
+		doc.headerFields.push( field );
+		if ( ! field.id ) {
+			doc.unknownHeaderFields.push( field );
+		} else if ( field.value ) {
+			const definition = HEADER_FIELDS[ field.key.toLowerCase() ];
+			doc.header[ field.id ] = definition.list
+				? splitList( field.value )
+				: field.value;
+		}
+		index++;
+	}
+
+	// Short description: the first paragraph before any section.
+	while ( index < lines.length && lines[ index ].trim() === '' ) {
+		index++;
+	}
+	if (
+		index < lines.length &&
+		! SECTION_PATTERN.test( lines[ index ].trim() )
+	) {
+		const paragraph = [];
+		doc.shortDescriptionLine = index + 1;
+		while (
+			index < lines.length &&
+			lines[ index ].trim() !== '' &&
+			! SECTION_PATTERN.test( lines[ index ].trim() )
+		) {
+			paragraph.push( lines[ index ].trim() );
+			index++;
+		}
+		doc.shortDescription = paragraph.join( '\n' );
+		doc.shortDescriptionEnd = index;
+	}
+
+	// Sections.
+	for ( ; index < lines.length; index++ ) {
+		const heading = lines[ index ].trim().match( SECTION_PATTERN );
+		if ( ! heading ) {
+			continue;
+		}
+
+		let end = index + 1;
+		while (
+			end < lines.length &&
+			! SECTION_PATTERN.test( lines[ end ].trim() )
+		) {
+			end++;
+		}
+
+		const body = lines.slice( index + 1, end );
+		const section = {
+			title: heading[ 1 ],
+			id: getSectionId( heading[ 1 ] ),
+			content: trimBlankLines( body ).join( '\n' ),
+			line: index + 1,
+			endLine: end,
+		};
+		doc.sections.push( section );
+
+		switch ( section.id ) {
+			case 'faq': {
+				const style = getFAQStyle( body );
+				doc.faqStyle = doc.faqStyle || style;
+				doc.faq = doc.faq.concat( parseFAQ( body, index + 2, style ) );
+				break;
+			}
+			case 'changelog':
+				doc.changelog = doc.changelog.concat(
+					parseChangelog( body, index + 2 )
+				);
+				break;
+			case 'upgrade_notice':
+				doc.upgradeNotices = doc.upgradeNotices.concat(
+					parseUpgradeNotices( body, index + 2 )
+				);
+				break;
+			case 'screenshots':
+				doc.screenshots = doc.screenshots.concat(
+					parseScreenshots( body, index + 2 )
+				);
+				break;
+			case null:
+				doc.unknownSections.push( section );
+				break;
+		}
+
+		index = end - 1;
+	}
+
+	return doc;
+}
+
+/**
+ * Find a section by id.
+ *
+ * @param {ReadmeDocument} doc Parsed document.
+ * @param {string}         id  Section id.
+ * @return {ReadmeSection|undefined} First matching section.
+ */
+export function getSection( doc, id ) {
+	return doc.sections.find( ( section ) => section.id === id );
+}
@@ -0,0 +1,168 @@
+/**
+ * WordPress Readme Generator - site readme storage
+ *
+ * Saves readmes as private posts of the `plugin_readme` post type through
+ * the core REST API, for logged-in users. A post holds the readme.txt text
+ * the form generates, so every save becomes a revision WordPress can compare
+ * and restore. Every function returns a promise.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Where and as whom requests are made, printed by render.php.
+ *
+ * @typedef {Object} ReadmePostStorage
+ * @property {string} root        REST URL of the post type collection.
+ * @property {string} nonce       `wp_rest` nonce.
+ * @property {number} userId      Id of the logged-in user.
+ * @property {string} revisionUrl URL of the admin revisions screen.
+ */
+
+/**
+ * A readme saved to the site.
+ *
+ * @typedef {Object} ReadmePost
+ * @property {number} id       Post id.
+ * @property {string} title    Post title, usually the plugin name.
+ * @property {string} content  Readme text; empty in lists.
+ * @property {string} modified Last save time as an ISO 8601 string.
+ */
+
+/**
+ * A saved version of a readme.
+ *
+ * @typedef {Object} ReadmeRevision
+ * @property {number} id      Revision id.
+ * @property {string} date    Save time as an ISO 8601 string.
+ * @property {string} content Readme text; empty in lists.
+ */
+
+/**
+ * Send a request to the REST API.
+ *
+ * @param {ReadmePostStorage} storage Storage settings.
+ * @param {string}            path    Path below the collection URL, with query.
+ * @param {Object}            [data]  Body of a POST request.
+ * @return {Promise<*>} Resolves with the decoded response.
+ */
+function request( storage, path, data ) {
+	const options = {
+		method: data ? 'POST' : 'GET',
+		credentials: 'same-origin',
+		headers: { 'X-WP-Nonce': storage.nonce },
+	};
+	if ( data ) {
+		options.headers[ 'Content-Type' ] = 'application/json';
+		options.body = JSON.stringify( data );
+	}
+
+	return window.fetch( storage.root + path, options ).then( ( response ) =>
+		response
+			.json()
+			.catch( () => ( {} ) )
+			.then( ( body ) => {
+				if ( ! response.ok ) {
+					throw new Error(
+						body.message ||
+							`The request failed with status ${ response.status }.`
+					);
+				}
+				return body;
+			} )
+	);
+}
+
+/**
+ * Reduce a REST post to a readme post.
+ *
+ * @param {Object} post Post in the `edit` context.
+ * @return {ReadmePost} Readme post.
+ */
+function toReadmePost( post ) {
+	return {
+		id: post.id,
+		title: post.title ? post.title.raw : '',
+		content: post.content ? post.content.raw : '',
+		modified: post.modified,
+	};
+}
+
+/**
+ * List the user's readmes, last saved first.
+ *
+ * @param {ReadmePostStorage} storage Storage settings.
+ * @return {Promise<ReadmePost[]>} Readmes without their content.
+ */
+export function listReadmePosts( storage ) {
+	return request(
+		storage,
+		`?context=edit&status=private&author=${ storage.userId }&orderby=modified&per_page=100&_fields=id,title,modified`
+	).then( ( posts ) => posts.map( toReadmePost ) );
+}
+
+/**
+ * Load a readme.
+ *
+ * @param {ReadmePostStorage} storage Storage settings.
+ * @param {number}            id      Post id.
+ * @return {Promise<ReadmePost>} Readme.
+ */
+export function getReadmePost( storage, id ) {
+	return request( storage, `/${ id }?context=edit` ).then( toReadmePost );
+}
+
+/**
+ * Save a readme. Without an id a new readme is created, otherwise the
+ * existing one is updated and its previous text kept as a revision.
+ *
+ * @param {ReadmePostStorage} storage Storage settings.
+ * @param {Object}            readme  Readme with `title`, `content` and an optional `id`.
+ * @return {Promise<ReadmePost>} Saved readme, with the text as stored.
+ */
+export function saveReadmePost( storage, readme ) {
+	return request( storage, readme.id ? `/${ readme.id }` : '', {
+		title: readme.title,
+		content: readme.content,
+		status: 'private',
+	} ).then( toReadmePost );
+}
+
+/**
+ * List the revisions of a readme, newest first.
+ *
+ * @param {ReadmePostStorage} storage Storage settings.
+ * @param {number}            id      Post id.
+ * @return {Promise<ReadmeRevision[]>} Revisions without their content.
+ */
+export function listReadmeRevisions( storage, id ) {
+	return request(
+		storage,
+		`/${ id }/revisions?context=edit&per_page=100&_fields=id,date`
+	).then( ( revisions ) =>
+		revisions.map( ( revision ) => ( {
+			id: revision.id,
+			date: revision.date,
+			content: '',
+		} ) )
+	);
+}
+
+/**
+ * Load one revision of a readme.
+ *
+ * @param {ReadmePostStorage} storage    Storage settings.
+ * @param {number}            id         Post id.
+ * @param {number}            revisionId Revision id.
+ * @return {Promise<ReadmeRevision>} Revision.
+ */
+export function getReadmeRevision( storage, id, revisionId ) {
+	return request(
+		storage,
+		`/${ id }/revisions/${ revisionId }?context=edit`
+	).then( ( revision ) => ( {
+		id: revision.id,
+		date: revision.date,
+		content: revision.content ? revision.content.raw : '',
+	} ) );
+}
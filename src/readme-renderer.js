@@ -0,0 +1,541 @@
+/**
+ * WordPress Readme Generator - readme.txt HTML renderer
+ *
+ * Renders readme text the way the WordPress.org plugin directory shows it:
+ * `= Heading =` subheadings, Markdown lists, emphasis, code and links, a FAQ
+ * accordion and a plugin page layout with a banner, tabbed sections and a
+ * sidebar of meta data.
+ *
+ * Every piece of readme text is HTML-escaped before it is wrapped in markup
+ * and links are limited to http(s) and mailto URLs, so the output can be
+ * assigned to innerHTML.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { parseReadme, getSection, splitLines } from './readme-parser';
+
+const ESCAPES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;',
+	"'": '&#039;',
+};
+
+const SAFE_PROTOCOLS = [ 'http:', 'https:', 'mailto:' ];
+const SCREENSHOT_DATA_PATTERN =
+	/^data:image\/(?:png|jpeg|gif);base64,[a-z0-9+/]+=*$/i;
+const SUBHEADING_PATTERN = /^=\s*(.+?)\s*=$/;
+const ATX_HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*$/;
+const LIST_ITEM_PATTERN = /^\s*([*+-]|\d+[.)])\s+(.*)$/;
+const INDENTED_PATTERN = /^(?: {4}|\t)/;
+
+/**
+ * Tabs of the plugin page, in display order.
+ */
+export const PAGE_TABS = {
+	description: 'Description',
+	installation: 'Installation',
+	faq: 'FAQ',
+	changelog: 'Changelog',
+};
+
+/**
+ * Escape text for use in HTML content or attribute values.
+ *
+ * @param {*} text Text to escape.
+ * @return {string} Escaped text.
+ */
+export function escapeHTML( text ) {
+	return String( text ).replace( /[&<>"']/g, ( char ) => ESCAPES[ char ] );
+}
+
+/**
+ * Return a URL if it is absolute and uses an allowed protocol.
+ *
+ * @param {string} url Candidate URL.
+ * @return {string} Normalized URL, or an empty string when unsafe.
+ */
+export function getSafeUrl( url ) {
+	try {
+		const parsed = new URL( url );
+		return SAFE_PROTOCOLS.includes( parsed.protocol ) ? parsed.href : '';
+	} catch ( error ) {
+		return '';
+	}
+}
+
+/**
+ * Build a link that opens outside the preview.
+ *
+ * @param {string} href  Safe URL.
+ * @param {string} label Link content, already HTML.
+ * @return {string} Anchor markup.
+ */
+function link( href, label ) {
+	return `<a href="${ escapeHTML(
+		href
+	) }" target="_blank" rel="noopener noreferrer nofollow">${ label }</a>`;
+}
+
+/**
+ * Render inline Markdown: code spans, links, bare URLs, bold and italic.
+ *
+ * Code and links are swapped for placeholders before the rest of the text is
+ * escaped and formatted, so their content is not processed twice. Link labels
+ * share the placeholders of the text around them, so code in a label is kept.
+ *
+ * @param {string} text Inline text.
+ * @return {string} HTML.
+ */
+export function renderInline( text ) {
+	const tokens = [];
+	const stash = ( html ) => `\u0000${ tokens.push( html ) - 1 }\u0000`;
+	const restore = ( html ) =>
+		html.replace(
+			/\u0000(\d+)\u0000/g,
+			( match, index ) => tokens[ index ]
+		);
+
+	const format = ( source ) =>
+		escapeHTML(
+			source
+				.replace(
+					/\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/g,
+					( match, label, url ) => {
+						const href = getSafeUrl( url );
+						const content = restore( format( label ) );
+						return stash( href ? link( href, content ) : content );
+					}
+				)
+				.replace(
+					/(^|[\s(<])(https?:\/\/[^\s<>]*[^\s<>.,;:!?)'"])>?/g,
+					( match, before, url ) => {
+						const href = getSafeUrl( url );
+						return (
+							before.replace( '<', '' ) +
+							( href
+								? stash( link( href, escapeHTML( url ) ) )
+								: url )
+						);
+					}
+				)
+		)
+			.replace( /\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>' )
+			.replace( /__(?=\S)(.+?)__/g, '<strong>$1</strong>' )
+			.replace( /\*(?=\S)(.+?)\*/g, '<em>$1</em>' )
+			.replace( /(^|[^\w])_(?=\S)(.+?)_(?![\w])/g, '$1<em>$2</em>' );
+
+	return restore(
+		format(
+			String( text )
+				.replace( /\u0000/g, '' )
+				.replace( /`([^`]+)`/g, ( match, code ) =>
+					stash( `<code>${ escapeHTML( code ) }</code>` )
+				)
+		)
+	);
+}
+
+/**
+ * Render block Markdown as used in readme sections.
+ *
+ * Supports `= Heading =` and `#` headings, paragraphs, bullet and numbered
+ * lists, block quotes, and fenced or indented code.
+ *
+ * @param {string} text Section text.
+ * @return {string} HTML.
+ */
+export function renderMarkdown( text ) {
+	const lines = splitLines( text || '' );
+	const html = [];
+	let index = 0;
+
+	const isBlockStart = ( line ) => {
+		const trimmed = line.trim();
+		return (
+			SUBHEADING_PATTERN.test( trimmed ) ||
+			ATX_HEADING_PATTERN.test( trimmed ) ||
+			LIST_ITEM_PATTERN.test( line ) ||
+			/^(?:>|```)/.test( trimmed )
+		);
+	};
+
+	while ( index < lines.length ) {
+		const line = lines[ index ];
+		const trimmed = line.trim();
+
+		if ( ! trimmed ) {
+			index++;
+			continue;
+		}
+
+		if ( trimmed.startsWith( '```' ) ) {
+			const code = [];
+			index++;
+			while (
+				index < lines.length &&
+				! lines[ index ].trim().startsWith( '```' )
+			) {
+				code.push( lines[ index ] );
+				index++;
+			}
+			index++;
+			html.push(
+				`<pre><code>${ escapeHTML( code.join( '\n' ) ) }</code></pre>`
+			);
+			continue;
+		}
+
+		if ( INDENTED_PATTERN.test( line ) ) {
+			const code = [];
+			while (
+				index < lines.length &&
+				( INDENTED_PATTERN.test( lines[ index ] ) ||
+					! lines[ index ].trim() )
+			) {
+				code.push( lines[ index ].replace( INDENTED_PATTERN, '' ) );
+				index++;
+			}
+			while ( code.length && ! code[ code.length - 1 ].trim() ) {
+				code.pop();
+			}
+			html.push(
+				`<pre><code>${ escapeHTML( code.join( '\n' ) ) }</code></pre>`
+			);
+			continue;
+		}
+
+		const subheading = trimmed.match( SUBHEADING_PATTERN );
+		if ( subheading ) {
+			html.push( `<h4>${ renderInline( subheading[ 1 ] ) }</h4>` );
+			index++;
+			continue;
+		}
+
+		const heading = trimmed.match( ATX_HEADING_PATTERN );
+		if ( heading ) {
+			const level = Math.min( heading[ 1 ].length + 2, 6 );
+			html.push(
+				`<h${ level }>${ renderInline( heading[ 2 ] ) }</h${ level }>`
+			);
+			index++;
+			continue;
+		}
+
+		if ( trimmed.startsWith( '>' ) ) {
+			const quote = [];
+			while (
+				index < lines.length &&
+				lines[ index ].trim().startsWith( '>' )
+			) {
+				quote.push( lines[ index ].trim().replace( /^>\s?/, '' ) );
+				index++;
+			}
+			html.push(
+				`<blockquote>${ renderMarkdown(
+					quote.join( '\n' )
+				) }</blockquote>`
+			);
+			continue;
+		}
+
+		const item = line.match( LIST_ITEM_PATTERN );
+		if ( item ) {
+			const ordered = /\d/.test( item[ 1 ] );
+			const start = ordered ? parseInt( item[ 1 ], 10 ) : 1;
+			const items = [];
+			while ( index < lines.length ) {
+				const current = lines[ index ];
+				const match = current.match( LIST_ITEM_PATTERN );
+				if ( match && /\d/.test( match[ 1 ] ) === ordered ) {
+					items.push( [ match[ 2 ] ] );
+				} else if (
+					current.trim() &&
+					! match &&
+					! isBlockStart( current )
+				) {
+					items[ items.length - 1 ].push( current.trim() );
+				} else if ( ! current.trim() ) {
+					// A blank line only continues the list if another item follows.
+					const next = lines[ index + 1 ] || '';
+					const nextMatch = next.match( LIST_ITEM_PATTERN );
+					if (
+						! nextMatch ||
+						/\d/.test( nextMatch[ 1 ] ) !== ordered
+					) {
+						break;
+					}
+				} else {
+					break;
+				}
+				index++;
+			}
+			const tag = ordered ? 'ol' : 'ul';
+			const startAttribute =
+				ordered && start !== 1 ? ` start="${ start }"` : '';
+			html.push(
+				`<${ tag }${ startAttribute }>${ items
+					.map(
+						( parts ) =>
+							`<li>${ renderInline( parts.join( '\n' ) ) }</li>`
+					)
+					.join( '' ) }</${ tag }>`
+			);
+			continue;
+		}
+
+		const paragraph = [];
+		while (
+			index < lines.length &&
+			lines[ index ].trim() &&
+			( ! paragraph.length || ! isBlockStart( lines[ index ] ) )
+		) {
+			paragraph.push( lines[ index ].trim() );
+			index++;
+		}
+		html.push( `<p>${ renderInline( paragraph.join( '\n' ) ) }</p>` );
+	}
+
+	return html.join( '\n' );
+}
+
+/**
+ * Split FAQ section text into questions and answers. Questions may be written
+ * as `= Question =` or `### Question`; the first question sets the style, so
+ * headings of the other style stay part of the answers.
+ *
+ * @param {string} text FAQ section text.
+ * @return {{question: string, answer: string}[]} Entries; empty when the
+ *                                                section has no questions.
+ */
+function splitFAQ( text ) {
+	const entries = [];
+	let pattern = null;
+	splitLines( text || '' ).forEach( ( line ) => {
+		const trimmed = line.trim();
+		if ( ! pattern ) {
+			pattern = [ SUBHEADING_PATTERN, /^###\s+(.+?)\s*#*$/ ].find(
+				( item ) => item.test( trimmed )
+			);
+		}
+		const question = pattern && trimmed.match( pattern );
+		if ( question ) {
+			entries.push( { question: question[ 1 ], answer: [] } );
+		} else if ( entries.length ) {
+			entries[ entries.length - 1 ].answer.push( line );
+		}
+	} );
+	return entries.map( ( entry ) => ( {
+		question: entry.question,
+		answer: entry.answer.join( '\n' ),
+	} ) );
+}
+
+/**
+ * Render the FAQ section as an accordion of details elements.
+ *
+ * @param {string} text FAQ section text.
+ * @return {string} HTML.
+ */
+function renderFAQ( text ) {
+	const entries = splitFAQ( text );
+	if ( ! entries.length ) {
+		return renderMarkdown( text );
+	}
+	return `<div class="plugin-faq">${ entries
+		.map(
+			( entry ) =>
+				`<details class="plugin-faq-item"><summary>${ renderInline(
+					entry.question
+				) }</summary><div class="plugin-faq-answer">${ renderMarkdown(
+					entry.answer
+				) }</div></details>`
+		)
+		.join( '' ) }</div>`;
+}
+
+/**
+ * Render screenshot captions, with local images where available.
+ *
+ * @param {Object[]} screenshots Parsed screenshots.
+ * @param {string[]} images      Data URLs by screenshot position.
+ * @return {string} HTML.
+ */
+function renderScreenshots( screenshots, images ) {
+	return `<ol class="plugin-screenshots">${ screenshots
+		.map( ( screenshot, index ) => {
+			const image = images[ index ] || '';
+			const media = SCREENSHOT_DATA_PATTERN.test( image )
+				? `<img src="${ escapeHTML( image ) }" alt="${ escapeHTML(
+						screenshot.caption
+				  ) }">`
+				: `<span class="screenshot-placeholder">screenshot-${
+						index + 1
+				  }.png</span>`;
+			return `<li><figure>${ media }<figcaption>${ renderInline(
+				screenshot.caption
+			) }</figcaption></figure></li>`;
+		} )
+		.join( '' ) }</ol>`;
+}
+
+/**
+ * Render the sidebar with version, compatibility, tags and donate link.
+ *
+ * @param {Object} header Parsed header values.
+ * @return {string} HTML.
+ */
+function renderMeta( header ) {
+	const rows = [
+		[ 'Version', header.stableTag ],
+		[
+			'WordPress version',
+			header.requiresAtLeast && `${ header.requiresAtLeast } or higher`,
+		],
+		[ 'Tested up to', header.testedUpTo ],
+		[
+			'PHP version',
+			header.requiresPHP && `${ header.requiresPHP } or higher`,
+		],
+		[ 'Requires plugins', header.requiresPlugins.join( ', ' ) ],
+	]
+		.filter( ( [ , value ] ) => value )
+		.map(
+			( [ label, value ] ) =>
+				`<li>${ escapeHTML( label ) } <strong>${ escapeHTML(
+					value
+				) }</strong></li>`
+		);
+
+	if ( header.license ) {
+		const uri = getSafeUrl( header.licenseURI );
+		const license = escapeHTML( header.license );
+		rows.push(
+			`<li>License <strong>${
+				uri ? link( uri, license ) : license
+			}</strong></li>`
+		);
+	}
+
+	const tags = header.tags.length
+		? `<div class="plugin-tags"><h3>Tags</h3>${ header.tags
+				.map(
+					( tag ) =>
+						`<span class="plugin-tag">${ escapeHTML( tag ) }</span>`
+				)
+				.join( '' ) }</div>`
+		: '';
+
+	const donate = getSafeUrl( header.donateLink );
+
+	return `<aside class="plugin-meta"><ul>${ rows.join( '' ) }</ul>${ tags }${
+		donate
+			? `<p class="plugin-donate">${ link(
+					donate,
+					'Donate to this plugin'
+			  ) }</p>`
+			: ''
+	}</aside>`;
+}
+
+/**
+ * Render readme text as a plugin directory page.
+ *
+ * @param {string}   text                  Readme text.
+ * @param {Object}   [options]             Render options.
+ * @param {string}   [options.idPrefix]    Prefix for tab and panel ids.
+ * @param {string[]} [options.screenshots] Image data URLs by screenshot position.
+ * @return {string} HTML.
+ */
+export function renderReadme( text, options = {} ) {
+	const doc = parseReadme( text );
+	const prefix = escapeHTML( options.idPrefix || 'readme-preview' );
+	const sectionHTML = ( id ) => {
+		const section = getSection( doc, id );
+		return section ? renderMarkdown( section.content ) : '';
+	};
+
+	const panels = {
+		description: [
+			sectionHTML( 'description' ),
+			doc.screenshots.length
+				? `<h3>Screenshots</h3>${ renderScreenshots(
+						doc.screenshots,
+						options.screenshots || []
+				  ) }`
+				: '',
+			...doc.unknownSections.map(
+				( section ) =>
+					`<h3>${ renderInline(
+						section.title
+					) }</h3>${ renderMarkdown( section.content ) }`
+			),
+		].join( '' ),
+		installation: sectionHTML( 'installation' ),
+		faq: getSection( doc, 'faq' )
+			? renderFAQ( getSection( doc, 'faq' ).content )
+			: '',
+		changelog: [
+			sectionHTML( 'changelog' ),
+			getSection( doc, 'upgrade_notice' )
+				? `<h3>Upgrade Notice</h3>${ sectionHTML( 'upgrade_notice' ) }`
+				: '',
+		].join( '' ),
+	};
+
+	const tabs = Object.keys( PAGE_TABS ).filter( ( id ) => panels[ id ] );
+	const tabList = tabs
+		.map(
+			( id, index ) =>
+				`<button type="button" role="tab" class="plugin-tab" id="${ prefix }-tab-${ id }" aria-controls="${ prefix }-panel-${ id }" aria-selected="${
+					index === 0
+				}" tabindex="${ index === 0 ? 0 : -1 }">${
+					PAGE_TABS[ id ]
+				}</button>`
+		)
+		.join( '' );
+	const tabPanels = tabs
+		.map(
+			( id, index ) =>
+				`<div role="tabpanel" class="plugin-tab-panel" id="${ prefix }-panel-${ id }" aria-labelledby="${ prefix }-tab-${ id }"${
+					index === 0 ? '' : ' hidden'
+				}>${ panels[ id ] }</div>`
+		)
+		.join( '' );
+
+	const name = escapeHTML( doc.name || 'Plugin Name' );
+	const contributors = doc.header.contributors
+		.map( ( username ) =>
+			link(
+				`https://profiles.wordpress.org/${ encodeURIComponent(
+					username
+				) }/`,
+				escapeHTML( username )
+			)
+		)
+		.join( ', ' );
+
+	return `<div class="plugin-page">
+<div class="plugin-banner"><span class="plugin-banner-title">${ name }</span></div>
+<header class="plugin-header"><span class="plugin-icon" aria-hidden="true">${ escapeHTML(
+		( doc.name || 'P' ).charAt( 0 ).toUpperCase()
+	) }</span><div><h2 class="plugin-title">${ name }</h2>${
+		contributors ? `<p class="plugin-author">By ${ contributors }</p>` : ''
+	}</div></header>
+<div class="plugin-body">
+<div class="plugin-main">${
+		doc.shortDescription
+			? `<p class="plugin-short-description">${ renderInline(
+					doc.shortDescription
+			  ) }</p>`
+			: ''
+	}<div class="plugin-tabs" role="tablist" aria-label="Plugin sections">${ tabList }</div>${ tabPanels }</div>
+${ renderMeta( doc.header ) }
+</div>
+</div>`;
+}
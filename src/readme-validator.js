@@ -0,0 +1,461 @@
+/**
+ * WordPress Readme Generator - readme.txt validator
+ *
+ * Checks readme text against the rules the WordPress.org plugin directory
+ * applies when it reads a readme. Each problem comes back as a diagnostic
+ * naming the document field it belongs to, so the form can link to it.
+ * includes/readme.php applies the same rules for the REST API.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { parseReadme, getSection } from './readme-parser';
+import { DEFAULTS } from './readme-writer';
+import { compareVersions, isValidVersion } from './version';
+
+/**
+ * A single validation problem.
+ *
+ * @typedef {Object} ReadmeDiagnostic
+ * @property {string} rule      Id of the rule that failed.
+ * @property {string} severity  One of `error`, `warning` or `info`.
+ * @property {string} message   Human readable description.
+ * @property {string} field     Document field the problem belongs to, such as `stableTag`.
+ * @property {number} line      1-based source line, 0 when the field is missing.
+ * @property {string} [version] Changelog version the problem refers to.
+ */
+
+/**
+ * Severities in the order diagnostics are listed.
+ */
+export const SEVERITIES = [ 'error', 'warning', 'info' ];
+
+/**
+ * Latest WordPress release known here, used when the context does not name
+ * the version the site runs.
+ */
+export const LATEST_WORDPRESS_VERSION = '6.9';
+
+/**
+ * Directory limits.
+ */
+export const LIMITS = {
+	shortDescription: 150,
+	tags: 5,
+	upgradeNotice: 300,
+};
+
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Find the source line of a header field.
+ *
+ * @param {Object} doc Parsed document.
+ * @param {string} id  Header field id.
+ * @return {number} 1-based line, 0 when the field is missing.
+ */
+function getHeaderLine( doc, id ) {
+	const field = doc.headerFields.find( ( item ) => item.id === id );
+	return field ? field.line : 0;
+}
+
+/**
+ * What is known about the readme besides its text.
+ *
+ * @typedef {Object} ReadmeContext
+ * @property {string} [pluginVersion]    Version from the plugin's main file header.
+ * @property {string} [wordpressVersion] WordPress version the site runs, the
+ *                                       latest release a readme is compared to.
+ */
+
+/**
+ * Directory rules. Each one receives the parsed document, a report callback
+ * taking the severity, message, field and optional extra details, and the
+ * readme context.
+ */
+const RULES = {
+	name( doc, report ) {
+		if ( ! doc.name ) {
+			report(
+				'error',
+				'The readme must start with the plugin name as "=== Plugin Name ===".',
+				'name'
+			);
+		}
+	},
+
+	shortDescription( doc, report ) {
+		const length = doc.shortDescription.replace( /\s+/g, ' ' ).length;
+		if ( ! length ) {
+			report(
+				'error',
+				'Add a short description after the header; it is shown in search results.',
+				'shortDescription'
+			);
+		} else if ( length > LIMITS.shortDescription ) {
+			report(
+				'warning',
+				`The short description is ${ length } characters and will be cut off at ${ LIMITS.shortDescription }.`,
+				'shortDescription'
+			);
+		}
+	},
+
+	contributors( doc, report ) {
+		const contributors = doc.header.contributors;
+		if ( ! contributors.length ) {
+			report(
+				'error',
+				'List at least one WordPress.org username under Contributors.',
+				'contributors'
+			);
+			return;
+		}
+		const invalid = contributors.filter(
+			( name ) => ! USERNAME_PATTERN.test( name )
+		);
+		if ( invalid.length ) {
+			report(
+				'warning',
+				`Contributors must be WordPress.org usernames: ${ invalid.join(
+					', '
+				) }.`,
+				'contributors'
+			);
+		}
+	},
+
+	tags( doc, report ) {
+		const tags = doc.header.tags;
+		if ( tags.length > LIMITS.tags ) {
+			report(
+				'warning',
+				`Only the first ${ LIMITS.tags } tags are used; ${ tags
+					.slice( LIMITS.tags )
+					.join( ', ' ) } will be ignored.`,
+				'tags'
+			);
+		}
+	},
+
+	testedUpTo( doc, report, context ) {
+		const tested = doc.header.testedUpTo;
+		const major = ( context.wordpressVersion || '' ).match( /^\d+\.\d+/ );
+		const latest = major ? major[ 0 ] : LATEST_WORDPRESS_VERSION;
+		if ( ! tested ) {
+			report(
+				'error',
+				'Add "Tested up to" with the latest WordPress version you tested.',
+				'testedUpTo'
+			);
+		} else if ( ! /^\d+\.\d+$/.test( tested ) ) {
+			report(
+				'warning',
+				`"Tested up to" should be a major version such as ${ latest }, not ${ tested }.`,
+				'testedUpTo'
+			);
+		} else if ( compareVersions( tested, latest ) > 0 ) {
+			report(
+				'warning',
+				`WordPress ${ tested } is newer than ${ latest }, the latest version known here; check that it has been released.`,
+				'testedUpTo'
+			);
+		}
+	},
+
+	requiresAtLeast( doc, report ) {
+		const requires = doc.header.requiresAtLeast;
+		if ( ! requires ) {
+			report(
+				'warning',
+				'Add "Requires at least" with the oldest WordPress version supported.',
+				'requiresAtLeast'
+			);
+		} else if ( ! VERSION_PATTERN.test( requires ) ) {
+			report(
+				'error',
+				`"Requires at least" must be a version number, not ${ requires }.`,
+				'requiresAtLeast'
+			);
+		} else if (
+			VERSION_PATTERN.test( doc.header.testedUpTo ) &&
+			compareVersions( requires, doc.header.testedUpTo ) > 0
+		) {
+			report(
+				'error',
+				'"Requires at least" is newer than "Tested up to".',
+				'requiresAtLeast'
+			);
+		}
+	},
+
+	requiresPHP( doc, report ) {
+		const requires = doc.header.requiresPHP;
+		if ( requires && ! VERSION_PATTERN.test( requires ) ) {
+			report(
+				'error',
+				`"Requires PHP" must be a version number, not ${ requires }.`,
+				'requiresPHP'
+			);
+		}
+	},
+
+	requiresPlugins( doc, report ) {
+		const invalid = doc.header.requiresPlugins.filter(
+			( slug ) => ! SLUG_PATTERN.test( slug )
+		);
+		if ( invalid.length ) {
+			report(
+				'error',
+				`"Requires Plugins" takes WordPress.org plugin slugs: ${ invalid.join(
+					', '
+				) }.`,
+				'requiresPlugins'
+			);
+		}
+	},
+
+	stableTag( doc, report ) {
+		const stable = doc.header.stableTag;
+		if ( ! stable ) {
+			report(
+				'warning',
+				'Add a Stable tag; without one the directory serves trunk.',
+				'stableTag'
+			);
+		} else if ( stable.toLowerCase() === 'trunk' ) {
+			report(
+				'warning',
+				'Stable tag "trunk" is discouraged; point it at a released version.',
+				'stableTag'
+			);
+		} else if ( ! isValidVersion( stable ) ) {
+			report(
+				'warning',
+				`Stable tag ${ stable } is not a version number such as 1.2 or 2.0.0-beta.1.`,
+				'stableTag'
+			);
+		} else if (
+			doc.changelog.length &&
+			! doc.changelog.some( ( entry ) => entry.version === stable )
+		) {
+			report(
+				'warning',
+				`Stable tag ${ stable } has no matching changelog entry.`,
+				'stableTag'
+			);
+		}
+	},
+
+	pluginVersion( doc, report, context ) {
+		const stable = doc.header.stableTag;
+		const version = context.pluginVersion;
+		if ( version && stable && stable !== version ) {
+			report(
+				'warning',
+				`Stable tag ${ stable } does not match the Version ${ version } in the plugin header.`,
+				'stableTag'
+			);
+		}
+	},
+
+	changelogOrder( doc, report ) {
+		const seen = [];
+		let previous = '';
+		doc.changelog.forEach( ( entry ) => {
+			const details = { line: entry.line, version: entry.version };
+			if ( seen.includes( entry.version ) ) {
+				report(
+					'warning',
+					`Version ${ entry.version } is listed more than once in the changelog.`,
+					'changelog',
+					details
+				);
+			} else if (
+				previous &&
+				isValidVersion( entry.version ) &&
+				compareVersions( previous, entry.version ) < 0
+			) {
+				report(
+					'warning',
+					`Version ${ entry.version } is listed below the older ${ previous }; list the newest version first.`,
+					'changelog',
+					details
+				);
+			}
+			seen.push( entry.version );
+			if ( isValidVersion( entry.version ) ) {
+				previous = entry.version;
+			}
+		} );
+	},
+
+	changelogEntries( doc, report ) {
+		doc.changelog.forEach( ( entry ) => {
+			const details = { line: entry.line, version: entry.version };
+			if ( ! entry.changes.length ) {
+				report(
+					'warning',
+					`Version ${ entry.version } has no bullet items in the changelog, so it is dropped when the changelog is edited here.`,
+					'changelog',
+					details
+				);
+			} else if ( entry.otherLines ) {
+				report(
+					'warning',
+					`Version ${ entry.version } has text in the changelog that is not a bullet item, such as a paragraph or nested bullet. Only bullet items are kept when the changelog is edited here.`,
+					'changelog',
+					details
+				);
+			}
+		} );
+	},
+
+	license( doc, report ) {
+		if ( ! doc.header.license ) {
+			report(
+				'error',
+				'Add a License compatible with GPLv2 or later.',
+				'license'
+			);
+		}
+	},
+
+	links( doc, report ) {
+		[ 'donateLink', 'licenseURI' ].forEach( ( id ) => {
+			const link = doc.header[ id ];
+			if ( link && ! /^https?:\/\/\S+$/i.test( link ) ) {
+				report( 'warning', `${ link } is not an http(s) link.`, id );
+			}
+		} );
+	},
+
+	sections( doc, report ) {
+		if ( ! getSection( doc, 'description' ) ) {
+			report(
+				'warning',
+				'Add a Description section; it is the main text of the plugin page.',
+				'description'
+			);
+		}
+		if ( ! doc.changelog.length ) {
+			report(
+				'info',
+				'Add a changelog so users can see what changed in each version.',
+				'changelog'
+			);
+		}
+	},
+
+	upgradeNotices( doc, report ) {
+		doc.upgradeNotices.forEach( ( entry ) => {
+			if ( entry.notice.length > LIMITS.upgradeNotice ) {
+				report(
+					'warning',
+					`The upgrade notice for ${ entry.version } is longer than ${ LIMITS.upgradeNotice } characters.`,
+					'upgradeNotice',
+					{ line: entry.line, version: entry.version }
+				);
+			}
+		} );
+	},
+
+	placeholders( doc, report ) {
+		const labels = {
+			name: 'The plugin name',
+			shortDescription: 'The short description',
+			contributors: 'Contributors',
+			description: 'The Description section',
+			installation: 'The Installation section',
+		};
+		const placeholders = [
+			[ 'name', doc.name === DEFAULTS.name ],
+			[
+				'shortDescription',
+				doc.shortDescription === DEFAULTS.shortDescription,
+			],
+			[
+				'contributors',
+				doc.header.contributors.includes(
+					DEFAULTS.header.contributors[ 0 ]
+				),
+			],
+		];
+		[ 'description', 'installation' ].forEach( ( id ) => {
+			const section = getSection( doc, id );
+			placeholders.push( [
+				id,
+				!! section && section.content === DEFAULTS[ id ],
+			] );
+		} );
+
+		placeholders
+			.filter( ( [ , isPlaceholder ] ) => isPlaceholder )
+			.forEach( ( [ field ] ) =>
+				report(
+					'warning',
+					`${ labels[ field ] } still contains placeholder text.`,
+					field
+				)
+			);
+	},
+};
+
+/**
+ * Find the source line a field was read from.
+ *
+ * @param {Object} doc   Parsed document.
+ * @param {string} field Field id.
+ * @return {number} 1-based line, 0 when unknown.
+ */
+function getFieldLine( doc, field ) {
+	if ( field === 'name' ) {
+		return doc.nameLine;
+	}
+	if ( field === 'shortDescription' ) {
+		return doc.shortDescriptionLine;
+	}
+	const section = getSection( doc, field );
+	if ( section ) {
+		return section.line;
+	}
+	return getHeaderLine( doc, field );
+}
+
+/**
+ * Validate readme text.
+ *
+ * @param {string}        text      Readme text, usually the generated output.
+ * @param {ReadmeContext} [context] What is known about the plugin.
+ * @return {ReadmeDiagnostic[]} Diagnostics, most severe first.
+ */
+export function validateReadme( text, context = {} ) {
+	const doc = parseReadme( text );
+	const diagnostics = [];
+
+	Object.keys( RULES ).forEach( ( rule ) => {
+		RULES[ rule ](
+			doc,
+			( severity, message, field, extra = {} ) =>
+				diagnostics.push( {
+					rule,
+					severity,
+					message,
+					field,
+					line: getFieldLine( doc, field ),
+					...extra,
+				} ),
+			context
+		);
+	} );
+
+	return diagnostics.sort(
+		( a, b ) =>
+			SEVERITIES.indexOf( a.severity ) - SEVERITIES.indexOf( b.severity )
+	);
+}
@@ -0,0 +1,814 @@
+/**
+ * WordPress Readme Generator - readme.txt writer
+ *
+ * Turns a readme document (see readme-parser.js) back into readme.txt text.
+ * When the document was imported from an existing file, only the parts that
+ * changed are rewritten and everything else is copied from the source, so an
+ * untouched import comes back byte for byte, including sections, header lines
+ * and comments the form does not know about.
+ *
+ * @since 0.1.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import {
+	FAQ_STYLES,
+	getSection,
+	splitLines,
+	trimBlankLines,
+} from './readme-parser';
+
+/**
+ * Header labels in the order they are written.
+ */
+export const HEADER_LABELS = {
+	contributors: 'Contributors',
+	donateLink: 'Donate link',
+	tags: 'Tags',
+	requiresAtLeast: 'Requires at least',
+	testedUpTo: 'Tested up to',
+	stableTag: 'Stable tag',
+	requiresPHP: 'Requires PHP',
+	requiresPlugins: 'Requires Plugins',
+	network: 'Network',
+	license: 'License',
+	licenseURI: 'License URI',
+};
+
+/**
+ * Section headings in the order they are written.
+ */
+export const SECTION_TITLES = {
+	description: 'Description',
+	installation: 'Installation',
+	faq: 'Frequently Asked Questions',
+	screenshots: 'Screenshots',
+	changelog: 'Changelog',
+	upgrade_notice: 'Upgrade Notice',
+};
+
+/**
+ * Placeholder values used when generating a readme from scratch.
+ */
+export const DEFAULTS = {
+	name: 'Plugin Name',
+	shortDescription: 'Short description here.',
+	header: {
+		contributors: [ 'username' ],
+		tags: [ 'plugin' ],
+		requiresAtLeast: '5.0',
+		testedUpTo: '6.8',
+		stableTag: '1.0.0',
+		requiresPHP: '7.4',
+		license: 'GPL-2.0-or-later',
+		licenseURI: 'https://www.gnu.org/licenses/gpl-2.0.html',
+	},
+	description: 'Detailed description here.',
+	installation: '1. Upload to /wp-content/plugins/\n2. Activate the plugin',
+	faq: [
+		{
+			question: 'How do I use this plugin?',
+			answer: 'Just install and activate the plugin through the WordPress admin.',
+		},
+	],
+	changelog: [ { version: '1.0.0', changes: [ 'Initial release' ] } ],
+};
+
+/**
+ * Where WordPress.org serves the changelog.txt of a plugin, by slug.
+ */
+export const CHANGELOG_URL =
+	'https://plugins.svn.wordpress.org/%s/trunk/changelog.txt';
+
+/**
+ * Format a header value for output.
+ *
+ * @param {string|string[]} value Header value.
+ * @return {string} Formatted value.
+ */
+function formatHeaderValue( value ) {
+	return Array.isArray( value ) ? value.join( ', ' ) : value || '';
+}
+
+/**
+ * Find the heading style to write FAQ questions in.
+ *
+ * @param {Object} doc Readme document.
+ * @return {string} Key of FAQ_STYLES, `wordpress` unless the document asks
+ *                  for another.
+ */
+function getFAQStyle( doc ) {
+	return FAQ_STYLES[ doc.faqStyle ] ? doc.faqStyle : 'wordpress';
+}
+
+/**
+ * Section body renderers. Each one reads its part of the document and returns
+ * the body text, or undefined when the document does not manage that section.
+ */
+const SECTION_RENDERERS = {
+	description: textSection( 'description' ),
+	installation: textSection( 'installation' ),
+	faq: {
+		get: ( doc ) =>
+			doc.faq &&
+			doc.faq.map( ( entry ) => ( {
+				question: entry.question,
+				answer: entry.answer,
+				style: getFAQStyle( doc ),
+			} ) ),
+		render: ( faq ) =>
+			faq
+				.map(
+					( entry ) =>
+						FAQ_STYLES[ entry.style ].replace(
+							'%s',
+							() => entry.question
+						) + ( entry.answer ? `\n\n${ entry.answer }` : '' )
+				)
+				.join( '\n\n' ),
+		entries: ( doc ) => doc.faq,
+	},
+	screenshots: {
+		get: ( doc ) =>
+			doc.screenshots &&
+			doc.screenshots.map( ( entry, index ) => ( {
+				number: index + 1,
+				caption: entry.caption,
+			} ) ),
+		render: ( screenshots ) =>
+			screenshots
+				.map( ( entry ) => `${ entry.number }. ${ entry.caption }` )
+				.join( '\n' ),
+		entries: ( doc ) => doc.screenshots,
+	},
+	changelog: {
+		// A trimmed changelog ends with a link to the rest (see splitChangelog).
+		// Versions without bullet items are left out, as in the form.
+		get: ( doc ) =>
+			doc.changelog &&
+			doc.changelog
+				.filter( ( entry ) => entry.changes.length > 0 )
+				.map( ( entry ) => ( {
+					version: entry.version,
+					changes: entry.changes.slice(),
+				} ) )
+				.concat(
+					doc.changelogLink ? [ { link: doc.changelogLink } ] : []
+				),
+		render: ( changelog ) =>
+			changelog
+				.map( ( entry ) =>
+					entry.link
+						? `Older versions are listed in the [full changelog](${ entry.link }).`
+						: `= ${ entry.version } =\n` +
+						  entry.changes
+								.map( ( change ) => `* ${ change }` )
+								.join( '\n' )
+				)
+				.join( '\n\n' ),
+		entries: ( doc ) => doc.changelog,
+	},
+	upgrade_notice: {
+		get: ( doc ) =>
+			doc.upgradeNotices &&
+			doc.upgradeNotices.map( ( entry ) => ( {
+				version: entry.version,
+				notice: entry.notice,
+			} ) ),
+		render: ( notices ) =>
+			notices
+				.map( ( entry ) => `= ${ entry.version } =\n${ entry.notice }` )
+				.join( '\n\n' ),
+		entries: ( doc ) => doc.upgradeNotices,
+	},
+};
+
+/**
+ * Build a renderer for a free text section.
+ *
+ * @param {string} id Section id.
+ * @return {Object} Renderer.
+ */
+function textSection( id ) {
+	return {
+		get: ( doc ) => {
+			const section = getSection( doc, id );
+			if ( section ) {
+				return trimBlankLines(
+					splitLines( section.content || '' )
+				).join( '\n' );
+			}
+			return doc.source === undefined ? undefined : '';
+		},
+		render: ( content ) => content,
+		entries: () => [],
+	};
+}
+
+/**
+ * Compare two document values.
+ *
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @return {boolean} Whether both values serialize the same.
+ */
+function isSame( a, b ) {
+	return JSON.stringify( a ) === JSON.stringify( b );
+}
+
+/**
+ * Check whether a section body has anything to write.
+ *
+ * @param {*} value Value returned by a renderer's get().
+ * @return {boolean} Whether the value is empty.
+ */
+function isEmpty( value ) {
+	return Array.isArray( value ) ? value.length === 0 : ! value;
+}
+
+/**
+ * Generate a readme from scratch, filling gaps with placeholder values.
+ *
+ * @param {Object}   doc                      Readme document.
+ * @param {Object}   [options]                Options.
+ * @param {string[]} [options.noPlaceholders] Ids of sections that are left out
+ *                                            rather than filled when empty.
+ * @return {string} Readme text.
+ */
+export function generateReadme( doc, options = {} ) {
+	const noPlaceholders = options.noPlaceholders || [];
+	const placeholder = ( id, value ) =>
+		noPlaceholders.includes( id ) ? undefined : value;
+
+	const header = { ...DEFAULTS.header };
+	Object.keys( doc.header || {} ).forEach( ( id ) => {
+		if ( ! isEmpty( doc.header[ id ] ) ) {
+			header[ id ] = doc.header[ id ];
+		}
+	} );
+
+	const headerLines = Object.keys( HEADER_LABELS )
+		.filter( ( id ) => ! isEmpty( header[ id ] ) )
+		.map(
+			( id ) =>
+				`${ HEADER_LABELS[ id ] }: ${ formatHeaderValue(
+					header[ id ]
+				) }`
+		)
+		.concat(
+			( doc.unknownHeaderFields || [] )
+				.filter( ( field ) => field.key && field.value )
+				.map( ( field ) => `${ field.key }: ${ field.value }` )
+		);
+
+	const filled = {
+		...doc,
+		sections: Object.keys( SECTION_TITLES ).map( ( id ) => {
+			const section = getSection( doc, id );
+			return {
+				id,
+				content:
+					( section && section.content ) ||
+					placeholder( id, DEFAULTS[ id ] ),
+			};
+		} ),
+		faq: isEmpty( doc.faq ) ? placeholder( 'faq', DEFAULTS.faq ) : doc.faq,
+		changelog: isEmpty( doc.changelog )
+			? placeholder( 'changelog', DEFAULTS.changelog )
+			: doc.changelog,
+	};
+
+	const sections = Object.keys( SECTION_TITLES )
+		.filter( ( id ) => ! isEmpty( SECTION_RENDERERS[ id ].get( filled ) ) )
+		.map( ( id ) => {
+			const renderer = SECTION_RENDERERS[ id ];
+			return `== ${ SECTION_TITLES[ id ] } ==\n\n${ renderer.render(
+				renderer.get( filled )
+			) }`;
+		} );
+
+	const customSections = ( doc.unknownSections || [] )
+		.map( getCustomSection )
+		.filter( ( section ) => section.title && section.content )
+		.map( renderCustomSection );
+
+	return [
+		`=== ${ doc.name || DEFAULTS.name } ===`,
+		headerLines.join( '\n' ),
+		doc.shortDescription || DEFAULTS.shortDescription,
+		...sections,
+		...customSections.map( ( block ) => block.join( '\n' ) ),
+	].join( '\n\n' );
+}
+
+/**
+ * Build the link to the changelog.txt of a plugin on WordPress.org, whose
+ * slug is normally the plugin name in lowercase with dashes.
+ *
+ * @param {string} name Plugin name.
+ * @return {string} URL.
+ */
+export function getChangelogLink( name ) {
+	const slug = ( name || DEFAULTS.name )
+		.normalize( 'NFD' )
+		.replace( /[\u0300-\u036f]/g, '' )
+		.toLowerCase()
+		.replace( /[^a-z0-9]+/g, '-' )
+		.replace( /^-+|-+$/g, '' );
+	return CHANGELOG_URL.replace( '%s', slug || 'plugin-name' );
+}
+
+/**
+ * Keep only the latest versions in the changelog of a document. The readme
+ * changelog then ends with a link to the changelog.txt the older versions
+ * are moved to.
+ *
+ * @param {Object} doc  Readme document.
+ * @param {number} keep Versions to keep, 0 to keep them all.
+ * @param {string} link URL of the changelog.txt.
+ * @return {{document: Object, older: Object[]}} Document to write and the
+ *                                               entries moved out of it.
+ */
+export function splitChangelog( doc, keep, link ) {
+	const changelog = doc.changelog || [];
+	if ( ! keep || changelog.length <= keep ) {
+		return { document: doc, older: [] };
+	}
+	return {
+		document: {
+			...doc,
+			changelog: changelog.slice( 0, keep ),
+			changelogLink: link,
+		},
+		older: changelog.slice( keep ),
+	};
+}
+
+/**
+ * Generate a changelog.txt for entries moved out of the readme.
+ *
+ * @param {string}   name    Plugin name.
+ * @param {Object[]} entries Changelog entries.
+ * @return {string} Changelog text.
+ */
+export function generateChangelog( name, entries ) {
+	return `=== ${ name || DEFAULTS.name } ===\n\n== ${
+		SECTION_TITLES.changelog
+	} ==\n\n${ SECTION_RENDERERS.changelog.render( entries ) }\n`;
+}
+
+/**
+ * Write a readme, reusing the original text for every unchanged part.
+ *
+ * @param {Object}      doc       Readme document to write.
+ * @param {Object|null} original  Document the form was imported from, if any.
+ * @param {Object}      [options] Options passed to generateReadme().
+ * @return {string} Readme text.
+ */
+export function writeReadme( doc, original, options = {} ) {
+	if ( ! original || ! original.source ) {
+		return generateReadme( doc, options );
+	}
+
+	const source = original.source;
+	const bom = source.charAt( 0 ) === '\uFEFF' ? '\uFEFF' : '';
+	const parts = source.slice( bom.length ).split( /(\r\n|\r|\n)/ );
+	const lines = [];
+	const terminators = [];
+	for ( let i = 0; i < parts.length; i += 2 ) {
+		lines.push( parts[ i ] );
+		terminators.push( parts[ i + 1 ] || '' );
+	}
+	const eol = terminators.find( Boolean ) || '\n';
+
+	const edits = [];
+	const edit = ( start, end, replacement ) =>
+		edits.push( { start, end, replacement, order: edits.length } );
+
+	collectHeadEdits( doc, original, lines, edit );
+	collectSectionEdits( doc, original, lines, edit );
+	collectCustomSectionEdits( doc, original, lines, edit );
+
+	edits.sort( ( a, b ) => b.start - a.start || b.order - a.order );
+	edits.forEach( ( { start, end, replacement } ) => {
+		const atEnd = end >= lines.length;
+		const lastTerminator = atEnd ? terminators[ lines.length - 1 ] : eol;
+		const newTerminators = replacement.map( ( line, index ) =>
+			index === replacement.length - 1 ? lastTerminator : eol
+		);
+
+		// Appending after a final line that had no newline gives it one.
+		if ( start === lines.length && start > 0 && replacement.length ) {
+			terminators[ start - 1 ] = eol;
+		}
+
+		lines.splice( start, end - start, ...replacement );
+		terminators.splice( start, end - start, ...newTerminators );
+	} );
+
+	// Removing the last section leaves the blank lines that led up to it,
+	// so end the file with the same run of newlines as the original.
+	const ending = /(?:\r\n|\r|\n)*$/;
+	return (
+		bom +
+		lines
+			.map( ( line, index ) => line + terminators[ index ] )
+			.join( '' )
+			.replace( ending, source.match( ending )[ 0 ] )
+	);
+}
+
+/**
+ * Queue edits for the name, header fields and short description.
+ *
+ * @param {Object}   doc      Document being written.
+ * @param {Object}   original Imported document.
+ * @param {string[]} lines    Source lines.
+ * @param {Function} edit     Edit collector.
+ */
+function collectHeadEdits( doc, original, lines, edit ) {
+	if ( doc.name !== undefined && doc.name !== original.name ) {
+		if ( original.nameLine ) {
+			edit( original.nameLine - 1, original.nameLine, [
+				`=== ${ doc.name } ===`,
+			] );
+		} else if ( doc.name ) {
+			edit( 0, 0, [ `=== ${ doc.name } ===`, '' ] );
+		}
+	}
+
+	const fields = original.headerFields;
+	const lastHeaderLine = fields.length
+		? fields[ fields.length - 1 ].line
+		: original.nameLine;
+	const column = getHeaderColumn( fields, lines );
+	const added = [];
+
+	Object.keys( doc.header || {} ).forEach( ( id ) => {
+		const value = doc.header[ id ];
+		if ( value === undefined || isSame( value, original.header[ id ] ) ) {
+			return;
+		}
+
+		const field = fields.find( ( item ) => item.id === id );
+		const formatted = formatHeaderValue( value );
+		if ( field ) {
+			const index = field.line - 1;
+			edit(
+				index,
+				index + 1,
+				formatted
+					? [ replaceHeaderValue( lines[ index ], formatted ) ]
+					: []
+			);
+		} else if ( formatted && HEADER_LABELS[ id ] ) {
+			added.push(
+				formatHeaderLine( HEADER_LABELS[ id ], formatted, column )
+			);
+		}
+	} );
+
+	// Header lines the form has no field for, matched to the source by line.
+	if ( doc.unknownHeaderFields ) {
+		const originals = fields.filter( ( field ) => ! field.id );
+		const kept = [];
+
+		doc.unknownHeaderFields.forEach( ( field ) => {
+			const source = originals.find(
+				( item ) => item.line === field.line
+			);
+			if ( ! source ) {
+				if ( field.key && field.value ) {
+					added.push(
+						formatHeaderLine( field.key, field.value, column )
+					);
+				}
+				return;
+			}
+
+			kept.push( source );
+			if ( field.key === source.key && field.value === source.value ) {
+				return;
+			}
+			const index = source.line - 1;
+			if ( ! field.value ) {
+				edit( index, index + 1, [] );
+			} else if ( field.key === source.key ) {
+				edit( index, index + 1, [
+					replaceHeaderValue( lines[ index ], field.value ),
+				] );
+			} else {
+				edit( index, index + 1, [
+					formatHeaderLine( field.key, field.value, column ),
+				] );
+			}
+		} );
+
+		originals
+			.filter( ( field ) => ! kept.includes( field ) )
+			.forEach( ( field ) => edit( field.line - 1, field.line, [] ) );
+	}
+
+	if ( added.length ) {
+		if ( fields.length ) {
+			edit( lastHeaderLine, lastHeaderLine, added );
+		} else if ( original.nameLine ) {
+			edit( lastHeaderLine, lastHeaderLine, [ '', ...added ] );
+		} else {
+			edit( 0, 0, [ ...added, '' ] );
+		}
+	}
+
+	if (
+		doc.shortDescription !== undefined &&
+		doc.shortDescription !== original.shortDescription
+	) {
+		const replacement = doc.shortDescription
+			? splitLines( doc.shortDescription )
+			: [];
+		if ( original.shortDescriptionLine ) {
+			edit(
+				original.shortDescriptionLine - 1,
+				original.shortDescriptionEnd,
+				replacement
+			);
+		} else if ( replacement.length ) {
+			edit( lastHeaderLine, lastHeaderLine, [ '', ...replacement ] );
+		}
+	}
+}
+
+/**
+ * Swap the value of a `Key: value` line, keeping the key and its padding.
+ *
+ * @param {string} line  Source line.
+ * @param {string} value New value.
+ * @return {string} Updated line.
+ */
+function replaceHeaderValue( line, value ) {
+	let prefix = line.match( /^(\s*[^:]+:\s*)/ )[ 1 ];
+	if ( ! /\s$/.test( prefix ) ) {
+		prefix += ' ';
+	}
+	return prefix + value;
+}
+
+/**
+ * Build a new header line, padded so its value starts at the given column.
+ *
+ * @param {string} key    Field name.
+ * @param {string} value  Field value.
+ * @param {number} column Column values start at, 0 for no padding.
+ * @return {string} Header line.
+ */
+function formatHeaderLine( key, value, column ) {
+	const label = `${ key }:`;
+	return label.padEnd( Math.max( column, label.length + 1 ), ' ' ) + value;
+}
+
+/**
+ * Find the column header values start at, so new fields line up with
+ * existing ones in files that pad their header.
+ *
+ * @param {Object[]} fields Original header fields.
+ * @param {string[]} lines  Source lines.
+ * @return {number} Column, or 0 when values are not aligned.
+ */
+function getHeaderColumn( fields, lines ) {
+	const columns = fields.map(
+		( field ) =>
+			lines[ field.line - 1 ].match( /^(\s*[^:]+:\s*)/ )[ 1 ].length
+	);
+	const aligned =
+		columns.length > 1 &&
+		columns.every( ( value ) => value === columns[ 0 ] );
+	return aligned ? columns[ 0 ] : 0;
+}
+
+/**
+ * Queue edits for every section the document manages.
+ *
+ * @param {Object}   doc      Document being written.
+ * @param {Object}   original Imported document.
+ * @param {string[]} lines    Source lines.
+ * @param {Function} edit     Edit collector.
+ */
+function collectSectionEdits( doc, original, lines, edit ) {
+	const order = Object.keys( SECTION_TITLES );
+
+	order.forEach( ( id, position ) => {
+		const renderer = SECTION_RENDERERS[ id ];
+		const value = renderer.get( doc );
+		if (
+			value === undefined ||
+			isSame( value, renderer.get( original ) )
+		) {
+			return;
+		}
+
+		const section = getSection( original, id );
+
+		if ( ! section ) {
+			if ( isEmpty( value ) ) {
+				return;
+			}
+			// Insert before the first section that is written after this one.
+			const next = original.sections.find(
+				( item ) => order.indexOf( item.id ) > position
+			);
+			const block = [
+				`== ${ SECTION_TITLES[ id ] } ==`,
+				'',
+				...splitLines( renderer.render( value ) ),
+			];
+			if ( next ) {
+				edit( next.line - 1, next.line - 1, [ ...block, '' ] );
+			} else if ( lines[ lines.length - 1 ] === '' ) {
+				edit( lines.length - 1, lines.length - 1, [ '', ...block ] );
+			} else {
+				edit( lines.length, lines.length, [ '', ...block ] );
+			}
+			return;
+		}
+
+		if ( isEmpty( value ) ) {
+			edit( section.line - 1, section.endLine, [] );
+			return;
+		}
+
+		// Keep any introduction written before the first entry.
+		const entries = renderer.entries( original );
+		const intro = entries.length
+			? trimBlankLines(
+					lines.slice( section.line, entries[ 0 ].line - 1 )
+			  )
+			: [];
+
+		replaceSectionBody( section, lines, edit, [
+			...( intro.length ? [ ...intro, '' ] : [] ),
+			...splitLines( renderer.render( value ) ),
+		] );
+	} );
+}
+
+/**
+ * Replace the body of a section, keeping the blank lines around it.
+ *
+ * @param {Object}   section Original section.
+ * @param {string[]} lines   Source lines.
+ * @param {Function} edit    Edit collector.
+ * @param {string[]} body    New body lines.
+ */
+function replaceSectionBody( section, lines, edit, body ) {
+	const original = lines.slice( section.line, section.endLine );
+	let leading = 0;
+	while ( leading < original.length && original[ leading ].trim() === '' ) {
+		leading++;
+	}
+	let trailing = 0;
+	while (
+		trailing < original.length - leading &&
+		original[ original.length - 1 - trailing ].trim() === ''
+	) {
+		trailing++;
+	}
+	if ( leading === original.length ) {
+		leading = 1;
+		trailing = Math.max( original.length - 1, 1 );
+	}
+
+	edit( section.line, section.endLine, [
+		...new Array( leading ).fill( '' ),
+		...body,
+		...new Array( trailing ).fill( '' ),
+	] );
+}
+
+/**
+ * Normalize a custom section for comparison and output.
+ *
+ * @param {Object} section Section with a title and content.
+ * @return {{title: string, content: string}} Normalized section.
+ */
+function getCustomSection( section ) {
+	return {
+		title: ( section.title || '' ).trim(),
+		content: trimBlankLines( splitLines( section.content || '' ) ).join(
+			'\n'
+		),
+	};
+}
+
+/**
+ * Render a custom section as lines.
+ *
+ * @param {{title: string, content: string}} section Normalized section.
+ * @return {string[]} Heading, blank line and body.
+ */
+function renderCustomSection( section ) {
+	return [ `== ${ section.title } ==`, '', ...splitLines( section.content ) ];
+}
+
+/**
+ * Queue edits for custom sections, the ones without a known id.
+ *
+ * Sections carrying the `line` of an imported section are edited in place.
+ * New sections go next to their neighbours in the list, or after the last
+ * section when there are none. If imported sections were reordered, they are
+ * all rewritten at the position of the first one.
+ *
+ * @param {Object}   doc      Document being written.
+ * @param {Object}   original Imported document.
+ * @param {string[]} lines    Source lines.
+ * @param {Function} edit     Edit collector.
+ */
+function collectCustomSectionEdits( doc, original, lines, edit ) {
+	if (
+		! doc.unknownSections ||
+		isSame(
+			doc.unknownSections.map( getCustomSection ),
+			original.unknownSections.map( getCustomSection )
+		)
+	) {
+		return;
+	}
+
+	const originals = original.unknownSections;
+	const sections = doc.unknownSections.map( ( section ) => ( {
+		...getCustomSection( section ),
+		source: originals.find( ( item ) => item.line === section.line ),
+	} ) );
+	const kept = sections.filter( ( section ) => section.source );
+	const inOrder = kept.every(
+		( section, index ) =>
+			index === 0 || kept[ index - 1 ].source.line < section.source.line
+	);
+
+	// Insertions are queued before removals and rewrites so that, at a shared
+	// position, they end up in front of whatever follows.
+	const insert = ( index, block ) => {
+		if ( index < lines.length ) {
+			edit( index, index, [ ...block, '' ] );
+		} else if ( lines[ lines.length - 1 ] === '' ) {
+			edit( lines.length - 1, lines.length - 1, [ '', ...block ] );
+		} else {
+			edit( lines.length, lines.length, [ '', ...block ] );
+		}
+	};
+	const remove = ( section ) => edit( section.line - 1, section.endLine, [] );
+
+	if ( ! inOrder ) {
+		sections.forEach( ( section ) =>
+			insert( originals[ 0 ].line - 1, renderCustomSection( section ) )
+		);
+		originals.forEach( remove );
+		return;
+	}
+
+	sections.forEach( ( section, index ) => {
+		if ( section.source ) {
+			return;
+		}
+		const previous = sections
+			.slice( 0, index )
+			.reverse()
+			.find( ( item ) => item.source );
+		const next = sections
+			.slice( index + 1 )
+			.find( ( item ) => item.source );
+		let position = lines.length;
+		if ( previous ) {
+			position = previous.source.endLine;
+		} else if ( next ) {
+			position = next.source.line - 1;
+		} else if ( originals.length ) {
+			position = originals[ 0 ].line - 1;
+		}
+		insert( position, renderCustomSection( section ) );
+	} );
+
+	originals
+		.filter(
+			( item ) => ! kept.some( ( section ) => section.source === item )
+		)
+		.forEach( remove );
+
+	kept.forEach( ( section ) => {
+		const source = getCustomSection( section.source );
+		if ( section.title !== source.title ) {
+			edit( section.source.line - 1, section.source.line, [
+				`== ${ section.title } ==`,
+			] );
+		}
+		if ( section.content !== source.content ) {
+			replaceSectionBody(
+				section.source,
+				lines,
+				edit,
+				splitLines( section.content )
+			);
+		}
+	} );
+}
@@ -91,19 +91,9 @@ $current_user_id = get_current_user_id();
 $nonce_action = 'wordpress_readme_generator_' . $current_user_id;
 $nonce = wp_create_nonce( $nonce_action );
 
-// Security: Sanitize and validate any attributes passed to the block
-$block_attributes = $attributes ?? array();
-$block_attributes = array_map( function( $value ) {
-	if ( is_string( $value ) ) {
-		return sanitize_text_field( $value );
-	} elseif ( is_array( $value ) ) {
-		return array_map( 'sanitize_text_field', $value );
-	}
-	return $value;
-}, $block_attributes );
-
 // Security: Define allowed WordPress versions (regularly updated whitelist)
 $wp_versions = array(
+	'6.9' => '6.9',
 	'6.8' => '6.8',
 	'6.7' => '6.7',
 	'6.6' => '6.6',
@@ -142,6 +132,86 @@ $php_versions = array(
 	'7.0' => '7.0'
 );
 
+// Licenses offered in the form: SPDX identifier => label and license URI
+$licenses = array(
+	'GPL-2.0-or-later'  => array(
+		'label' => __( 'GNU GPL v2 or later', 'wordpress-readme-generator-block-wp' ),
+		'uri'   => 'https://www.gnu.org/licenses/gpl-2.0.html',
+	),
+	'GPL-2.0-only'      => array(
+		'label' => __( 'GNU GPL v2 only', 'wordpress-readme-generator-block-wp' ),
+		'uri'   => 'https://www.gnu.org/licenses/gpl-2.0.html',
+	),
+	'GPL-3.0-or-later'  => array(
+		'label' => __( 'GNU GPL v3 or later', 'wordpress-readme-generator-block-wp' ),
+		'uri'   => 'https://www.gnu.org/licenses/gpl-3.0.html',
+	),
+	'GPL-3.0-only'      => array(
+		'label' => __( 'GNU GPL v3 only', 'wordpress-readme-generator-block-wp' ),
+		'uri'   => 'https://www.gnu.org/licenses/gpl-3.0.html',
+	),
+	'LGPL-2.1-or-later' => array(
+		'label' => __( 'GNU LGPL v2.1 or later', 'wordpress-readme-generator-block-wp' ),
+		'uri'   => 'https://www.gnu.org/licenses/old-licenses/lgpl-2.1.html',
+	),
+	'MIT'               => array(
+		'label' => __( 'MIT License', 'wordpress-readme-generator-block-wp' ),
+		'uri'   => 'https://opensource.org/licenses/MIT',
+	),
+	'BSD-3-Clause'      => array(
+		'label' => __( 'BSD 3-Clause License', 'wordpress-readme-generator-block-wp' ),
+		'uri'   => 'https://opensource.org/licenses/BSD-3-Clause',
+	),
+);
+
+// Security: Sanitize and validate the form settings chosen in the block editor
+$form_sections = array( 'license', 'installation', 'faq', 'screenshots', 'changelog', 'custom' );
+$hidden_sections = isset( $attributes['hiddenSections'] ) && is_array( $attributes['hiddenSections'] ) ? $attributes['hiddenSections'] : array();
+$hidden_sections = array_values( array_intersect( $form_sections, array_map( 'sanitize_key', array_filter( $hidden_sections, 'is_string' ) ) ) );
+
+$form_mode = isset( $attributes['formMode'] ) && 'simple' === $attributes['formMode'] ? 'simple' : 'advanced';
+
+$default_contributors = isset( $attributes['defaultContributors'] ) && is_string( $attributes['defaultContributors'] ) ? explode( ',', $attributes['defaultContributors'] ) : array();
+$default_contributors = array_slice( array_values( array_filter( array_map( 'trim', $default_contributors ), function( $username ) {
+	return (bool) preg_match( '/^[a-zA-Z0-9_-]{1,50}$/', $username );
+} ) ), 0, 10 );
+
+// Defaults must be one of the options the form offers
+$default_license = isset( $attributes['defaultLicense'] ) && is_string( $attributes['defaultLicense'] ) ? $attributes['defaultLicense'] : 'GPL-2.0-or-later';
+if ( ! isset( $licenses[ $default_license ] ) ) {
+	$default_license = '';
+}
+$default_requires_wp = isset( $attributes['defaultRequiresAtLeast'], $wp_versions[ $attributes['defaultRequiresAtLeast'] ] ) ? $attributes['defaultRequiresAtLeast'] : '';
+$default_requires_php = isset( $attributes['defaultRequiresPHP'], $php_versions[ $attributes['defaultRequiresPHP'] ] ) ? $attributes['defaultRequiresPHP'] : '';
+
+// Security: The download name is a plain .txt file name
+$download_filename = isset( $attributes['downloadFilename'] ) && is_string( $attributes['downloadFilename'] ) ? sanitize_file_name( $attributes['downloadFilename'] ) : '';
+$download_filename = preg_replace( '/\.txt$/i', '', substr( $download_filename, 0, 96 ) );
+$download_filename = '' !== $download_filename ? $download_filename . '.txt' : 'readme.txt';
+
+// Versions kept in readme.txt before the rest move to changelog.txt, 0 for all
+$changelog_versions = isset( $attributes['changelogVersions'] ) && is_numeric( $attributes['changelogVersions'] ) ? min( absint( $attributes['changelogVersions'] ), 100 ) : 0;
+
+$form_settings = array(
+	'hiddenSections'      => $hidden_sections,
+	'mode'                => $form_mode,
+	'defaultContributors' => $default_contributors,
+	'downloadFilename'    => $download_filename,
+	'changelogVersions'   => $changelog_versions,
+	'wordpressVersion'    => get_bloginfo( 'version' ),
+);
+
+// Steps of the guided mode, in order. Form sections name their step in data-wizard-step
+$wizard_steps = array(
+	__( 'Basics', 'wordpress-readme-generator-block-wp' ),
+	__( 'Versions', 'wordpress-readme-generator-block-wp' ),
+	__( 'Description', 'wordpress-readme-generator-block-wp' ),
+	__( 'Installation', 'wordpress-readme-generator-block-wp' ),
+	__( 'FAQ', 'wordpress-readme-generator-block-wp' ),
+	__( 'Changelog', 'wordpress-readme-generator-block-wp' ),
+	__( 'Review', 'wordpress-readme-generator-block-wp' ),
+);
+
 // Security: Content Security Policy headers for this specific block
 if ( ! headers_sent() ) {
 	header( "X-Content-Type-Options: nosniff" );
@@ -193,15 +263,86 @@ if ( ! function_exists( 'wordpress_readme_generator_validate_file_upload' ) ) {
 	}
 }
 
+/**
+ * Security: Sanitize the readme saved in the block's formData attribute
+ *
+ * The saved readme is handed to the frontend form as JSON, so only strings,
+ * numbers, booleans and nested arrays of those are kept.
+ *
+ * @param mixed $value Saved value.
+ * @return mixed Sanitized value, null when the type is not allowed.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_sanitize_saved_readme' ) ) {
+	function wordpress_readme_generator_sanitize_saved_readme( $value ) {
+		if ( is_string( $value ) ) {
+			return wp_check_invalid_utf8( $value );
+		}
+		
+		if ( is_int( $value ) || is_float( $value ) || is_bool( $value ) ) {
+			return $value;
+		}
+		
+		if ( is_array( $value ) ) {
+			return array_map( 'wordpress_readme_generator_sanitize_saved_readme', $value );
+		}
+		
+		return null;
+	}
+}
+
+/**
+ * Output the attributes of a form section the site owner can hide
+ *
+ * @param string $section         Section key.
+ * @param array  $hidden_sections Keys of the hidden sections.
+ */
+if ( ! function_exists( 'wordpress_readme_generator_section_attributes' ) ) {
+	function wordpress_readme_generator_section_attributes( $section, $hidden_sections ) {
+		echo ' data-form-section="' . esc_attr( $section ) . '"';
+		if ( in_array( $section, $hidden_sections, true ) ) {
+			echo ' data-section-disabled hidden';
+		}
+	}
+}
+
+// Readme authored in the block editor, shown in the form when the page loads
+$saved_readme = null;
+$form_data = isset( $attributes['formData'] ) && is_array( $attributes['formData'] ) ? $attributes['formData'] : array();
+
+if ( ! empty( $form_data['document'] ) && is_array( $form_data['document'] ) ) {
+	$saved_readme = array(
+		'document' => wordpress_readme_generator_sanitize_saved_readme( $form_data['document'] ),
+		'source'   => isset( $form_data['source'] ) && is_string( $form_data['source'] ) ? wp_check_invalid_utf8( $form_data['source'] ) : '',
+	);
+}
+
+// Readmes saved to the site as private posts, for users who may create them
+$readme_storage   = null;
+$readme_post_type = get_post_type_object( 'plugin_readme' );
+
+if ( ! $public_access && $readme_post_type && current_user_can( $readme_post_type->cap->create_posts ) ) {
+	$readme_storage = array(
+		'root'        => esc_url_raw( rest_url( 'wp/v2/' . $readme_post_type->rest_base ) ),
+		'nonce'       => wp_create_nonce( 'wp_rest' ),
+		'userId'      => $current_user_id,
+		'revisionUrl' => esc_url_raw( admin_url( 'revision.php' ) ),
+	);
+}
+
 // Security: Create wrapper attributes with proper escaping
 $wrapper_attributes = get_block_wrapper_attributes( array( 
-	'class' => 'wp-block-telex-block-wordpress-readme-generator-frontend',
+	'class' => 'wp-block-telex-block-wordpress-readme-generator-frontend' . ( 'simple' === $form_mode ? ' is-simple-mode' : '' ),
 	'data-nonce' => esc_attr( $nonce ),
-	'data-public-access' => $public_access ? 'true' : 'false'
+	'data-public-access' => $public_access ? 'true' : 'false',
+	'data-current-step' => absint( $attributes['currentStep'] ?? 0 ),
+	'data-settings' => wp_json_encode( $form_settings )
 ) );
 
 ?>
 <div <?php echo $wrapper_attributes; // Already escaped by WordPress core ?>>
+	<?php if ( $saved_readme ) : ?>
+	<script type="application/json" class="readme-saved-data"><?php echo wp_json_encode( $saved_readme, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT ); ?></script>
+	<?php endif; ?>
 	<div class="readme-generator-form">
 		<div class="form-header">
 			<h2><?php echo esc_html__( 'WordPress Readme Generator', 'wordpress-readme-generator-block-wp' ); ?></h2>
@@ -213,294 +354,592 @@ $wrapper_attributes = get_block_wrapper_attributes( array(
 
 		<!-- File Upload Section with Enhanced Security -->
 		<div class="form-section file-upload-section">
-			<h3><?php echo esc_html__( 'Import Existing Readme', 'wordpress-readme-generator-block-wp' ); ?></h3>
+			<h3><?php echo esc_html__( 'Import Existing Readme or Plugin', 'wordpress-readme-generator-block-wp' ); ?></h3>
 			<div class="form-row">
-				<label for="readmeFile"><?php echo esc_html__( 'Upload readme.txt file (optional)', 'wordpress-readme-generator-block-wp' ); ?></label>
+				<label for="readmeFile"><?php echo esc_html__( 'Upload readme.txt or README.md file (optional)', 'wordpress-readme-generator-block-wp' ); ?></label>
 				<input 
 					type="file" 
 					id="readmeFile" 
-					accept=".txt" 
+					accept=".txt,.md" 
 					class="file-input"
 					data-max-size="102400"
 					aria-describedby="file-upload-help"
 				>
-				<small id="file-upload-help"><?php echo esc_html__( 'Choose an existing readme.txt file to populate the form fields automatically. Max size: 100KB', 'wordpress-readme-generator-block-wp' ); ?></small>
+				<small id="file-upload-help"><?php echo esc_html__( 'Choose an existing readme.txt, or a GitHub README.md, to populate the form fields automatically. Max size: 100KB', 'wordpress-readme-generator-block-wp' ); ?></small>
+			</div>
+			<div class="form-row">
+				<label for="pluginFile"><?php echo esc_html__( 'Upload main plugin file or plugin ZIP (optional)', 'wordpress-readme-generator-block-wp' ); ?></label>
+				<input 
+					type="file" 
+					id="pluginFile" 
+					accept=".php,.zip" 
+					class="file-input"
+					data-max-size="10485760"
+					aria-describedby="plugin-upload-help"
+				>
+				<small id="plugin-upload-help"><?php echo esc_html__( 'Fills the name, version, requirements, author and license from the plugin header. A readme.txt inside the ZIP is imported too. Files are read in your browser and never uploaded. Max size: 10MB', 'wordpress-readme-generator-block-wp' ); ?></small>
+			</div>
+		</div>
+
+		<!-- Saved Projects -->
+		<div class="form-section project-switcher" id="projectSwitcher" hidden>
+			<h3><?php echo esc_html__( 'Projects', 'wordpress-readme-generator-block-wp' ); ?></h3>
+			<div class="form-row">
+				<label for="projectSelect"><?php echo esc_html__( 'Project', 'wordpress-readme-generator-block-wp' ); ?></label>
+				<div class="project-bar">
+					<select id="projectSelect" class="components-select-control__input" aria-describedby="project-help"></select>
+					<button type="button" id="newProjectBtn" class="components-button is-secondary"><?php echo esc_html__( 'New', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="duplicateProjectBtn" class="components-button is-secondary"><?php echo esc_html__( 'Duplicate', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="renameProjectBtn" class="components-button is-secondary" disabled><?php echo esc_html__( 'Rename', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="deleteProjectBtn" class="components-button is-destructive" disabled><?php echo esc_html__( 'Delete', 'wordpress-readme-generator-block-wp' ); ?></button>
+				</div>
 			</div>
+			<p class="section-help"><small id="project-help"><?php echo esc_html__( 'Keep a readme per plugin. Projects are stored in this browser only and the open project is saved as you edit. Duplicate saves an unsaved readme as a new project.', 'wordpress-readme-generator-block-wp' ); ?></small></p>
+			<p class="section-help"><small id="projectStatus" role="status"></small></p>
+		</div>
+
+		<?php if ( $readme_storage ) : ?>
+		<!-- Readmes Saved to the Site -->
+		<div class="form-section project-switcher site-readmes" id="siteReadmes" data-storage="<?php echo esc_attr( wp_json_encode( $readme_storage ) ); ?>" hidden>
+			<h3><?php echo esc_html__( 'Saved Readmes', 'wordpress-readme-generator-block-wp' ); ?></h3>
+			<div class="form-row">
+				<label for="siteReadmeSelect"><?php echo esc_html__( 'Readme', 'wordpress-readme-generator-block-wp' ); ?></label>
+				<div class="project-bar">
+					<select id="siteReadmeSelect" class="components-select-control__input" aria-describedby="site-readme-help"></select>
+					<button type="button" id="loadSiteReadmeBtn" class="components-button is-secondary" disabled><?php echo esc_html__( 'Load', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="saveSiteReadmeBtn" class="components-button is-secondary"><?php echo esc_html__( 'Save', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="saveSiteReadmeAsBtn" class="components-button is-secondary"><?php echo esc_html__( 'Save as New', 'wordpress-readme-generator-block-wp' ); ?></button>
+				</div>
+			</div>
+			<div class="form-row">
+				<label for="siteRevisionSelect"><?php echo esc_html__( 'Revisions', 'wordpress-readme-generator-block-wp' ); ?></label>
+				<div class="project-bar">
+					<select id="siteRevisionSelect" class="components-select-control__input" disabled></select>
+					<button type="button" id="loadSiteRevisionBtn" class="components-button is-secondary" disabled><?php echo esc_html__( 'Load Revision', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<a id="compareSiteRevisionLink" class="components-button is-secondary" target="_blank" rel="noopener" hidden><?php echo esc_html__( 'Compare and Restore', 'wordpress-readme-generator-block-wp' ); ?></a>
+				</div>
+			</div>
+			<p class="section-help"><small id="site-readme-help"><?php echo esc_html__( 'Save the readme privately to your account on this site. Every save keeps a revision; load one into the form, or compare and restore revisions on the revisions screen.', 'wordpress-readme-generator-block-wp' ); ?></small></p>
+			<p class="section-help"><small id="siteReadmeStatus" role="status"></small></p>
+		</div>
+		<?php endif; ?>
+
+		<!-- Autosaved Draft Prompt -->
+		<div id="draftPrompt" class="draft-prompt" role="region" aria-label="<?php echo esc_attr__( 'Saved draft', 'wordpress-readme-generator-block-wp' ); ?>" hidden>
+			<p><?php echo esc_html__( 'An autosaved draft of this readme was found. Changes are not autosaved until you restore or discard it.', 'wordpress-readme-generator-block-wp' ); ?></p>
+			<button type="button" id="restoreDraftBtn" class="components-button is-primary"></button>
+			<button type="button" id="discardDraftBtn" class="components-button is-secondary"><?php echo esc_html__( 'Discard draft', 'wordpress-readme-generator-block-wp' ); ?></button>
 		</div>
 
-		<form id="readmeForm" method="post" enctype="multipart/form-data" novalidate>
-			<?php wp_nonce_field( $nonce_action, '_wpnonce', true, true ); ?>
-			<input type="hidden" name="action" value="generate_readme">
-			<input type="hidden" name="user_id" value="<?php echo esc_attr( $current_user_id ); ?>">
+		<div class="generator-layout">
+			<form id="readmeForm" method="post" enctype="multipart/form-data" novalidate>
+				<?php wp_nonce_field( $nonce_action, '_wpnonce', true, true ); ?>
+				<input type="hidden" name="action" value="generate_readme">
+				<input type="hidden" name="user_id" value="<?php echo esc_attr( $current_user_id ); ?>">
+
+				<!-- Undo / Redo -->
+				<div class="history-toolbar" role="toolbar" aria-label="<?php echo esc_attr__( 'Edit history', 'wordpress-readme-generator-block-wp' ); ?>">
+					<label class="wizard-mode-toggle" for="wizardModeToggle">
+						<input type="checkbox" id="wizardModeToggle" aria-controls="wizardProgress">
+						<?php echo esc_html__( 'Guided mode', 'wordpress-readme-generator-block-wp' ); ?>
+					</label>
+					<button type="button" id="undoBtn" class="components-button is-secondary" title="<?php echo esc_attr__( 'Undo (Ctrl+Z)', 'wordpress-readme-generator-block-wp' ); ?>" aria-keyshortcuts="Control+Z" disabled>↶ <?php echo esc_html__( 'Undo', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="redoBtn" class="components-button is-secondary" title="<?php echo esc_attr__( 'Redo (Ctrl+Shift+Z)', 'wordpress-readme-generator-block-wp' ); ?>" aria-keyshortcuts="Control+Shift+Z" disabled>↷ <?php echo esc_html__( 'Redo', 'wordpress-readme-generator-block-wp' ); ?></button>
+				</div>
+
+				<!-- Guided Mode Progress -->
+				<nav id="wizardProgress" class="wizard-progress" aria-label="<?php echo esc_attr__( 'Readme steps', 'wordpress-readme-generator-block-wp' ); ?>" hidden>
+					<ol>
+						<?php foreach ( $wizard_steps as $step_index => $step_label ) : ?>
+						<li><button type="button" class="wizard-step" data-step="<?php echo esc_attr( $step_index ); ?>"><?php echo esc_html( $step_label ); ?></button></li>
+						<?php endforeach; ?>
+					</ol>
+					<p id="wizardStatus" class="wizard-status" aria-live="polite"></p>
+				</nav>
+				<div id="wizardErrors" class="wizard-errors" role="alert" hidden>
+					<p><?php echo esc_html__( 'Fix these problems to continue:', 'wordpress-readme-generator-block-wp' ); ?></p>
+					<ul id="wizardErrorList" class="validation-list"></ul>
+				</div>
 			
-			<!-- Basic Information Section -->
-			<div class="form-section">
-				<h3><?php echo esc_html__( 'Basic Information', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				<!-- Basic Information Section -->
+				<div class="form-section" data-preview-section="header" data-wizard-step="0">
+					<h3><?php echo esc_html__( 'Basic Information', 'wordpress-readme-generator-block-wp' ); ?></h3>
 				
-				<div class="form-row">
-					<label for="pluginName"><?php echo esc_html__( 'Plugin Name', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-					<input 
-						type="text" 
-						id="pluginName" 
-						name="pluginName" 
-						class="components-text-control__input" 
-						placeholder="<?php echo esc_attr__( 'My Awesome Plugin', 'wordpress-readme-generator-block-wp' ); ?>" 
-						required 
-						maxlength="100"
-						minlength="3"
-						pattern="[A-Za-z0-9\s\-_]+"
-						aria-describedby="plugin-name-help"
-					>
-					<small id="plugin-name-help"><?php echo esc_html__( 'Enter a descriptive name for your plugin (3-100 characters)', 'wordpress-readme-generator-block-wp' ); ?></small>
-				</div>
+					<div class="form-row">
+						<label for="pluginName"><?php echo esc_html__( 'Plugin Name', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+						<input 
+							type="text" 
+							id="pluginName" 
+							name="pluginName" 
+							class="components-text-control__input" 
+							placeholder="<?php echo esc_attr__( 'My Awesome Plugin', 'wordpress-readme-generator-block-wp' ); ?>" 
+							required 
+							maxlength="100"
+							minlength="3"
+							pattern="[A-Za-z0-9\s\-_]+"
+							aria-describedby="plugin-name-help"
+						>
+						<small id="plugin-name-help"><?php echo esc_html__( 'Enter a descriptive name for your plugin (3-100 characters)', 'wordpress-readme-generator-block-wp' ); ?></small>
+					</div>
 
-				<div class="form-row">
-					<label for="shortDescription"><?php echo esc_html__( 'Short Description', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-					<div class="formatting-toolbar">
-						<button type="button" class="format-btn" data-format="bold" title="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>"><strong>B</strong></button>
-						<button type="button" class="format-btn" data-format="italic" title="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>"><em>I</em></button>
-						<button type="button" class="format-btn" data-format="code" title="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>">&lt;/&gt;</button>
-						<button type="button" class="format-btn" data-format="heading" title="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>">H</button>
-						<button type="button" class="format-btn" data-format="bullet" title="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>">•</button>
-						<button type="button" class="format-btn" data-format="numbered" title="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>">1.</button>
-						<button type="button" class="format-btn format-btn-last" data-format="link" title="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>">L</button>
+					<div class="form-row">
+						<label for="shortDescription"><?php echo esc_html__( 'Short Description', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+						<div class="formatting-toolbar">
+							<button type="button" class="format-btn" data-format="bold" title="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>"><strong>B</strong></button>
+							<button type="button" class="format-btn" data-format="italic" title="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>"><em>I</em></button>
+							<button type="button" class="format-btn" data-format="code" title="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>">&lt;/&gt;</button>
+							<button type="button" class="format-btn" data-format="heading" title="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>">H</button>
+							<button type="button" class="format-btn" data-format="bullet" title="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>">•</button>
+							<button type="button" class="format-btn" data-format="numbered" title="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>">1.</button>
+							<button type="button" class="format-btn format-btn-last" data-format="link" title="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>">L</button>
+						</div>
+						<textarea 
+							id="shortDescription" 
+							name="shortDescription" 
+							class="components-textarea-control__input" 
+							rows="3" 
+							placeholder="<?php echo esc_attr__( 'A brief description of what your plugin does...', 'wordpress-readme-generator-block-wp' ); ?>" 
+							data-formatted="true" 
+							maxlength="150"
+							required
+							aria-describedby="short-desc-help"
+						></textarea>
+						<small id="short-desc-help"><?php echo esc_html__( 'Maximum 150 characters - this appears in the plugin directory', 'wordpress-readme-generator-block-wp' ); ?></small>
+					</div>
+
+					<div class="form-row">
+						<label for="contributors"><?php echo esc_html__( 'Contributors', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+						<div class="tags-input-wrapper">
+							<div class="tags-display" id="contributorsDisplay"></div>
+							<div class="tag-input-row">
+								<input 
+									type="text" 
+									id="contributorsInput" 
+									class="components-text-control__input" 
+									placeholder="<?php echo esc_attr__( 'Add contributor username...', 'wordpress-readme-generator-block-wp' ); ?>" 
+									maxlength="50" 
+									pattern="[a-zA-Z0-9_-]+"
+									aria-describedby="contributors-help"
+								>
+								<button type="button" id="addContributor" class="components-button is-primary"><?php echo esc_html__( 'Add', 'wordpress-readme-generator-block-wp' ); ?></button>
+							</div>
+						</div>
+						<input type="hidden" id="contributors" name="contributors" required>
+						<small id="contributors-help"><?php echo esc_html__( 'WordPress.org usernames (max 10) - at least one required', 'wordpress-readme-generator-block-wp' ); ?></small>
+					</div>
+
+					<div class="form-row">
+						<label for="tags"><?php echo esc_html__( 'Tags', 'wordpress-readme-generator-block-wp' ); ?></label>
+						<div class="tags-input-wrapper">
+							<div class="tags-display" id="tagsDisplay"></div>
+							<div class="tag-input-row">
+								<input 
+									type="text" 
+									id="tagsInput" 
+									class="components-text-control__input" 
+									placeholder="<?php echo esc_attr__( 'Add tag...', 'wordpress-readme-generator-block-wp' ); ?>" 
+									maxlength="30" 
+									pattern="[a-zA-Z0-9][a-zA-Z0-9 _\-]*"
+									aria-describedby="tags-help"
+								>
+								<button type="button" id="addTag" class="components-button is-primary"><?php echo esc_html__( 'Add', 'wordpress-readme-generator-block-wp' ); ?></button>
+							</div>
+						</div>
+						<input type="hidden" id="tags" name="tags">
+						<small id="tags-help"><?php echo esc_html__( 'Maximum 5 tags for better discoverability', 'wordpress-readme-generator-block-wp' ); ?></small>
 					</div>
-					<textarea 
-						id="shortDescription" 
-						name="shortDescription" 
-						class="components-textarea-control__input" 
-						rows="3" 
-						placeholder="<?php echo esc_attr__( 'A brief description of what your plugin does...', 'wordpress-readme-generator-block-wp' ); ?>" 
-						data-formatted="true" 
-						maxlength="150"
-						required
-						aria-describedby="short-desc-help"
-					></textarea>
-					<small id="short-desc-help"><?php echo esc_html__( 'Maximum 150 characters - this appears in the plugin directory', 'wordpress-readme-generator-block-wp' ); ?></small>
 				</div>
 
-				<div class="form-row">
-					<label for="contributors"><?php echo esc_html__( 'Contributors', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-					<div class="tags-input-wrapper">
-						<div class="tags-display" id="contributorsDisplay"></div>
-						<div class="tag-input-row">
+				<!-- Version Information Section -->
+				<div class="form-section" data-preview-section="header" data-wizard-step="1">
+					<h3><?php echo esc_html__( 'Version Information', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				
+					<div class="form-row-group">
+						<div class="form-row half">
+							<label for="version" class="components-base-control__label"><?php echo esc_html__( 'Version', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
 							<input 
 								type="text" 
-								id="contributorsInput" 
+								id="version" 
+								name="version" 
 								class="components-text-control__input" 
-								placeholder="<?php echo esc_attr__( 'Add contributor username...', 'wordpress-readme-generator-block-wp' ); ?>" 
-								maxlength="50" 
-								pattern="[a-zA-Z0-9_-]+"
-								aria-describedby="contributors-help"
+								placeholder="<?php echo esc_attr__( '1.0.0', 'wordpress-readme-generator-block-wp' ); ?>" 
+								required 
+								data-validate="version" 
+								maxlength="20"
+								aria-describedby="version-help"
 							>
-							<button type="button" id="addContributor" class="components-button is-primary"><?php echo esc_html__( 'Add', 'wordpress-readme-generator-block-wp' ); ?></button>
+							<small id="version-help"><?php echo esc_html__( 'A version such as 1.2, 1.0.0 or 2.0.0-beta.1. Bumping raises the newest version in the form and adds a changelog entry for it.', 'wordpress-readme-generator-block-wp' ); ?></small>
+							<div class="version-bump" role="group" aria-label="<?php echo esc_attr__( 'Bump version', 'wordpress-readme-generator-block-wp' ); ?>">
+								<button type="button" class="components-button is-secondary is-small" data-bump="patch"><?php echo esc_html__( 'Bump patch', 'wordpress-readme-generator-block-wp' ); ?></button>
+								<button type="button" class="components-button is-secondary is-small" data-bump="minor"><?php echo esc_html__( 'Bump minor', 'wordpress-readme-generator-block-wp' ); ?></button>
+								<button type="button" class="components-button is-secondary is-small" data-bump="major"><?php echo esc_html__( 'Bump major', 'wordpress-readme-generator-block-wp' ); ?></button>
+							</div>
+						</div>
+						<div class="form-row half">
+							<label for="requiresAtLeast" class="components-base-control__label"><?php echo esc_html__( 'Requires WordPress', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+							<select id="requiresAtLeast" name="requiresAtLeast" class="components-select-control__input" required aria-describedby="requires-wp-help">
+								<option value=""><?php echo esc_html__( 'Select WordPress version', 'wordpress-readme-generator-block-wp' ); ?></option>
+								<?php foreach ( $wp_versions as $version => $label ) : ?>
+									<option value="<?php echo esc_attr( $version ); ?>" <?php selected( $version, $default_requires_wp ); ?>><?php echo esc_html( $label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+							<small id="requires-wp-help"><?php echo esc_html__( 'Minimum WordPress version required', 'wordpress-readme-generator-block-wp' ); ?></small>
+						</div>
+					</div>
+
+					<div class="form-row-group">
+						<div class="form-row half">
+							<label for="testedUpTo" class="components-base-control__label"><?php echo esc_html__( 'Tested up to', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+							<select id="testedUpTo" name="testedUpTo" class="components-select-control__input" required aria-describedby="tested-up-help">
+								<option value=""><?php echo esc_html__( 'Select WordPress version', 'wordpress-readme-generator-block-wp' ); ?></option>
+								<?php foreach ( $wp_versions as $version => $label ) : ?>
+									<option value="<?php echo esc_attr( $version ); ?>"><?php echo esc_html( $label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+							<small id="tested-up-help"><?php echo esc_html__( 'Latest WordPress version tested', 'wordpress-readme-generator-block-wp' ); ?></small>
+						</div>
+						<div class="form-row half">
+							<label for="requiresPHP" class="components-base-control__label"><?php echo esc_html__( 'Requires PHP', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+							<select id="requiresPHP" name="requiresPHP" class="components-select-control__input" required aria-describedby="requires-php-help">
+								<option value=""><?php echo esc_html__( 'Select PHP version', 'wordpress-readme-generator-block-wp' ); ?></option>
+								<?php foreach ( $php_versions as $version => $label ) : ?>
+									<option value="<?php echo esc_attr( $version ); ?>" <?php selected( $version, $default_requires_php ); ?>><?php echo esc_html( $label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+							<small id="requires-php-help"><?php echo esc_html__( 'Minimum PHP version required', 'wordpress-readme-generator-block-wp' ); ?></small>
 						</div>
 					</div>
-					<input type="hidden" id="contributors" name="contributors" required>
-					<small id="contributors-help"><?php echo esc_html__( 'WordPress.org usernames (max 10) - at least one required', 'wordpress-readme-generator-block-wp' ); ?></small>
 				</div>
 
-				<div class="form-row">
-					<label for="tags"><?php echo esc_html__( 'Tags', 'wordpress-readme-generator-block-wp' ); ?></label>
-					<div class="tags-input-wrapper">
-						<div class="tags-display" id="tagsDisplay"></div>
-						<div class="tag-input-row">
+				<!-- License and Links Section -->
+				<div class="form-section" data-preview-section="header" data-wizard-step="1"<?php wordpress_readme_generator_section_attributes( 'license', $hidden_sections ); ?>>
+					<h3><?php echo esc_html__( 'License & Links', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				
+					<div class="form-row-group">
+						<div class="form-row half">
+							<label for="license" class="components-base-control__label"><?php echo esc_html__( 'License', 'wordpress-readme-generator-block-wp' ); ?></label>
+							<select id="license" name="license" class="components-select-control__input" aria-describedby="license-help">
+								<option value="" data-uri=""><?php echo esc_html__( 'No license field', 'wordpress-readme-generator-block-wp' ); ?></option>
+								<?php foreach ( $licenses as $spdx_id => $license ) : ?>
+									<option value="<?php echo esc_attr( $spdx_id ); ?>" data-uri="<?php echo esc_url( $license['uri'] ); ?>" <?php selected( $spdx_id, $default_license ); ?>><?php echo esc_html( $license['label'] . ' (' . $spdx_id . ')' ); ?></option>
+								<?php endforeach; ?>
+								<option value="custom" data-uri=""><?php echo esc_html__( 'Other license...', 'wordpress-readme-generator-block-wp' ); ?></option>
+							</select>
 							<input 
 								type="text" 
-								id="tagsInput" 
+								id="licenseCustom" 
+								name="licenseCustom" 
 								class="components-text-control__input" 
-								placeholder="<?php echo esc_attr__( 'Add tag...', 'wordpress-readme-generator-block-wp' ); ?>" 
-								maxlength="30" 
-								pattern="[a-zA-Z0-9_-]+"
-								aria-describedby="tags-help"
+								placeholder="<?php echo esc_attr__( 'License name or SPDX identifier', 'wordpress-readme-generator-block-wp' ); ?>" 
+								maxlength="100"
+								aria-label="<?php echo esc_attr__( 'Other license', 'wordpress-readme-generator-block-wp' ); ?>"
+								hidden
 							>
-							<button type="button" id="addTag" class="components-button is-primary"><?php echo esc_html__( 'Add', 'wordpress-readme-generator-block-wp' ); ?></button>
+							<small id="license-help"><?php echo esc_html__( 'Must be GPLv2 or later compatible to be listed on WordPress.org', 'wordpress-readme-generator-block-wp' ); ?></small>
+						</div>
+						<div class="form-row half">
+							<label for="licenseURI" class="components-base-control__label"><?php echo esc_html__( 'License URI', 'wordpress-readme-generator-block-wp' ); ?></label>
+							<input 
+								type="url" 
+								id="licenseURI" 
+								name="licenseURI" 
+								class="components-text-control__input" 
+								value="<?php echo esc_url( $default_license ? $licenses[ $default_license ]['uri'] : '' ); ?>" 
+								placeholder="https://" 
+								maxlength="200"
+								data-validate="link"
+								aria-describedby="license-uri-help"
+							>
+							<small id="license-uri-help"><?php echo esc_html__( 'Filled in when you pick a license', 'wordpress-readme-generator-block-wp' ); ?></small>
 						</div>
 					</div>
-					<input type="hidden" id="tags" name="tags">
-					<small id="tags-help"><?php echo esc_html__( 'Maximum 5 tags for better discoverability', 'wordpress-readme-generator-block-wp' ); ?></small>
-				</div>
-			</div>
 
-			<!-- Version Information Section -->
-			<div class="form-section">
-				<h3><?php echo esc_html__( 'Version Information', 'wordpress-readme-generator-block-wp' ); ?></h3>
-				
-				<div class="form-row-group">
-					<div class="form-row half">
-						<label for="version" class="components-base-control__label"><?php echo esc_html__( 'Version', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+					<div class="form-row" data-advanced>
+						<label for="donateLink" class="components-base-control__label"><?php echo esc_html__( 'Donate Link', 'wordpress-readme-generator-block-wp' ); ?></label>
 						<input 
-							type="text" 
-							id="version" 
-							name="version" 
+							type="url" 
+							id="donateLink" 
+							name="donateLink" 
 							class="components-text-control__input" 
-							placeholder="<?php echo esc_attr__( '1.0.0', 'wordpress-readme-generator-block-wp' ); ?>" 
-							required 
-							pattern="^\d+\.\d+\.\d+$" 
-							maxlength="20"
-							aria-describedby="version-help"
+							placeholder="https://example.com/donate" 
+							maxlength="200"
+							data-validate="link"
+							aria-describedby="donate-link-help"
 						>
-						<small id="version-help"><?php echo esc_html__( 'Semantic version format (e.g., 1.0.0)', 'wordpress-readme-generator-block-wp' ); ?></small>
+						<small id="donate-link-help"><?php echo esc_html__( 'Optional http:// or https:// link shown on your plugin page', 'wordpress-readme-generator-block-wp' ); ?></small>
 					</div>
-					<div class="form-row half">
-						<label for="requiresAtLeast" class="components-base-control__label"><?php echo esc_html__( 'Requires WordPress', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-						<select id="requiresAtLeast" name="requiresAtLeast" class="components-select-control__input" required aria-describedby="requires-wp-help">
-							<option value=""><?php echo esc_html__( 'Select WordPress version', 'wordpress-readme-generator-block-wp' ); ?></option>
-							<?php foreach ( $wp_versions as $version => $label ) : ?>
-								<option value="<?php echo esc_attr( $version ); ?>"><?php echo esc_html( $label ); ?></option>
-							<?php endforeach; ?>
-						</select>
-						<small id="requires-wp-help"><?php echo esc_html__( 'Minimum WordPress version required', 'wordpress-readme-generator-block-wp' ); ?></small>
+
+					<div class="form-row" data-advanced>
+						<label for="requiresPlugins" class="components-base-control__label"><?php echo esc_html__( 'Requires Plugins', 'wordpress-readme-generator-block-wp' ); ?></label>
+						<input 
+							type="text" 
+							id="requiresPlugins" 
+							name="requiresPlugins" 
+							class="components-text-control__input" 
+							placeholder="woocommerce, advanced-custom-fields" 
+							maxlength="500"
+							data-validate="slugs"
+							aria-describedby="requires-plugins-help"
+						>
+						<small id="requires-plugins-help"><?php echo esc_html__( 'Comma-separated WordPress.org slugs of plugins yours depends on', 'wordpress-readme-generator-block-wp' ); ?></small>
 					</div>
-				</div>
 
-				<div class="form-row-group">
-					<div class="form-row half">
-						<label for="testedUpTo" class="components-base-control__label"><?php echo esc_html__( 'Tested up to', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-						<select id="testedUpTo" name="testedUpTo" class="components-select-control__input" required aria-describedby="tested-up-help">
-							<option value=""><?php echo esc_html__( 'Select WordPress version', 'wordpress-readme-generator-block-wp' ); ?></option>
-							<?php foreach ( $wp_versions as $version => $label ) : ?>
-								<option value="<?php echo esc_attr( $version ); ?>"><?php echo esc_html( $label ); ?></option>
-							<?php endforeach; ?>
-						</select>
-						<small id="tested-up-help"><?php echo esc_html__( 'Latest WordPress version tested', 'wordpress-readme-generator-block-wp' ); ?></small>
+					<div class="form-row checkbox-row" data-advanced>
+						<label for="network">
+							<input type="checkbox" id="network" name="network" value="true" aria-describedby="network-help">
+							<?php echo esc_html__( 'Network only', 'wordpress-readme-generator-block-wp' ); ?>
+						</label>
+						<small id="network-help"><?php echo esc_html__( 'Adds "Network: true" for plugins that can only be activated network-wide on multisite', 'wordpress-readme-generator-block-wp' ); ?></small>
 					</div>
-					<div class="form-row half">
-						<label for="requiresPHP" class="components-base-control__label"><?php echo esc_html__( 'Requires PHP', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-						<select id="requiresPHP" name="requiresPHP" class="components-select-control__input" required aria-describedby="requires-php-help">
-							<option value=""><?php echo esc_html__( 'Select PHP version', 'wordpress-readme-generator-block-wp' ); ?></option>
-							<?php foreach ( $php_versions as $version => $label ) : ?>
-								<option value="<?php echo esc_attr( $version ); ?>"><?php echo esc_html( $label ); ?></option>
-							<?php endforeach; ?>
-						</select>
-						<small id="requires-php-help"><?php echo esc_html__( 'Minimum PHP version required', 'wordpress-readme-generator-block-wp' ); ?></small>
+
+					<div class="form-row" data-advanced>
+						<label class="components-base-control__label"><?php echo esc_html__( 'Other Header Fields', 'wordpress-readme-generator-block-wp' ); ?></label>
+						<div id="headerFieldsContainer" aria-describedby="header-fields-help"></div>
+						<button type="button" id="addHeaderField" class="add-btn components-button is-secondary"><?php echo esc_html__( '+ Add Header Field', 'wordpress-readme-generator-block-wp' ); ?></button>
+						<small id="header-fields-help"><?php echo esc_html__( 'Extra "Key: value" lines, written after the standard header fields. Imported lines the form does not know are kept here.', 'wordpress-readme-generator-block-wp' ); ?></small>
 					</div>
 				</div>
-			</div>
 
-			<!-- Description Section -->
-			<div class="form-section">
-				<h3><?php echo esc_html__( 'Description', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				<!-- Description Section -->
+				<div class="form-section" data-preview-section="description" data-wizard-step="2">
+					<h3><?php echo esc_html__( 'Description', 'wordpress-readme-generator-block-wp' ); ?></h3>
 				
-				<div class="form-row">
-					<label for="description"><?php echo esc_html__( 'Detailed Description', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-					<div class="formatting-toolbar">
-						<button type="button" class="format-btn" data-format="bold" title="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>"><strong>B</strong></button>
-						<button type="button" class="format-btn" data-format="italic" title="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>"><em>I</em></button>
-						<button type="button" class="format-btn" data-format="code" title="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>">&lt;/&gt;</button>
-						<button type="button" class="format-btn" data-format="heading" title="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>">H</button>
-						<button type="button" class="format-btn" data-format="bullet" title="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>">•</button>
-						<button type="button" class="format-btn" data-format="numbered" title="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>">1.</button>
-						<button type="button" class="format-btn format-btn-last" data-format="link" title="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>">L</button>
+					<div class="form-row">
+						<label for="description"><?php echo esc_html__( 'Detailed Description', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+						<div class="formatting-toolbar">
+							<button type="button" class="format-btn" data-format="bold" title="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>"><strong>B</strong></button>
+							<button type="button" class="format-btn" data-format="italic" title="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>"><em>I</em></button>
+							<button type="button" class="format-btn" data-format="code" title="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>">&lt;/&gt;</button>
+							<button type="button" class="format-btn" data-format="heading" title="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>">H</button>
+							<button type="button" class="format-btn" data-format="bullet" title="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>">•</button>
+							<button type="button" class="format-btn" data-format="numbered" title="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>">1.</button>
+							<button type="button" class="format-btn format-btn-last" data-format="link" title="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>">L</button>
+						</div>
+						<textarea 
+							id="description" 
+							name="description" 
+							class="components-textarea-control__input" 
+							rows="6" 
+							placeholder="<?php echo esc_attr__( 'Detailed description of your plugin...', 'wordpress-readme-generator-block-wp' ); ?>" 
+							data-formatted="true" 
+							maxlength="5000"
+							required
+							aria-describedby="description-help"
+						></textarea>
+						<small id="description-help"><?php echo esc_html__( 'Use formatting buttons for **bold**, *italic*, `code`, = headings =, bullet lists, numbered lists, and [links](https://example.com)', 'wordpress-readme-generator-block-wp' ); ?></small>
 					</div>
-					<textarea 
-						id="description" 
-						name="description" 
-						class="components-textarea-control__input" 
-						rows="6" 
-						placeholder="<?php echo esc_attr__( 'Detailed description of your plugin...', 'wordpress-readme-generator-block-wp' ); ?>" 
-						data-formatted="true" 
-						maxlength="5000"
-						required
-						aria-describedby="description-help"
-					></textarea>
-					<small id="description-help"><?php echo esc_html__( 'Use formatting buttons for **bold**, *italic*, `code`, = headings =, bullet lists, numbered lists, and [links](https://example.com)', 'wordpress-readme-generator-block-wp' ); ?></small>
 				</div>
-			</div>
 
-			<!-- Installation Section -->
-			<div class="form-section">
-				<h3><?php echo esc_html__( 'Installation', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				<!-- Installation Section -->
+				<div class="form-section" data-preview-section="installation" data-wizard-step="3"<?php wordpress_readme_generator_section_attributes( 'installation', $hidden_sections ); ?>>
+					<h3><?php echo esc_html__( 'Installation', 'wordpress-readme-generator-block-wp' ); ?></h3>
 				
-				<div class="form-row">
-					<label for="installation"><?php echo esc_html__( 'Installation Instructions', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
-					<div class="formatting-toolbar">
-						<button type="button" class="format-btn" data-format="bold" title="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>"><strong>B</strong></button>
-						<button type="button" class="format-btn" data-format="italic" title="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>"><em>I</em></button>
-						<button type="button" class="format-btn" data-format="code" title="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>">&lt;/&gt;</button>
-						<button type="button" class="format-btn" data-format="heading" title="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>">H</button>
-						<button type="button" class="format-btn" data-format="bullet" title="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>">•</button>
-						<button type="button" class="format-btn" data-format="numbered" title="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>">1.</button>
-						<button type="button" class="format-btn format-btn-last" data-format="link" title="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>">L</button>
+					<div class="form-row">
+						<label for="installation"><?php echo esc_html__( 'Installation Instructions', 'wordpress-readme-generator-block-wp' ); ?> <span class="required">*</span></label>
+						<div class="formatting-toolbar">
+							<button type="button" class="format-btn" data-format="bold" title="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bold', 'wordpress-readme-generator-block-wp' ); ?>"><strong>B</strong></button>
+							<button type="button" class="format-btn" data-format="italic" title="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Italic', 'wordpress-readme-generator-block-wp' ); ?>"><em>I</em></button>
+							<button type="button" class="format-btn" data-format="code" title="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Code', 'wordpress-readme-generator-block-wp' ); ?>">&lt;/&gt;</button>
+							<button type="button" class="format-btn" data-format="heading" title="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Heading', 'wordpress-readme-generator-block-wp' ); ?>">H</button>
+							<button type="button" class="format-btn" data-format="bullet" title="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Bullet List', 'wordpress-readme-generator-block-wp' ); ?>">•</button>
+							<button type="button" class="format-btn" data-format="numbered" title="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Numbered List', 'wordpress-readme-generator-block-wp' ); ?>">1.</button>
+							<button type="button" class="format-btn format-btn-last" data-format="link" title="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>" aria-label="<?php echo esc_attr__( 'Link', 'wordpress-readme-generator-block-wp' ); ?>">L</button>
+						</div>
+						<textarea 
+							id="installation" 
+							name="installation" 
+							class="components-textarea-control__input" 
+							rows="4" 
+							placeholder="<?php echo esc_attr__( '1. Upload plugin files to /wp-content/plugins/\n2. Activate the plugin through the \'Plugins\' screen', 'wordpress-readme-generator-block-wp' ); ?>" 
+							data-formatted="true" 
+							maxlength="2000"
+							required
+							aria-describedby="installation-help"
+						></textarea>
+						<small id="installation-help"><?php echo esc_html__( 'Step-by-step installation instructions', 'wordpress-readme-generator-block-wp' ); ?></small>
 					</div>
-					<textarea 
-						id="installation" 
-						name="installation" 
-						class="components-textarea-control__input" 
-						rows="4" 
-						placeholder="<?php echo esc_attr__( '1. Upload plugin files to /wp-content/plugins/\n2. Activate the plugin through the \'Plugins\' screen', 'wordpress-readme-generator-block-wp' ); ?>" 
-						data-formatted="true" 
-						maxlength="2000"
-						required
-						aria-describedby="installation-help"
-					></textarea>
-					<small id="installation-help"><?php echo esc_html__( 'Step-by-step installation instructions', 'wordpress-readme-generator-block-wp' ); ?></small>
 				</div>
-			</div>
 
-			<!-- FAQ Section -->
-			<div class="form-section">
-				<h3><?php echo esc_html__( 'Frequently Asked Questions', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				<!-- FAQ Section -->
+				<div class="form-section" data-preview-section="faq" data-wizard-step="4"<?php wordpress_readme_generator_section_attributes( 'faq', $hidden_sections ); ?>>
+					<h3><?php echo esc_html__( 'Frequently Asked Questions', 'wordpress-readme-generator-block-wp' ); ?></h3>
 				
-				<div id="faqContainer">
-					<div class="faq-item components-panel__body">
-						<div class="faq-header">
-							<span class="faq-number components-panel__body-title"><?php echo esc_html__( 'FAQ #1', 'wordpress-readme-generator-block-wp' ); ?></span>
-							<button type="button" class="remove-faq components-button is-destructive" aria-label="<?php echo esc_attr__( 'Remove FAQ', 'wordpress-readme-generator-block-wp' ); ?>">×</button>
-						</div>
-						<div class="form-row components-base-control">
-							<label class="components-base-control__label"><?php echo esc_html__( 'Question', 'wordpress-readme-generator-block-wp' ); ?></label>
-							<input type="text" class="faq-question components-text-control__input" placeholder="<?php echo esc_attr__( 'How do I use this plugin?', 'wordpress-readme-generator-block-wp' ); ?>" maxlength="200">
-						</div>
-						<div class="form-row components-base-control">
-							<label class="components-base-control__label"><?php echo esc_html__( 'Answer', 'wordpress-readme-generator-block-wp' ); ?></label>
-							<textarea class="faq-answer components-textarea-control__input" rows="3" placeholder="<?php echo esc_attr__( 'Just install and activate the plugin...', 'wordpress-readme-generator-block-wp' ); ?>" maxlength="1000"></textarea>
+					<div id="faqContainer">
+						<div class="faq-item components-panel__body">
+							<div class="faq-header">
+								<span class="drag-handle" title="<?php echo esc_attr__( 'Drag to reorder', 'wordpress-readme-generator-block-wp' ); ?>" aria-hidden="true">⋮⋮</span>
+								<span class="faq-number components-panel__body-title"><?php echo esc_html__( 'FAQ #1', 'wordpress-readme-generator-block-wp' ); ?></span>
+								<button type="button" class="move-up components-button is-secondary" aria-label="<?php echo esc_attr__( 'Move FAQ up', 'wordpress-readme-generator-block-wp' ); ?>">↑</button>
+								<button type="button" class="move-down components-button is-secondary" aria-label="<?php echo esc_attr__( 'Move FAQ down', 'wordpress-readme-generator-block-wp' ); ?>">↓</button>
+								<button type="button" class="remove-faq components-button is-destructive" aria-label="<?php echo esc_attr__( 'Remove FAQ', 'wordpress-readme-generator-block-wp' ); ?>">×</button>
+							</div>
+							<div class="form-row components-base-control">
+								<label class="components-base-control__label"><?php echo esc_html__( 'Question', 'wordpress-readme-generator-block-wp' ); ?></label>
+								<input type="text" class="faq-question components-text-control__input" placeholder="<?php echo esc_attr__( 'How do I use this plugin?', 'wordpress-readme-generator-block-wp' ); ?>" maxlength="200">
+							</div>
+							<div class="form-row components-base-control">
+								<label class="components-base-control__label"><?php echo esc_html__( 'Answer', 'wordpress-readme-generator-block-wp' ); ?></label>
+								<textarea class="faq-answer components-textarea-control__input" rows="3" placeholder="<?php echo esc_attr__( 'Just install and activate the plugin...', 'wordpress-readme-generator-block-wp' ); ?>" maxlength="1000"></textarea>
+							</div>
 						</div>
 					</div>
+				
+					<button type="button" id="addFAQ" class="add-btn components-button is-secondary"><?php echo esc_html__( '+ Add FAQ', 'wordpress-readme-generator-block-wp' ); ?></button>
+
+					<div class="form-row components-base-control faq-style">
+						<label for="faqStyle" class="components-base-control__label"><?php echo esc_html__( 'Question headings', 'wordpress-readme-generator-block-wp' ); ?></label>
+						<select id="faqStyle" name="faqStyle" class="components-select-control__input" aria-describedby="faq-style-help">
+							<option value="wordpress"><?php echo esc_html__( '= Question = (WordPress.org)', 'wordpress-readme-generator-block-wp' ); ?></option>
+							<option value="markdown"><?php echo esc_html__( '### Question (Markdown)', 'wordpress-readme-generator-block-wp' ); ?></option>
+						</select>
+						<small id="faq-style-help"><?php echo esc_html__( 'How questions are written in readme.txt. Imported readmes keep the style they use. Answers can have several paragraphs and lists.', 'wordpress-readme-generator-block-wp' ); ?></small>
+					</div>
 				</div>
+
+				<!-- Screenshots Section -->
+				<div class="form-section" data-preview-section="screenshots" data-wizard-step="2"<?php wordpress_readme_generator_section_attributes( 'screenshots', $hidden_sections ); ?>>
+					<h3><?php echo esc_html__( 'Screenshots', 'wordpress-readme-generator-block-wp' ); ?></h3>
+					<p class="section-help"><small id="screenshots-help"><?php echo esc_html__( 'Captions are listed in order and matched to screenshot-1.png, screenshot-2.png, ... in your plugin\'s assets folder (.png, .jpg or .gif). Drag the handle to reorder. Images are only previewed in your browser, never uploaded.', 'wordpress-readme-generator-block-wp' ); ?></small></p>
 				
-				<button type="button" id="addFAQ" class="add-btn components-button is-secondary"><?php echo esc_html__( '+ Add FAQ', 'wordpress-readme-generator-block-wp' ); ?></button>
-			</div>
+					<div id="screenshotsContainer" class="sortable-list" aria-describedby="screenshots-help"></div>
+				
+					<button type="button" id="addScreenshot" class="add-btn components-button is-secondary"><?php echo esc_html__( '+ Add Screenshot', 'wordpress-readme-generator-block-wp' ); ?></button>
+				</div>
 
-			<!-- Changelog Section -->
-			<div class="form-section">
-				<h3><?php echo esc_html__( 'Changelog', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				<!-- Changelog Section -->
+				<div class="form-section" data-preview-section="changelog" data-wizard-step="5"<?php wordpress_readme_generator_section_attributes( 'changelog', $hidden_sections ); ?>>
+					<h3><?php echo esc_html__( 'Changelog', 'wordpress-readme-generator-block-wp' ); ?></h3>
+					<?php if ( $changelog_versions ) : ?>
+						<p class="section-help"><small id="changelog-help">
+							<?php
+							echo esc_html( sprintf(
+								/* translators: %d: number of versions kept in readme.txt */
+								_n( 'readme.txt lists the latest version. Older versions are downloaded with it as changelog.txt, and the readme links to that file on WordPress.org.', 'readme.txt lists the latest %d versions. Older versions are downloaded with it as changelog.txt, and the readme links to that file on WordPress.org.', $changelog_versions, 'wordpress-readme-generator-block-wp' ),
+								$changelog_versions
+							) );
+							?>
+						</small></p>
+					<?php endif; ?>
 				
-				<div id="changelogContainer">
-					<div class="changelog-item components-panel__body">
-						<div class="changelog-header">
-							<div class="form-row components-base-control">
-								<label class="components-base-control__label"><?php echo esc_html__( 'Version', 'wordpress-readme-generator-block-wp' ); ?></label>
-								<input type="text" class="changelog-version components-text-control__input" placeholder="<?php echo esc_attr__( '1.0.0', 'wordpress-readme-generator-block-wp' ); ?>" pattern="^\d+\.\d+\.\d+$" maxlength="20">
+					<div id="changelogContainer">
+						<div class="changelog-item components-panel__body">
+							<div class="changelog-header">
+								<span class="drag-handle" title="<?php echo esc_attr__( 'Drag to reorder', 'wordpress-readme-generator-block-wp' ); ?>" aria-hidden="true">⋮⋮</span>
+								<div class="form-row components-base-control">
+									<label class="components-base-control__label"><?php echo esc_html__( 'Version', 'wordpress-readme-generator-block-wp' ); ?></label>
+									<input type="text" class="changelog-version components-text-control__input" placeholder="<?php echo esc_attr__( '1.0.0', 'wordpress-readme-generator-block-wp' ); ?>" data-validate="version" maxlength="20">
+								</div>
+								<button type="button" class="move-up components-button is-secondary" aria-label="<?php echo esc_attr__( 'Move version up', 'wordpress-readme-generator-block-wp' ); ?>">↑</button>
+								<button type="button" class="move-down components-button is-secondary" aria-label="<?php echo esc_attr__( 'Move version down', 'wordpress-readme-generator-block-wp' ); ?>">↓</button>
+								<button type="button" class="remove-changelog components-button is-destructive" aria-label="<?php echo esc_attr__( 'Remove Changelog Entry', 'wordpress-readme-generator-block-wp' ); ?>">×</button>
 							</div>
-							<button type="button" class="remove-changelog components-button is-destructive" aria-label="<?php echo esc_attr__( 'Remove Changelog Entry', 'wordpress-readme-generator-block-wp' ); ?>">×</button>
-						</div>
-						<div class="changes-container">
-							<div class="change-item">
-								<input type="text" class="changelog-change components-text-control__input" placeholder="<?php echo esc_attr__( 'Initial release', 'wordpress-readme-generator-block-wp' ); ?>" maxlength="200">
-								<button type="button" class="remove-change components-button is-destructive" aria-label="<?php echo esc_attr__( 'Remove Change', 'wordpress-readme-generator-block-wp' ); ?>">×</button>
+							<div class="changes-container">
+								<div class="change-item">
+									<span class="drag-handle" title="<?php echo esc_attr__( 'Drag to reorder', 'wordpress-readme-generator-block-wp' ); ?>" aria-hidden="true">⋮⋮</span>
+									<input type="text" class="changelog-change components-text-control__input" placeholder="<?php echo esc_attr__( 'Initial release', 'wordpress-readme-generator-block-wp' ); ?>" maxlength="200">
+									<button type="button" class="move-up components-button is-secondary" aria-label="<?php echo esc_attr__( 'Move change up', 'wordpress-readme-generator-block-wp' ); ?>">↑</button>
+									<button type="button" class="move-down components-button is-secondary" aria-label="<?php echo esc_attr__( 'Move change down', 'wordpress-readme-generator-block-wp' ); ?>">↓</button>
+									<button type="button" class="remove-change components-button is-destructive" aria-label="<?php echo esc_attr__( 'Remove Change', 'wordpress-readme-generator-block-wp' ); ?>">×</button>
+								</div>
+							</div>
+							<button type="button" class="add-change components-button is-secondary"><?php echo esc_html__( '+ Add Change', 'wordpress-readme-generator-block-wp' ); ?></button>
+							<div class="form-row components-base-control upgrade-notice-row" data-advanced>
+								<label class="components-base-control__label"><?php echo esc_html__( 'Upgrade Notice (optional)', 'wordpress-readme-generator-block-wp' ); ?></label>
+								<textarea class="changelog-upgrade-notice components-textarea-control__input" rows="2" placeholder="<?php echo esc_attr__( 'Why should users upgrade to this version?', 'wordpress-readme-generator-block-wp' ); ?>" maxlength="300"></textarea>
+								<small class="upgrade-notice-count" aria-live="polite"></small>
 							</div>
 						</div>
-						<button type="button" class="add-change components-button is-secondary"><?php echo esc_html__( '+ Add Change', 'wordpress-readme-generator-block-wp' ); ?></button>
 					</div>
+				
+					<button type="button" id="addChangelog" class="add-btn components-button is-secondary"><?php echo esc_html__( '+ Add Version', 'wordpress-readme-generator-block-wp' ); ?></button>
+
+					<details class="changelog-import">
+						<summary><?php echo esc_html__( 'Import a changelog', 'wordpress-readme-generator-block-wp' ); ?></summary>
+						<div class="form-row components-base-control">
+							<label for="changelogImportText" class="components-base-control__label"><?php echo esc_html__( 'Paste a CHANGELOG.md or commit subjects', 'wordpress-readme-generator-block-wp' ); ?></label>
+							<textarea id="changelogImportText" class="components-textarea-control__input" rows="6" aria-describedby="changelog-import-help"></textarea>
+							<small id="changelog-import-help"><?php echo esc_html__( 'Each version of a Keep a Changelog file becomes a changelog entry, with groups such as Added or Fixed as bullet prefixes. Conventional commit subjects such as "fix: crash on save" are grouped by type into a new version.', 'wordpress-readme-generator-block-wp' ); ?></small>
+						</div>
+						<div class="form-row components-base-control">
+							<label for="changelogFile" class="components-base-control__label"><?php echo esc_html__( 'Or upload a CHANGELOG.md file', 'wordpress-readme-generator-block-wp' ); ?></label>
+							<input type="file" id="changelogFile" accept=".md,.markdown,.txt" class="file-input" data-max-size="102400">
+						</div>
+						<button type="button" id="importChangelogBtn" class="add-btn components-button is-secondary"><?php echo esc_html__( 'Add to Changelog', 'wordpress-readme-generator-block-wp' ); ?></button>
+					</details>
 				</div>
+
+				<!-- Custom Sections -->
+				<div class="form-section" data-preview-section="custom" data-wizard-step="2"<?php wordpress_readme_generator_section_attributes( 'custom', $hidden_sections ); ?>>
+					<h3><?php echo esc_html__( 'Additional Sections', 'wordpress-readme-generator-block-wp' ); ?></h3>
+					<p class="section-help"><small id="custom-sections-help"><?php echo esc_html__( 'Sections such as Third Party Services or Privacy, written after the standard sections in the order listed here. Plugins that call external services must disclose them.', 'wordpress-readme-generator-block-wp' ); ?></small></p>
 				
-				<button type="button" id="addChangelog" class="add-btn components-button is-secondary"><?php echo esc_html__( '+ Add Version', 'wordpress-readme-generator-block-wp' ); ?></button>
-			</div>
+					<div id="customSectionsContainer" class="sortable-list" aria-describedby="custom-sections-help"></div>
+				
+					<div class="custom-section-add">
+						<select id="customSectionPreset" class="components-select-control__input" aria-label="<?php echo esc_attr__( 'Section type', 'wordpress-readme-generator-block-wp' ); ?>">
+							<option value=""><?php echo esc_html__( 'Blank section', 'wordpress-readme-generator-block-wp' ); ?></option>
+							<option value="third-party-services"><?php echo esc_html__( 'Third Party Services', 'wordpress-readme-generator-block-wp' ); ?></option>
+							<option value="privacy"><?php echo esc_html__( 'Privacy', 'wordpress-readme-generator-block-wp' ); ?></option>
+							<option value="credits"><?php echo esc_html__( 'Credits', 'wordpress-readme-generator-block-wp' ); ?></option>
+						</select>
+						<button type="button" id="addCustomSection" class="add-btn components-button is-secondary"><?php echo esc_html__( '+ Add Section', 'wordpress-readme-generator-block-wp' ); ?></button>
+					</div>
+				</div>
 
-			<!-- Form Actions -->
-			<div class="form-actions">
-				<button type="button" id="previewBtn" class="secondary-btn components-button is-secondary"><?php echo esc_html__( 'Preview', 'wordpress-readme-generator-block-wp' ); ?></button>
-				<button type="button" id="downloadBtn" class="primary-btn components-button is-primary"><?php echo esc_html__( 'Download readme.txt', 'wordpress-readme-generator-block-wp' ); ?></button>
-			</div>
-		</form>
+				<!-- Guided Mode Review -->
+				<div class="form-section wizard-review" data-wizard-step="6" hidden>
+					<h3><?php echo esc_html__( 'Review', 'wordpress-readme-generator-block-wp' ); ?></h3>
+					<p class="section-help"><small><?php echo esc_html__( 'Check the readme in the preview and the Readme Check panel, then download it.', 'wordpress-readme-generator-block-wp' ); ?></small></p>
+				</div>
+
+				<!-- Guided Mode Navigation -->
+				<div id="wizardNav" class="wizard-nav" hidden>
+					<button type="button" id="wizardBackBtn" class="secondary-btn components-button is-secondary">← <?php echo esc_html__( 'Back', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="wizardNextBtn" class="primary-btn components-button is-primary"><?php echo esc_html__( 'Next', 'wordpress-readme-generator-block-wp' ); ?> →</button>
+				</div>
+
+				<div id="jsonImportErrors" class="wizard-errors" role="alert" hidden>
+					<p><?php echo esc_html__( 'The JSON file was not imported:', 'wordpress-readme-generator-block-wp' ); ?></p>
+					<ul id="jsonImportErrorList" class="validation-list"></ul>
+				</div>
+
+				<!-- Form Actions -->
+				<div class="form-actions" data-wizard-step="6">
+					<label class="live-preview-toggle" for="livePreviewToggle">
+						<input type="checkbox" id="livePreviewToggle" aria-controls="previewSection">
+						<?php echo esc_html__( 'Live side-by-side preview', 'wordpress-readme-generator-block-wp' ); ?>
+					</label>
+					<button type="button" id="clearDraftBtn" class="secondary-btn components-button is-secondary"><?php echo esc_html__( 'Clear Draft', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="previewBtn" class="secondary-btn components-button is-secondary"><?php echo esc_html__( 'Preview', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="downloadMarkdownBtn" class="secondary-btn components-button is-secondary"><?php echo esc_html__( 'Download README.md', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="exportJsonBtn" class="secondary-btn components-button is-secondary"><?php echo esc_html__( 'Export JSON', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<button type="button" id="importJsonBtn" class="secondary-btn components-button is-secondary"><?php echo esc_html__( 'Import JSON', 'wordpress-readme-generator-block-wp' ); ?></button>
+					<input type="file" id="jsonFile" accept=".json,application/json" hidden>
+					<button type="button" id="downloadBtn" class="primary-btn components-button is-primary"><?php echo esc_html__( 'Download readme.txt', 'wordpress-readme-generator-block-wp' ); ?></button>
+				</div>
+				<p id="reorderStatus" class="reorder-status" role="status" aria-live="polite"></p>
+			</form>
+
+			<!-- Readme Check Panel -->
+			<aside id="validationPanel" class="validation-panel" aria-labelledby="validation-panel-title">
+				<h3 id="validation-panel-title"><?php echo esc_html__( 'Readme Check', 'wordpress-readme-generator-block-wp' ); ?></h3>
+				<p id="validationSummary" class="validation-summary" role="status" aria-live="polite"></p>
+				<ul id="validationList" class="validation-list"></ul>
+				<p class="section-help"><small><?php echo esc_html__( 'WordPress.org directory rules, checked against the generated readme as you type.', 'wordpress-readme-generator-block-wp' ); ?></small></p>
+			</aside>
+		</div>
 
 		<!-- Inline Preview Section -->
 		<div class="form-section preview-section" id="previewSection" style="display: none;">
 			<h3><?php echo esc_html__( 'Readme Preview', 'wordpress-readme-generator-block-wp' ); ?></h3>
-			<div class="preview-content">
+			<div class="preview-tabs" role="tablist" aria-label="<?php echo esc_attr__( 'Preview format', 'wordpress-readme-generator-block-wp' ); ?>">
+				<button type="button" role="tab" id="previewTabRaw" class="preview-tab" aria-selected="true" aria-controls="previewRawPanel"><?php echo esc_html__( 'readme.txt', 'wordpress-readme-generator-block-wp' ); ?></button>
+				<button type="button" role="tab" id="previewTabRendered" class="preview-tab" aria-selected="false" aria-controls="previewRenderedPanel" tabindex="-1"><?php echo esc_html__( 'Rendered', 'wordpress-readme-generator-block-wp' ); ?></button>
+			</div>
+			<div class="preview-content" id="previewRawPanel" role="tabpanel" aria-labelledby="previewTabRaw">
 				<pre id="previewContent" aria-live="polite"></pre>
 			</div>
+			<div class="preview-rendered" id="previewRenderedPanel" role="tabpanel" aria-labelledby="previewTabRendered" hidden></div>
 			<div class="preview-actions">
 				<button id="hidePreviewBtn" class="components-button is-secondary"><?php echo esc_html__( 'Hide Preview', 'wordpress-readme-generator-block-wp' ); ?></button>
 				<button id="downloadBtn" class="components-button is-primary"><?php echo esc_html__( 'Download readme.txt', 'wordpress-readme-generator-block-wp' ); ?></button>
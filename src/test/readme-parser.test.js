@@ -0,0 +1,176 @@
+/**
+ * Internal dependencies
+ */
+import { parseReadme } from '../readme-parser';
+
+const README = `=== My Plugin ===
+Contributors: alice, bob
+Tags: seo, forms
+Requires at least: 5.0
+Tested up to: 6.8
+Stable tag: 1.2.0
+License: GPLv2 or later
+Custom Field: value
+
+A short description.
+
+== Description ==
+
+Long text.
+
+== Frequently Asked Questions ==
+
+= First? =
+
+One.
+
+Two.
+
+= Second? =
+
+Three.
+
+== Screenshots ==
+
+1. First shot.
+2. Second shot.
+
+== Changelog ==
+
+= 1.2.0 =
+* Added a thing.
+* Fixed a bug.
+
+= 1.1.0 =
+Initial release.
+
+== Upgrade Notice ==
+
+= 1.2.0 =
+Upgrade now.
+
+== Privacy ==
+
+No data.
+`;
+
+describe( 'parseReadme', () => {
+	const doc = parseReadme( README );
+
+	it( 'reads the plugin name', () => {
+		expect( doc.name ).toBe( 'My Plugin' );
+		expect( doc.nameLine ).toBe( 1 );
+	} );
+
+	it( 'reads header fields with their lines', () => {
+		expect( doc.header ).toMatchObject( {
+			contributors: [ 'alice', 'bob' ],
+			tags: [ 'seo', 'forms' ],
+			requiresAtLeast: '5.0',
+			testedUpTo: '6.8',
+			stableTag: '1.2.0',
+			license: 'GPLv2 or later',
+		} );
+		expect(
+			doc.headerFields.map( ( field ) => [ field.key, field.line ] )
+		).toEqual( [
+			[ 'Contributors', 2 ],
+			[ 'Tags', 3 ],
+			[ 'Requires at least', 4 ],
+			[ 'Tested up to', 5 ],
+			[ 'Stable tag', 6 ],
+			[ 'License', 7 ],
+			[ 'Custom Field', 8 ],
+		] );
+		expect( doc.unknownHeaderFields ).toEqual( [
+			{ key: 'Custom Field', id: null, value: 'value', line: 8 },
+		] );
+	} );
+
+	it( 'reads the short description', () => {
+		expect( doc.shortDescription ).toBe( 'A short description.' );
+		expect( doc.shortDescriptionLine ).toBe( 10 );
+		expect( doc.shortDescriptionEnd ).toBe( 10 );
+	} );
+
+	it( 'reads FAQ entries with answers of several paragraphs', () => {
+		expect( doc.faqStyle ).toBe( 'wordpress' );
+		expect( doc.faq ).toEqual( [
+			{ question: 'First?', answer: 'One.\n\nTwo.', line: 18 },
+			{ question: 'Second?', answer: 'Three.', line: 24 },
+		] );
+	} );
+
+	it( 'reads FAQ entries with Markdown headings', () => {
+		const markdown = parseReadme(
+			'=== P ===\n\n== Frequently Asked Questions ==\n\n### First?\n\nOne.\n\nTwo.\n\n### Second?\n\nThree.\n'
+		);
+
+		expect( markdown.faqStyle ).toBe( 'markdown' );
+		expect( markdown.faq ).toEqual( [
+			{ question: 'First?', answer: 'One.\n\nTwo.', line: 5 },
+			{ question: 'Second?', answer: 'Three.', line: 11 },
+		] );
+	} );
+
+	it( 'keeps questions without an answer', () => {
+		const empty = parseReadme(
+			'=== P ===\n\n== Frequently Asked Questions ==\n\n= First? =\n\n= Second? =\n\nTwo.\n'
+		);
+
+		expect( empty.faq ).toEqual( [
+			{ question: 'First?', answer: '', line: 5 },
+			{ question: 'Second?', answer: 'Two.', line: 7 },
+		] );
+	} );
+
+	it( 'reads changelog entries', () => {
+		expect( doc.changelog ).toEqual( [
+			{
+				version: '1.2.0',
+				changes: [ 'Added a thing.', 'Fixed a bug.' ],
+				otherLines: 0,
+				line: 35,
+			},
+			{ version: '1.1.0', changes: [], otherLines: 1, line: 39 },
+		] );
+	} );
+
+	it( 'reads upgrade notices', () => {
+		expect( doc.upgradeNotices ).toEqual( [
+			{ version: '1.2.0', notice: 'Upgrade now.', line: 44 },
+		] );
+	} );
+
+	it( 'reads screenshot captions', () => {
+		expect( doc.screenshots ).toEqual( [
+			{ number: 1, caption: 'First shot.', line: 30 },
+			{ number: 2, caption: 'Second shot.', line: 31 },
+		] );
+	} );
+
+	it( 'keeps unknown sections', () => {
+		expect( doc.sections.map( ( section ) => section.id ) ).toEqual( [
+			'description',
+			'faq',
+			'screenshots',
+			'changelog',
+			'upgrade_notice',
+			null,
+		] );
+		expect( doc.unknownSections ).toEqual( [
+			expect.objectContaining( {
+				title: 'Privacy',
+				id: null,
+				content: 'No data.',
+				line: 47,
+			} ),
+		] );
+	} );
+
+	it( 'reads CRLF input like LF input', () => {
+		const crlf = parseReadme( README.replace( /\n/g, '\r\n' ) );
+
+		expect( { ...crlf, source: '' } ).toEqual( { ...doc, source: '' } );
+	} );
+} );
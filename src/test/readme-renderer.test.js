@@ -0,0 +1,38 @@
+/**
+ * Internal dependencies
+ */
+import { renderInline } from '../readme-renderer';
+
+describe( 'renderInline', () => {
+	it( 'renders code spans', () => {
+		expect( renderInline( 'Use `<b>`.' ) ).toBe(
+			'Use <code>&lt;b&gt;</code>.'
+		);
+	} );
+
+	it( 'keeps code spans inside link labels', () => {
+		expect( renderInline( '[`code`](https://a.com)' ) ).toBe(
+			'<a href="https://a.com/" target="_blank" rel="noopener noreferrer nofollow"><code>code</code></a>'
+		);
+	} );
+
+	it( 'formats link labels around code spans', () => {
+		expect(
+			renderInline( 'See [the **`init`** hook](https://a.com/hook).' )
+		).toBe(
+			'See <a href="https://a.com/hook" target="_blank" rel="noopener noreferrer nofollow">the <strong><code>init</code></strong> hook</a>.'
+		);
+	} );
+
+	it( 'renders the label of an unsafe link as text', () => {
+		expect( renderInline( '[`run`](javascript:void)' ) ).toBe(
+			'<code>run</code>'
+		);
+	} );
+
+	it( 'drops placeholder markers in the text', () => {
+		expect( renderInline( 'a\u00000\u0000b `c`' ) ).toBe(
+			'a0b <code>c</code>'
+		);
+	} );
+} );
@@ -0,0 +1,42 @@
+/**
+ * External dependencies
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Internal dependencies
+ */
+import { getSection, parseReadme } from '../readme-parser';
+import { writeReadme } from '../readme-writer';
+
+const README = fs
+	.readFileSync( path.join( __dirname, '../../readme.txt' ), 'utf8' )
+	.replace( /\r\n/g, '\n' );
+
+describe( 'writeReadme', () => {
+	it.each( [
+		[ 'LF', README ],
+		[ 'CRLF', README.replace( /\n/g, '\r\n' ) ],
+	] )( 'writes an untouched %s readme byte for byte', ( name, text ) => {
+		const original = parseReadme( text );
+
+		expect( writeReadme( parseReadme( text ), original ) ).toBe( text );
+	} );
+
+	it.each( [
+		[ 'LF', README ],
+		[ 'CRLF', README.replace( /\n/g, '\r\n' ) ],
+	] )( 'only rewrites the edited section of a %s readme', ( name, text ) => {
+		const original = parseReadme( text );
+		const doc = parseReadme( text );
+		const installation = getSection( doc, 'installation' );
+		installation.content = 'Upload the plugin and activate it.';
+
+		const eol = name === 'LF' ? '\n' : '\r\n';
+		const content = getSection( original, 'installation' ).content;
+		expect( writeReadme( doc, original ) ).toBe(
+			text.replace( content.replace( /\n/g, eol ), installation.content )
+		);
+	} );
+} );
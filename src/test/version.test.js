@@ -0,0 +1,68 @@
+/**
+ * Internal dependencies
+ */
+import { bumpVersion, compareVersions, sortByVersion } from '../version';
+
+describe( 'compareVersions', () => {
+	it.each( [
+		[ '2.0.0', '2.0.0-rc.1', 1 ],
+		[ '2.0.0-rc.1', '2.0.0-beta.1', 1 ],
+		[ '2.0.0-beta.1', '2.0.0', -1 ],
+		[ '1.10', '1.2', 1 ],
+		[ '1.2', '1.10', -1 ],
+		[ '1.0', '1.0.0', 0 ],
+		[ '1.0-beta10', '1.0-beta9', 1 ],
+		[ '1.0-alpha', '1.0-alpha.1', -1 ],
+		[ 'trunk', '1.0', 0 ],
+	] )( 'compares %s with %s as %d', ( a, b, expected ) => {
+		expect( compareVersions( a, b ) ).toBe( expected );
+	} );
+} );
+
+describe( 'sortByVersion', () => {
+	it( 'sorts newest first and leaves invalid versions in place', () => {
+		expect(
+			sortByVersion(
+				[ '1.2', 'trunk', '1.10', '2.0.0-beta.1', '2.0.0', '1.2.0' ],
+				( version ) => version
+			)
+		).toEqual( [
+			'2.0.0',
+			'trunk',
+			'2.0.0-beta.1',
+			'1.10',
+			'1.2',
+			'1.2.0',
+		] );
+	} );
+
+	it( 'keeps items with the same version in order', () => {
+		const items = [
+			{ version: '1.0', id: 'a' },
+			{ version: '1.1', id: 'b' },
+			{ version: '1.0.0', id: 'c' },
+		];
+
+		expect(
+			sortByVersion( items, ( item ) => item.version ).map(
+				( item ) => item.id
+			)
+		).toEqual( [ 'b', 'a', 'c' ] );
+	} );
+} );
+
+describe( 'bumpVersion', () => {
+	it.each( [
+		[ '1.2.3', 'patch', '1.2.4' ],
+		[ '1.2.3', 'minor', '1.3.0' ],
+		[ '1.2.3', 'major', '2.0.0' ],
+		[ '1.2', 'patch', '1.2.1' ],
+		[ '2.0.0-beta.1', 'major', '2.0.0' ],
+		[ '2.0.0-beta.1', 'minor', '2.0.0' ],
+		[ '2.0.0-beta.1', 'patch', '2.0.0' ],
+		[ '1.2.3-rc.1', 'minor', '1.3.0' ],
+		[ 'trunk', 'minor', '0.1.0' ],
+	] )( 'bumps the %s of %s to %s', ( version, part, expected ) => {
+		expect( bumpVersion( version, part ) ).toBe( expected );
+	} );
+} );
@@ -0,0 +1,193 @@
+/**
+ * WordPress Readme Generator - version numbers
+ *
+ * Reads the version numbers plugins use for their Stable tag and changelog:
+ * dotted numbers of any length such as `1.2` or `1.2.3.4`, optionally with a
+ * prerelease such as `2.0.0-beta.1` or `2.0-RC1` and semver build metadata,
+ * which is ignored when comparing. includes/readme.php mirrors the comparison.
+ *
+ * @since 0.1.0
+ */
+
+const VERSION_PATTERN =
+	/^(\d+(?:\.\d+)*)(?:-([0-9A-Za-z]+(?:[.-][0-9A-Za-z]+)*))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parts of the version that can be bumped, by position in the numbers.
+ */
+export const VERSION_PARTS = {
+	major: 0,
+	minor: 1,
+	patch: 2,
+};
+
+/**
+ * A version split into its parts.
+ *
+ * @typedef {Object} ParsedVersion
+ * @property {number[]}             numbers    Dotted numbers.
+ * @property {Array<number|string>} prerelease Prerelease identifiers, lowercase.
+ */
+
+/**
+ * Split a version into its numbers and prerelease identifiers. Identifiers
+ * also split where digits and letters meet, so `beta10` sorts after `beta9`.
+ *
+ * @param {string} version Version number.
+ * @return {ParsedVersion|null} Parts, or null when the version is invalid.
+ */
+export function parseVersion( version ) {
+	const match =
+		typeof version === 'string' && version.trim().match( VERSION_PATTERN );
+	if ( ! match ) {
+		return null;
+	}
+
+	return {
+		numbers: match[ 1 ].split( '.' ).map( Number ),
+		prerelease: match[ 2 ]
+			? match[ 2 ]
+					.split( /[.-]/ )
+					.reduce(
+						( ids, id ) =>
+							ids.concat( id.split( /(\d+)/ ).filter( Boolean ) ),
+						[]
+					)
+					.map( ( id ) =>
+						/^\d+$/.test( id ) ? Number( id ) : id.toLowerCase()
+					)
+			: [],
+	};
+}
+
+/**
+ * Check whether text is a version number.
+ *
+ * @param {string} version Text to check.
+ * @return {boolean} Whether it is valid.
+ */
+export function isValidVersion( version ) {
+	return parseVersion( version ) !== null;
+}
+
+/**
+ * Compare two prerelease identifiers; numbers sort before words.
+ *
+ * @param {number|string} a First identifier.
+ * @param {number|string} b Second identifier.
+ * @return {number} -1, 0 or 1.
+ */
+function compareIdentifiers( a, b ) {
+	if ( typeof a !== typeof b ) {
+		return typeof a === 'number' ? -1 : 1;
+	}
+	if ( a === b ) {
+		return 0;
+	}
+	return a < b ? -1 : 1;
+}
+
+/**
+ * Compare two version numbers. Missing numbers count as 0, and a prerelease
+ * sorts before its release. Invalid versions compare as equal.
+ *
+ * @param {string} a First version.
+ * @param {string} b Second version.
+ * @return {number} -1, 0 or 1 like a sort comparator.
+ */
+export function compareVersions( a, b ) {
+	const left = parseVersion( a );
+	const right = parseVersion( b );
+	if ( ! left || ! right ) {
+		return 0;
+	}
+
+	const length = Math.max( left.numbers.length, right.numbers.length );
+	for ( let i = 0; i < length; i++ ) {
+		const difference =
+			( left.numbers[ i ] || 0 ) - ( right.numbers[ i ] || 0 );
+		if ( difference ) {
+			return difference < 0 ? -1 : 1;
+		}
+	}
+
+	if ( ! left.prerelease.length || ! right.prerelease.length ) {
+		return Math.sign( right.prerelease.length - left.prerelease.length );
+	}
+	for (
+		let i = 0;
+		i < Math.min( left.prerelease.length, right.prerelease.length );
+		i++
+	) {
+		const order = compareIdentifiers(
+			left.prerelease[ i ],
+			right.prerelease[ i ]
+		);
+		if ( order ) {
+			return order;
+		}
+	}
+	return Math.sign( left.prerelease.length - right.prerelease.length );
+}
+
+/**
+ * Sort items newest version first. Items without a valid version keep their
+ * place, and items with the same version keep their order.
+ *
+ * @param {Array}    items      Items to sort.
+ * @param {Function} getVersion Returns the version of an item.
+ * @return {Array} Sorted copy.
+ */
+export function sortByVersion( items, getVersion ) {
+	const sorted = items
+		.filter( ( item ) => isValidVersion( getVersion( item ) ) )
+		.sort( ( a, b ) =>
+			compareVersions( getVersion( b ), getVersion( a ) )
+		);
+	let next = 0;
+	return items.map( ( item ) =>
+		isValidVersion( getVersion( item ) ) ? sorted[ next++ ] : item
+	);
+}
+
+/**
+ * Find the newest of a list of versions.
+ *
+ * @param {string[]} versions Versions, invalid ones are skipped.
+ * @return {string} Newest version, empty when none is valid.
+ */
+export function getLatestVersion( versions ) {
+	return sortByVersion(
+		versions.filter( isValidVersion ),
+		( version ) => version
+	).concat( '' )[ 0 ];
+}
+
+/**
+ * Raise the major, minor or patch number of a version and reset the numbers
+ * after it. A prerelease of the resulting version is released instead, so
+ * bumping the major of `2.0.0-beta.1` gives `2.0.0`.
+ *
+ * @param {string} version Version to bump, `0.0.0` when invalid.
+ * @param {string} part    `major`, `minor` or `patch`.
+ * @return {string} Bumped version.
+ */
+export function bumpVersion( version, part ) {
+	const parsed = parseVersion( version ) || parseVersion( '0.0.0' );
+	const index = VERSION_PARTS[ part ];
+	const numbers = parsed.numbers.slice();
+
+	if (
+		parsed.prerelease.length &&
+		numbers.slice( index + 1 ).every( ( number ) => number === 0 )
+	) {
+		return numbers.join( '.' );
+	}
+
+	while ( numbers.length <= index ) {
+		numbers.push( 0 );
+	}
+	numbers[ index ]++;
+	numbers.fill( 0, index + 1 );
+	return numbers.join( '.' );
+}
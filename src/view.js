@@ -16,14 +16,41 @@
  * @since 0.1.0
  */
 
+import { parseReadme, getSection, getSectionId, createEmptyDocument, normalizeDocument, HEADER_FIELDS } from './readme-parser';
+import { writeReadme, splitChangelog, getChangelogLink, generateChangelog } from './readme-writer';
+import { validateReadme } from './readme-validator';
+import { renderReadme } from './readme-renderer';
+import { readmeToMarkdown, markdownToReadme } from './readme-markdown';
+import { exportReadmeJSON, importReadmeJSON } from './readme-json';
+import { parseChangelogText } from './changelog-import';
+import { isValidVersion, sortByVersion, getLatestVersion, bumpVersion } from './version';
+import { parsePluginHeader, normalizeLicense, getAuthorUsername, readPluginArchive, HEADER_BYTES } from './plugin-file';
+import {
+	isProjectStoreAvailable,
+	listProjects,
+	getProject,
+	saveProject,
+	createProject,
+	renameProject,
+	duplicateProject,
+	deleteProject
+} from './project-store';
+import {
+	listReadmePosts,
+	getReadmePost,
+	saveReadmePost,
+	listReadmeRevisions,
+	getReadmeRevision
+} from './readme-post-store';
+
 (function() {
 	'use strict';
 	
 	// Security: Global constants
 	const SECURITY_CONFIG = {
 		maxFileSize: 102400, // 100KB
-		allowedFileTypes: ['text/plain'],
-		allowedExtensions: ['txt'],
+		allowedFileTypes: ['text/plain', 'text/markdown', 'text/x-markdown'],
+		allowedExtensions: ['txt', 'md'],
 		maxInputLength: {
 			plugingName: 100,
 			shortDescription: 150,
@@ -32,23 +59,127 @@
 			faqQuestion: 200,
 			faqAnswer: 1000,
 			changelogChange: 200,
+			upgradeNotice: 300,
+			customSectionTitle: 80,
+			projectName: 80,
+			customSection: 5000,
+			headerFieldKey: 50,
+			headerFieldValue: 200,
+			screenshotCaption: 300,
 			contributor: 50,
 			tag: 30,
 			version: 20
 		},
 		maxItems: {
 			faqs: 20,
-			changelogs: 20,
+			changelogs: 100,
 			changes: 10,
+			screenshots: 20,
+			customSections: 10,
+			headerFields: 10,
+			projects: 50,
 			contributors: 10,
 			tags: 5
 		},
+		pluginFiles: {
+			maxFileSize: {
+				php: 1048576, // 1MB
+				zip: 10485760 // 10MB
+			}
+		},
+		jsonFiles: {
+			maxFileSize: 262144 // 256KB
+		},
+		screenshotImages: {
+			maxFileSize: 5242880, // 5MB, previewed locally only
+			types: {
+				'image/png': 'png',
+				'image/jpeg': 'jpg',
+				'image/gif': 'gif'
+			}
+		},
 		rateLimit: {
 			maxRequests: 100,
 			timeWindow: 3600000 // 1 hour in milliseconds
 		}
 	};
 	
+	// Form controls that diagnostics for each document field jump to
+	const DIAGNOSTIC_TARGETS = {
+		name: '#pluginName',
+		shortDescription: '#shortDescription',
+		contributors: '#contributorsInput',
+		tags: '#tagsInput',
+		donateLink: '#donateLink',
+		requiresAtLeast: '#requiresAtLeast',
+		testedUpTo: '#testedUpTo',
+		stableTag: '#version',
+		requiresPHP: '#requiresPHP',
+		requiresPlugins: '#requiresPlugins',
+		license: '#license',
+		licenseURI: '#licenseURI',
+		description: '#description',
+		installation: '#installation',
+		changelog: '#changelogContainer .changelog-version, #addChangelog',
+		upgradeNotice: '#changelogContainer .changelog-upgrade-notice'
+	};
+	
+	// Autosaved drafts, one localStorage entry per block on a page
+	const DRAFT_CONFIG = {
+		storagePrefix: 'wordpress_readme_gen_draft_',
+		version: 1,
+		autosaveDelay: 1000
+	};
+	
+	// The project each block had open, so a reload reopens it
+	const PROJECT_CONFIG = {
+		currentKeyPrefix: 'wordpress_readme_gen_project_',
+		autosaveDelay: 1000
+	};
+	
+	// Undo history; typing is grouped into one step per pause
+	const HISTORY_CONFIG = {
+		maxEntries: 100,
+		typingDelay: 500
+	};
+	
+	// Guided mode; the step is remembered per block like drafts
+	const WIZARD_CONFIG = {
+		storagePrefix: 'wordpress_readme_gen_wizard_'
+	};
+	
+	// Lists of items the form adds and removes at runtime
+	const LIST_CONTAINERS = '#faqContainer, #changelogContainer, #screenshotsContainer, #customSectionsContainer, #headerFieldsContainer';
+	
+	// Items that move with their drag handle or up and down buttons, and how
+	// a move is announced for each
+	const REORDERABLE_ITEMS = '.faq-item, .changelog-item, .change-item, .custom-section-item';
+	const REORDER_LABELS = {
+		'faq-item': { name: 'Question', field: '.faq-question' },
+		'changelog-item': { name: 'Version', field: '.changelog-version' },
+		'change-item': { name: 'Change', field: '.changelog-change' },
+		'custom-section-item': { name: 'Section', field: '.custom-section-title' }
+	};
+	
+	// Every item with a drag handle, so a handle is matched to its own item
+	const SORTABLE_ITEMS = REORDERABLE_ITEMS + ', .screenshot-item';
+	
+	// Starting points for sections plugin reviews commonly ask for
+	const CUSTOM_SECTION_PRESETS = {
+		'third-party-services': {
+			title: 'Third Party Services',
+			content: 'This plugin relies on [Service name](https://example.com), a third party service, to ...\n\n* What is sent: ...\n* When it is sent: ...\n* [Terms of use](https://example.com/terms)\n* [Privacy policy](https://example.com/privacy)'
+		},
+		privacy: {
+			title: 'Privacy',
+			content: 'This plugin does not collect or store any personal data, set cookies or send data to external services.'
+		},
+		credits: {
+			title: 'Credits',
+			content: '* Icons by [Author](https://example.com)'
+		}
+	};
+	
 	// Security: Comprehensive input sanitization
 			function sanitizeInput(input, maxLength = 1000) {
 				if (typeof input !== 'string') {
@@ -76,15 +207,31 @@
 		return sanitized;
 	}
 	
+	// Security: Strip control characters from text that goes into the readme
+	// file. Line breaks and markup are kept since the text is never rendered
+	// as HTML; use sanitizeInput for anything written into the page.
+	function sanitizeText(input, maxLength = 0) {
+		if (typeof input !== 'string') {
+			return '';
+		}
+		
+		let sanitized = input.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g, '');
+		if (maxLength > 0) {
+			sanitized = sanitized.slice(0, maxLength);
+		}
+		
+		return sanitized;
+	}
+	
 	// Security: Validate specific input types
 	function validateInput(input, type) {
 		switch (type) {
 			case 'username':
 				return /^[a-zA-Z0-9_-]{1,50}$/.test(input);
 			case 'version':
-				return /^\d+\.\d+\.\d+$/.test(input);
+				return isValidVersion(input);
 			case 'tag':
-				return /^[a-zA-Z0-9_-]{1,30}$/.test(input);
+				return /^[a-zA-Z0-9][a-zA-Z0-9 _-]{0,29}$/.test(input);
 			case 'url':
 				try {
 					new URL(input);
@@ -92,6 +239,16 @@
 				} catch {
 					return false;
 				}
+			case 'link':
+				try {
+					return ['http:', 'https:'].includes(new URL(input).protocol);
+				} catch {
+					return false;
+				}
+			case 'slugs':
+				return /^[a-z0-9-]+(\s*,\s*[a-z0-9-]+)*$/.test(input.trim());
+			case 'headerKey':
+				return /^[A-Za-z][A-Za-z0-9 _-]*$/.test(input) && !HEADER_FIELDS[input.toLowerCase()];
 			case 'email':
 				return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input);
 			default:
@@ -145,9 +302,9 @@
 			return { valid: false, error: 'File size too large (max 100KB)' };
 		}
 		
-		// File type check
+		// File type check. Browsers without a type for .md files report none
 		if (!SECURITY_CONFIG.allowedFileTypes.includes(file.type) && 
-			file.type !== 'application/octet-stream') {
+			file.type !== 'application/octet-stream' && file.type !== '') {
 			return { valid: false, error: 'Invalid file type' };
 		}
 		
@@ -158,13 +315,37 @@
 		}
 		
 		// Filename validation
-		if (!/^[a-zA-Z0-9._-]+\.txt$/.test(file.name)) {
+		if (!/^[a-zA-Z0-9._-]+\.(txt|md)$/i.test(file.name)) {
 			return { valid: false, error: 'Invalid filename' };
 		}
 		
 		return { valid: true };
 	}
 	
+	// Security: Validate a main plugin file or plugin ZIP. Browsers report
+	// different types for both, so the extension and size decide
+	function validatePluginFileUpload(file) {
+		if (!file || typeof file !== 'object') {
+			return { valid: false, error: 'No file provided' };
+		}
+		
+		const extension = file.name.toLowerCase().split('.').pop();
+		const maxFileSize = SECURITY_CONFIG.pluginFiles.maxFileSize[extension];
+		if (!maxFileSize) {
+			return { valid: false, error: 'Invalid file extension' };
+		}
+		
+		if (file.size > maxFileSize) {
+			return { valid: false, error: `File size too large (max ${extension === 'zip' ? '10MB' : '1MB'})` };
+		}
+		
+		if (!/^[a-zA-Z0-9._-]+\.(php|zip)$/i.test(file.name)) {
+			return { valid: false, error: 'Invalid filename' };
+		}
+		
+		return { valid: true, extension: extension };
+	}
+	
 	// Security: Verify nonce before operations
 	function verifyNonce(blockElement) {
 		const nonce = blockElement.dataset.nonce;
@@ -252,8 +433,8 @@
 		try {
 			const readmeGenerators = document.querySelectorAll('.wp-block-telex-block-wordpress-readme-generator-frontend');
 			
-			readmeGenerators.forEach(function(generator) {
-				initializeGenerator(generator);
+			readmeGenerators.forEach(function(generator, index) {
+				initializeGenerator(generator, index);
 			});
 		} catch (error) {
 			handleError(error, 'initialization');
@@ -261,7 +442,7 @@
 	});
 	
 	// Initialize individual generator instance
-	function initializeGenerator(generator) {
+	function initializeGenerator(generator, index) {
 		try {
 			// Security: Verify nonce
 			if (!verifyNonce(generator)) {
@@ -283,14 +464,31 @@
 			
 			// Initialize features
 			const state = initializeState();
+			state.settings = readFormSettings(generator);
+			applyDefaultContributors(elements, state);
 			initializeFileUpload(generator, elements, state);
+			initializePluginImport(generator, elements, state);
+			initializeJSONFiles(generator, elements, state);
 			initializeFormValidation(elements);
 			initializeTagsManagement(generator, elements, state);
 			initializeFormattingButtons(generator, elements);
 			initializeFAQManagement(generator, elements, state);
 			initializeChangelogManagement(generator, elements, state);
+			initializeChangelogImport(generator, elements, state);
+			initializeScreenshotsManagement(elements);
+			initializeCustomSections(elements, state);
+			initializeReordering(elements);
+			initializeHeaderFields(elements);
 			initializeInlinePreviewHandlers(elements);
 			initializeFormHandlers(elements, state);
+			initializeValidationPanel(generator, elements, state);
+			initializeLivePreview(generator, elements, state);
+			initializeSavedReadme(generator, elements, state);
+			initializeDrafts(generator, elements, state, index);
+			initializeProjects(generator, elements, state, index);
+			initializeSiteReadmes(generator, elements, state);
+			initializeHistory(generator, elements, state);
+			initializeWizard(generator, elements, state, index);
 			
 			// Generator initialized silently
 			
@@ -306,15 +504,71 @@
 		try {
 			elements.form = generator.querySelector('#readmeForm');
 			elements.fileInput = generator.querySelector('#readmeFile');
+			elements.pluginFileInput = generator.querySelector('#pluginFile');
 			elements.previewBtn = generator.querySelector('#previewBtn');
 			elements.downloadBtn = generator.querySelector('#downloadBtn');
+			elements.downloadMarkdownBtn = generator.querySelector('#downloadMarkdownBtn');
+			elements.exportJsonBtn = generator.querySelector('#exportJsonBtn');
+			elements.importJsonBtn = generator.querySelector('#importJsonBtn');
+			elements.jsonFileInput = generator.querySelector('#jsonFile');
+			elements.jsonImportErrors = generator.querySelector('#jsonImportErrors');
+			elements.jsonImportErrorList = generator.querySelector('#jsonImportErrorList');
 			elements.previewSection = generator.querySelector('#previewSection');
 			elements.previewContent = generator.querySelector('#previewContent');
+			elements.previewRendered = generator.querySelector('#previewRenderedPanel');
 			elements.hidePreviewBtn = generator.querySelector('#hidePreviewBtn');
+			elements.livePreviewToggle = generator.querySelector('#livePreviewToggle');
+			elements.draftPrompt = generator.querySelector('#draftPrompt');
+			elements.restoreDraftBtn = generator.querySelector('#restoreDraftBtn');
+			elements.discardDraftBtn = generator.querySelector('#discardDraftBtn');
+			elements.clearDraftBtn = generator.querySelector('#clearDraftBtn');
+			elements.projectSwitcher = generator.querySelector('#projectSwitcher');
+			elements.projectSelect = generator.querySelector('#projectSelect');
+			elements.projectStatus = generator.querySelector('#projectStatus');
+			elements.newProjectBtn = generator.querySelector('#newProjectBtn');
+			elements.duplicateProjectBtn = generator.querySelector('#duplicateProjectBtn');
+			elements.renameProjectBtn = generator.querySelector('#renameProjectBtn');
+			elements.deleteProjectBtn = generator.querySelector('#deleteProjectBtn');
+			elements.siteReadmes = generator.querySelector('#siteReadmes');
+			elements.siteReadmeSelect = generator.querySelector('#siteReadmeSelect');
+			elements.siteReadmeStatus = generator.querySelector('#siteReadmeStatus');
+			elements.loadSiteReadmeBtn = generator.querySelector('#loadSiteReadmeBtn');
+			elements.saveSiteReadmeBtn = generator.querySelector('#saveSiteReadmeBtn');
+			elements.saveSiteReadmeAsBtn = generator.querySelector('#saveSiteReadmeAsBtn');
+			elements.siteRevisionSelect = generator.querySelector('#siteRevisionSelect');
+			elements.loadSiteRevisionBtn = generator.querySelector('#loadSiteRevisionBtn');
+			elements.compareSiteRevisionLink = generator.querySelector('#compareSiteRevisionLink');
+			elements.undoBtn = generator.querySelector('#undoBtn');
+			elements.redoBtn = generator.querySelector('#redoBtn');
+			elements.wizardModeToggle = generator.querySelector('#wizardModeToggle');
+			elements.wizardProgress = generator.querySelector('#wizardProgress');
+			elements.wizardStatus = generator.querySelector('#wizardStatus');
+			elements.wizardErrors = generator.querySelector('#wizardErrors');
+			elements.wizardErrorList = generator.querySelector('#wizardErrorList');
+			elements.wizardNav = generator.querySelector('#wizardNav');
+			elements.wizardBackBtn = generator.querySelector('#wizardBackBtn');
+			elements.wizardNextBtn = generator.querySelector('#wizardNextBtn');
 			elements.addFAQBtn = generator.querySelector('#addFAQ');
 			elements.addChangelogBtn = generator.querySelector('#addChangelog');
 			elements.faqContainer = generator.querySelector('#faqContainer');
 			elements.changelogContainer = generator.querySelector('#changelogContainer');
+			elements.changelogImportText = generator.querySelector('#changelogImportText');
+			elements.changelogFileInput = generator.querySelector('#changelogFile');
+			elements.importChangelogBtn = generator.querySelector('#importChangelogBtn');
+			elements.addScreenshotBtn = generator.querySelector('#addScreenshot');
+			elements.screenshotsContainer = generator.querySelector('#screenshotsContainer');
+			elements.addCustomSectionBtn = generator.querySelector('#addCustomSection');
+			elements.customSectionPreset = generator.querySelector('#customSectionPreset');
+			elements.customSectionsContainer = generator.querySelector('#customSectionsContainer');
+			elements.reorderStatus = generator.querySelector('#reorderStatus');
+			elements.license = generator.querySelector('#license');
+			elements.licenseCustom = generator.querySelector('#licenseCustom');
+			elements.licenseURI = generator.querySelector('#licenseURI');
+			elements.network = generator.querySelector('#network');
+			elements.addHeaderFieldBtn = generator.querySelector('#addHeaderField');
+			elements.headerFieldsContainer = generator.querySelector('#headerFieldsContainer');
+			elements.validationSummary = generator.querySelector('#validationSummary');
+			elements.validationList = generator.querySelector('#validationList');
 			
 			// Tags elements
 			elements.contributorsInput = generator.querySelector('#contributorsInput');
@@ -340,7 +594,16 @@
 			contributorsTags: [],
 			tagsTags: [],
 			faqIndex: 1,
-			changelogIndex: 1
+			changelogIndex: 1,
+			customSectionIndex: 1,
+			importedDocument: null,
+			pluginVersion: '',
+			previewSectionKey: 'header',
+			projectId: null,
+			projects: [],
+			siteReadmeId: 0,
+			wizardMode: false,
+			wizardStep: 0
 		};
 	}
 	
@@ -366,7 +629,8 @@
 				const reader = new FileReader();
 				reader.onload = function(event) {
 					try {
-						const content = event.target.result;
+						// A README.md is converted to readme.txt first
+						const content = /\.md$/i.test(file.name) ? markdownToReadme(event.target.result) : event.target.result;
 						parseReadmeFile(content, generator, elements, state);
 						showInlineNotification('File imported successfully!', 'success');
 					} catch (error) {
@@ -388,6 +652,113 @@
 				});
 			}
 			
+	// Import the header of a main plugin file, or of the plugin in a ZIP
+	// together with its readme.txt. Files never leave the browser
+	function initializePluginImport(generator, elements, state) {
+		if (!elements.pluginFileInput) return;
+		
+		elements.pluginFileInput.addEventListener('change', function(e) {
+			try {
+				const file = e.target.files[0];
+				if (!file) return;
+				
+				// Security: Validate file
+				const validation = validatePluginFileUpload(file);
+				if (!validation.valid) {
+					logSecurityEvent('invalid_file_upload', { error: validation.error, filename: file.name });
+					showInlineNotification(validation.error, 'error');
+					e.target.value = ''; // Clear input
+					return;
+				}
+				
+				const reader = new window.FileReader();
+				reader.onload = function(event) {
+					const result = event.target.result;
+					const plugin = validation.extension === 'zip'
+						? Promise.resolve(result).then(readPluginArchive)
+						: Promise.resolve({ header: parsePluginHeader(result), file: file.name, readme: '' });
+					
+					plugin.then(function(found) {
+						if (!found.header) {
+							throw new Error('No Plugin Name header was found in ' + file.name + '.');
+						}
+						if (found.readme) {
+							parseReadmeFile(found.readme, generator, elements, state);
+						}
+						applyPluginHeader(generator, elements, state, found.header);
+						
+						const versionField = generator.querySelector('#version');
+						const stableTag = versionField ? versionField.value.trim() : '';
+						if (state.pluginVersion && stableTag && stableTag !== state.pluginVersion) {
+							showInlineNotification(`Imported ${found.file}. Stable tag ${stableTag} does not match the plugin Version ${state.pluginVersion}.`, 'error', 8000);
+						} else {
+							showInlineNotification(`Imported ${found.file}${found.readme ? ' and its readme.txt' : ''}.`, 'success');
+						}
+					}).catch(function(error) {
+						handleError(error, 'plugin_file_parsing');
+						showInlineNotification(error.message || 'Error reading the plugin file.', 'error');
+					});
+				};
+				
+				reader.onerror = function() {
+					handleError(new Error('File read error'), 'file_reading');
+					showInlineNotification('Error reading file', 'error');
+				};
+				
+				// WordPress only reads the header from the start of a plugin file
+				if (validation.extension === 'zip') {
+					reader.readAsArrayBuffer(file);
+				} else {
+					reader.readAsText(file.slice(0, HEADER_BYTES));
+				}
+				
+			} catch (error) {
+				handleError(error, 'plugin_file_upload');
+			}
+		});
+	}
+	
+	// Fill the form from a plugin header. After a readme import only empty
+	// fields are filled, so the readme's own Stable tag is kept and checked
+	function applyPluginHeader(generator, elements, state, header) {
+		const imported = state.importedDocument;
+		const fill = function(selector, value) {
+			const field = generator.querySelector(selector);
+			if (field && (!imported || !field.value.trim())) {
+				setFieldValue(generator, selector, value);
+			}
+		};
+		
+		fill('#pluginName', header.name);
+		fill('#shortDescription', header.description.slice(0, SECURITY_CONFIG.maxInputLength.shortDescription));
+		fill('#version', header.version);
+		fill('#requiresAtLeast', header.requiresAtLeast);
+		fill('#requiresPHP', header.requiresPHP);
+		fill('#requiresPlugins', header.requiresPlugins.join(', '));
+		
+		if (header.license && (!imported || !imported.header.license)) {
+			setLicense(elements, normalizeLicense(header.license), header.licenseURI);
+			if (elements.licenseURI && !elements.licenseURI.value) {
+				elements.licenseURI.value = getLicenseUri(elements.license);
+			}
+		}
+		
+		if (elements.network && (!imported || isTruthyHeader(header.network))) {
+			elements.network.checked = isTruthyHeader(header.network);
+		}
+		
+		const username = getAuthorUsername(header);
+		if (username && !state.contributorsTags.includes(username) &&
+			state.contributorsTags.length < SECURITY_CONFIG.maxItems.contributors) {
+			state.contributorsTags.push(username);
+			updateTagsDisplay(generator, '#contributorsDisplay', state.contributorsTags, 'contributor');
+			setFieldValue(generator, '#contributors', state.contributorsTags.join(', '));
+		}
+		
+		state.pluginVersion = header.version;
+		elements.form.dispatchEvent(new Event('change'));
+	}
+	
 	// Enhanced file parsing with security
 	function parseReadmeFile(content, generator, elements, state) {
 		if (!content || typeof content !== 'string') {
@@ -399,309 +770,181 @@
 			throw new Error('File content too large');
 		}
 		
-		// Sanitize content
-		content = sanitizeInput(content, 50000);
-		
 		try {
-			// Parse sections with enhanced regex patterns
-			parseBasicInfo(content, generator, state);
-			parseSections(content, generator);
-			parseFAQ(content, generator, elements, state);
-			parseChangelog(content, generator, elements, state);
+			const doc = parseReadme(content);
+			populateFormFromDocument(doc, generator, elements, state);
 			
 		} catch (error) {
 			throw new Error('Failed to parse readme sections: ' + error.message);
 		}
 	}
 	
-	// Parse basic information with validation
-	function parseBasicInfo(content, generator, state) {
-		const lines = content.split('\n');
-		let inHeader = false;
+	// Fill the form from a parsed readme document. The document is kept in
+	// state so export can reuse the original text of untouched parts.
+	function populateFormFromDocument(doc, generator, elements, state) {
+		const header = doc.header;
 		
-		// Extract plugin name
-		const headerMatch = content.match(/===\s*(.+?)\s*===/i);
-		if (headerMatch) {
-			const pluginName = sanitizeInput(headerMatch[1], SECURITY_CONFIG.maxInputLength.pluginName);
-			if (pluginName) {
-				setFieldValue(generator, '#pluginName', pluginName);
-			}
+		resetForm(elements, state);
+		state.importedDocument = doc;
+		
+		setFieldValue(generator, '#pluginName', doc.name);
+		setFieldValue(generator, '#shortDescription', doc.shortDescription);
+		
+		if (header.contributors.length > 0) {
+			state.contributorsTags = header.contributors.slice();
+			updateTagsDisplay(generator, '#contributorsDisplay', state.contributorsTags, 'contributor');
+			setFieldValue(generator, '#contributors', state.contributorsTags.join(', '));
 		}
 		
-		// Process header fields
-		for (let i = 0; i < lines.length; i++) {
-			const line = (lines[i] || '').trim();
-			
-			// Start of header
-			if (line.match(/^===.*===$/) && !inHeader) {
-				inHeader = true;
-				continue;
-			}
-			
-			// End of header - look for empty line followed by content (not section markers)
-			if (inHeader && line === '') {
-				// Check if next non-empty line is not a section marker
-				let nextLineIndex = i + 1;
-				while (nextLineIndex < lines.length && (lines[nextLineIndex] || '').trim() === '') {
-					nextLineIndex++;
-				}
-				
-				if (nextLineIndex < lines.length) {
-					const nextLine = (lines[nextLineIndex] || '').trim();
-					// If next line is a section marker (== Section ==), continue header parsing
-					// If next line is content, end header parsing
-					if (!nextLine.match(/^==\s+.*\s+==$/)) {
-						inHeader = false;
-						// This next line should be the short description
-						if (nextLine && nextLine.length > 0) {
-							setFieldValue(generator, '#shortDescription', nextLine);
-						}
-						break;
-					}
-				}
-				continue;
-			}
-			
-			if (inHeader && line.includes(':')) {
-				parseHeaderField(line, generator, state);
+		if (header.tags.length > 0) {
+			state.tagsTags = header.tags.slice();
+			updateTagsDisplay(generator, '#tagsDisplay', state.tagsTags, 'tag');
+			setFieldValue(generator, '#tags', state.tagsTags.join(', '));
+		}
+		
+		setFieldValue(generator, '#requiresAtLeast', header.requiresAtLeast);
+		setFieldValue(generator, '#testedUpTo', header.testedUpTo);
+		setFieldValue(generator, '#requiresPHP', header.requiresPHP);
+		setFieldValue(generator, '#version', header.stableTag);
+		setFieldValue(generator, '#donateLink', header.donateLink);
+		setFieldValue(generator, '#requiresPlugins', header.requiresPlugins.join(', '));
+		setLicense(elements, header.license, header.licenseURI);
+		
+		if (elements.network) {
+			elements.network.checked = isTruthyHeader(header.network);
+		}
+		
+		if (elements.headerFieldsContainer) {
+			doc.unknownHeaderFields.forEach(function(field) {
+				addHeaderField(elements.headerFieldsContainer, field.key, field.value, field.line);
+			});
+		}
+		
+		['description', 'installation'].forEach(function(sectionName) {
+			const section = getSection(doc, sectionName);
+			if (section && section.content) {
+				setFieldValue(generator, '#' + sectionName, section.content);
 			}
+		});
+		
+		doc.faq.forEach(function(entry, index) {
+			addFAQFromParsed(generator, elements, state, entry.question, entry.answer, index + 1);
+		});
+		setFieldValue(generator, '#faqStyle', doc.faqStyle);
+		
+		// Upgrade notices are edited on the changelog card of their version;
+		// a notice without a changelog entry gets a card of its own
+		const notices = doc.upgradeNotices.slice();
+		const takeNotice = function(version) {
+			const noticeIndex = notices.findIndex(notice => notice.version === version);
+			return noticeIndex === -1 ? '' : notices.splice(noticeIndex, 1)[0].notice;
+		};
+		
+		doc.changelog.forEach(function(entry, index) {
+			addChangelogFromParsed(generator, elements, state, entry.version, entry.changes, index + 1, takeNotice(entry.version));
+		});
+		
+		notices.forEach(function(notice, index) {
+			addChangelogFromParsed(generator, elements, state, notice.version, [], doc.changelog.length + index + 1, notice.notice);
+		});
+		
+		if (elements.screenshotsContainer) {
+			doc.screenshots.forEach(function(entry) {
+				addScreenshot(elements.screenshotsContainer, entry.caption);
+			});
 		}
 		
-		// Short description is now handled in the main parsing loop above
+		// Sections the form has no field for become custom sections
+		if (elements.customSectionsContainer) {
+			doc.unknownSections.forEach(function(section) {
+				addCustomSection(elements.customSectionsContainer, state, section.title, section.content, section.line);
+			});
+		}
+		
+		// Let live listeners such as the readme check know everything changed
+		elements.form.dispatchEvent(new Event('change'));
 	}
 	
-	// Parse individual header fields
-	function parseHeaderField(line, generator, state) {
-		const colonIndex = line.indexOf(':');
-		if (colonIndex === -1) return;
-		
-		const field = (line.substring(0, colonIndex) || '').trim().toLowerCase();
-		const value = sanitizeInput((line.substring(colonIndex + 1) || '').trim());
+	// Clear every field and repeatable item before an import
+	function resetForm(elements, state) {
+		if (elements.form) {
+			elements.form.reset();
+		}
 		
-		if (!value) return;
+		applyDefaultContributors(elements, state);
+		state.tagsTags = [];
+		updateTagsDisplaySimple(elements.tagsDisplay, state.tagsTags, 'tag');
+		updateHiddenInput(elements.tagsHidden, state.tagsTags);
 		
-		switch (field) {
-			case 'contributors':
-			case 'contributor':
-				const contributors = value.split(',').map(c => sanitizeInput((c || '').trim(), 50))
-					.filter(c => c && validateInput(c, 'username'))
-					.slice(0, SECURITY_CONFIG.maxItems.contributors);
-				if (contributors.length > 0) {
-					state.contributorsTags = contributors;
-					updateTagsDisplay(generator, '#contributorsDisplay', contributors, 'contributor');
-					setFieldValue(generator, '#contributors', contributors.join(', '));
-				}
-				break;
-				
-			case 'tags':
-			case 'tag':
-				const tags = value.split(',').map(t => sanitizeInput((t || '').trim(), 30))
-					.filter(t => t && validateInput(t, 'tag'))
-					.slice(0, SECURITY_CONFIG.maxItems.tags);
-				if (tags.length > 0) {
-					state.tagsTags = tags;
-					updateTagsDisplay(generator, '#tagsDisplay', tags, 'tag');
-					setFieldValue(generator, '#tags', tags.join(', '));
-				}
-				break;
-				
-			case 'requires at least':
-			case 'requires wordpress':
-				setFieldValue(generator, '#requiresAtLeast', value);
-				break;
-				
-			case 'tested up to':
-				setFieldValue(generator, '#testedUpTo', value);
-				break;
-				
-			case 'stable tag':
-				if (validateInput(value, 'version')) {
-					setFieldValue(generator, '#version', value);
-				}
-				break;
-				
-			case 'requires php':
-				setFieldValue(generator, '#requiresPHP', value);
-				break;
+		if (elements.faqContainer) {
+			elements.faqContainer.innerHTML = '';
+		}
+		if (elements.changelogContainer) {
+			elements.changelogContainer.innerHTML = '';
 		}
+		if (elements.screenshotsContainer) {
+			elements.screenshotsContainer.innerHTML = '';
+		}
+		if (elements.customSectionsContainer) {
+			elements.customSectionsContainer.innerHTML = '';
+		}
+		if (elements.headerFieldsContainer) {
+			elements.headerFieldsContainer.innerHTML = '';
+		}
+		updateLicenseFields(elements);
+		state.faqIndex = 1;
+		state.changelogIndex = 1;
+		state.importedDocument = null;
+		state.pluginVersion = '';
 	}
 	
-	// Parse short description with improved extraction
-	function parseShortDescription(content, generator) {
-		try {
-			// Find the header end and extract short description
-			const headerEndMatch = content.match(/(?:License URI|Requires PHP|Stable tag):[^\n]*\n/i);
-			if (headerEndMatch) {
-				const afterHeaderIndex = headerEndMatch.index + headerEndMatch[0].length;
-				const afterHeader = content.substring(afterHeaderIndex);
-				
-				// Extract the first non-empty, non-header line
-				const descMatch = afterHeader.match(/\n\s*([^\n=][^\n]*(?:\n(?![\n=])[^\n]*)*)(?:\n\n==|$)/i);
-				if (descMatch && descMatch[1]) {
-					let shortDesc = sanitizeInput(
-						(descMatch[1] || '')
-							.trim()
-							.replace(/\n+/g, ' ')
-							.replace(/\s+/g, ' '),
-						SECURITY_CONFIG.maxInputLength.shortDescription
-					);
-					
-					// Validate it's not header content
-					if (shortDesc.length > 5 && !shortDesc.includes(':') && 
-						!shortDesc.toLowerCase().startsWith('contributors')) {
-						setFieldValue(generator, '#shortDescription', shortDesc);
-					}
-				}
-			}
-		} catch (error) {
-			handleError(error, 'short_description_parsing');
-		}
+	// Start a blank form with the contributors chosen in the block settings
+	function applyDefaultContributors(elements, state) {
+		state.contributorsTags = state.settings.defaultContributors.slice();
+		updateTagsDisplaySimple(elements.contributorsDisplay, state.contributorsTags, 'contributor');
+		updateHiddenInput(elements.contributorsHidden, state.contributorsTags);
 	}
 	
-	// Parse content sections
-	function parseSections(content, generator) {
-		const sections = {
-			description: /==\s*Description\s*==([\s\S]*?)(?:==|$)/i,
-			installation: /==\s*Installation\s*==([\s\S]*?)(?:==|$)/i
+	// Read the form settings the site owner chose in the block editor.
+	// render.php sanitizes them; anything unexpected falls back to the default
+	function readFormSettings(generator) {
+		const settings = {
+			hiddenSections: [],
+			mode: 'advanced',
+			defaultContributors: [],
+			downloadFilename: 'readme.txt',
+			changelogVersions: 0,
+			wordpressVersion: ''
 		};
 		
-		for (const [sectionName, regex] of Object.entries(sections)) {
-			try {
-				const match = content.match(regex);
-				if (match && match[1]) {
-					const sectionContent = sanitizeInput(
-						(match[1] || '').trim(), 
-						SECURITY_CONFIG.maxInputLength[sectionName] || 5000
-					);
-					if (sectionContent) {
-						setFieldValue(generator, '#' + sectionName, sectionContent);
-					}
-				}
-			} catch (error) {
-				handleError(error, `${sectionName}_section_parsing`);
-			}
-		}
-	}
-	
-	// Parse FAQ section from content
-	function parseFAQ(content, generator, elements, state) {
 		try {
-			const lines = content.split('\n');
-			let inFAQSection = false;
-			let currentQuestion = '';
-			let currentAnswer = '';
-			let faqIndex = 1;
-			
-			for (let i = 0; i < lines.length; i++) {
-				const line = lines[i].trim();
-				
-				// Check if we're entering FAQ section
-				if (line.match(/^==\s*Frequently Asked Questions\s*==$/i)) {
-					inFAQSection = true;
-					continue;
-				}
-				
-				// Check if we're leaving FAQ section (next main section)
-				if (inFAQSection && line.match(/^==\s+.+\s+==$/) && !line.match(/^==\s*Frequently Asked Questions\s*==$/i)) {
-					// Save last FAQ if we have one
-					if (currentQuestion && currentAnswer) {
-						addFAQFromParsed(generator, elements, state, currentQuestion, currentAnswer.trim(), faqIndex);
-						faqIndex++;
-					}
-					break;
-				}
-				
-				if (!inFAQSection) continue;
-				
-				// Check for FAQ questions (### format)
-				if (line.match(/^###\s+.+$/)) {
-					// Save previous FAQ if we have one
-					if (currentQuestion && currentAnswer) {
-						addFAQFromParsed(generator, elements, state, currentQuestion, currentAnswer.trim(), faqIndex);
-						faqIndex++;
-					}
-					
-					// Start new FAQ
-					currentQuestion = line.replace(/^###\s+/, '').trim();
-					currentAnswer = '';
-				} else if (currentQuestion && line) {
-					// Add to answer
-					currentAnswer += line + '\n';
-				}
+			const saved = JSON.parse(generator.dataset.settings || '{}');
+			if (Array.isArray(saved.hiddenSections)) {
+				settings.hiddenSections = saved.hiddenSections.filter(section => typeof section === 'string');
 			}
-			
-			// Save last FAQ if we have one
-			if (inFAQSection && currentQuestion && currentAnswer) {
-				addFAQFromParsed(generator, elements, state, currentQuestion, currentAnswer.trim(), faqIndex);
+			if (saved.mode === 'simple') {
+				settings.mode = 'simple';
 			}
-			
-		} catch (error) {
-			handleError(error, 'faq_parsing');
-		}
-	}
-	
-	// Parse changelog section from content
-	function parseChangelog(content, generator, elements, state) {
-		try {
-			const lines = content.split('\n');
-			let inChangelogSection = false;
-			let currentVersion = '';
-			let currentChanges = [];
-			let changelogIndex = 1;
-			
-			for (let i = 0; i < lines.length; i++) {
-				const line = lines[i].trim();
-				
-				// Check if we're entering changelog section
-				if (line.match(/^==\s*Changelog\s*==$/i)) {
-					inChangelogSection = true;
-					continue;
-				}
-				
-				// Check if we're leaving changelog section (end of file or next main section)
-				if (inChangelogSection && (line.match(/^==\s+.+\s+==$/) || i === lines.length - 1)) {
-					// Save last changelog entry if we have one
-					if (currentVersion && currentChanges.length > 0) {
-						addChangelogFromParsed(generator, elements, state, currentVersion, currentChanges, changelogIndex);
-						changelogIndex++;
-					}
-					
-					// If it's a new section (not end of file), break
-					if (line.match(/^==\s+.+\s+==$/)) {
-						break;
-					}
-				}
-				
-				if (!inChangelogSection) continue;
-				
-				// Check for changelog versions (= format)
-				if (line.match(/^=\s+.+\s+=$/)) {
-					// Save previous changelog entry if we have one
-					if (currentVersion && currentChanges.length > 0) {
-						addChangelogFromParsed(generator, elements, state, currentVersion, currentChanges, changelogIndex);
-						changelogIndex++;
-					}
-					
-					// Start new changelog entry
-					currentVersion = line.replace(/^=\s+|\s+=$/g, '').trim();
-					currentChanges = [];
-				} else if (currentVersion && line.match(/^\*\s+/)) {
-					// Add change item
-					const change = line.replace(/^\*\s+/, '').trim();
-					if (change) {
-						currentChanges.push(change);
-					}
-				}
+			if (Array.isArray(saved.defaultContributors)) {
+				settings.defaultContributors = saved.defaultContributors
+					.filter(username => typeof username === 'string' && validateInput(username, 'username'))
+					.slice(0, SECURITY_CONFIG.maxItems.contributors);
 			}
-			
-			// Save last changelog entry if we have one
-			if (inChangelogSection && currentVersion && currentChanges.length > 0) {
-				addChangelogFromParsed(generator, elements, state, currentVersion, currentChanges, changelogIndex);
+			if (typeof saved.downloadFilename === 'string' && /^[A-Za-z0-9._-]{1,100}\.txt$/.test(saved.downloadFilename)) {
+				settings.downloadFilename = saved.downloadFilename;
+			}
+			if (Number.isInteger(saved.changelogVersions) && saved.changelogVersions > 0) {
+				settings.changelogVersions = Math.min(saved.changelogVersions, SECURITY_CONFIG.maxItems.changelogs);
+			}
+			// "Tested up to" is compared to the version the site runs
+			if (typeof saved.wordpressVersion === 'string' && validateInput(saved.wordpressVersion, 'version')) {
+				settings.wordpressVersion = saved.wordpressVersion;
 			}
-			
 		} catch (error) {
-			handleError(error, 'changelog_parsing');
+			logSecurityEvent('invalid_form_settings', { error: error.message });
 		}
+		
+		return settings;
 	}
 	
 	// Add FAQ from parsed content
@@ -714,27 +957,30 @@
 			faqItem.className = 'faq-item components-panel__body';
 			faqItem.innerHTML = `
 				<div class="faq-header">
+					<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
 					<span class="faq-number components-panel__body-title">FAQ #${index}</span>
+					<button type="button" class="move-up components-button is-secondary" aria-label="Move FAQ up">↑</button>
+					<button type="button" class="move-down components-button is-secondary" aria-label="Move FAQ down">↓</button>
 					<button type="button" class="remove-faq components-button is-destructive" aria-label="Remove FAQ">×</button>
 				</div>
 				<div class="form-row components-base-control">
 					<label class="components-base-control__label">Question</label>
-					<input type="text" class="faq-question components-text-control__input" placeholder="How do I use this plugin?" maxlength="200" value="${sanitizeInput(question, 200)}">
+					<input type="text" class="faq-question components-text-control__input" placeholder="How do I use this plugin?" maxlength="200">
 				</div>
 				<div class="form-row components-base-control">
 					<label class="components-base-control__label">Answer</label>
-					<textarea class="faq-answer components-textarea-control__input" rows="3" placeholder="Just install and activate the plugin..." maxlength="1000">${sanitizeInput(answer, 1000)}</textarea>
+					<textarea class="faq-answer components-textarea-control__input" rows="3" placeholder="Just install and activate the plugin..." maxlength="1000"></textarea>
 				</div>
 			`;
 			
+			// Assign values directly so imported text is never parsed as markup
+			faqItem.querySelector('.faq-question').value = sanitizeText(question);
+			faqItem.querySelector('.faq-answer').value = sanitizeText(answer);
+			
 			elements.faqContainer.appendChild(faqItem);
 			state.faqIndex = Math.max(state.faqIndex, index + 1);
 			
-			// Add remove functionality
-			const removeBtn = faqItem.querySelector('.remove-faq');
-			removeBtn.addEventListener('click', function() {
-				faqItem.remove();
-			});
+			setupFAQItemListeners(faqItem);
 			
 		} catch (error) {
 			handleError(error, 'faq_creation');
@@ -742,7 +988,7 @@
 	}
 	
 	// Add changelog from parsed content
-	function addChangelogFromParsed(generator, elements, state, version, changes, index) {
+	function addChangelogFromParsed(generator, elements, state, version, changes, index, upgradeNotice = '') {
 		try {
 			if (!elements.changelogContainer) return;
 			
@@ -750,12 +996,15 @@
 			const changelogItem = document.createElement('div');
 			changelogItem.className = 'changelog-item components-panel__body';
 			
-			// Build changes HTML
+			// Build changes HTML, one empty input per change
 			let changesHTML = '';
-			changes.forEach(function(change) {
+			changes.forEach(function() {
 				changesHTML += `
 					<div class="change-item">
-						<input type="text" class="changelog-change components-text-control__input" placeholder="Initial release" maxlength="200" value="${sanitizeInput(change, 200)}">
+						<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+						<input type="text" class="changelog-change components-text-control__input" placeholder="Initial release" maxlength="200">
+						<button type="button" class="move-up components-button is-secondary" aria-label="Move change up">↑</button>
+						<button type="button" class="move-down components-button is-secondary" aria-label="Move change down">↓</button>
 						<button type="button" class="remove-change components-button is-destructive" aria-label="Remove Change">×</button>
 					</div>
 				`;
@@ -763,18 +1012,33 @@
 			
 			changelogItem.innerHTML = `
 				<div class="changelog-header">
+					<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
 					<div class="form-row components-base-control">
 						<label class="components-base-control__label">Version</label>
-						<input type="text" class="changelog-version components-text-control__input" placeholder="1.0.0" pattern="^\\d+\\.\\d+\\.\\d+$" maxlength="20" value="${sanitizeInput(version, 20)}">
+						<input type="text" class="changelog-version components-text-control__input" placeholder="1.0.0" data-validate="version" maxlength="20">
 					</div>
+					<button type="button" class="move-up components-button is-secondary" aria-label="Move version up">↑</button>
+					<button type="button" class="move-down components-button is-secondary" aria-label="Move version down">↓</button>
 					<button type="button" class="remove-changelog components-button is-destructive" aria-label="Remove Changelog Entry">×</button>
 				</div>
 				<div class="changes-container">
 					${changesHTML}
 				</div>
 				<button type="button" class="add-change components-button is-secondary">+ Add Change</button>
+				<div class="form-row components-base-control upgrade-notice-row" data-advanced>
+					<label class="components-base-control__label">Upgrade Notice (optional)</label>
+					<textarea class="changelog-upgrade-notice components-textarea-control__input" rows="2" placeholder="Why should users upgrade to this version?" maxlength="${SECURITY_CONFIG.maxInputLength.upgradeNotice}"></textarea>
+					<small class="upgrade-notice-count" aria-live="polite"></small>
+				</div>
 			`;
 			
+			// Assign values directly so imported text is never parsed as markup
+			changelogItem.querySelector('.changelog-version').value = sanitizeText(version);
+			changelogItem.querySelectorAll('.changelog-change').forEach(function(input, changeIndex) {
+				input.value = sanitizeText(changes[changeIndex]);
+			});
+			changelogItem.querySelector('.changelog-upgrade-notice').value = sanitizeText(upgradeNotice);
+			
 			elements.changelogContainer.appendChild(changelogItem);
 			state.changelogIndex = Math.max(state.changelogIndex, index + 1);
 			
@@ -807,6 +1071,25 @@
 		changeItems.forEach(function(changeItem) {
 			setupChangeItemListeners(changeItem);
 		});
+		
+		// Upgrade notice character count
+		const noticeField = item.querySelector('.changelog-upgrade-notice');
+		if (noticeField) {
+			noticeField.addEventListener('input', function() {
+				updateUpgradeNoticeCount(noticeField);
+			});
+			updateUpgradeNoticeCount(noticeField);
+		}
+	}
+	
+	// Show how much of the upgrade notice limit is used
+	function updateUpgradeNoticeCount(noticeField) {
+		const counter = noticeField.parentNode.querySelector('.upgrade-notice-count');
+		if (!counter) return;
+		
+		const limit = SECURITY_CONFIG.maxInputLength.upgradeNotice;
+		counter.textContent = `${noticeField.value.length}/${limit} characters`;
+		counter.classList.toggle('is-over-limit', noticeField.value.length > limit);
 	}
 	
 	// Add new change item
@@ -814,7 +1097,10 @@
 		const changeItem = document.createElement('div');
 		changeItem.className = 'change-item';
 		changeItem.innerHTML = `
+			<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
 			<input type="text" class="changelog-change components-text-control__input" placeholder="Initial release" maxlength="200">
+			<button type="button" class="move-up components-button is-secondary" aria-label="Move change up">↑</button>
+			<button type="button" class="move-down components-button is-secondary" aria-label="Move change down">↓</button>
 			<button type="button" class="remove-change components-button is-destructive" aria-label="Remove Change">×</button>
 		`;
 		
@@ -830,21 +1116,25 @@
 		});
 	}
 	
-	// Set field value with validation
+	// Set field value with validation. Values are kept verbatim (no length
+	// cap or whitespace folding) so an untouched import exports unchanged.
 	function setFieldValue(generator, selector, value) {
 		try {
 			const field = generator.querySelector(selector);
 			if (!field || !value) return;
 			
-			const maxLength = parseInt(field.maxLength) || 1000;
-			const sanitizedValue = sanitizeInput(value.toString(), maxLength);
+			const sanitizedValue = sanitizeText(value.toString());
 			
 			if (field.tagName === 'SELECT') {
-				// Validate option exists before setting
-				const option = field.querySelector(`option[value="${sanitizedValue}"]`);
-				if (option) {
-					field.value = sanitizedValue;
+				// Keep imported versions that are not in the whitelist selectable
+				const hasOption = Array.from(field.options).some(option => option.value === sanitizedValue);
+				if (!hasOption) {
+					const option = document.createElement('option');
+					option.value = sanitizedValue;
+					option.textContent = sanitizedValue;
+					field.appendChild(option);
 				}
+				field.value = sanitizedValue;
 			} else {
 				field.value = sanitizedValue;
 			}
@@ -862,7 +1152,7 @@
 		if (!elements.form) return;
 		
 		// Add real-time validation
-		const requiredFields = elements.form.querySelectorAll('[required]');
+		const requiredFields = elements.form.querySelectorAll('[required], [data-validate]');
 		requiredFields.forEach(field => {
 			field.addEventListener('blur', function() {
 				validateField(this);
@@ -895,14 +1185,29 @@
 			}
 		}
 		
+		// Type validation (links, slug lists)
+		if (isValid && field.dataset.validate && field.value && !validateInput(field.value, field.dataset.validate)) {
+			isValid = false;
+			errorMessage = {
+				link: 'Enter a full http:// or https:// URL',
+				slugs: 'Use lowercase plugin slugs separated by commas',
+				version: 'Enter a version such as 1.2, 1.0.0 or 2.0.0-beta.1'
+			}[field.dataset.validate];
+		}
+		
 		// Length validation
 		if (isValid && field.maxLength && field.value.length > field.maxLength) {
 			isValid = false;
 			errorMessage = `Maximum length is ${field.maxLength} characters`;
 		}
 		
-		// Update field state
-		field.classList.toggle('has-error', !isValid);
+		setFieldError(field, isValid ? '' : errorMessage);
+		return isValid;
+	}
+	
+	// Show an error message below a field, or clear it
+	function setFieldError(field, errorMessage) {
+		field.classList.toggle('has-error', Boolean(errorMessage));
 		
 		// Show/hide error message
 		const existingError = field.parentNode.querySelector('.field-error');
@@ -910,7 +1215,7 @@
 			existingError.remove();
 		}
 		
-		if (!isValid && errorMessage) {
+		if (errorMessage) {
 			const errorDiv = document.createElement('div');
 			errorDiv.className = 'field-error';
 			errorDiv.style.color = '#d63638';
@@ -919,8 +1224,6 @@
 			errorDiv.textContent = errorMessage;
 			field.parentNode.appendChild(errorDiv);
 		}
-		
-		return isValid;
 	}
 	
 	// Initialize remaining features...
@@ -949,60 +1252,138 @@
 				}
 			});
 		}
+		
+		if (elements.downloadMarkdownBtn) {
+			elements.downloadMarkdownBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				try {
+					downloadReadme(elements, state, 'markdown');
+				} catch (error) {
+					handleError(error, 'readme_download');
+				}
+			});
+		}
 	}
 	
 	// Generate and show inline preview
 	function showPreview(elements, state) {
 		if (!elements.previewContent || !elements.previewSection) return;
 		
-		const content = generateReadmeContent(elements, state);
-		elements.previewContent.textContent = content; // Use textContent for XSS prevention
+		updatePreview(elements, state);
 		elements.previewSection.style.display = 'block';
 		elements.previewSection.setAttribute('aria-hidden', 'false');
 		
 		// Scroll to preview section
 		elements.previewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 	}
+	
+	// Regenerate the raw and rendered previews from the form
+	function updatePreview(elements, state) {
+		const content = generateReadmeContent(elements, state);
+		renderRawPreview(elements.previewContent, content);
+		
+		// The renderer escapes all readme text and only emits safe links
+		if (elements.previewRendered) {
+			elements.previewRendered.innerHTML = renderReadme(content, {
+				screenshots: collectScreenshotImages(elements)
+			});
+		}
+	}
+	
+	// Write the raw readme as one span per section so it can be scrolled to.
+	// Every span is filled with textContent for XSS prevention
+	function renderRawPreview(container, content) {
+		const lines = content.split('\n');
+		const starts = [{ key: 'header', line: 1 }].concat(parseReadme(content).sections.map(function(section) {
+			return { key: getPreviewSectionKey(section.id, section.title), line: section.line };
+		}));
+		
+		container.textContent = '';
+		starts.forEach(function(start, index) {
+			const end = index + 1 < starts.length ? starts[index + 1].line - 1 : lines.length;
+			const span = document.createElement('span');
+			span.dataset.previewSection = start.key;
+			span.textContent = lines.slice(start.line - 1, end).join('\n') + (end < lines.length ? '\n' : '');
+			container.appendChild(span);
+		});
+	}
+	
+	// Key shared by a readme section and the form fields that write it
+	function getPreviewSectionKey(id, title) {
+		return id || 'custom:' + title.trim().toLowerCase();
+	}
 			
+	// Collect the form into a readme document (see readme-parser.js)
+	function collectFormData(elements, state) {
+		const formData = new FormData(elements.form);
+		const text = name => sanitizeText(formData.get(name)?.toString() || '');
+		const field = name => text(name).trim();
+		const license = field('license');
+		
+		// Keep an imported Network value such as "false" unless the box is changed
+		const importedNetwork = state.importedDocument ? state.importedDocument.header.network : '';
+		const network = formData.get('network') ? 'true' : '';
+		
+		return {
+			name: field('pluginName'),
+			header: {
+				contributors: state.contributorsTags.slice(),
+				tags: state.tagsTags.slice(),
+				donateLink: field('donateLink'),
+				requiresAtLeast: field('requiresAtLeast'),
+				testedUpTo: field('testedUpTo'),
+				stableTag: field('version'),
+				requiresPHP: field('requiresPHP'),
+				requiresPlugins: field('requiresPlugins').split(',').map(slug => slug.trim()).filter(Boolean),
+				network: isTruthyHeader(importedNetwork) === Boolean(network) ? importedNetwork || network : network,
+				license: license === 'custom' ? field('licenseCustom') : license,
+				licenseURI: field('licenseURI')
+			},
+			unknownHeaderFields: collectHeaderFields(elements),
+			shortDescription: field('shortDescription'),
+			sections: [
+				{ id: 'description', title: 'Description', content: text('description') },
+				{ id: 'installation', title: 'Installation', content: text('installation') }
+			],
+			faq: collectFAQEntries(elements),
+			faqStyle: field('faqStyle'),
+			screenshots: collectScreenshotEntries(elements),
+			changelog: collectChangelogEntries(elements),
+			upgradeNotices: collectUpgradeNotices(elements),
+			unknownSections: collectCustomSections(elements)
+		};
+	}
+	
 	// Generate readme content with security
 	function generateReadmeContent(elements, state) {
 		try {
 			if (!elements.form) return 'Error: Form not found';
 			
-			// Collect and sanitize form data
-			const formData = new FormData(elements.form);
-			const data = {
-				plugingName: sanitizeInput(formData.get('pluginName')?.toString() || 'Plugin Name', 
-					SECURITY_CONFIG.maxInputLength.pluginName),
-				shortDescription: sanitizeInput(formData.get('shortDescription')?.toString() || 'Short description here.', 
-					SECURITY_CONFIG.maxInputLength.shortDescription),
-				contributors: sanitizeInput(formData.get('contributors')?.toString() || 'username'),
-				tags: sanitizeInput(formData.get('tags')?.toString() || 'plugin'),
-				version: sanitizeInput(formData.get('version')?.toString() || '1.0.0', 20),
-				requiresAtLeast: sanitizeInput(formData.get('requiresAtLeast')?.toString() || '5.0'),
-				testedUpTo: sanitizeInput(formData.get('testedUpTo')?.toString() || '6.8'),
-				requiresPHP: sanitizeInput(formData.get('requiresPHP')?.toString() || '7.4'),
-				description: sanitizeInput(formData.get('description')?.toString() || 'Detailed description here.', 
-					SECURITY_CONFIG.maxInputLength.description),
-				installation: sanitizeInput(formData.get('installation')?.toString() || 
-					'1. Upload to /wp-content/plugins/\n2. Activate the plugin', 
-					SECURITY_CONFIG.maxInputLength.installation)
-			};
+			const doc = collectFormData(elements, state);
+			const original = state.importedDocument;
 			
-			// Validate version format
-			if (!validateInput(data.version, 'version')) {
-				logSecurityEvent('invalid_version_format', { version: data.version });
-				data.version = '1.0.0';
+			// A Stable tag that is not a version number is written as entered,
+			// with the error shown on the field
+			const versionField = elements.form.querySelector('#version');
+			if (versionField && doc.header.stableTag && !validateInput(doc.header.stableTag, 'version')) {
+				validateField(versionField);
 			}
 			
-			// Generate sections
-			const faqSection = generateFAQSection(elements);
-			const changelogSection = generateChangelogSection(elements);
+			// Links must be http(s); imported values are written back as they were
+			['donateLink', 'licenseURI'].forEach(function(id) {
+				const link = doc.header[id];
+				if (link && !validateInput(link, 'link') &&
+					!(original && original.header[id] === link)) {
+					logSecurityEvent('invalid_link', { field: id });
+					doc.header[id] = '';
+				}
+			});
 			
-			// Build readme content
-			const readme = `=== ${data.plugingName} ===\n\nContributors: ${data.contributors}\nTags: ${data.tags}\nRequires at least: ${data.requiresAtLeast}\nTested up to: ${data.testedUpTo}\nStable tag: ${data.version}\nRequires PHP: ${data.requiresPHP}\nLicense: GPLv2 or later\nLicense URI: https://www.gnu.org/licenses/gpl-2.0.html\n\n${data.shortDescription}\n\n== Description ==\n\n${data.description}\n\n== Installation ==\n\n${data.installation}\n\n== Frequently Asked Questions ==\n\n${faqSection.trim()}\n\n== Changelog ==\n\n${changelogSection.trim()}`;
+			// Versions past the number the block settings keep move to changelog.txt
+			const split = splitChangelog(doc, state.settings.changelogVersions, getChangelogLink(doc.name));
 			
-			return readme;
+			// Sections the block settings hide get no placeholder text
+			return writeReadme(split.document, original, { noPlaceholders: state.settings.hiddenSections });
 			
 		} catch (error) {
 			handleError(error, 'readme_generation');
@@ -1010,40 +1391,130 @@
 		}
 	}
 	
-	// Download readme with security checks
-	function downloadReadme(elements, state) {
+	// Download readme with security checks, as readme.txt or as a README.md
+	// for GitHub
+	function downloadReadme(elements, state, format = 'txt') {
 		try {
-			const content = generateReadmeContent(elements, state);
+			const markdown = format === 'markdown';
+			const readme = generateReadmeContent(elements, state);
+			const content = markdown ? readmeToMarkdown(readme) : readme;
 			
 			// Validate content
-					if (!content || content.length < 10) {
-						throw new Error('Invalid readme content');
-					}
-					
-			// Create and trigger download
-					const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-					const url = URL.createObjectURL(blob);
-					
-					const link = document.createElement('a');
-					link.href = url;
-					link.download = 'readme.txt';
-					link.style.display = 'none';
-			
-					document.body.appendChild(link);
-					link.click();
-					document.body.removeChild(link);
-					
-			// Clean up
-			setTimeout(() => URL.revokeObjectURL(url), 1000);
+			if (!content || content.length < 10) {
+				throw new Error('Invalid readme content');
+			}
 			
-			showInlineNotification('Readme file downloaded successfully!', 'success');
+			downloadFile(content, markdown ? 'README.md' : state.settings.downloadFilename, markdown ? 'text/markdown' : 'text/plain');
 			
-				} catch (error) {
+			// The versions left out of readme.txt are saved next to it
+			const doc = collectFormData(elements, state);
+			const older = markdown ? [] : splitChangelog(doc, state.settings.changelogVersions, '').older;
+			if (older.length) {
+				downloadFile(generateChangelog(doc.name, older), 'changelog.txt', 'text/plain');
+			}
+			showInlineNotification(older.length ? 'Readme and changelog.txt downloaded successfully!' : 'Readme file downloaded successfully!', 'success');
+			
+		} catch (error) {
 			handleError(error, 'readme_download');
 			showInlineNotification('Error downloading readme. Please try again.', 'error');
 		}
 	}
 	
+	// Save text as a file through a temporary download link
+	function downloadFile(content, filename, type) {
+		const blob = new Blob([content], { type: type + ';charset=utf-8' });
+		const url = URL.createObjectURL(blob);
+		
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = filename;
+		link.style.display = 'none';
+		
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		
+		// Clean up
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+	
+	// Export the form as a readme JSON file (see readme-json.js) and import
+	// one again, replacing the form
+	function initializeJSONFiles(generator, elements, state) {
+		if (elements.exportJsonBtn) {
+			elements.exportJsonBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				try {
+					downloadFile(exportReadmeJSON(collectFormData(elements, state)), 'readme.json', 'application/json');
+					showInlineNotification('Readme JSON exported.', 'success');
+				} catch (error) {
+					handleError(error, 'json_export');
+					showInlineNotification('Error exporting JSON. Please try again.', 'error');
+				}
+			});
+		}
+		
+		if (!elements.importJsonBtn || !elements.jsonFileInput) return;
+		
+		elements.importJsonBtn.addEventListener('click', function(e) {
+			e.preventDefault();
+			elements.jsonFileInput.click();
+		});
+		
+		elements.jsonFileInput.addEventListener('change', function(e) {
+			const file = e.target.files[0];
+			e.target.value = ''; // Allow importing the same file again
+			if (!file) return;
+			
+			// Security: Validate file
+			if (!/^[a-zA-Z0-9._-]+\.json$/i.test(file.name) || file.size > SECURITY_CONFIG.jsonFiles.maxFileSize) {
+				logSecurityEvent('invalid_file_upload', { error: 'Invalid JSON file', filename: file.name });
+				showJSONImportErrors(elements, []);
+				showInlineNotification('Choose a .json file of at most 256KB.', 'error');
+				return;
+			}
+			
+			const reader = new window.FileReader();
+			reader.onload = function(event) {
+				try {
+					const result = importReadmeJSON(event.target.result);
+					showJSONImportErrors(elements, result.errors);
+					if (!result.document) {
+						showInlineNotification('The JSON file was not imported. See the problems listed above the form buttons.', 'error');
+						return;
+					}
+					
+					restoreSavedForm({ document: result.document, source: '' }, generator, elements, state);
+					showInlineNotification('Readme JSON imported.', 'success');
+				} catch (error) {
+					handleError(error, 'json_import');
+					showInlineNotification('Error importing JSON. Please try again.', 'error');
+				}
+			};
+			
+			reader.onerror = function() {
+				handleError(new Error('File read error'), 'file_reading');
+				showInlineNotification('Error reading file', 'error');
+			};
+			
+			reader.readAsText(file);
+		});
+	}
+	
+	// List the problems found in an imported JSON file, or hide the list
+	function showJSONImportErrors(elements, errors) {
+		if (!elements.jsonImportErrors || !elements.jsonImportErrorList) return;
+		
+		elements.jsonImportErrorList.innerHTML = '';
+		errors.forEach(function(error) {
+			const item = document.createElement('li');
+			item.className = 'validation-item is-error';
+			item.textContent = error;
+			elements.jsonImportErrorList.appendChild(item);
+		});
+		elements.jsonImportErrors.hidden = errors.length === 0;
+	}
+	
 	// Additional initialization functions would be implemented here
 	// following the same security-first approach...
 	
@@ -1065,6 +1536,11 @@
 	}
 	
 	function initializeInlinePreviewHandlers(elements) {
+		// Raw/rendered switch and the plugin page tabs inside the rendered view
+		if (elements.previewSection) {
+			initializeTabs(elements.previewSection);
+		}
+		
 		// Hide preview button handler
 		if (elements.hidePreviewBtn) {
 			elements.hidePreviewBtn.addEventListener('click', function(e) {
@@ -1077,135 +1553,1570 @@
 		}
 	}
 	
-	function updateTagsDisplay(generator, selector, tags, type) {
-		try {
-			const display = generator.querySelector(selector);
-			if (!display || !tags) return;
-			
-			display.innerHTML = '';
+	// Wire up every ARIA tablist inside a container, including ones rendered
+	// later, with click and arrow key navigation
+	function initializeTabs(container) {
+		container.addEventListener('click', function(e) {
+			const tab = e.target.closest('[role="tab"]');
+			if (tab && container.contains(tab)) {
+				selectTab(tab);
+			}
+		});
+		
+		container.addEventListener('keydown', function(e) {
+			const tab = e.target.closest('[role="tab"]');
+			if (!tab || !container.contains(tab)) return;
 			
-			tags.forEach(function(tag, index) {
-				const tagElement = document.createElement('div');
-				tagElement.className = 'tag';
-				tagElement.innerHTML = `
-					<span>${sanitizeInput(tag, 50)}</span>
-					<button type="button" class="tag-remove" aria-label="Remove ${type}">×</button>
-				`;
-				
-				// Add remove functionality
-				const removeBtn = tagElement.querySelector('.tag-remove');
-				removeBtn.addEventListener('click', function() {
-					tags.splice(index, 1);
-					updateTagsDisplay(generator, selector, tags, type);
-					updateHiddenInput(display.parentNode.querySelector('input[type="hidden"]'), tags);
-				});
-				
-				display.appendChild(tagElement);
-			});
+			const tabs = Array.from(tab.closest('[role="tablist"]').querySelectorAll('[role="tab"]'));
+			const index = tabs.indexOf(tab);
+			const targets = {
+				ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+				ArrowRight: tabs[(index + 1) % tabs.length],
+				Home: tabs[0],
+				End: tabs[tabs.length - 1]
+			};
 			
-		} catch (error) {
-			handleError(error, 'tags_display_update');
-		}
+			if (targets[e.key]) {
+				e.preventDefault();
+				selectTab(targets[e.key]);
+				targets[e.key].focus();
+			}
+		});
 	}
 	
-	// Initialize tags management with security
-	function initializeTagsManagement(generator, elements, state) {
-		// Contributors management
-		if (elements.addContributorBtn && elements.contributorsInput && elements.contributorsDisplay) {
-			elements.addContributorBtn.addEventListener('click', function(e) {
-				e.preventDefault();
-				addTag(elements.contributorsInput, elements.contributorsDisplay, state.contributorsTags, 'contributor', elements.contributorsHidden);
-			});
-			
-			elements.contributorsInput.addEventListener('keypress', function(e) {
-				if (e.key === 'Enter') {
-					e.preventDefault();
-					addTag(elements.contributorsInput, elements.contributorsDisplay, state.contributorsTags, 'contributor', elements.contributorsHidden);
-				}
-			});
-		}
+	// Show a tab's panel and hide its siblings' panels
+	function selectTab(tab) {
+		const tablist = tab.closest('[role="tablist"]');
+		const root = tablist.getRootNode();
 		
-		// Tags management
-		if (elements.addTagBtn && elements.tagsInput && elements.tagsDisplay) {
-			elements.addTagBtn.addEventListener('click', function(e) {
-				e.preventDefault();
-				addTag(elements.tagsInput, elements.tagsDisplay, state.tagsTags, 'tag', elements.tagsHidden);
-			});
+		tablist.querySelectorAll('[role="tab"]').forEach(function(item) {
+			const selected = item === tab;
+			const panel = root.getElementById(item.getAttribute('aria-controls'));
 			
-			elements.tagsInput.addEventListener('keypress', function(e) {
-				if (e.key === 'Enter') {
-					e.preventDefault();
-					addTag(elements.tagsInput, elements.tagsDisplay, state.tagsTags, 'tag', elements.tagsHidden);
+			item.setAttribute('aria-selected', selected ? 'true' : 'false');
+			item.tabIndex = selected ? 0 : -1;
+			if (panel) {
+				panel.hidden = !selected;
+			}
+		});
+	}
+	
+	// Local screenshot previews, lined up with the captions that get written
+	function collectScreenshotImages(elements) {
+		const images = [];
+		
+		elements.form.querySelectorAll('.screenshot-item').forEach(function(item) {
+			const preview = item.querySelector('.screenshot-preview');
+			if (sanitizeText(item.querySelector('.screenshot-caption').value).trim()) {
+				images.push(preview && !preview.hidden ? preview.src : '');
+			}
+		});
+		
+		return images;
+	}
+	
+	// Initialize the optional side-by-side preview that follows the form
+	function initializeLivePreview(generator, elements, state) {
+		if (!elements.livePreviewToggle || !elements.previewSection) return;
+		
+		let timer = null;
+		const schedule = function() {
+			if (!elements.livePreviewToggle.checked) return;
+			clearTimeout(timer);
+			timer = setTimeout(function() {
+				try {
+					updatePreview(elements, state);
+					syncPreviewScroll(elements, state);
+				} catch (error) {
+					handleError(error, 'live_preview');
 				}
+			}, 300);
+		};
+		
+		// Clicks cover adding, removing and moving list items
+		['input', 'change', 'click'].forEach(function(type) {
+			elements.form.addEventListener(type, schedule);
+		});
+		
+		// Follow the field being edited in both preview panels
+		elements.form.addEventListener('focusin', function(e) {
+			if (!elements.livePreviewToggle.checked) return;
+			state.previewSectionKey = findPreviewSectionKey(e.target);
+			syncPreviewScroll(elements, state);
+		});
+		
+		elements.livePreviewToggle.addEventListener('change', function() {
+			setLivePreview(generator, elements, state, this.checked);
+		});
+		
+		if (elements.hidePreviewBtn) {
+			elements.hidePreviewBtn.addEventListener('click', function() {
+				elements.livePreviewToggle.checked = false;
+				setLivePreview(generator, elements, state, false);
 			});
 		}
 	}
 	
-	// Add tag with validation
-	function addTag(input, display, tagArray, type, hiddenInput) {
+	// Switch the split-pane layout on or off
+	function setLivePreview(generator, elements, state, enabled) {
+		generator.classList.toggle('is-live-preview', enabled);
+		if (!enabled) return;
+		
 		try {
-			const value = sanitizeInput(input.value.trim(), 50);
-			
-			if (!value) {
-				showNotification('Please enter a valid tag', 'error', 3000);
-				return;
+			updatePreview(elements, state);
+			elements.previewSection.style.display = 'block';
+			elements.previewSection.setAttribute('aria-hidden', 'false');
+			syncPreviewScroll(elements, state);
+		} catch (error) {
+			handleError(error, 'live_preview');
+		}
+	}
+	
+	// Work out which readme section a form field writes to
+	function findPreviewSectionKey(field) {
+		if (field.closest('.upgrade-notice-row')) {
+			return 'upgrade_notice';
+		}
+		
+		const customSection = field.closest('.custom-section-item');
+		if (customSection) {
+			return getPreviewSectionKey(null, sanitizeText(customSection.querySelector('.custom-section-title').value));
+		}
+		
+		const section = field.closest('[data-preview-section]');
+		return section ? section.dataset.previewSection : 'header';
+	}
+	
+	// Scroll both previews to the section being edited
+	function syncPreviewScroll(elements, state) {
+		const key = state.previewSectionKey;
+		const rawPanel = elements.previewContent.parentElement;
+		const span = Array.from(elements.previewContent.children).find(item => item.dataset.previewSection === key);
+		
+		scrollWithin(rawPanel, span || elements.previewContent);
+		
+		if (!elements.previewRendered) return;
+		
+		// Screenshots and extra sections sit on the Description tab of the
+		// plugin page, upgrade notices on the Changelog tab
+		const tabs = { installation: 'installation', faq: 'faq', changelog: 'changelog', upgrade_notice: 'changelog' };
+		const tab = elements.previewRendered.querySelector(`#readme-preview-tab-${tabs[key] || 'description'}`);
+		if (!tab) return;
+		
+		selectTab(tab);
+		
+		const panel = elements.previewRendered.querySelector(`#${tab.getAttribute('aria-controls')}`);
+		const title = key === 'upgrade_notice' ? 'upgrade notice' : key.replace(/^custom:/, '');
+		const heading = Array.from(panel.querySelectorAll('h3')).find(item => item.textContent.trim().toLowerCase() === title);
+		
+		scrollWithin(elements.previewRendered, key === 'header' ? elements.previewRendered.firstElementChild : (heading || tab));
+	}
+	
+	// Scroll a container so the target sits at its top
+	function scrollWithin(container, target) {
+		if (!container || !target) return;
+		container.scrollTop += target.getBoundingClientRect().top - container.getBoundingClientRect().top;
+	}
+	
+	// Ask for confirmation below the buttons of the one that needs it rather
+	// than in a blocking dialog. Given a value, the prompt asks for a name in a
+	// text field instead and passes it on. Escape or Cancel closes the prompt.
+	function showInlineConfirm(anchor, message, confirmLabel, onConfirm, value) {
+		const row = anchor.parentNode;
+		const existing = row.nextElementSibling;
+		if (existing && existing.classList.contains('inline-confirm')) {
+			existing.remove();
+		}
+		
+		const asksName = typeof value === 'string';
+		const prompt = document.createElement('div');
+		prompt.className = 'inline-confirm';
+		prompt.setAttribute('role', 'group');
+		prompt.innerHTML = `
+			${asksName ? '<label><span></span><input type="text" class="components-text-control__input"></label>' : '<p role="alert"></p>'}
+			<button type="button" class="components-button is-primary"></button>
+			<button type="button" class="components-button is-secondary">Cancel</button>
+		`;
+		prompt.querySelector(asksName ? 'span' : 'p').textContent = message;
+		prompt.setAttribute('aria-label', message);
+		
+		const field = prompt.querySelector('input');
+		const [confirmBtn, cancelBtn] = prompt.querySelectorAll('button');
+		confirmBtn.textContent = confirmLabel;
+		if (field) {
+			field.value = value;
+			field.maxLength = SECURITY_CONFIG.maxInputLength.projectName;
+		}
+		
+		const close = function(confirmed) {
+			prompt.remove();
+			if (anchor.isConnected) {
+				anchor.focus();
 			}
-			
-			// Validate tag format
-			if (type === 'contributor' && !validateInput(value, 'username')) {
-				showNotification('Invalid contributor username format', 'error', 3000);
-				return;
+			if (confirmed) {
+				onConfirm(field ? field.value : undefined);
 			}
-			
-			if (type === 'tag' && !validateInput(value, 'tag')) {
-				showNotification('Invalid tag format', 'error', 3000);
-				return;
+		};
+		
+		confirmBtn.addEventListener('click', function() {
+			close(true);
+		});
+		cancelBtn.addEventListener('click', function() {
+			close(false);
+		});
+		prompt.addEventListener('keydown', function(e) {
+			if (e.key === 'Escape') {
+				e.preventDefault();
+				close(false);
+			} else if (e.key === 'Enter' && e.target === field) {
+				// Enter would submit the form around the field
+				e.preventDefault();
+				close(true);
 			}
+		});
+		
+		row.insertAdjacentElement('afterend', prompt);
+		(field || cancelBtn).focus();
+	}
+	
+	// Initialize draft autosave and offer to restore an earlier draft
+	function initializeDrafts(generator, elements, state, index) {
+		const key = DRAFT_CONFIG.storagePrefix + window.location.pathname + '_' + index;
+		const initialForm = JSON.stringify(snapshotForm(elements, state));
+		const draft = loadDraft(key);
+		let pending = Boolean(draft && elements.draftPrompt);
+		let timer = null;
+		
+		const save = function() {
+			if (pending) return;
+			const snapshot = snapshotForm(elements, state);
 			
-			// Check for duplicates
-			if (tagArray.includes(value)) {
-				showNotification('Tag already exists', 'error', 3000);
+			// A form left as the page loaded it leaves nothing to restore, and
+			// an open project is saved by the project switcher instead
+			if (JSON.stringify(snapshot) === initialForm || state.projectId) {
+				removeDraft(key);
 				return;
 			}
 			
-			// Check limits
-			const maxItems = type === 'contributor' ? SECURITY_CONFIG.maxItems.contributors : SECURITY_CONFIG.maxItems.tags;
-			if (tagArray.length >= maxItems) {
-				showNotification(`Maximum ${maxItems} ${type}s allowed`, 'error', 3000);
-				return;
+			storeDraft(key, Object.assign({
+				version: DRAFT_CONFIG.version,
+				savedAt: Date.now()
+			}, snapshot));
+		};
+		
+		const closePrompt = function() {
+			pending = false;
+			elements.draftPrompt.hidden = true;
+		};
+		
+		['input', 'change', 'click'].forEach(function(type) {
+			elements.form.addEventListener(type, function() {
+				clearTimeout(timer);
+				timer = setTimeout(save, DRAFT_CONFIG.autosaveDelay);
+			});
+		});
+		
+		// Flush the last edits when the tab is hidden or closed
+		window.addEventListener('pagehide', save);
+		document.addEventListener('visibilitychange', function() {
+			if (document.visibilityState === 'hidden') {
+				save();
 			}
+		});
+		
+		if (pending) {
+			elements.restoreDraftBtn.textContent = `Restore draft from ${new Date(draft.savedAt).toLocaleString()}`;
+			elements.draftPrompt.hidden = false;
 			
-			// Add tag
-			tagArray.push(value);
-			updateTagsDisplaySimple(display, tagArray, type);
-			updateHiddenInput(hiddenInput, tagArray);
-			
-			// Clear input
-			input.value = '';
-			input.focus();
+			elements.restoreDraftBtn.addEventListener('click', function() {
+				try {
+					restoreSavedForm(draft, generator, elements, state);
+					closePrompt();
+					showInlineNotification('Draft restored.', 'success');
+				} catch (error) {
+					handleError(error, 'draft_restore');
+				}
+			});
 			
+			elements.discardDraftBtn.addEventListener('click', function() {
+				closePrompt();
+				removeDraft(key);
+			});
+		}
+		
+		if (elements.clearDraftBtn) {
+			elements.clearDraftBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				showInlineConfirm(this, 'Clear the saved draft and empty the form?', 'Clear draft', function() {
+					clearTimeout(timer);
+					if (elements.draftPrompt) {
+						closePrompt();
+					}
+					removeDraft(key);
+					resetForm(elements, state);
+					elements.form.dispatchEvent(new Event('change'));
+					
+					// The change above schedules an autosave of the empty form,
+					// which removes the draft again rather than storing one
+					showInlineNotification('Draft cleared.', 'success');
+				});
+			});
+		}
+	}
+	
+	// Read a draft, ignoring anything unreadable or from another format
+	function loadDraft(key) {
+		try {
+			const draft = JSON.parse(window.localStorage.getItem(key) || 'null');
+			if (!draft || draft.version !== DRAFT_CONFIG.version || typeof draft.savedAt !== 'number' ||
+				!draft.document || typeof draft.document !== 'object') {
+				return null;
+			}
+			return draft;
 		} catch (error) {
-			handleError(error, 'tag_addition');
+			logSecurityEvent('invalid_draft', { key });
+			return null;
 		}
 	}
 	
-	// Update hidden input with tag values
-	function updateHiddenInput(hiddenInput, tagArray) {
-		if (hiddenInput && tagArray) {
-			hiddenInput.value = tagArray.join(', ');
+	// Storage can be full or disabled; autosave is best effort
+	function storeDraft(key, draft) {
+		try {
+			window.localStorage.setItem(key, JSON.stringify(draft));
+		} catch (error) {
+			logSecurityEvent('draft_not_saved', { key, error: error.message });
 		}
 	}
 	
-	// Simple version of updateTagsDisplay for direct use
-	function updateTagsDisplaySimple(display, tagArray, type) {
+	function removeDraft(key) {
 		try {
-			if (!display || !tagArray) return;
-			
-			display.innerHTML = '';
+			window.localStorage.removeItem(key);
+		} catch (error) {
+			logSecurityEvent('draft_not_removed', { key, error: error.message });
+		}
+	}
+	
+	// The form document plus the imported text it was edited from, if any.
+	// Drafts and projects both store this pair
+	function snapshotForm(elements, state) {
+		return {
+			document: collectFormData(elements, state),
+			source: state.importedDocument ? state.importedDocument.source : ''
+		};
+	}
+	
+	// Fill the form from a saved draft or project through the import path
+	function restoreSavedForm(snapshot, generator, elements, state) {
+		const doc = normalizeDocument(snapshot.document);
+		const source = typeof snapshot.source === 'string' && snapshot.source.length <= 50000 ? snapshot.source : '';
+		
+		populateFormFromDocument(doc, generator, elements, state);
+		state.importedDocument = source ? parseReadme(source) : null;
+	}
+	
+	// Show the readme saved with the block in the form and the preview
+	function initializeSavedReadme(generator, elements, state) {
+		const data = generator.querySelector('.readme-saved-data');
+		if (!data || !data.textContent.trim()) return;
+		
+		try {
+			const snapshot = JSON.parse(data.textContent);
+			if (!snapshot || typeof snapshot !== 'object') return;
 			
-			tagArray.forEach(function(tag, index) {
-				const tagElement = document.createElement('div');
-				tagElement.className = 'tag';
+			restoreSavedForm(snapshot, generator, elements, state);
+			if (elements.previewContent && elements.previewSection) {
+				updatePreview(elements, state);
+				elements.previewSection.style.display = 'block';
+				elements.previewSection.setAttribute('aria-hidden', 'false');
+			}
+		} catch (error) {
+			handleError(error, 'saved_readme');
+		}
+	}
+	
+	// Initialize the project switcher. Projects are stored in IndexedDB and
+	// the open one is saved as the form changes
+	function initializeProjects(generator, elements, state, index) {
+		if (!elements.projectSwitcher || !elements.projectSelect || !isProjectStoreAvailable()) return;
+		
+		const key = PROJECT_CONFIG.currentKeyPrefix + window.location.pathname + '_' + index;
+		const emptyForm = JSON.stringify(collectFormData(elements, state));
+		let lastSaved = '';
+		let timer = null;
+		
+		const fail = function(error) {
+			handleError(error, 'project_storage');
+		};
+		
+		const refresh = function() {
+			return listProjects().then(function(projects) {
+				state.projects = projects;
+				updateProjectSwitcher(elements, state);
+			});
+		};
+		
+		const open = function(project) {
+			restoreSavedForm(project, generator, elements, state);
+			state.projectId = project.id;
+			lastSaved = JSON.stringify(snapshotForm(elements, state));
+			rememberProject(key, project.id);
+			setProjectStatus(elements, `Opened "${project.name}".`);
+		};
+		
+		const close = function() {
+			state.projectId = null;
+			lastSaved = '';
+			rememberProject(key, null);
+		};
+		
+		// Write pending edits of the open project, if there are any
+		const saveCurrent = function() {
+			clearTimeout(timer);
+			const project = state.projects.find(item => item.id === state.projectId);
+			const snapshot = snapshotForm(elements, state);
+			const json = JSON.stringify(snapshot);
+			if (!project || json === lastSaved) return Promise.resolve();
+			
+			lastSaved = json;
+			return saveProject(Object.assign({}, project, snapshot)).then(function(saved) {
+				setProjectStatus(elements, `Saved "${saved.name}" at ${new Date(saved.updatedAt).toLocaleTimeString()}.`);
+				return refresh();
+			});
+		};
+		
+		const hasRoom = function() {
+			if (state.projects.length < SECURITY_CONFIG.maxItems.projects) return true;
+			showInlineNotification(`You can keep up to ${SECURITY_CONFIG.maxItems.projects} projects. Delete one to add another.`, 'error');
+			return false;
+		};
+		
+		['input', 'change', 'click'].forEach(function(type) {
+			elements.form.addEventListener(type, function() {
+				clearTimeout(timer);
+				timer = setTimeout(function() {
+					saveCurrent().catch(fail);
+				}, PROJECT_CONFIG.autosaveDelay);
+			});
+		});
+		
+		elements.projectSelect.addEventListener('change', function() {
+			const id = this.value;
+			saveCurrent()
+				.then(() => id ? getProject(id) : null)
+				.then(function(project) {
+					if (project) {
+						open(project);
+					}
+					return refresh();
+				})
+				.catch(fail);
+		});
+		
+		if (elements.newProjectBtn) {
+			elements.newProjectBtn.addEventListener('click', function() {
+				if (!hasRoom()) return;
+				
+				const button = this;
+				const create = function() {
+					askProjectName(button, 'Name of the new project', '', function(name) {
+						saveCurrent()
+							.then(() => createProject(name, createEmptyDocument()))
+							.then(function(project) {
+								open(project);
+								return refresh();
+							})
+							.catch(fail);
+					});
+				};
+				
+				// Without an open project the form only lives in the draft
+				if (!state.projectId && JSON.stringify(collectFormData(elements, state)) !== emptyForm) {
+					showInlineConfirm(button, 'Start a new project? The current readme is not saved as a project; use Duplicate to keep it.', 'Start new project', create);
+					return;
+				}
+				
+				create();
+			});
+		}
+		
+		// Copies the open project, or turns an unsaved form into a project
+		if (elements.duplicateProjectBtn) {
+			elements.duplicateProjectBtn.addEventListener('click', function() {
+				if (!hasRoom()) return;
+				
+				const current = state.projects.find(item => item.id === state.projectId);
+				askProjectName(this, 'Name of the copy', current ? `${current.name} (copy)` : sanitizeText(elements.form.querySelector('#pluginName').value).trim(), function(name) {
+					saveCurrent()
+						.then(function() {
+							if (current) {
+								return duplicateProject(current.id, name);
+							}
+							const snapshot = snapshotForm(elements, state);
+							return createProject(name, snapshot.document, snapshot.source);
+						})
+						.then(function(project) {
+							open(project);
+							return refresh();
+						})
+						.catch(fail);
+				});
+			});
+		}
+		
+		if (elements.renameProjectBtn) {
+			elements.renameProjectBtn.addEventListener('click', function() {
+				const current = state.projects.find(item => item.id === state.projectId);
+				if (!current) return;
+				
+				askProjectName(this, 'New name of the project', current.name, function(name) {
+					if (name === current.name) return;
+					
+					saveCurrent()
+						.then(() => renameProject(current.id, name))
+						.then(refresh)
+						.catch(fail);
+				});
+			});
+		}
+		
+		// The form keeps the deleted project's content as an unsaved readme
+		if (elements.deleteProjectBtn) {
+			elements.deleteProjectBtn.addEventListener('click', function() {
+				const current = state.projects.find(item => item.id === state.projectId);
+				if (!current) return;
+				
+				showInlineConfirm(this, `Delete the project "${current.name}"? This cannot be undone.`, 'Delete project', function() {
+					clearTimeout(timer);
+					deleteProject(current.id)
+						.then(function() {
+							close();
+							setProjectStatus(elements, `Deleted "${current.name}".`);
+							return refresh();
+						})
+						.catch(fail);
+				});
+			});
+		}
+		
+		// Flush the last edits when the tab is hidden
+		document.addEventListener('visibilitychange', function() {
+			if (document.visibilityState === 'hidden') {
+				saveCurrent().catch(fail);
+			}
+		});
+		
+		elements.projectSwitcher.hidden = false;
+		refresh()
+			.then(function() {
+				// Reopen the last project unless a draft is waiting to be restored
+				const project = state.projects.find(item => item.id === recallProject(key));
+				if (project && (!elements.draftPrompt || elements.draftPrompt.hidden)) {
+					open(project);
+					updateProjectSwitcher(elements, state);
+				}
+			})
+			.catch(fail);
+	}
+	
+	// List projects by last edit; an unsaved form shows as its own entry
+	function updateProjectSwitcher(elements, state) {
+		const select = elements.projectSelect;
+		select.innerHTML = '';
+		
+		if (!state.projectId) {
+			select.appendChild(new window.Option('Unsaved readme', ''));
+		}
+		
+		state.projects.forEach(function(project) {
+			const label = `${project.name} (edited ${new Date(project.updatedAt).toLocaleString()})`;
+			select.appendChild(new window.Option(label, project.id));
+		});
+		
+		select.value = state.projectId || '';
+		[elements.renameProjectBtn, elements.deleteProjectBtn].forEach(function(button) {
+			if (button) {
+				button.disabled = !state.projectId;
+			}
+		});
+		
+		// Clearing the draft would empty the open project
+		if (elements.clearDraftBtn) {
+			elements.clearDraftBtn.disabled = Boolean(state.projectId);
+		}
+	}
+	
+	function setProjectStatus(elements, message) {
+		if (elements.projectStatus) {
+			elements.projectStatus.textContent = message;
+		}
+	}
+	
+	// Ask for a project name in the projects panel; onName only runs with a
+	// name that is not empty
+	function askProjectName(anchor, message, value, onName) {
+		showInlineConfirm(anchor, message, 'Save', function(input) {
+			const name = sanitizeText(input).trim().slice(0, SECURITY_CONFIG.maxInputLength.projectName);
+			if (name) {
+				onName(name);
+			}
+		}, value);
+	}
+	
+	// Remember which project a block had open; null forgets it
+	function rememberProject(key, id) {
+		try {
+			if (id) {
+				window.localStorage.setItem(key, id);
+			} else {
+				window.localStorage.removeItem(key);
+			}
+		} catch (error) {
+			logSecurityEvent('project_not_remembered', { key, error: error.message });
+		}
+	}
+	
+	function recallProject(key) {
+		try {
+			return window.localStorage.getItem(key);
+		} catch (error) {
+			return null;
+		}
+	}
+	
+	// Initialize saving to the site for logged-in users. Readmes are private
+	// posts and every save is kept as a revision
+	function initializeSiteReadmes(generator, elements, state) {
+		if (!elements.siteReadmes || !elements.siteReadmeSelect) return;
+		
+		let storage = null;
+		try {
+			storage = JSON.parse(elements.siteReadmes.dataset.storage || 'null');
+		} catch (error) {
+			logSecurityEvent('invalid_site_storage', { error: error.message });
+		}
+		if (!storage || !storage.root || !storage.nonce) return;
+		
+		let readmes = [];
+		let revisions = [];
+		let lastText = '';
+		let busy = false;
+		const emptyForm = JSON.stringify(collectFormData(elements, state));
+		
+		const fail = function(error) {
+			handleError(error, 'site_storage');
+		};
+		
+		const updateControls = function() {
+			const selected = Number(elements.siteReadmeSelect.value);
+			const revision = revisions.find(item => item.id === Number(elements.siteRevisionSelect.value));
+			
+			elements.siteReadmeSelect.disabled = busy;
+			[elements.saveSiteReadmeBtn, elements.saveSiteReadmeAsBtn].forEach(function(button) {
+				if (button) {
+					button.disabled = busy;
+				}
+			});
+			if (elements.loadSiteReadmeBtn) {
+				elements.loadSiteReadmeBtn.disabled = busy || !selected;
+			}
+			if (elements.siteRevisionSelect) {
+				elements.siteRevisionSelect.disabled = busy || !revisions.length;
+			}
+			if (elements.loadSiteRevisionBtn) {
+				elements.loadSiteRevisionBtn.disabled = busy || !revision;
+			}
+			if (elements.compareSiteRevisionLink) {
+				elements.compareSiteRevisionLink.hidden = !revision;
+				elements.compareSiteRevisionLink.href = revision ? `${storage.revisionUrl}?revision=${revision.id}` : '#';
+			}
+		};
+		
+		// Run one request at a time with the controls disabled meanwhile
+		const run = function(task) {
+			if (busy) return;
+			busy = true;
+			updateControls();
+			task()
+				.catch(fail)
+				.then(function() {
+					busy = false;
+					updateControls();
+				});
+		};
+		
+		const refresh = function() {
+			return listReadmePosts(storage)
+				.then(function(posts) {
+					readmes = posts;
+					updateSiteReadmeSelect(elements, state, readmes);
+					return state.siteReadmeId ? listReadmeRevisions(storage, state.siteReadmeId) : [];
+				})
+				.then(function(items) {
+					revisions = items;
+					updateSiteRevisionSelect(elements, revisions);
+				});
+		};
+		
+		// Ask before replacing edits that were not saved to the site
+		const confirmReplace = function(button, message, onConfirm) {
+			const form = JSON.stringify(collectFormData(elements, state));
+			if (form === emptyForm || generateReadmeContent(elements, state) === lastText) {
+				onConfirm();
+				return;
+			}
+			showInlineConfirm(button, message, 'Load', onConfirm);
+		};
+		
+		// Fill the form from saved readme text through the import path
+		const load = function(text) {
+			parseReadmeFile(text, generator, elements, state);
+			lastText = generateReadmeContent(elements, state);
+		};
+		
+		const save = function(button, asNew) {
+			const current = asNew ? null : readmes.find(item => item.id === state.siteReadmeId);
+			const store = function(title) {
+				const content = generateReadmeContent(elements, state);
+				if (!content || content.length < 10) {
+					showInlineNotification('The readme is empty; there is nothing to save.', 'error');
+					return;
+				}
+				
+				run(function() {
+					return saveReadmePost(storage, { id: current ? current.id : 0, title, content }).then(function(saved) {
+						state.siteReadmeId = saved.id;
+						lastText = content;
+						setSiteReadmeStatus(elements, `Saved "${saved.title}" at ${new Date().toLocaleTimeString()}.`);
+						return refresh();
+					});
+				});
+			};
+			
+			if (current) {
+				store(current.title);
+				return;
+			}
+			askProjectName(button, 'Name of the saved readme', sanitizeText(elements.form.querySelector('#pluginName').value).trim(), store);
+		};
+		
+		elements.siteReadmeSelect.addEventListener('change', updateControls);
+		if (elements.siteRevisionSelect) {
+			elements.siteRevisionSelect.addEventListener('change', updateControls);
+		}
+		
+		if (elements.loadSiteReadmeBtn) {
+			elements.loadSiteReadmeBtn.addEventListener('click', function() {
+				const id = Number(elements.siteReadmeSelect.value);
+				if (!id) return;
+				
+				confirmReplace(this, 'Load the saved readme? Changes to the current readme that are not saved will be lost.', function() {
+					run(function() {
+						return getReadmePost(storage, id).then(function(readme) {
+							load(readme.content);
+							state.siteReadmeId = readme.id;
+							setSiteReadmeStatus(elements, `Loaded "${readme.title}".`);
+							return refresh();
+						});
+					});
+				});
+			});
+		}
+		
+		if (elements.saveSiteReadmeBtn) {
+			elements.saveSiteReadmeBtn.addEventListener('click', function() {
+				save(this, false);
+			});
+		}
+		if (elements.saveSiteReadmeAsBtn) {
+			elements.saveSiteReadmeAsBtn.addEventListener('click', function() {
+				save(this, true);
+			});
+		}
+		
+		// An older revision goes into the form; saving it makes it current again
+		if (elements.loadSiteRevisionBtn) {
+			elements.loadSiteRevisionBtn.addEventListener('click', function() {
+				const revisionId = Number(elements.siteRevisionSelect.value);
+				if (!state.siteReadmeId || !revisionId) return;
+				
+				confirmReplace(this, 'Load this revision? Changes to the current readme that are not saved will be lost.', function() {
+					run(function() {
+						return getReadmeRevision(storage, state.siteReadmeId, revisionId).then(function(revision) {
+							load(revision.content);
+							lastText = '';
+							setSiteReadmeStatus(elements, `Loaded the revision from ${new Date(revision.date).toLocaleString()}. Save to make it the current version.`);
+						});
+					});
+				});
+			});
+		}
+		
+		elements.siteReadmes.hidden = false;
+		run(refresh);
+	}
+	
+	// List the saved readmes; a form not saved to the site shows as its own entry
+	function updateSiteReadmeSelect(elements, state, readmes) {
+		const select = elements.siteReadmeSelect;
+		select.innerHTML = '';
+		
+		if (!state.siteReadmeId) {
+			select.appendChild(new window.Option('Not saved to the site', ''));
+		}
+		
+		readmes.forEach(function(readme) {
+			const label = `${readme.title || '(no title)'} (saved ${new Date(readme.modified).toLocaleString()})`;
+			select.appendChild(new window.Option(label, readme.id));
+		});
+		
+		select.value = state.siteReadmeId ? String(state.siteReadmeId) : '';
+	}
+	
+	// Newest revision first, which is the saved readme itself
+	function updateSiteRevisionSelect(elements, revisions) {
+		const select = elements.siteRevisionSelect;
+		if (!select) return;
+		
+		select.innerHTML = '';
+		revisions.forEach(function(revision, position) {
+			const label = new Date(revision.date).toLocaleString() + (position === 0 ? ' (current)' : '');
+			select.appendChild(new window.Option(label, revision.id));
+		});
+		if (!revisions.length) {
+			select.appendChild(new window.Option('No revisions yet', ''));
+		}
+	}
+	
+	function setSiteReadmeStatus(elements, message) {
+		if (elements.siteReadmeStatus) {
+			elements.siteReadmeStatus.textContent = message;
+		}
+	}
+	
+	// Initialize form-wide undo and redo
+	function initializeHistory(generator, elements, state) {
+		const history = { entries: [], index: -1 };
+		let timer = null;
+		
+		const updateButtons = function() {
+			if (elements.undoBtn) {
+				elements.undoBtn.disabled = history.index <= 0;
+			}
+			if (elements.redoBtn) {
+				elements.redoBtn.disabled = history.index >= history.entries.length - 1;
+			}
+		};
+		
+		// Add the current form as a step if it differs from the current one
+		const record = function() {
+			clearTimeout(timer);
+			timer = null;
+			
+			const entry = captureFormState(elements, state);
+			const current = history.entries[history.index];
+			if (current && current.key === entry.key && current.importedDocument === entry.importedDocument) return;
+			
+			// Steps never cross a project switch, so undo cannot pull another
+			// project's content into the open one
+			if (current && current.projectId !== entry.projectId) {
+				history.entries = [];
+				history.index = -1;
+			}
+			
+			history.entries = history.entries.slice(0, history.index + 1).concat(entry).slice(-HISTORY_CONFIG.maxEntries);
+			history.index = history.entries.length - 1;
+			updateButtons();
+		};
+		
+		const go = function(step) {
+			// Pending typing becomes a step of its own first
+			if (timer) {
+				record();
+			}
+			
+			const target = history.index + step;
+			if (target < 0 || target >= history.entries.length) return;
+			
+			try {
+				history.index = target;
+				applyFormState(history.entries[target], generator, elements, state);
+				updateButtons();
+			} catch (error) {
+				handleError(error, 'history_restore');
+			}
+		};
+		
+		elements.form.addEventListener('input', function() {
+			clearTimeout(timer);
+			timer = setTimeout(record, HISTORY_CONFIG.typingDelay);
+		});
+		
+		// Close the typing step before a click or change lands, then record
+		// what it did once its own handlers have run
+		['click', 'change'].forEach(function(type) {
+			elements.form.addEventListener(type, function() {
+				if (timer) {
+					record();
+				}
+			}, true);
+			elements.form.addEventListener(type, function() {
+				setTimeout(record, 0);
+			});
+		});
+		
+		if (elements.undoBtn) {
+			elements.undoBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				go(-1);
+			});
+		}
+		if (elements.redoBtn) {
+			elements.redoBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				go(1);
+			});
+		}
+		
+		// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+		generator.addEventListener('keydown', function(e) {
+			if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+			
+			const key = e.key.toLowerCase();
+			if (key === 'z' || key === 'y') {
+				e.preventDefault();
+				go(key === 'y' || e.shiftKey ? 1 : -1);
+			}
+		});
+		
+		record();
+	}
+	
+	// Everything needed to put the form back as it is, including half-filled
+	// list items that collectFormData leaves out
+	function captureFormState(elements, state) {
+		const form = elements.form;
+		const values = function(item, selector) {
+			return Array.from(item.querySelectorAll(selector)).map(field => sanitizeText(field.value));
+		};
+		const value = function(item, selector) {
+			const field = item.querySelector(selector);
+			return field ? sanitizeText(field.value) : '';
+		};
+		
+		const fields = {};
+		Array.from(form.elements).forEach(function(field) {
+			if (!field.name || ['hidden', 'file', 'submit', 'button'].includes(field.type) || field.closest(LIST_CONTAINERS)) return;
+			fields[field.name] = field.type === 'checkbox' ? field.checked : sanitizeText(field.value);
+		});
+		
+		const snapshot = {
+			fields,
+			contributorsTags: state.contributorsTags.slice(),
+			tagsTags: state.tagsTags.slice(),
+			faq: Array.from(form.querySelectorAll('.faq-item')).map(item => ({
+				question: value(item, '.faq-question'),
+				answer: value(item, '.faq-answer')
+			})),
+			changelog: Array.from(form.querySelectorAll('.changelog-item')).map(item => ({
+				version: value(item, '.changelog-version'),
+				changes: values(item, '.changelog-change'),
+				notice: value(item, '.changelog-upgrade-notice')
+			})),
+			screenshots: Array.from(form.querySelectorAll('.screenshot-item')).map(function(item) {
+				const preview = item.querySelector('.screenshot-preview');
+				return {
+					caption: value(item, '.screenshot-caption'),
+					image: preview && !preview.hidden ? preview.src : '',
+					extension: item.dataset.extension || ''
+				};
+			}),
+			customSections: Array.from(form.querySelectorAll('.custom-section-item')).map(item => ({
+				title: value(item, '.custom-section-title'),
+				content: value(item, '.custom-section-content'),
+				line: parseInt(item.dataset.line, 10) || 0
+			})),
+			headerFields: Array.from(form.querySelectorAll('.header-field-item')).map(item => ({
+				key: value(item, '.header-field-key'),
+				value: value(item, '.header-field-value'),
+				line: parseInt(item.dataset.line, 10) || 0
+			}))
+		};
+		
+		return {
+			key: JSON.stringify(snapshot),
+			snapshot,
+			importedDocument: state.importedDocument,
+			projectId: state.projectId,
+			focus: getFocusPosition(form)
+		};
+	}
+	
+	// Put the form back to a captured state
+	function applyFormState(entry, generator, elements, state) {
+		const snapshot = entry.snapshot;
+		const form = elements.form;
+		
+		resetForm(elements, state);
+		
+		Object.keys(snapshot.fields).forEach(function(name) {
+			const field = form.elements.namedItem(name);
+			const fieldValue = snapshot.fields[name];
+			if (!field) return;
+			
+			if (field.type === 'checkbox') {
+				field.checked = fieldValue;
+				return;
+			}
+			
+			// Keep imported values that are not in a select's whitelist
+			if (field.tagName === 'SELECT' && fieldValue && !Array.from(field.options).some(option => option.value === fieldValue)) {
+				field.appendChild(new window.Option(fieldValue, fieldValue));
+			}
+			field.value = fieldValue;
+		});
+		
+		state.contributorsTags = snapshot.contributorsTags.slice();
+		state.tagsTags = snapshot.tagsTags.slice();
+		updateTagsDisplaySimple(elements.contributorsDisplay, state.contributorsTags, 'contributor');
+		updateTagsDisplaySimple(elements.tagsDisplay, state.tagsTags, 'tag');
+		updateHiddenInput(elements.contributorsHidden, state.contributorsTags);
+		updateHiddenInput(elements.tagsHidden, state.tagsTags);
+		
+		snapshot.faq.forEach(function(item, index) {
+			addFAQFromParsed(generator, elements, state, item.question, item.answer, index + 1);
+		});
+		
+		snapshot.changelog.forEach(function(item, index) {
+			addChangelogFromParsed(generator, elements, state, item.version, item.changes, index + 1, item.notice);
+		});
+		
+		if (elements.screenshotsContainer) {
+			snapshot.screenshots.forEach(function(item) {
+				addScreenshot(elements.screenshotsContainer, item.caption);
+			});
+			elements.screenshotsContainer.querySelectorAll('.screenshot-item').forEach(function(screenshotItem, index) {
+				const item = snapshot.screenshots[index];
+				const preview = screenshotItem.querySelector('.screenshot-preview');
+				if (item && item.image) {
+					preview.src = item.image;
+					preview.alt = item.caption;
+					preview.hidden = false;
+					screenshotItem.dataset.extension = item.extension;
+				}
+			});
+			renumberScreenshots(elements.screenshotsContainer);
+		}
+		
+		if (elements.customSectionsContainer) {
+			snapshot.customSections.forEach(function(item) {
+				addCustomSection(elements.customSectionsContainer, state, item.title, item.content, item.line);
+			});
+		}
+		
+		if (elements.headerFieldsContainer) {
+			snapshot.headerFields.forEach(function(item) {
+				addHeaderField(elements.headerFieldsContainer, item.key, item.value, item.line);
+			});
+		}
+		
+		updateLicenseFields(elements);
+		if (elements.license) {
+			elements.license.dataset.previousUri = getLicenseUri(elements.license);
+		}
+		state.importedDocument = entry.importedDocument;
+		
+		restoreFocusPosition(form, entry.focus);
+		
+		// Let live listeners such as the readme check know everything changed
+		form.dispatchEvent(new Event('change'));
+	}
+	
+	// Remember the focused control by id, or by position for list items
+	function getFocusPosition(form) {
+		const active = form.ownerDocument.activeElement;
+		if (!active || !form.contains(active)) return null;
+		
+		return {
+			id: active.id,
+			index: Array.from(form.querySelectorAll('input, textarea, select')).indexOf(active)
+		};
+	}
+	
+	function restoreFocusPosition(form, position) {
+		if (!position) return;
+		
+		const byId = position.id ? document.getElementById(position.id) : null;
+		const field = byId && form.contains(byId) ? byId : form.querySelectorAll('input, textarea, select')[position.index];
+		if (field) {
+			revealWizardField(form, field);
+			field.focus();
+		}
+	}
+	
+	// Initialize the guided mode, which shows the form one step at a time.
+	// Moving forward is only allowed once the steps in between have no errors
+	function initializeWizard(generator, elements, state, index) {
+		if (!elements.wizardModeToggle || !elements.wizardProgress || !elements.wizardNav) return;
+		
+		const key = WIZARD_CONFIG.storagePrefix + window.location.pathname + '_' + index;
+		const saved = loadWizardState(key);
+		const steps = getWizardSteps(elements);
+		
+		// Steps whose sections are all hidden by the block settings are skipped
+		elements.wizardProgress.querySelectorAll('.wizard-step').forEach(function(button, step) {
+			button.parentNode.hidden = !steps.includes(step);
+		});
+		
+		const remember = function() {
+			try {
+				window.localStorage.setItem(key, JSON.stringify({ enabled: state.wizardMode, step: state.wizardStep }));
+			} catch (error) {
+				logSecurityEvent('wizard_not_saved', { key, error: error.message });
+			}
+		};
+		
+		const goTo = function(target) {
+			let step = Math.min(state.wizardStep, target);
+			while (step < target && validateWizardStep(generator, elements, state, step)) {
+				step++;
+			}
+			
+			if (step === target) {
+				elements.wizardErrors.hidden = true;
+			}
+			showWizardStep(elements, state, step);
+			remember();
+		};
+		
+		elements.wizardModeToggle.addEventListener('change', function() {
+			setWizardMode(elements, state, this.checked);
+			remember();
+		});
+		
+		elements.wizardProgress.addEventListener('click', function(e) {
+			const button = e.target.closest('.wizard-step');
+			if (button) {
+				goTo(parseInt(button.dataset.step, 10));
+			}
+		});
+		
+		elements.wizardBackBtn.addEventListener('click', function() {
+			const previous = steps.filter(step => step < state.wizardStep).pop();
+			goTo(previous === undefined ? state.wizardStep : previous);
+		});
+		
+		elements.wizardNextBtn.addEventListener('click', function() {
+			const next = steps.find(step => step > state.wizardStep);
+			goTo(next === undefined ? state.wizardStep : next);
+		});
+		
+		// A returning user resumes on their last step; otherwise the block's
+		// currentStep attribute picks the first one
+		const step = saved ? saved.step : parseInt(generator.dataset.currentStep, 10) || 0;
+		state.wizardStep = steps.find(available => available >= step);
+		if (state.wizardStep === undefined) {
+			state.wizardStep = steps[steps.length - 1];
+		}
+		elements.wizardModeToggle.checked = Boolean(saved && saved.enabled);
+		setWizardMode(elements, state, elements.wizardModeToggle.checked);
+	}
+	
+	// Read the remembered guided mode and step
+	function loadWizardState(key) {
+		try {
+			const saved = JSON.parse(window.localStorage.getItem(key) || 'null');
+			if (!saved || typeof saved.step !== 'number') {
+				return null;
+			}
+			return saved;
+		} catch (error) {
+			logSecurityEvent('invalid_wizard_state', { key });
+			return null;
+		}
+	}
+	
+	// Switch between the guided steps and the full form
+	function setWizardMode(elements, state, enabled) {
+		state.wizardMode = enabled;
+		elements.wizardProgress.hidden = !enabled;
+		elements.wizardNav.hidden = !enabled;
+		
+		if (enabled) {
+			showWizardStep(elements, state, state.wizardStep);
+			return;
+		}
+		
+		elements.wizardErrors.hidden = true;
+		elements.form.querySelectorAll('[data-wizard-step]').forEach(function(section) {
+			section.hidden = section.classList.contains('wizard-review') || section.hasAttribute('data-section-disabled');
+		});
+	}
+	
+	// Show the sections of one step and update the progress indicator
+	function showWizardStep(elements, state, step) {
+		const buttons = elements.wizardProgress.querySelectorAll('.wizard-step');
+		const steps = getWizardSteps(elements);
+		const isReview = step === buttons.length - 1;
+		state.wizardStep = step;
+		
+		elements.form.querySelectorAll('[data-wizard-step]').forEach(function(section) {
+			section.hidden = section.hasAttribute('data-section-disabled') || parseInt(section.dataset.wizardStep, 10) !== step;
+		});
+		
+		buttons.forEach(function(button, buttonIndex) {
+			button.classList.toggle('is-complete', buttonIndex < step);
+			if (buttonIndex === step) {
+				button.setAttribute('aria-current', 'step');
+			} else {
+				button.removeAttribute('aria-current');
+			}
+		});
+		
+		elements.wizardStatus.textContent = `Step ${steps.indexOf(step) + 1} of ${steps.length}: ${buttons[step].textContent}`;
+		elements.wizardBackBtn.disabled = step === steps[0];
+		elements.wizardNextBtn.hidden = isReview;
+		
+		// The last step reviews the finished readme
+		if (isReview && elements.previewSection) {
+			try {
+				updatePreview(elements, state);
+				elements.previewSection.style.display = 'block';
+				elements.previewSection.setAttribute('aria-hidden', 'false');
+			} catch (error) {
+				handleError(error, 'wizard_review');
+			}
+		}
+	}
+	
+	// Steps with at least one section the block settings show
+	function getWizardSteps(elements) {
+		const steps = [];
+		elements.wizardProgress.querySelectorAll('.wizard-step').forEach(function(button, step) {
+			if (elements.form.querySelector(`[data-wizard-step="${step}"]:not([data-section-disabled])`)) {
+				steps.push(step);
+			}
+		});
+		return steps;
+	}
+	
+	// Check the fields of one step and the readme rules they feed.
+	// Problems are marked on the fields and listed above the form
+	function validateWizardStep(generator, elements, state, step) {
+		const sections = Array.from(elements.form.querySelectorAll(`[data-wizard-step="${step}"]:not([data-section-disabled])`));
+		const invalid = [];
+		
+		// Half-filled list items would silently be left out of the readme
+		const requireWith = function(field, other, message) {
+			setFieldError(field, '');
+			if (!field.value.trim() && other && other.value.trim()) {
+				setFieldError(field, message);
+				invalid.push(field);
+			}
+		};
+		
+		sections.forEach(function(section) {
+			section.querySelectorAll('[required], [pattern], [data-validate]').forEach(function(field) {
+				// Simple mode hides the advanced fields, so they cannot block a step
+				if (state.settings.mode === 'simple' && field.closest('[data-advanced]')) return;
+				if (!validateField(field)) {
+					invalid.push(field);
+				}
+			});
+			
+			section.querySelectorAll('.faq-item').forEach(function(item) {
+				const question = item.querySelector('.faq-question');
+				const answer = item.querySelector('.faq-answer');
+				requireWith(question, answer, 'Add the question this answers');
+				requireWith(answer, question, 'Add an answer or remove this question');
+			});
+			
+			section.querySelectorAll('.changelog-item').forEach(function(item) {
+				const version = item.querySelector('.changelog-version');
+				const changes = Array.from(item.querySelectorAll('.changelog-change'));
+				const change = changes.find(function(field) {
+					return field.value.trim();
+				});
+				if (changes.length) {
+					requireWith(changes[0], change ? null : version, 'Add at least one change');
+				}
+				if (!version.classList.contains('has-error')) {
+					requireWith(version, change, 'This field is required');
+				}
+			});
+		});
+		
+		const diagnostics = validateReadme(generateReadmeContent(elements, state), { pluginVersion: state.pluginVersion, wordpressVersion: state.settings.wordpressVersion }).filter(function(diagnostic) {
+			const target = diagnostic.severity === 'error' && findDiagnosticTarget(generator, diagnostic);
+			return target && sections.some(function(section) {
+				return section.contains(target);
+			});
+		});
+		
+		elements.wizardErrorList.innerHTML = '';
+		if (invalid.length) {
+			const item = document.createElement('li');
+			item.className = 'validation-item is-error';
+			item.textContent = invalid.length === 1 ? 'One highlighted field needs attention.' : `${invalid.length} highlighted fields need attention.`;
+			elements.wizardErrorList.appendChild(item);
+		}
+		diagnostics.forEach(function(diagnostic) {
+			elements.wizardErrorList.appendChild(createDiagnosticItem(generator, diagnostic));
+		});
+		
+		const valid = !invalid.length && !diagnostics.length;
+		elements.wizardErrors.hidden = valid;
+		
+		if (!valid) {
+			// The contributors list is a hidden input filled from its text box
+			const first = invalid.length ? invalid[0] : findDiagnosticTarget(generator, diagnostics[0]);
+			const field = first.type === 'hidden' ? first.parentNode.querySelector('input:not([type="hidden"])') : first;
+			if (field) {
+				field.focus();
+			}
+		}
+		
+		return valid;
+	}
+	
+	// Open the guided step holding a field so it can be focused
+	function revealWizardField(container, field) {
+		const section = field.closest('[data-wizard-step]');
+		if (!section || !section.hidden) return;
+		
+		const button = container.querySelector(`.wizard-step[data-step="${section.dataset.wizardStep}"]`);
+		if (button) {
+			button.click();
+		}
+	}
+	
+	// Initialize the live readme check panel
+	function initializeValidationPanel(generator, elements, state) {
+		if (!elements.validationList) return;
+		
+		let timer = null;
+		const schedule = function() {
+			clearTimeout(timer);
+			timer = setTimeout(function() {
+				updateValidationPanel(generator, elements, state);
+			}, 400);
+		};
+		
+		// Clicks cover adding, removing and moving list items
+		['input', 'change', 'click'].forEach(function(type) {
+			elements.form.addEventListener(type, schedule);
+		});
+		
+		updateValidationPanel(generator, elements, state);
+	}
+	
+	// Validate the generated readme and list the diagnostics
+	function updateValidationPanel(generator, elements, state) {
+		try {
+			const diagnostics = validateReadme(generateReadmeContent(elements, state), { pluginVersion: state.pluginVersion, wordpressVersion: state.settings.wordpressVersion });
+			const count = function(severity) {
+				return diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+			};
+			
+			elements.validationList.innerHTML = '';
+			diagnostics.forEach(function(diagnostic) {
+				elements.validationList.appendChild(createDiagnosticItem(generator, diagnostic));
+			});
+			
+			if (elements.validationSummary) {
+				elements.validationSummary.textContent = diagnostics.length ?
+					`${count('error')} errors, ${count('warning')} warnings, ${count('info')} suggestions` :
+					'No problems found';
+			}
+			
+		} catch (error) {
+			handleError(error, 'readme_validation');
+		}
+	}
+	
+	// Build one diagnostic row; all text goes through textContent
+	function createDiagnosticItem(generator, diagnostic) {
+		const item = document.createElement('li');
+		item.className = `validation-item is-${diagnostic.severity}`;
+		
+		const severity = document.createElement('span');
+		severity.className = 'validation-severity';
+		severity.textContent = diagnostic.severity;
+		item.appendChild(severity);
+		
+		const message = document.createElement('span');
+		message.className = 'validation-message';
+		message.textContent = diagnostic.message;
+		item.appendChild(message);
+		
+		if (findDiagnosticTarget(generator, diagnostic)) {
+			const jump = document.createElement('button');
+			jump.type = 'button';
+			jump.className = 'validation-jump components-button is-link';
+			jump.textContent = 'Go to field';
+			jump.addEventListener('click', function() {
+				const target = findDiagnosticTarget(generator, diagnostic);
+				if (target) {
+					revealWizardField(generator, target);
+					target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+					target.focus({ preventScroll: true });
+				}
+			});
+			item.appendChild(jump);
+		}
+		
+		return item;
+	}
+	
+	// Find the form control a diagnostic refers to
+	function findDiagnosticTarget(generator, diagnostic) {
+		const selector = DIAGNOSTIC_TARGETS[diagnostic.field];
+		if (!selector) return null;
+		
+		// Fields the block settings hide cannot be jumped to
+		const simpleMode = generator.classList.contains('is-simple-mode');
+		const candidates = Array.from(generator.querySelectorAll(selector)).filter(function(candidate) {
+			return !candidate.closest('[data-section-disabled]') && !(simpleMode && candidate.closest('[data-advanced]'));
+		});
+		if (diagnostic.version) {
+			const match = candidates.find(function(candidate) {
+				const card = candidate.closest('.changelog-item');
+				return card && card.querySelector('.changelog-version').value.trim() === diagnostic.version;
+			});
+			if (match) return match;
+		}
+		
+		return candidates[0] || null;
+	}
+	
+	function updateTagsDisplay(generator, selector, tags, type) {
+		try {
+			const display = generator.querySelector(selector);
+			if (!display || !tags) return;
+			
+			display.innerHTML = '';
+			
+			tags.forEach(function(tag, index) {
+				const tagElement = document.createElement('div');
+				tagElement.className = 'tag';
+				tagElement.innerHTML = `
+					<span>${sanitizeInput(tag, 50)}</span>
+					<button type="button" class="tag-remove" aria-label="Remove ${type}">×</button>
+				`;
+				
+				// Add remove functionality
+				const removeBtn = tagElement.querySelector('.tag-remove');
+				removeBtn.addEventListener('click', function() {
+					tags.splice(index, 1);
+					updateTagsDisplay(generator, selector, tags, type);
+					updateHiddenInput(display.parentNode.querySelector('input[type="hidden"]'), tags);
+				});
+				
+				display.appendChild(tagElement);
+			});
+			
+		} catch (error) {
+			handleError(error, 'tags_display_update');
+		}
+	}
+	
+	// Initialize tags management with security
+	function initializeTagsManagement(generator, elements, state) {
+		// Contributors management
+		if (elements.addContributorBtn && elements.contributorsInput && elements.contributorsDisplay) {
+			elements.addContributorBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				addTag(elements.contributorsInput, elements.contributorsDisplay, state.contributorsTags, 'contributor', elements.contributorsHidden);
+			});
+			
+			elements.contributorsInput.addEventListener('keypress', function(e) {
+				if (e.key === 'Enter') {
+					e.preventDefault();
+					addTag(elements.contributorsInput, elements.contributorsDisplay, state.contributorsTags, 'contributor', elements.contributorsHidden);
+				}
+			});
+		}
+		
+		// Tags management
+		if (elements.addTagBtn && elements.tagsInput && elements.tagsDisplay) {
+			elements.addTagBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				addTag(elements.tagsInput, elements.tagsDisplay, state.tagsTags, 'tag', elements.tagsHidden);
+			});
+			
+			elements.tagsInput.addEventListener('keypress', function(e) {
+				if (e.key === 'Enter') {
+					e.preventDefault();
+					addTag(elements.tagsInput, elements.tagsDisplay, state.tagsTags, 'tag', elements.tagsHidden);
+				}
+			});
+		}
+	}
+	
+	// Add tag with validation
+	function addTag(input, display, tagArray, type, hiddenInput) {
+		try {
+			const value = sanitizeInput(input.value.trim(), 50);
+			
+			if (!value) {
+				showNotification('Please enter a valid tag', 'error', 3000);
+				return;
+			}
+			
+			// Validate tag format
+			if (type === 'contributor' && !validateInput(value, 'username')) {
+				showNotification('Invalid contributor username format', 'error', 3000);
+				return;
+			}
+			
+			if (type === 'tag' && !validateInput(value, 'tag')) {
+				showNotification('Invalid tag format', 'error', 3000);
+				return;
+			}
+			
+			// Check for duplicates
+			if (tagArray.includes(value)) {
+				showNotification('Tag already exists', 'error', 3000);
+				return;
+			}
+			
+			// Check limits
+			const maxItems = type === 'contributor' ? SECURITY_CONFIG.maxItems.contributors : SECURITY_CONFIG.maxItems.tags;
+			if (tagArray.length >= maxItems) {
+				showNotification(`Maximum ${maxItems} ${type}s allowed`, 'error', 3000);
+				return;
+			}
+			
+			// Add tag
+			tagArray.push(value);
+			updateTagsDisplaySimple(display, tagArray, type);
+			updateHiddenInput(hiddenInput, tagArray);
+			
+			// Clear input
+			input.value = '';
+			input.focus();
+			
+		} catch (error) {
+			handleError(error, 'tag_addition');
+		}
+	}
+	
+	// Update hidden input with tag values
+	function updateHiddenInput(hiddenInput, tagArray) {
+		if (hiddenInput && tagArray) {
+			hiddenInput.value = tagArray.join(', ');
+		}
+	}
+	
+	// Simple version of updateTagsDisplay for direct use
+	function updateTagsDisplaySimple(display, tagArray, type) {
+		try {
+			if (!display || !tagArray) return;
+			
+			display.innerHTML = '';
+			
+			tagArray.forEach(function(tag, index) {
+				const tagElement = document.createElement('div');
+				tagElement.className = 'tag';
 				tagElement.innerHTML = `
 					<span>${sanitizeInput(tag, 50)}</span>
 					<button type="button" class="tag-remove" aria-label="Remove ${type}">×</button>
@@ -1219,208 +3130,959 @@
 					updateHiddenInput(display.parentNode.querySelector('input[type="hidden"]'), tagArray);
 				});
 				
-				display.appendChild(tagElement);
+				display.appendChild(tagElement);
+			});
+			
+		} catch (error) {
+			handleError(error, 'tags_display_simple_update');
+		}
+	}
+	
+	// Initialize formatting buttons with XSS prevention
+	function initializeFormattingButtons(generator, elements) {
+		const formattingButtons = generator.querySelectorAll('.format-btn');
+		
+		formattingButtons.forEach(setupFormattingButton);
+	}
+	
+	// Apply a formatting button to the textarea in its form row
+	function setupFormattingButton(btn) {
+		btn.addEventListener('click', function(e) {
+			e.preventDefault();
+			
+			try {
+				const format = this.dataset.format;
+				const textarea = this.closest('.form-row').querySelector('textarea');
+				
+				if (!textarea) return;
+				
+				applyFormatting(format, textarea);
+				
+			} catch (error) {
+				handleError(error, 'formatting_button_click');
+			}
+		});
+	}
+	
+	// Apply formatting with security
+	function applyFormatting(format, textarea) {
+		try {
+			const start = textarea.selectionStart;
+			const end = textarea.selectionEnd;
+			const selectedText = textarea.value.substring(start, end);
+			const beforeText = textarea.value.substring(0, start);
+			const afterText = textarea.value.substring(end);
+			
+			let formattedText = '';
+			
+			switch (format) {
+				case 'bold':
+					formattedText = selectedText ? `**${selectedText}**` : '**bold text**';
+					break;
+				case 'italic':
+					formattedText = selectedText ? `*${selectedText}*` : '*italic text*';
+					break;
+				case 'code':
+					formattedText = selectedText ? `\`${selectedText}\`` : '`code`';
+					break;
+				case 'heading':
+					formattedText = selectedText ? `= ${selectedText} =` : '= Heading =';
+					break;
+				case 'bullet':
+					formattedText = selectedText ? `* ${selectedText}` : '* List item';
+					break;
+				case 'numbered':
+					formattedText = selectedText ? `1. ${selectedText}` : '1. List item';
+					break;
+				case 'link':
+					formattedText = selectedText ? `[${selectedText}](https://example.com)` : '[Link text](https://example.com)';
+					break;
+				default:
+					return;
+			}
+			
+			// Sanitize formatted text
+			formattedText = sanitizeText(formattedText, 1000);
+			
+			// Update textarea
+			textarea.value = beforeText + formattedText + afterText;
+			
+			// Set cursor position
+			const newCursorPos = start + formattedText.length;
+			textarea.setSelectionRange(newCursorPos, newCursorPos);
+			textarea.focus();
+			
+		} catch (error) {
+			handleError(error, 'formatting_application');
+		}
+	}
+	
+	// Initialize FAQ management with input validation
+	function initializeFAQManagement(generator, elements, state) {
+		if (!elements.addFAQBtn || !elements.faqContainer) return;
+		
+		elements.addFAQBtn.addEventListener('click', function(e) {
+			e.preventDefault();
+			addFAQ(elements.faqContainer, state);
+		});
+		
+		// Setup existing FAQ items
+		const existingFAQs = elements.faqContainer.querySelectorAll('.faq-item');
+		existingFAQs.forEach(function(faq) {
+			setupFAQItemListeners(faq);
+		});
+	}
+	
+	// Add new FAQ
+	function addFAQ(container, state) {
+		try {
+			const faqIndex = state.faqIndex;
+			const faqItem = document.createElement('div');
+			faqItem.className = 'faq-item components-panel__body';
+			faqItem.innerHTML = `
+				<div class="faq-header">
+					<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+					<span class="faq-number components-panel__body-title">FAQ #${faqIndex}</span>
+					<button type="button" class="move-up components-button is-secondary" aria-label="Move FAQ up">↑</button>
+					<button type="button" class="move-down components-button is-secondary" aria-label="Move FAQ down">↓</button>
+					<button type="button" class="remove-faq components-button is-destructive" aria-label="Remove FAQ">×</button>
+				</div>
+				<div class="form-row components-base-control">
+					<label class="components-base-control__label">Question</label>
+					<input type="text" class="faq-question components-text-control__input" placeholder="How do I use this plugin?" maxlength="200">
+				</div>
+				<div class="form-row components-base-control">
+					<label class="components-base-control__label">Answer</label>
+					<textarea class="faq-answer components-textarea-control__input" rows="3" placeholder="Just install and activate the plugin..." maxlength="1000"></textarea>
+				</div>
+			`;
+			
+			container.appendChild(faqItem);
+			state.faqIndex++;
+			
+			setupFAQItemListeners(faqItem);
+			
+		} catch (error) {
+			handleError(error, 'faq_addition');
+		}
+	}
+	
+	// Setup FAQ item listeners
+	function setupFAQItemListeners(faqItem) {
+		const removeBtn = faqItem.querySelector('.remove-faq');
+		removeBtn.addEventListener('click', function() {
+			faqItem.remove();
+		});
+		
+		// Add validation to inputs
+		const questionInput = faqItem.querySelector('.faq-question');
+		const answerTextarea = faqItem.querySelector('.faq-answer');
+		
+		if (questionInput) {
+			questionInput.addEventListener('input', function() {
+				const sanitized = sanitizeText(this.value, 200);
+				if (sanitized !== this.value) {
+					this.value = sanitized;
+				}
+			});
+		}
+		
+		if (answerTextarea) {
+			answerTextarea.addEventListener('input', function() {
+				const sanitized = sanitizeText(this.value, 1000);
+				if (sanitized !== this.value) {
+					this.value = sanitized;
+				}
+			});
+		}
+	}
+	
+	// Initialize changelog management with sanitization
+	function initializeChangelogManagement(generator, elements, state) {
+		if (!elements.addChangelogBtn || !elements.changelogContainer) return;
+		
+		elements.addChangelogBtn.addEventListener('click', function(e) {
+			e.preventDefault();
+			addChangelog(elements.changelogContainer, state);
+		});
+		
+		// Setup existing changelog items
+		const existingChangelogs = elements.changelogContainer.querySelectorAll('.changelog-item');
+		existingChangelogs.forEach(function(changelog) {
+			setupChangelogItemListeners(changelog);
+		});
+		
+		// A version moves to its place once it is entered
+		elements.changelogContainer.addEventListener('change', function(e) {
+			if (e.target.classList.contains('changelog-version') && sortChangelogItems(elements)) {
+				showInlineNotification('Changelog sorted newest version first.', 'info');
+			}
+		});
+		
+		generator.querySelectorAll('[data-bump]').forEach(function(button) {
+			button.addEventListener('click', function(e) {
+				e.preventDefault();
+				bumpStableTag(generator, elements, state, button.dataset.bump);
+			});
+		});
+	}
+	
+	// Whether a changelog card has nothing filled in, like the one a new form
+	// starts with
+	function isBlankChangelogItem(item) {
+		const fields = item.querySelectorAll('.changelog-version, .changelog-change, .changelog-upgrade-notice');
+		return !Array.from(fields).some(field => field.value.trim());
+	}
+	
+	// Order the changelog cards newest version first (see version.js); cards
+	// without a valid version stay where they are. Returns whether any moved
+	function sortChangelogItems(elements) {
+		const container = elements.changelogContainer;
+		const items = Array.from(container.querySelectorAll('.changelog-item'));
+		const sorted = sortByVersion(items, item => item.querySelector('.changelog-version').value.trim());
+		if (sorted.every((item, index) => item === items[index])) return false;
+		
+		// Moving a card drops the focus inside it
+		const active = container.ownerDocument.activeElement;
+		const focused = container.contains(active) ? active : null;
+		sorted.forEach(item => container.appendChild(item));
+		if (focused) {
+			focused.focus({ preventScroll: true });
+		}
+		return true;
+	}
+	
+	// Raise the Stable tag past the newest version in the form and start a
+	// changelog entry for it
+	function bumpStableTag(generator, elements, state, part) {
+		try {
+			const versionField = generator.querySelector('#version');
+			const container = elements.changelogContainer;
+			if (!versionField) return;
+			
+			const items = Array.from(container.querySelectorAll('.changelog-item'));
+			const versionOf = item => item.querySelector('.changelog-version').value.trim();
+			const version = bumpVersion(getLatestVersion([versionField.value.trim()].concat(items.map(versionOf))), part);
+			versionField.value = version;
+			validateField(versionField);
+			
+			// Fields the block settings hide get no new entry
+			if (!container.closest('[data-section-disabled]')) {
+				let item = items.find(candidate => versionOf(candidate) === version) ||
+					items.find(isBlankChangelogItem);
+				if (!item) {
+					addChangelog(container, state);
+					item = container.lastElementChild;
+				}
+				container.insertBefore(item, container.firstElementChild);
+				item.querySelector('.changelog-version').value = version;
+				item.querySelector('.changelog-change').focus();
+			}
+			
+			elements.form.dispatchEvent(new Event('change'));
+			showInlineNotification(`Stable tag set to ${version}. Describe its changes in the changelog.`, 'success');
+		} catch (error) {
+			handleError(error, 'version_bump');
+		}
+	}
+	
+	// Add new changelog
+	function addChangelog(container, state) {
+		try {
+			const changelogIndex = state.changelogIndex;
+			const changelogItem = document.createElement('div');
+			changelogItem.className = 'changelog-item components-panel__body';
+			changelogItem.innerHTML = `
+				<div class="changelog-header">
+					<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+					<div class="form-row components-base-control">
+						<label class="components-base-control__label">Version</label>
+						<input type="text" class="changelog-version components-text-control__input" placeholder="1.0.0" data-validate="version" maxlength="20">
+					</div>
+					<button type="button" class="move-up components-button is-secondary" aria-label="Move version up">↑</button>
+					<button type="button" class="move-down components-button is-secondary" aria-label="Move version down">↓</button>
+					<button type="button" class="remove-changelog components-button is-destructive" aria-label="Remove Changelog Entry">×</button>
+				</div>
+				<div class="changes-container">
+					<div class="change-item">
+						<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+						<input type="text" class="changelog-change components-text-control__input" placeholder="Initial release" maxlength="200">
+						<button type="button" class="move-up components-button is-secondary" aria-label="Move change up">↑</button>
+						<button type="button" class="move-down components-button is-secondary" aria-label="Move change down">↓</button>
+						<button type="button" class="remove-change components-button is-destructive" aria-label="Remove Change">×</button>
+					</div>
+				</div>
+				<button type="button" class="add-change components-button is-secondary">+ Add Change</button>
+				<div class="form-row components-base-control upgrade-notice-row" data-advanced>
+					<label class="components-base-control__label">Upgrade Notice (optional)</label>
+					<textarea class="changelog-upgrade-notice components-textarea-control__input" rows="2" placeholder="Why should users upgrade to this version?" maxlength="${SECURITY_CONFIG.maxInputLength.upgradeNotice}"></textarea>
+					<small class="upgrade-notice-count" aria-live="polite"></small>
+				</div>
+			`;
+			
+			container.appendChild(changelogItem);
+			state.changelogIndex++;
+			
+			setupChangelogItemListeners(changelogItem);
+			
+		} catch (error) {
+			handleError(error, 'changelog_addition');
+		}
+	}
+	
+	// Import a pasted or uploaded changelog (see changelog-import.js) into the
+	// changelog cards
+	function initializeChangelogImport(generator, elements, state) {
+		if (!elements.importChangelogBtn || !elements.changelogContainer) return;
+		
+		elements.importChangelogBtn.addEventListener('click', function(e) {
+			e.preventDefault();
+			importChangelog(generator, elements, state, elements.changelogImportText ? elements.changelogImportText.value : '');
+		});
+		
+		if (!elements.changelogFileInput) return;
+		
+		elements.changelogFileInput.addEventListener('change', function(e) {
+			const file = e.target.files[0];
+			e.target.value = ''; // Allow importing the same file again
+			if (!file) return;
+			
+			// Security: Validate file
+			if (!/^[a-zA-Z0-9._-]+\.(md|markdown|txt)$/i.test(file.name) || file.size > SECURITY_CONFIG.maxFileSize) {
+				logSecurityEvent('invalid_file_upload', { error: 'Invalid changelog file', filename: file.name });
+				showInlineNotification('Choose a .md or .txt file of at most 100KB.', 'error');
+				return;
+			}
+			
+			const reader = new window.FileReader();
+			reader.onload = function(event) {
+				if (elements.changelogImportText) {
+					elements.changelogImportText.value = event.target.result;
+				}
+				importChangelog(generator, elements, state, event.target.result);
+			};
+			
+			reader.onerror = function() {
+				handleError(new Error('File read error'), 'file_reading');
+				showInlineNotification('Error reading file', 'error');
+			};
+			
+			reader.readAsText(file);
+		});
+	}
+	
+	// Add imported changelog entries to the form. Versions already in the form
+	// get the changes they are missing; new versions go above the existing ones
+	function importChangelog(generator, elements, state, text) {
+		try {
+			const result = parseChangelogText(text);
+			if (!result.entries.length) {
+				showInlineNotification('No versions or conventional commits were found to import.', 'error');
+				return;
+			}
+			
+			const container = elements.changelogContainer;
+			const findCard = function(version) {
+				return Array.from(container.querySelectorAll('.changelog-item')).find(function(item) {
+					return item.querySelector('.changelog-version').value.trim() === version;
+				});
+			};
+			
+			// Drop blank cards, such as the one a new form starts with
+			container.querySelectorAll('.changelog-item').forEach(function(item) {
+				if (isBlankChangelogItem(item)) {
+					item.remove();
+				}
+			});
+			
+			const first = container.firstElementChild;
+			let added = 0;
+			let updated = 0;
+			result.entries.forEach(function(entry) {
+				const card = entry.version && findCard(entry.version);
+				if (!card) {
+					addChangelogFromParsed(generator, elements, state, entry.version, entry.changes, state.changelogIndex);
+					container.insertBefore(container.lastElementChild, first);
+					added++;
+					return;
+				}
+				
+				const changesContainer = card.querySelector('.changes-container');
+				const current = Array.from(card.querySelectorAll('.changelog-change')).map(input => input.value.trim());
+				entry.changes.filter(change => !current.includes(change)).forEach(function(change) {
+					addChangeItem(changesContainer);
+					changesContainer.lastElementChild.querySelector('.changelog-change').value = sanitizeText(change);
+				});
+				updated++;
 			});
 			
+			if (elements.changelogImportText) {
+				elements.changelogImportText.value = '';
+			}
+			sortChangelogItems(elements);
+			elements.form.dispatchEvent(new Event('change'));
+			
+			if (result.format === 'commits') {
+				const version = container.firstElementChild.querySelector('.changelog-version');
+				version.focus();
+				showInlineNotification(`Imported ${result.entries[0].changes.length} changes. Enter the version they belong to.`, 'success');
+			} else {
+				showInlineNotification(`Added ${added} version${added === 1 ? '' : 's'}` + (updated ? ` and updated ${updated}` : '') + ' from the changelog.', 'success');
+			}
 		} catch (error) {
-			handleError(error, 'tags_display_simple_update');
+			handleError(error, 'changelog_import');
+			showInlineNotification('Error importing the changelog. Please check the format.', 'error');
+		}
+	}
+	
+	// Drag-and-drop reordering for the direct children of a container. A drag
+	// can only start from an item's .drag-handle, so text in its inputs stays
+	// selectable.
+	function initializeSortable(container, itemSelector, onReorder) {
+		let draggedItem = null;
+		
+		const getItem = function(target) {
+			const item = target.closest ? target.closest(itemSelector) : null;
+			return item && item.parentNode === container ? item : null;
+		};
+		
+		container.addEventListener('mousedown', function(e) {
+			const handle = e.target.closest('.drag-handle');
+			const item = handle && handle.closest(SORTABLE_ITEMS);
+			if (item && item.parentNode === container && item.matches(itemSelector)) {
+				item.setAttribute('draggable', 'true');
+			}
+		});
+		
+		container.addEventListener('mouseup', function(e) {
+			const item = getItem(e.target);
+			if (item && item !== draggedItem) {
+				item.removeAttribute('draggable');
+			}
+		});
+		
+		container.addEventListener('dragstart', function(e) {
+			const item = getItem(e.target);
+			if (!item || item !== e.target || item.getAttribute('draggable') !== 'true') return;
+			
+			draggedItem = item;
+			item.classList.add('is-dragging');
+			e.dataTransfer.effectAllowed = 'move';
+			// Firefox only starts a drag when data is set
+			e.dataTransfer.setData('text/plain', '');
+		});
+		
+		container.addEventListener('dragover', function(e) {
+			if (!draggedItem) return;
+			e.preventDefault();
+			
+			const target = getItem(e.target);
+			if (!target || target === draggedItem) return;
+			
+			const rect = target.getBoundingClientRect();
+			const after = e.clientY > rect.top + rect.height / 2;
+			container.insertBefore(draggedItem, after ? target.nextSibling : target);
+		});
+		
+		container.addEventListener('drop', function(e) {
+			if (draggedItem) {
+				e.preventDefault();
+			}
+		});
+		
+		container.addEventListener('dragend', function() {
+			if (!draggedItem) return;
+			
+			const item = draggedItem;
+			item.classList.remove('is-dragging');
+			item.removeAttribute('draggable');
+			draggedItem = null;
+			onReorder(item);
+		});
+	}
+	
+	// Reordering of FAQ items, changelog versions, their changes and custom
+	// sections with drag handles and move up and down buttons
+	function initializeReordering(elements) {
+		const lists = [elements.faqContainer, elements.changelogContainer, elements.customSectionsContainer].filter(Boolean);
+		if (!lists.length) return;
+		
+		const onReorder = function(item) {
+			announceMove(elements, item);
+		};
+		
+		if (elements.faqContainer) {
+			initializeSortable(elements.faqContainer, '.faq-item', onReorder);
+		}
+		if (elements.changelogContainer) {
+			initializeSortable(elements.changelogContainer, '.changelog-item', onReorder);
+		}
+		
+		// Items are added and removed in many places, so button states,
+		// FAQ numbers and dragging of new change lists follow the DOM
+		const refresh = function(list) {
+			updateMoveButtons(list);
+			list.querySelectorAll('.changes-container').forEach(function(changes) {
+				if (!changes.dataset.sortable) {
+					changes.dataset.sortable = 'true';
+					initializeSortable(changes, '.change-item', onReorder);
+				}
+				updateMoveButtons(changes);
+			});
+		};
+		
+		lists.forEach(function(list) {
+			refresh(list);
+			if (typeof window.MutationObserver !== 'undefined') {
+				new window.MutationObserver(function() {
+					refresh(list);
+				}).observe(list, { childList: true, subtree: true });
+			}
+		});
+		
+		elements.form.addEventListener('click', function(e) {
+			const button = e.target.closest('.move-up, .move-down');
+			const item = button && button.closest(REORDERABLE_ITEMS);
+			if (!item || button.disabled) return;
+			
+			e.preventDefault();
+			if (moveItem(item, button.classList.contains('move-up') ? -1 : 1, button)) {
+				announceMove(elements, item);
+			}
+		});
+	}
+	
+	// The reorderable items of a list, in order
+	function getListItems(list) {
+		return Array.from(list.children).filter(child => child.matches(REORDERABLE_ITEMS));
+	}
+	
+	// Move an item one place up or down, keeping focus on the button
+	function moveItem(item, direction, button) {
+		const items = getListItems(item.parentNode);
+		const sibling = items[items.indexOf(item) + direction];
+		if (!sibling) return false;
+		
+		item.parentNode.insertBefore(item, direction < 0 ? sibling : sibling.nextSibling);
+		updateMoveButtons(item.parentNode);
+		
+		if (!button.disabled) {
+			button.focus();
+		} else {
+			item.querySelector(direction < 0 ? '.move-down' : '.move-up').focus();
+		}
+		return true;
+	}
+	
+	// Disable move buttons that would go past either end of a list and keep
+	// FAQ numbers in order. An item's own buttons come before any nested list.
+	function updateMoveButtons(list) {
+		const items = getListItems(list);
+		items.forEach(function(item, index) {
+			const up = item.querySelector('.move-up');
+			const down = item.querySelector('.move-down');
+			if (up) up.disabled = index === 0;
+			if (down) down.disabled = index === items.length - 1;
+			
+			const number = item.querySelector('.faq-number');
+			// Only write changes, the observer would otherwise see its own edit
+			if (number && number.textContent !== `FAQ #${index + 1}`) {
+				number.textContent = `FAQ #${index + 1}`;
+			}
+		});
+	}
+	
+	// Tell screen reader users where a moved item is now and update the output
+	function announceMove(elements, item) {
+		const items = getListItems(item.parentNode);
+		const type = Object.keys(REORDER_LABELS).find(name => item.classList.contains(name));
+		const label = REORDER_LABELS[type];
+		
+		if (elements.reorderStatus && label) {
+			const field = item.querySelector(label.field);
+			const value = field ? sanitizeText(field.value).trim().slice(0, 60) : '';
+			elements.reorderStatus.textContent = `${label.name} ${value ? `"${value}" ` : ''}moved to position ${items.indexOf(item) + 1} of ${items.length}.`;
 		}
+		
+		elements.form.dispatchEvent(new Event('change'));
 	}
 	
-	// Initialize formatting buttons with XSS prevention
-	function initializeFormattingButtons(generator, elements) {
-		const formattingButtons = generator.querySelectorAll('.format-btn');
+	// Initialize screenshot management
+	function initializeScreenshotsManagement(elements) {
+		if (!elements.addScreenshotBtn || !elements.screenshotsContainer) return;
 		
-		formattingButtons.forEach(function(btn) {
-			btn.addEventListener('click', function(e) {
-				e.preventDefault();
-				
-				try {
-					const format = this.dataset.format;
-					const textarea = this.closest('.form-row').querySelector('textarea');
-					
-					if (!textarea) return;
-					
-					applyFormatting(format, textarea);
-					
-				} catch (error) {
-					handleError(error, 'formatting_button_click');
-				}
-			});
+		elements.addScreenshotBtn.addEventListener('click', function(e) {
+			e.preventDefault();
+			addScreenshot(elements.screenshotsContainer);
+		});
+		
+		initializeSortable(elements.screenshotsContainer, '.screenshot-item', function() {
+			renumberScreenshots(elements.screenshotsContainer);
 		});
 	}
 	
-	// Apply formatting with security
-	function applyFormatting(format, textarea) {
+	// Add new screenshot item
+	function addScreenshot(container, caption = '') {
 		try {
-			const start = textarea.selectionStart;
-			const end = textarea.selectionEnd;
-			const selectedText = textarea.value.substring(start, end);
-			const beforeText = textarea.value.substring(0, start);
-			const afterText = textarea.value.substring(end);
-			
-			let formattedText = '';
-			
-			switch (format) {
-				case 'bold':
-					formattedText = selectedText ? `**${selectedText}**` : '**bold text**';
-					break;
-				case 'italic':
-					formattedText = selectedText ? `*${selectedText}*` : '*italic text*';
-					break;
-				case 'code':
-					formattedText = selectedText ? `\`${selectedText}\`` : '`code`';
-					break;
-				case 'heading':
-					formattedText = selectedText ? `= ${selectedText} =` : '= Heading =';
-					break;
-				case 'bullet':
-					formattedText = selectedText ? `* ${selectedText}` : '* List item';
-					break;
-				case 'numbered':
-					formattedText = selectedText ? `1. ${selectedText}` : '1. List item';
-					break;
-				case 'link':
-					formattedText = selectedText ? `[${selectedText}](https://example.com)` : '[Link text](https://example.com)';
-					break;
-				default:
-					return;
+			if (container.querySelectorAll('.screenshot-item').length >= SECURITY_CONFIG.maxItems.screenshots) {
+				showInlineNotification(`Maximum ${SECURITY_CONFIG.maxItems.screenshots} screenshots allowed`, 'error', 3000);
+				return;
 			}
 			
-			// Sanitize formatted text
-			formattedText = sanitizeInput(formattedText, 1000);
+			const screenshotItem = document.createElement('div');
+			screenshotItem.className = 'screenshot-item components-panel__body';
+			screenshotItem.innerHTML = `
+				<div class="screenshot-header">
+					<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+					<span class="screenshot-number components-panel__body-title"></span>
+					<code class="screenshot-filename"></code>
+					<button type="button" class="remove-screenshot components-button is-destructive" aria-label="Remove Screenshot">×</button>
+				</div>
+				<div class="screenshot-body">
+					<img class="screenshot-preview" alt="" hidden>
+					<div class="screenshot-fields">
+						<div class="form-row components-base-control">
+							<label class="components-base-control__label">Caption</label>
+							<input type="text" class="screenshot-caption components-text-control__input" placeholder="The settings screen" maxlength="${SECURITY_CONFIG.maxInputLength.screenshotCaption}">
+						</div>
+						<div class="form-row components-base-control">
+							<label class="components-base-control__label">Image preview (optional)</label>
+							<input type="file" class="screenshot-image" accept=".png,.jpg,.jpeg,.gif,image/png,image/jpeg,image/gif">
+						</div>
+					</div>
+				</div>
+			`;
 			
-			// Update textarea
-			textarea.value = beforeText + formattedText + afterText;
+			screenshotItem.querySelector('.screenshot-caption').value = sanitizeText(caption);
 			
-			// Set cursor position
-			const newCursorPos = start + formattedText.length;
-			textarea.setSelectionRange(newCursorPos, newCursorPos);
-			textarea.focus();
+			container.appendChild(screenshotItem);
+			setupScreenshotItemListeners(screenshotItem, container);
+			renumberScreenshots(container);
 			
 		} catch (error) {
-			handleError(error, 'formatting_application');
+			handleError(error, 'screenshot_addition');
 		}
 	}
 	
-	// Initialize FAQ management with input validation
-	function initializeFAQManagement(generator, elements, state) {
-		if (!elements.addFAQBtn || !elements.faqContainer) return;
+	// Setup screenshot item listeners
+	function setupScreenshotItemListeners(screenshotItem, container) {
+		const removeBtn = screenshotItem.querySelector('.remove-screenshot');
+		removeBtn.addEventListener('click', function() {
+			screenshotItem.remove();
+			renumberScreenshots(container);
+		});
 		
-		elements.addFAQBtn.addEventListener('click', function(e) {
-			e.preventDefault();
-			addFAQ(elements.faqContainer, state);
+		const captionInput = screenshotItem.querySelector('.screenshot-caption');
+		captionInput.addEventListener('input', function() {
+			screenshotItem.querySelector('.screenshot-preview').alt = this.value;
 		});
 		
-		// Setup existing FAQ items
-		const existingFAQs = elements.faqContainer.querySelectorAll('.faq-item');
-		existingFAQs.forEach(function(faq) {
-			setupFAQItemListeners(faq);
+		const imageInput = screenshotItem.querySelector('.screenshot-image');
+		imageInput.addEventListener('change', function() {
+			const file = this.files[0];
+			if (file) {
+				previewScreenshotImage(screenshotItem, file, this);
+			}
 		});
 	}
 	
-	// Add new FAQ
-	function addFAQ(container, state) {
+	// Show a local screenshot image and take its extension for the asset name.
+	// Read as a data: URL, which the block's Content Security Policy allows.
+	function previewScreenshotImage(screenshotItem, file, input) {
+		const extension = SECURITY_CONFIG.screenshotImages.types[file.type];
+		if (!extension) {
+			showInlineNotification('Screenshots must be PNG, JPG or GIF images', 'error');
+			input.value = '';
+			return;
+		}
+		
+		if (file.size > SECURITY_CONFIG.screenshotImages.maxFileSize) {
+			showInlineNotification('Screenshot image too large (max 5MB)', 'error');
+			input.value = '';
+			return;
+		}
+		
+		const reader = new window.FileReader();
+		reader.onload = function(event) {
+			const preview = screenshotItem.querySelector('.screenshot-preview');
+			preview.src = event.target.result;
+			preview.alt = screenshotItem.querySelector('.screenshot-caption').value;
+			preview.hidden = false;
+			
+			screenshotItem.dataset.extension = extension;
+			renumberScreenshots(screenshotItem.parentNode);
+			
+			// The image loads after the input's own change event
+			screenshotItem.dispatchEvent(new Event('change', { bubbles: true }));
+		};
+		reader.onerror = function() {
+			handleError(new Error('Image read error'), 'screenshot_preview');
+		};
+		reader.readAsDataURL(file);
+	}
+	
+	// Number screenshots by position and show the matching asset file name
+	function renumberScreenshots(container) {
+		if (!container) return;
+		
+		container.querySelectorAll('.screenshot-item').forEach(function(item, index) {
+			const number = index + 1;
+			const extension = item.dataset.extension || '(png|jpg|gif)';
+			item.querySelector('.screenshot-number').textContent = `Screenshot #${number}`;
+			item.querySelector('.screenshot-filename').textContent = `screenshot-${number}.${extension}`;
+		});
+	}
+	
+	// Initialize license selector and extra header field list
+	function initializeHeaderFields(elements) {
+		if (elements.license) {
+			elements.license.dataset.previousUri = getLicenseUri(elements.license);
+			elements.license.addEventListener('change', function() {
+				// Follow the selected license unless the URI was edited by hand
+				const uri = getLicenseUri(this);
+				if (elements.licenseURI && (!elements.licenseURI.value || elements.licenseURI.value === this.dataset.previousUri)) {
+					elements.licenseURI.value = uri;
+				}
+				this.dataset.previousUri = uri;
+				updateLicenseFields(elements);
+			});
+		}
+		
+		if (elements.addHeaderFieldBtn && elements.headerFieldsContainer) {
+			elements.addHeaderFieldBtn.addEventListener('click', function(e) {
+				e.preventDefault();
+				const row = addHeaderField(elements.headerFieldsContainer);
+				if (row) {
+					row.querySelector('.header-field-key').focus();
+				}
+			});
+		}
+	}
+	
+	// URI that belongs to the selected license option
+	function getLicenseUri(select) {
+		const option = select.options[select.selectedIndex];
+		return option ? option.dataset.uri || '' : '';
+	}
+	
+	// Show the free text license input only for "Other license"
+	function updateLicenseFields(elements) {
+		if (!elements.license || !elements.licenseCustom) return;
+		
+		elements.licenseCustom.hidden = elements.license.value !== 'custom';
+		elements.license.dataset.previousUri = getLicenseUri(elements.license);
+	}
+	
+	// Select an imported license, falling back to "Other license" for free text
+	function setLicense(elements, license, uri) {
+		if (!elements.license) return;
+		
+		const value = sanitizeText(license || '').trim();
+		const known = value !== 'custom' && Array.from(elements.license.options).some(option => option.value === value);
+		
+		elements.license.value = known ? value : 'custom';
+		if (elements.licenseCustom) {
+			elements.licenseCustom.value = known ? '' : value;
+		}
+		if (elements.licenseURI) {
+			elements.licenseURI.value = sanitizeText(uri || '').trim();
+		}
+		updateLicenseFields(elements);
+	}
+	
+	// Header values such as "true" or "yes" that switch a flag on
+	function isTruthyHeader(value) {
+		return /^(true|yes|1)$/i.test((value || '').trim());
+	}
+	
+	// Add an extra header field row; line links it to the imported header line
+	function addHeaderField(container, key = '', value = '', line = 0) {
 		try {
-			const faqIndex = state.faqIndex;
-			const faqItem = document.createElement('div');
-			faqItem.className = 'faq-item components-panel__body';
-			faqItem.innerHTML = `
-				<div class="faq-header">
-					<span class="faq-number components-panel__body-title">FAQ #${faqIndex}</span>
-					<button type="button" class="remove-faq components-button is-destructive" aria-label="Remove FAQ">×</button>
-				</div>
-				<div class="form-row components-base-control">
-					<label class="components-base-control__label">Question</label>
-					<input type="text" class="faq-question components-text-control__input" placeholder="How do I use this plugin?" maxlength="200">
-				</div>
-				<div class="form-row components-base-control">
-					<label class="components-base-control__label">Answer</label>
-					<textarea class="faq-answer components-textarea-control__input" rows="3" placeholder="Just install and activate the plugin..." maxlength="1000"></textarea>
-				</div>
+			if (container.querySelectorAll('.header-field-item').length >= SECURITY_CONFIG.maxItems.headerFields) {
+				showInlineNotification(`Maximum ${SECURITY_CONFIG.maxItems.headerFields} extra header fields allowed`, 'error', 3000);
+				return null;
+			}
+			
+			const row = document.createElement('div');
+			row.className = 'header-field-item';
+			row.innerHTML = `
+				<input type="text" class="header-field-key components-text-control__input" placeholder="Key" aria-label="Header field name" maxlength="${SECURITY_CONFIG.maxInputLength.headerFieldKey}">
+				<span class="header-field-separator" aria-hidden="true">:</span>
+				<input type="text" class="header-field-value components-text-control__input" placeholder="Value" aria-label="Header field value" maxlength="${SECURITY_CONFIG.maxInputLength.headerFieldValue}">
+				<button type="button" class="remove-header-field components-button is-destructive" aria-label="Remove header field">×</button>
 			`;
 			
-			container.appendChild(faqItem);
-			state.faqIndex++;
+			row.querySelector('.header-field-key').value = sanitizeText(key);
+			row.querySelector('.header-field-value').value = sanitizeText(value);
+			if (line) {
+				row.dataset.line = String(line);
+			}
 			
-			setupFAQItemListeners(faqItem);
+			row.querySelector('.remove-header-field').addEventListener('click', function() {
+				row.remove();
+			});
+			
+			row.querySelector('.header-field-key').addEventListener('change', function() {
+				const fieldKey = sanitizeText(this.value).trim();
+				if (fieldKey && !validateInput(fieldKey, 'headerKey')) {
+					showInlineNotification(HEADER_FIELDS[fieldKey.toLowerCase()] ?
+						`"${fieldKey}" has its own field in the form` :
+						'Header field names start with a letter and use letters, numbers, spaces, - or _', 'error');
+				}
+			});
+			
+			container.appendChild(row);
+			return row;
 			
 		} catch (error) {
-			handleError(error, 'faq_addition');
+			handleError(error, 'header_field_addition');
+			return null;
 		}
 	}
 	
-	// Setup FAQ item listeners
-	function setupFAQItemListeners(faqItem) {
-		const removeBtn = faqItem.querySelector('.remove-faq');
-		removeBtn.addEventListener('click', function() {
-			faqItem.remove();
-		});
-		
-		// Add validation to inputs
-		const questionInput = faqItem.querySelector('.faq-question');
-		const answerTextarea = faqItem.querySelector('.faq-answer');
+	// Collect extra header fields with a valid name
+	function collectHeaderFields(elements) {
+		const fields = [];
 		
-		if (questionInput) {
-			questionInput.addEventListener('input', function() {
-				this.value = sanitizeInput(this.value, 200);
+		try {
+			if (!elements.headerFieldsContainer) return fields;
+			
+			elements.headerFieldsContainer.querySelectorAll('.header-field-item').forEach(function(row) {
+				const key = sanitizeText(row.querySelector('.header-field-key').value).trim();
+				const value = sanitizeText(row.querySelector('.header-field-value').value).replace(/[\r\n]+/g, ' ').trim();
+				
+				if (validateInput(key, 'headerKey')) {
+					fields.push({
+						key,
+						id: null,
+						value,
+						line: parseInt(row.dataset.line, 10) || 0
+					});
+				}
 			});
+		} catch (error) {
+			handleError(error, 'header_field_collection');
 		}
 		
-		if (answerTextarea) {
-			answerTextarea.addEventListener('input', function() {
-				this.value = sanitizeInput(this.value, 1000);
-			});
-		}
+		return fields;
 	}
 	
-	// Initialize changelog management with sanitization
-	function initializeChangelogManagement(generator, elements, state) {
-		if (!elements.addChangelogBtn || !elements.changelogContainer) return;
+	// Initialize custom section management
+	function initializeCustomSections(elements, state) {
+		if (!elements.addCustomSectionBtn || !elements.customSectionsContainer) return;
 		
-		elements.addChangelogBtn.addEventListener('click', function(e) {
+		elements.addCustomSectionBtn.addEventListener('click', function(e) {
 			e.preventDefault();
-			addChangelog(elements.changelogContainer, state);
+			
+			const preset = CUSTOM_SECTION_PRESETS[elements.customSectionPreset ? elements.customSectionPreset.value : ''];
+			const item = addCustomSection(elements.customSectionsContainer, state, preset ? preset.title : '', preset ? preset.content : '');
+			if (item) {
+				item.querySelector('.custom-section-title').focus();
+			}
 		});
 		
-		// Setup existing changelog items
-		const existingChangelogs = elements.changelogContainer.querySelectorAll('.changelog-item');
-		existingChangelogs.forEach(function(changelog) {
-			setupChangelogItemListeners(changelog);
+		initializeSortable(elements.customSectionsContainer, '.custom-section-item', function(item) {
+			announceMove(elements, item);
 		});
 	}
 	
-	// Add new changelog
-	function addChangelog(container, state) {
+	// Add a custom section; line links it to the imported section it came from
+	function addCustomSection(container, state, title = '', content = '', line = 0) {
 		try {
-			const changelogIndex = state.changelogIndex;
-			const changelogItem = document.createElement('div');
-			changelogItem.className = 'changelog-item components-panel__body';
-			changelogItem.innerHTML = `
-				<div class="changelog-header">
+			if (container.querySelectorAll('.custom-section-item').length >= SECURITY_CONFIG.maxItems.customSections) {
+				showInlineNotification(`Maximum ${SECURITY_CONFIG.maxItems.customSections} additional sections allowed`, 'error', 3000);
+				return null;
+			}
+			
+			const id = `custom-section-${state.customSectionIndex++}`;
+			const sectionItem = document.createElement('div');
+			sectionItem.className = 'custom-section-item components-panel__body';
+			sectionItem.innerHTML = `
+				<div class="custom-section-header">
+					<span class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
 					<div class="form-row components-base-control">
-						<label class="components-base-control__label">Version</label>
-						<input type="text" class="changelog-version components-text-control__input" placeholder="1.0.0" pattern="^\\d+\\.\\d+\\.\\d+$" maxlength="20">
+						<label class="components-base-control__label" for="${id}-title">Section Title</label>
+						<input type="text" id="${id}-title" class="custom-section-title components-text-control__input" placeholder="Third Party Services" maxlength="${SECURITY_CONFIG.maxInputLength.customSectionTitle}">
 					</div>
-					<button type="button" class="remove-changelog components-button is-destructive" aria-label="Remove Changelog Entry">×</button>
+					<button type="button" class="move-up components-button is-secondary" aria-label="Move section up">↑</button>
+					<button type="button" class="move-down components-button is-secondary" aria-label="Move section down">↓</button>
+					<button type="button" class="remove-custom-section components-button is-destructive" aria-label="Remove section">×</button>
 				</div>
-				<div class="changes-container">
-					<div class="change-item">
-						<input type="text" class="changelog-change components-text-control__input" placeholder="Initial release" maxlength="200">
-						<button type="button" class="remove-change components-button is-destructive" aria-label="Remove Change">×</button>
+				<div class="form-row components-base-control">
+					<label class="components-base-control__label" for="${id}-content">Content</label>
+					<div class="formatting-toolbar">
+						<button type="button" class="format-btn" data-format="bold" title="Bold" aria-label="Bold"><strong>B</strong></button>
+						<button type="button" class="format-btn" data-format="italic" title="Italic" aria-label="Italic"><em>I</em></button>
+						<button type="button" class="format-btn" data-format="code" title="Code" aria-label="Code">&lt;/&gt;</button>
+						<button type="button" class="format-btn" data-format="heading" title="Heading" aria-label="Heading">H</button>
+						<button type="button" class="format-btn" data-format="bullet" title="Bullet List" aria-label="Bullet List">•</button>
+						<button type="button" class="format-btn" data-format="numbered" title="Numbered List" aria-label="Numbered List">1.</button>
+						<button type="button" class="format-btn format-btn-last" data-format="link" title="Link" aria-label="Link">L</button>
 					</div>
+					<textarea id="${id}-content" class="custom-section-content components-textarea-control__input" rows="5" data-formatted="true" maxlength="${SECURITY_CONFIG.maxInputLength.customSection}"></textarea>
 				</div>
-				<button type="button" class="add-change components-button is-secondary">+ Add Change</button>
 			`;
 			
-			container.appendChild(changelogItem);
-			state.changelogIndex++;
+			sectionItem.querySelector('.custom-section-title').value = sanitizeText(title);
+			sectionItem.querySelector('.custom-section-content').value = sanitizeText(content);
+			if (line) {
+				sectionItem.dataset.line = String(line);
+			}
 			
-			setupChangelogItemListeners(changelogItem);
+			container.appendChild(sectionItem);
+			setupCustomSectionListeners(sectionItem);
+			
+			return sectionItem;
 			
 		} catch (error) {
-			handleError(error, 'changelog_addition');
+			handleError(error, 'custom_section_addition');
+			return null;
+		}
+	}
+	
+	// Setup custom section listeners
+	function setupCustomSectionListeners(sectionItem) {
+		sectionItem.querySelectorAll('.format-btn').forEach(setupFormattingButton);
+		
+		sectionItem.querySelector('.remove-custom-section').addEventListener('click', function() {
+			sectionItem.remove();
+		});
+		
+		// Standard sections have their own fields and would be parsed as such
+		const titleInput = sectionItem.querySelector('.custom-section-title');
+		titleInput.addEventListener('change', function() {
+			const title = sanitizeText(this.value).trim();
+			if (title && getSectionId(title)) {
+				showInlineNotification(`"${title}" is a standard section, use its own field instead`, 'error');
+			}
+		});
+	}
+	
+	// Collect custom sections that have both a title and content
+	function collectCustomSections(elements) {
+		const sections = [];
+		
+		try {
+			if (!elements.customSectionsContainer) return sections;
+			
+			elements.customSectionsContainer.querySelectorAll('.custom-section-item').forEach(function(item) {
+				const title = sanitizeText(item.querySelector('.custom-section-title').value).trim();
+				const content = sanitizeText(item.querySelector('.custom-section-content').value);
+				
+				if (title && content.trim() && !getSectionId(title)) {
+					sections.push({
+						id: null,
+						title,
+						content,
+						line: parseInt(item.dataset.line, 10) || 0
+					});
+				}
+			});
+		} catch (error) {
+			handleError(error, 'custom_section_collection');
 		}
+		
+		return sections;
 	}
 	
 	// Initialize modal handlers with focus management
@@ -1473,59 +4135,86 @@
 		}
 	}
 	
-	function generateFAQSection(elements) {
+	// Collect FAQ entries that have both a question and an answer
+	function collectFAQEntries(elements) {
+		const entries = [];
+		
 		try {
-			const faqItems = elements.form.querySelectorAll('.faq-item');
-			let faqSection = '';
-			
-			faqItems.forEach(function(item) {
-				const question = item.querySelector('.faq-question').value.trim();
-				const answer = item.querySelector('.faq-answer').value.trim();
+			elements.form.querySelectorAll('.faq-item').forEach(function(item) {
+				const question = sanitizeText(item.querySelector('.faq-question').value).trim();
+				const answer = sanitizeText(item.querySelector('.faq-answer').value).trim();
 				
-				if (question && answer) {
-					const sanitizedQuestion = sanitizeInput(question, 200);
-					const sanitizedAnswer = sanitizeInput(answer, 1000);
-					faqSection += `= ${sanitizedQuestion} =\n\n${sanitizedAnswer}\n\n`;
+				// A question may wait for its answer
+				if (question) {
+					entries.push({ question, answer });
 				}
 			});
-			
-			return faqSection || '= How do I use this plugin? =\n\nJust install and activate the plugin through the WordPress admin.\n\n';
 		} catch (error) {
-			handleError(error, 'faq_section_generation');
-			return '= How do I use this plugin? =\n\nJust install and activate the plugin through the WordPress admin.\n\n';
+			handleError(error, 'faq_collection');
 		}
+		
+		return entries;
 	}
 	
-	function generateChangelogSection(elements) {
+	// Collect screenshot captions in list order
+	function collectScreenshotEntries(elements) {
+		const entries = [];
+		
 		try {
-			const changelogItems = elements.form.querySelectorAll('.changelog-item');
-			let changelogSection = '';
-			
-			changelogItems.forEach(function(item) {
-				const version = item.querySelector('.changelog-version').value.trim();
-				const changes = item.querySelectorAll('.changelog-change');
+			elements.form.querySelectorAll('.screenshot-item').forEach(function(item) {
+				const caption = sanitizeText(item.querySelector('.screenshot-caption').value).trim();
+				if (caption) {
+					entries.push({ caption });
+				}
+			});
+		} catch (error) {
+			handleError(error, 'screenshot_collection');
+		}
+		
+		return entries;
+	}
+	
+	// Collect upgrade notices from changelog cards, in changelog order
+	function collectUpgradeNotices(elements) {
+		const entries = [];
+		
+		try {
+			elements.form.querySelectorAll('.changelog-item').forEach(function(item) {
+				const version = sanitizeText(item.querySelector('.changelog-version').value).trim();
+				const noticeField = item.querySelector('.changelog-upgrade-notice');
+				const notice = noticeField ? sanitizeText(noticeField.value).trim() : '';
+				
+				if (version && notice) {
+					entries.push({ version, notice });
+				}
+			});
+		} catch (error) {
+			handleError(error, 'upgrade_notice_collection');
+		}
+		
+		return entries;
+	}
+	
+	// Collect changelog versions that have at least one change
+	function collectChangelogEntries(elements) {
+		const entries = [];
+		
+		try {
+			elements.form.querySelectorAll('.changelog-item').forEach(function(item) {
+				const version = sanitizeText(item.querySelector('.changelog-version').value).trim();
+				const changes = Array.from(item.querySelectorAll('.changelog-change'))
+					.map(input => sanitizeText(input.value).trim())
+					.filter(Boolean);
 				
 				if (version && changes.length > 0) {
-					const sanitizedVersion = sanitizeInput(version, 20);
-					changelogSection += `= ${sanitizedVersion} =\n`;
-					
-					changes.forEach(function(changeInput) {
-						const change = changeInput.value.trim();
-						if (change) {
-							const sanitizedChange = sanitizeInput(change, 200);
-							changelogSection += `* ${sanitizedChange}\n`;
-						}
-					});
-					
-					changelogSection += '\n';
+					entries.push({ version, changes });
 				}
 			});
-			
-			return changelogSection || '= 1.0.0 =\n* Initial release\n\n';
 		} catch (error) {
-			handleError(error, 'changelog_section_generation');
-		return '= 1.0.0 =\n* Initial release\n\n';
+			handleError(error, 'changelog_collection');
 		}
+		
+		return entries;
 	}
 	
 })();
\ No newline at end of file
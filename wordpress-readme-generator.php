@@ -3,7 +3,7 @@
  * Plugin Name:       WordPress Readme Generator
  * Description:       Generate perfect WordPress.org plugin readme.txt files with visual formatting buttons and an interactive form builder that follows all official standards and best practices.
  * Version:           0.1.0
- * Requires at least: 5.0
+ * Requires at least: 6.4
  * Requires PHP:      7.4
  * Author:            WordPress Telex
  * License:           GPLv2 or later
@@ -18,6 +18,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly.
 }
 
+require_once __DIR__ . '/includes/readme.php';
+require_once __DIR__ . '/includes/post-type.php';
+require_once __DIR__ . '/includes/rest-api.php';
+
 /**
  * Registers the block using the metadata loaded from the `block.json` file.
  * Behind the scenes, it registers also all assets so they can be enqueued